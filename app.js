@@ -6,26 +6,54 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { TRUST_PROXY } = require("./config");
 
-const { authenticateJWT } = require("./middleware/auth");
+const { assignRequestId } = require("./middleware/requestId");
+const {
+  authenticateJWT,
+  restrictImpersonation,
+} = require("./middleware/auth");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const rolesRoutes = require("./routes/roles");
+const adminRoutes = require("./routes/admin");
+const wellKnownRoutes = require("./routes/wellKnown");
+const calendarRoutes = require("./routes/calendar");
+const eventsRoutes = require("./routes/events");
 
 const morgan = require("morgan");
 
 const app = express();
 
+// like morgan's "tiny" format, but with the values of credentials in the query
+// string (?ticket=..., ?token=...) left out of the URL
+morgan.token("redacted-url", (req) =>
+  req.originalUrl.replace(/([?&](?:ticket|token)=)[^&]*/g, "$1[redacted]")
+);
+const LOG_FORMAT =
+  ":method :redacted-url :status :res[content-length] - :response-time ms";
+
+// behind a proxy (e.g. on Heroku), this makes req.ip the client's address
+if (TRUST_PROXY) app.set("trust proxy", TRUST_PROXY);
+
+app.use(assignRequestId);
 app.use(cors());
 app.use(express.json());
-app.use(morgan("tiny"));
+app.use(morgan(LOG_FORMAT));
 app.use(authenticateJWT);
+app.use(restrictImpersonation);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/roles", rolesRoutes);
+app.use("/admin", adminRoutes);
+app.use("/.well-known", wellKnownRoutes);
+app.use("/calendar", calendarRoutes);
+app.use("/events", eventsRoutes);
 
 /** Handle 404 errors -- this matches everything */
 app.use(function (req, res, next) {
@@ -37,6 +65,7 @@ app.use(function (err, req, res, next) {
   if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
     error: { message, status },
@@ -1,4 +1,5 @@
 const request = require("supertest");
+const morgan = require("morgan");
 
 const app = require("./app");
 const db = require("./db");
@@ -15,6 +16,13 @@ test("not found for site 404 (test stack print)", async function () {
   delete process.env.NODE_ENV;
 });
 
+test("credentials in the query string aren't logged", function () {
+  const url = morgan["redacted-url"]({
+    originalUrl: "/events?ticket=secret&token=secret&x=1",
+  });
+  expect(url).toEqual("/events?ticket=[redacted]&token=[redacted]&x=1");
+});
+
 afterAll(function () {
   db.end();
 });
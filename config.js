@@ -7,8 +7,121 @@ require("colors");
 
 const SECRET_KEY = process.env.SECRET_KEY || "i-have-a-secret";
 
+// JWT signing keys (see helpers/keyring.js): a directory of <kid>.pem files
+// for RS256/ES256, and which of them signs new tokens (by default, the last
+// private key by name). Without a directory, tokens use SECRET_KEY (HS256).
+// Read at call time (config.JWT_KEYS_DIR).
+const JWT_KEYS_DIR = process.env.JWT_KEYS_DIR || "";
+const JWT_SIGNING_KID = process.env.JWT_SIGNING_KID || "";
+
 const PORT = +process.env.PORT || 3000;
 
+// Access tokens are short-lived; clients trade a refresh token for a new one
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30;
+
+// Failed logins: after LOGIN_FREE_ATTEMPTS failures for a username (or
+// LOGIN_IP_FREE_ATTEMPTS from an address), each further attempt has to wait
+// exponentially longer, up to LOGIN_BACKOFF_MAX_SECONDS. After
+// LOGIN_LOCKOUT_THRESHOLD failures the account is locked for
+// LOGIN_LOCKOUT_MINUTES. Counts start over once there have been no failures
+// for LOGIN_FAILURE_WINDOW_MINUTES.
+const LOGIN_FREE_ATTEMPTS = +process.env.LOGIN_FREE_ATTEMPTS || 3;
+const LOGIN_IP_FREE_ATTEMPTS = +process.env.LOGIN_IP_FREE_ATTEMPTS || 20;
+const LOGIN_BACKOFF_MAX_SECONDS = +process.env.LOGIN_BACKOFF_MAX_SECONDS || 300;
+const LOGIN_LOCKOUT_THRESHOLD = +process.env.LOGIN_LOCKOUT_THRESHOLD || 10;
+const LOGIN_LOCKOUT_MINUTES = +process.env.LOGIN_LOCKOUT_MINUTES || 30;
+const LOGIN_FAILURE_WINDOW_MINUTES =
+  +process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15;
+
+// Express "trust proxy" setting, e.g. "1" behind a single load balancer
+const TRUST_PROXY = process.env.TRUST_PROXY;
+
+// Lifetime of the token handed out between the password and two-factor steps
+const MFA_TOKEN_EXPIRES_IN = process.env.MFA_TOKEN_EXPIRES_IN || "5m";
+
+// Whether admins must have passed two-factor authentication to use admin
+// rights. Read at call time (config.REQUIRE_ADMIN_MFA).
+const REQUIRE_ADMIN_MFA = process.env.REQUIRE_ADMIN_MFA === "true";
+
+// Lifetime of the read-only token an admin gets to act as another user
+const IMPERSONATION_TOKEN_EXPIRES_IN =
+  process.env.IMPERSONATION_TOKEN_EXPIRES_IN || "10m";
+
+const PASSWORD_RESET_EXPIRES_MINUTES =
+  +process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60;
+
+const EMAIL_VERIFICATION_EXPIRES_HOURS =
+  +process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 48;
+
+// Whether users must confirm their email address before applying to jobs.
+// Read at call time (config.REQUIRE_VERIFIED_EMAIL_TO_APPLY), so it can be
+// changed while running.
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY =
+  process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY === "true";
+
+// Base URL of the frontend, used to build links in outgoing email
+const APP_URL = process.env.APP_URL || "http://localhost:3001";
+
+// Base URL of this API, for links that are to it rather than to the frontend
+// (like interview calendar feeds)
+const API_URL = process.env.API_URL || `http://localhost:${PORT}`;
+
+// OpenID Connect login (see helpers/oidc.js), off unless OIDC_ISSUER is set.
+// The provider sends users back to OIDC_REDIRECT_URI, a frontend page that
+// posts the code and state it's given to POST /auth/oidc/callback. Read at
+// call time (config.OIDC_ISSUER, etc.)
+const OIDC_ISSUER = process.env.OIDC_ISSUER || "";
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || "";
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "";
+const OIDC_REDIRECT_URI =
+  process.env.OIDC_REDIRECT_URI || `${APP_URL}/oidc/callback`;
+const OIDC_SCOPES = process.env.OIDC_SCOPES || "openid email profile";
+// how long a user has to finish logging in at the provider
+const OIDC_LOGIN_EXPIRES_MINUTES =
+  +process.env.OIDC_LOGIN_EXPIRES_MINUTES || 10;
+
+// How outgoing email is delivered: "console", "file" (into MAIL_DIR) or, in
+// tests, "memory"
+const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === "test" ? "memory" : "console");
+const MAIL_FROM = process.env.MAIL_FROM || "J2F <no-reply@j2f.local>";
+const MAIL_DIR = process.env.MAIL_DIR || "mail";
+
+// How notifications outside the app (like saved-search alerts; see
+// helpers/notifier.js) are delivered: "email", "file" (into NOTIFY_DIR) or,
+// in tests, "memory"
+const NOTIFY_TRANSPORT =
+  process.env.NOTIFY_TRANSPORT ||
+  (process.env.NODE_ENV === "test" ? "memory" : "email");
+const NOTIFY_DIR = process.env.NOTIFY_DIR || "notifications";
+
+// How often GET /events streams send a comment to keep idle connections (and
+// proxies) from timing out
+const EVENTS_HEARTBEAT_SECONDS = +process.env.EVENTS_HEARTBEAT_SECONDS || 25;
+// How long a ticket for opening a GET /events stream can be used
+const EVENTS_TICKET_EXPIRES_SECONDS =
+  +process.env.EVENTS_TICKET_EXPIRES_SECONDS || 30;
+
+// Password policy (see helpers/passwordPolicy.js); read at call time
+// (config.PASSWORD_MIN_LENGTH, etc.) Tests get a lax policy so fixtures can
+// use simple passwords; the policy's own tests tighten it.
+const PASSWORD_MIN_LENGTH =
+  +process.env.PASSWORD_MIN_LENGTH ||
+  (process.env.NODE_ENV === "test" ? 5 : 10);
+// how many of: lowercase letters, uppercase letters, numbers, symbols
+const PASSWORD_MIN_CHARACTER_CLASSES =
+  +process.env.PASSWORD_MIN_CHARACTER_CLASSES ||
+  (process.env.NODE_ENV === "test" ? 1 : 3);
+// file of common passwords to refuse (relative to the project root); "" for
+// none
+const PASSWORD_BLOCKLIST_FILE =
+  process.env.PASSWORD_BLOCKLIST_FILE ??
+  (process.env.NODE_ENV === "test" ? "" : "data/common-passwords.txt");
+// new passwords can't be the same as any of a user's last this-many
+const PASSWORD_HISTORY_COUNT = +process.env.PASSWORD_HISTORY_COUNT || 5;
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return process.env.NODE_ENV === "test"
@@ -18,19 +131,73 @@ function getDatabaseUri() {
 
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
-// WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
-const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
+// Raising this is safe: existing passwords are rehashed at the new cost as
+// users log in (see User.authenticate and GET /admin/password-hashes).
+const BCRYPT_WORK_FACTOR =
+  process.env.NODE_ENV === "test" ? 1 : +process.env.BCRYPT_WORK_FACTOR || 12;
 
 console.log("j2f Config:".green);
-console.log("SECRET_KEY:".yellow, SECRET_KEY);
+console.log(
+  "JWT signing:".yellow,
+  JWT_KEYS_DIR ? `keys in ${JWT_KEYS_DIR}` : "SECRET_KEY (HS256)"
+);
+if (!JWT_KEYS_DIR && !process.env.SECRET_KEY) {
+  console.log("WARNING: signing tokens with the default SECRET_KEY".red);
+}
 console.log("PORT:".yellow, PORT.toString());
+console.log("ACCESS_TOKEN_EXPIRES_IN:".yellow, ACCESS_TOKEN_EXPIRES_IN);
+console.log("REFRESH_TOKEN_EXPIRES_DAYS:".yellow, REFRESH_TOKEN_EXPIRES_DAYS);
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("MAIL_TRANSPORT:".yellow, MAIL_TRANSPORT);
+console.log("NOTIFY_TRANSPORT:".yellow, NOTIFY_TRANSPORT);
+console.log("REQUIRE_ADMIN_MFA:".yellow, REQUIRE_ADMIN_MFA);
+console.log("OIDC_ISSUER:".yellow, OIDC_ISSUER || "(off)");
+console.log(
+  "REQUIRE_VERIFIED_EMAIL_TO_APPLY:".yellow,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY
+);
 console.log("Database:".yellow, getDatabaseUri());
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
+  JWT_KEYS_DIR,
+  JWT_SIGNING_KID,
   PORT,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_IP_FREE_ATTEMPTS,
+  LOGIN_BACKOFF_MAX_SECONDS,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  TRUST_PROXY,
+  MFA_TOKEN_EXPIRES_IN,
+  REQUIRE_ADMIN_MFA,
+  IMPERSONATION_TOKEN_EXPIRES_IN,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+  APP_URL,
+  API_URL,
+  OIDC_ISSUER,
+  OIDC_CLIENT_ID,
+  OIDC_CLIENT_SECRET,
+  OIDC_REDIRECT_URI,
+  OIDC_SCOPES,
+  OIDC_LOGIN_EXPIRES_MINUTES,
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  MAIL_DIR,
+  NOTIFY_TRANSPORT,
+  NOTIFY_DIR,
+  EVENTS_HEARTBEAT_SECONDS,
+  EVENTS_TICKET_EXPIRES_SECONDS,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MIN_CHARACTER_CLASSES,
+  PASSWORD_BLOCKLIST_FILE,
+  PASSWORD_HISTORY_COUNT,
   BCRYPT_WORK_FACTOR,
   getDatabaseUri,
 };
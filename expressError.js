@@ -44,10 +44,34 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is the number of seconds until the client may try again; it is
+ * sent as the Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** 423 LOCKED error; retryAfter as for TooManyRequestsError. */
+
+class LockedError extends ExpressError {
+  constructor(message = "Locked", retryAfter) {
+    super(message, 423);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  TooManyRequestsError,
+  LockedError,
 };
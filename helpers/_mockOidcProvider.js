@@ -0,0 +1,116 @@
+"use strict";
+
+/** A small OpenID Connect provider for tests, running on a local port.
+ *
+ * It has a discovery document, JWKS, and token endpoint. Instead of a login
+ * page, tests call provider.authorize(url) with the URL j2f sends users to;
+ * that logs in as provider.claims (sub, email, ...) and returns the { code,
+ * state } the provider would send the user back with.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+async function startMockOidcProvider({ clientId, clientSecret, redirectUri }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const provider = {
+    issuer,
+    // who logs in next; can also override ID token claims (aud, iss, ...)
+    claims: { sub: "sub-1", email: "sso@example.com", email_verified: true },
+    // token endpoint requests made so far
+    tokenRequests: [],
+
+    authorize(url) {
+      const params = new URL(url).searchParams;
+      if (params.get("client_id") !== clientId) throw new Error("client_id");
+      if (params.get("redirect_uri") !== redirectUri) {
+        throw new Error("redirect_uri");
+      }
+      const code = crypto.randomBytes(16).toString("hex");
+      codes.set(code, {
+        nonce: params.get("nonce"),
+        codeChallenge: params.get("code_challenge"),
+        claims: { ...provider.claims },
+      });
+      return { code, state: params.get("state") };
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+
+  app.get("/.well-known/openid-configuration", function (req, res) {
+    return res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+    });
+  });
+
+  app.get("/jwks", function (req, res) {
+    const jwk = publicKey.export({ format: "jwk" });
+    return res.json({ keys: [{ ...jwk, kid: "mock-key", use: "sig" }] });
+  });
+
+  app.post("/token", function (req, res) {
+    provider.tokenRequests.push({
+      authorization: req.headers.authorization,
+      body: req.body,
+    });
+
+    const expected = Buffer.from(`${clientId}:${clientSecret}`).toString(
+      "base64"
+    );
+    if (req.headers.authorization !== `Basic ${expected}`) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = crypto
+      .createHash("sha256")
+      .update(req.body.code_verifier || "")
+      .digest("base64url");
+    if (
+      !grant ||
+      req.body.grant_type !== "authorization_code" ||
+      req.body.redirect_uri !== redirectUri ||
+      challenge !== grant.codeChallenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign(
+      { iss: issuer, aud: clientId, nonce: grant.nonce, ...grant.claims },
+      privateKey.export({ type: "pkcs8", format: "pem" }),
+      { algorithm: "RS256", keyid: "mock-key", expiresIn: "5m" }
+    );
+    return res.json({
+      access_token: "mock-access-token",
+      token_type: "Bearer",
+      id_token: idToken,
+    });
+  });
+
+  return provider;
+}
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,76 @@
+"use strict";
+
+/** The states a job application can be in, and who can move it between them.
+ *
+ * TRANSITIONS maps each state to the states it can change to, and the roles
+ * that can make each change: the "candidate" who applied, or a "recruiter"
+ * for the job's company. Admins can make any of these changes, but not
+ * others. Accepted, rejected and withdrawn applications are final.
+ *
+ * Applications from before states were tracked have none (NULL); they're
+ * treated as applied. Jobs a candidate has only saved ('interested'; see
+ * User.saveJob) aren't applications yet, and don't change state here: they
+ * become applications through User.applyToJob, with its checks.
+ */
+
+const { BadRequestError, ForbiddenError } = require("../expressError");
+
+const TRANSITIONS = {
+  applied: {
+    interviewing: ["recruiter"],
+    offered: ["recruiter"],
+    rejected: ["recruiter"],
+    withdrawn: ["candidate"],
+  },
+  interviewing: {
+    offered: ["recruiter"],
+    rejected: ["recruiter"],
+    withdrawn: ["candidate"],
+  },
+  offered: {
+    accepted: ["candidate"],
+    rejected: ["recruiter"],
+    withdrawn: ["candidate"],
+  },
+  accepted: {},
+  rejected: {},
+  withdrawn: {},
+};
+
+const STATES = Object.keys(TRANSITIONS);
+
+/** Check that role can change an application from state from to state to.
+ *
+ * Throws BadRequestError if to isn't a state or the change isn't one that
+ * can be made, and ForbiddenError if it can be made, but not by role.
+ */
+
+function checkTransition(from, to, role) {
+  from = from || "applied";
+
+  if (!STATES.includes(to)) {
+    throw new BadRequestError(
+      `Invalid state: ${to}; must be one of ${STATES.join(", ")}`
+    );
+  }
+  if (from === to) {
+    throw new BadRequestError(`Application is already ${to}`);
+  }
+
+  const allowed = TRANSITIONS[from][to];
+  if (!allowed) {
+    const next = Object.keys(TRANSITIONS[from]);
+    throw new BadRequestError(
+      `Can't change application from ${from} to ${to}; ` +
+        (next.length ? `it can become ${next.join(", ")}` : `${from} is final`)
+    );
+  }
+  if (role !== "admin" && !allowed.includes(role)) {
+    throw new ForbiddenError(
+      `Only the ${allowed.join(" or ")} can change application from ` +
+        `${from} to ${to}`
+    );
+  }
+}
+
+module.exports = { STATES, TRANSITIONS, checkTransition };
@@ -0,0 +1,65 @@
+"use strict";
+
+const { BadRequestError, ForbiddenError } = require("../expressError");
+const { STATES, TRANSITIONS, checkTransition } = require("./applicationStates");
+
+describe("TRANSITIONS", function () {
+  test("only leads to declared states", function () {
+    for (const next of Object.values(TRANSITIONS)) {
+      for (const state of Object.keys(next)) {
+        expect(STATES).toContain(state);
+      }
+    }
+  });
+});
+
+describe("checkTransition", function () {
+  test("works", function () {
+    checkTransition("applied", "interviewing", "recruiter");
+    checkTransition("interviewing", "withdrawn", "candidate");
+    checkTransition("offered", "accepted", "candidate");
+  });
+
+  test("works: no state counts as applied", function () {
+    checkTransition(null, "offered", "recruiter");
+    expect(() => checkTransition(null, "applied", "candidate")).toThrow(
+      "Application is already applied"
+    );
+  });
+
+  test("admins can make any declared change", function () {
+    checkTransition("offered", "accepted", "admin");
+    checkTransition("applied", "rejected", "admin");
+  });
+
+  test("bad request for unknown state", function () {
+    expect(() => checkTransition("applied", "hired", "admin")).toThrow(
+      BadRequestError
+    );
+  });
+
+  test("bad request for saving a job", function () {
+    expect(() => checkTransition("applied", "interested", "admin")).toThrow(
+      BadRequestError
+    );
+  });
+
+  test("bad request for undeclared change", function () {
+    expect(() => checkTransition("interviewing", "applied", "admin")).toThrow(
+      "Can't change application from interviewing to applied; " +
+        "it can become offered, rejected, withdrawn"
+    );
+    expect(() => checkTransition("withdrawn", "applied", "admin")).toThrow(
+      "withdrawn is final"
+    );
+  });
+
+  test("forbidden for the wrong role", function () {
+    expect(() => checkTransition("applied", "offered", "candidate")).toThrow(
+      ForbiddenError
+    );
+    expect(() => checkTransition("applied", "withdrawn", "recruiter")).toThrow(
+      "Only the candidate can change application from applied to withdrawn"
+    );
+  });
+});
@@ -0,0 +1,24 @@
+"use strict";
+
+const AuditLog = require("../models/auditLog");
+
+/** Record in the audit log that the logged-in user did action to the target
+ * ({ type, id }) in the request res is responding to; returns undefined.
+ *
+ * changes is { before, after }: the target's data before and after the
+ * action (see AuditLog.record.)
+ */
+
+async function audit(res, action, { type, id }, changes = {}) {
+  await AuditLog.record({
+    actor: res.locals.user.username,
+    action,
+    targetType: type,
+    targetId: id,
+    before: changes.before,
+    after: changes.after,
+    requestId: res.locals.requestId,
+  });
+}
+
+module.exports = { audit };
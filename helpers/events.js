@@ -0,0 +1,151 @@
+"use strict";
+
+/** Real-time events for users, like changes to their applications.
+ *
+ * Models publish an event for the users it concerns; it's sent through
+ * Postgres NOTIFY, so every server process hears it, whichever one it
+ * happened in. Each process LISTENs on a connection of its own (started when
+ * someone first subscribes, and started again if it's lost) and hands events
+ * to its subscribers, like the streams of GET /events.
+ *
+ * An event is { type, data }. Events published in a transaction are only
+ * sent if it commits, and only to those subscribed at the time; there's no
+ * replay of what was missed.
+ */
+
+const { Client } = require("pg");
+const db = require("../db");
+const { getDatabaseUri } = require("../config");
+
+const CHANNEL = "j2f_events";
+
+// NOTIFY payloads must be under 8000 bytes, so events for many users are
+// sent in several notifications
+const MAX_USERNAMES_PER_NOTIFY = 100;
+
+// how long to wait before listening again after the connection is lost;
+// doubled after each attempt that fails, up to the max
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// username => Set of callbacks
+const subscribers = new Map();
+
+// the listening connection: a promise of the Client, once started
+let listener = null;
+
+// the timer for the next attempt to listen again, while waiting for it
+let reconnectTimer = null;
+
+/** Publish an event of type, with data, to usernames; returns undefined. */
+
+async function publish(usernames, type, data = {}) {
+  const unique = [...new Set(usernames)];
+  for (let i = 0; i < unique.length; i += MAX_USERNAMES_PER_NOTIFY) {
+    const payload = JSON.stringify({
+      usernames: unique.slice(i, i + MAX_USERNAMES_PER_NOTIFY),
+      type,
+      data,
+    });
+    await db.query("SELECT pg_notify($1, $2)", [CHANNEL, payload]);
+  }
+}
+
+/** Call callback with each event ({ type, data }) published to username,
+ * until the returned function is called to unsubscribe.
+ *
+ * Resolves once listening, so no events published after are missed; throws
+ * if the database can't be reached.
+ */
+
+async function subscribe(username, callback) {
+  if (!subscribers.has(username)) subscribers.set(username, new Set());
+  subscribers.get(username).add(callback);
+
+  function unsubscribe() {
+    const callbacks = subscribers.get(username);
+    if (!callbacks) return;
+    callbacks.delete(callback);
+    if (!callbacks.size) subscribers.delete(username);
+  }
+
+  try {
+    await startListening();
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+  return unsubscribe;
+}
+
+/** Hand a notification's payload to the subscribers of its users. */
+
+function dispatch(payload) {
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (err) {
+    console.error(`Ignored bad ${CHANNEL} payload: ${err.message}`);
+    return;
+  }
+  if (!event || !Array.isArray(event.usernames)) return;
+
+  const { usernames, type, data } = event;
+  for (const username of usernames) {
+    for (const callback of subscribers.get(username) || []) {
+      callback({ type, data });
+    }
+  }
+}
+
+/** Start listening for events, if not already; returns a promise of the
+ * listening Client. */
+
+function startListening() {
+  if (!listener) {
+    listener = (async function () {
+      const client = new Client({ connectionString: getDatabaseUri() });
+      client.on("notification", (msg) => dispatch(msg.payload));
+      client.on("error", function (err) {
+        console.error(`Lost ${CHANNEL} listener: ${err.message}`);
+        listener = null;
+        reconnect(RECONNECT_DELAY_MS);
+      });
+      await client.connect();
+      await client.query(`LISTEN ${CHANNEL}`);
+      return client;
+    })();
+    listener.catch(() => (listener = null));
+  }
+  return listener;
+}
+
+/** Listen again after delay (ms), if anyone's still subscribed, retrying with
+ * longer delays until it works, so subscribers keep getting events. */
+
+function reconnect(delay) {
+  if (reconnectTimer) return;
+  reconnectTimer = setTimeout(async function () {
+    reconnectTimer = null;
+    if (!subscribers.size) return;
+    try {
+      await startListening();
+    } catch (err) {
+      console.error(`Couldn't listen on ${CHANNEL}: ${err.message}`);
+      reconnect(Math.min(delay * 2, MAX_RECONNECT_DELAY_MS));
+    }
+  }, delay);
+}
+
+/** Stop listening for events (when shutting down, or after tests.) */
+
+async function stopListening() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (!listener) return;
+  const client = await listener.catch(() => null);
+  listener = null;
+  if (client) await client.end();
+}
+
+module.exports = { publish, subscribe, stopListening };
@@ -0,0 +1,145 @@
+"use strict";
+
+const { Client } = require("pg");
+const db = require("../db");
+const { publish, subscribe, stopListening } = require("./events");
+
+// events are only sent once published outside a transaction (or committed),
+// so these tests don't use the usual BEGIN/ROLLBACK around each test
+
+afterAll(async function () {
+  await stopListening();
+  await db.end();
+});
+
+/** Return a promise of the next n events passed to the returned callback. */
+
+function collect(n) {
+  const events = [];
+  let done;
+  const received = new Promise((resolve) => (done = resolve));
+  function callback(event) {
+    events.push(event);
+    if (events.length === n) done(events);
+  }
+  return { callback, received };
+}
+
+describe("publish and subscribe", function () {
+  test("works", async function () {
+    const { callback, received } = collect(1);
+    const unsubscribe = await subscribe("u1", callback);
+    await publish(["u1", "u2"], "test", { jobId: 1 });
+    expect(await received).toEqual([{ type: "test", data: { jobId: 1 } }]);
+    unsubscribe();
+  });
+
+  test("only sends events to the users they're for", async function () {
+    const u1 = collect(1);
+    const u2 = collect(1);
+    const unsubscribe1 = await subscribe("u1", u1.callback);
+    const unsubscribe2 = await subscribe("u2", u2.callback);
+    await publish(["u2"], "first");
+    await publish(["u1"], "second");
+    expect(await u1.received).toEqual([{ type: "second", data: {} }]);
+    expect(await u2.received).toEqual([{ type: "first", data: {} }]);
+    unsubscribe1();
+    unsubscribe2();
+  });
+
+  test("sends to every subscriber of a user, once", async function () {
+    const first = collect(2);
+    const second = collect(2);
+    const unsubscribe1 = await subscribe("u1", first.callback);
+    const unsubscribe2 = await subscribe("u1", second.callback);
+    await publish(["u1", "u1"], "first");
+    await publish(["u1"], "second");
+    const expected = [
+      { type: "first", data: {} },
+      { type: "second", data: {} },
+    ];
+    expect(await first.received).toEqual(expected);
+    expect(await second.received).toEqual(expected);
+    unsubscribe1();
+    unsubscribe2();
+  });
+
+  test("works for many users", async function () {
+    const usernames = Array.from({ length: 250 }, (_, i) => `user${i}`);
+    const first = collect(1);
+    const last = collect(1);
+    const unsubscribe1 = await subscribe("user0", first.callback);
+    const unsubscribe2 = await subscribe("user249", last.callback);
+    await publish(usernames, "test");
+    expect(await first.received).toEqual([{ type: "test", data: {} }]);
+    expect(await last.received).toEqual([{ type: "test", data: {} }]);
+    unsubscribe1();
+    unsubscribe2();
+  });
+
+  test("stops sending once unsubscribed", async function () {
+    const before = jest.fn();
+    const after = collect(1);
+    const unsubscribe = await subscribe("u1", before);
+    unsubscribe();
+    const unsubscribe2 = await subscribe("u1", after.callback);
+    await publish(["u1"], "test");
+    await after.received;
+    expect(before).not.toHaveBeenCalled();
+    unsubscribe2();
+  });
+
+  test("isn't sent if the transaction is rolled back", async function () {
+    const { callback, received } = collect(1);
+    const unsubscribe = await subscribe("u1", callback);
+    await db.query("BEGIN");
+    await publish(["u1"], "rolledBack");
+    await db.query("ROLLBACK");
+    await publish(["u1"], "committed");
+    expect(await received).toEqual([{ type: "committed", data: {} }]);
+    unsubscribe();
+  });
+});
+
+describe("listening", function () {
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  test("ignores bad payloads", async function () {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const { callback, received } = collect(1);
+    const unsubscribe = await subscribe("u1", callback);
+    await db.query("SELECT pg_notify('j2f_events', 'not json')");
+    await db.query("SELECT pg_notify('j2f_events', '{}')");
+    await publish(["u1"], "test");
+    expect(await received).toEqual([{ type: "test", data: {} }]);
+    expect(console.error).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+
+  test("listens again, retrying, if the connection is lost", async function () {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const events = [];
+    const unsubscribe = await subscribe("u1", (event) => events.push(event));
+
+    // the first attempt to listen again fails; the next works
+    jest
+      .spyOn(Client.prototype, "connect")
+      .mockRejectedValueOnce(new Error("down"));
+    await db.query(
+      `SELECT pg_terminate_backend(pid)
+           FROM pg_stat_activity
+           WHERE query = 'LISTEN j2f_events'`
+    );
+
+    while (!events.length) {
+      await publish(["u1"], "test");
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining("Couldn't listen")
+    );
+    unsubscribe();
+  }, 10000);
+});
@@ -0,0 +1,87 @@
+"use strict";
+
+/** Writing iCalendar (RFC 5545) files, for calendar feeds. */
+
+const PRODUCT_ID = "-//j2f//Interviews//EN";
+
+// content lines longer than this (in bytes) are folded
+const MAX_LINE_BYTES = 75;
+
+/** Return text escaped for an iCalendar TEXT value. */
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Return date as an iCalendar UTC date-time, like 20240131T150000Z. */
+
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/** Return line folded to MAX_LINE_BYTES: longer lines are split, with the
+ * rest continued on lines starting with a space. Multi-byte characters
+ * aren't split. */
+
+function foldLine(line) {
+  const parts = [];
+  let part = "";
+  for (const char of line) {
+    const limit = parts.length ? MAX_LINE_BYTES - 1 : MAX_LINE_BYTES;
+    if (Buffer.byteLength(part + char) > limit) {
+      parts.push(part);
+      part = "";
+    }
+    part += char;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+}
+
+/** Return an iCalendar file with events.
+ *
+ * name is the calendar's name; each event is
+ *   { uid, start, end, stamp, summary, description, location, url, status,
+ *     sequence }
+ * where start, end and stamp are dates, status is "CONFIRMED" or "CANCELLED"
+ * and everything from summary on is optional.
+ */
+
+function toICalendar(name, events) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDate(event.stamp)}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`
+    );
+    if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.sequence) lines.push(`SEQUENCE:${event.sequence}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { toICalendar, escapeText, formatDate, foldLine };
@@ -0,0 +1,80 @@
+"use strict";
+
+const { toICalendar, escapeText, formatDate, foldLine } = require("./ical");
+
+describe("escapeText", function () {
+  test("works", function () {
+    expect(escapeText("a, b; c\\d\ne")).toEqual("a\\, b\\; c\\\\d\\ne");
+  });
+});
+
+describe("formatDate", function () {
+  test("works", function () {
+    expect(formatDate(new Date("2024-01-31T15:00:00.123Z"))).toEqual(
+      "20240131T150000Z"
+    );
+  });
+});
+
+describe("foldLine", function () {
+  test("leaves short lines alone", function () {
+    expect(foldLine("SUMMARY:Hi")).toEqual("SUMMARY:Hi");
+  });
+
+  test("folds long lines", function () {
+    const line = "DESCRIPTION:" + "x".repeat(100);
+    const folded = foldLine(line).split("\r\n");
+    expect(folded[0].length).toEqual(75);
+    expect(folded[1]).toEqual(" " + "x".repeat(37));
+    expect(folded.join("").replace(/ /g, "")).toEqual(line);
+  });
+
+  test("doesn't split multi-byte characters", function () {
+    const folded = foldLine("SUMMARY:" + "é".repeat(60)).split("\r\n");
+    for (const part of folded) {
+      expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+      expect(part).not.toContain("�");
+    }
+  });
+});
+
+describe("toICalendar", function () {
+  test("works", function () {
+    const ics = toICalendar("Interviews", [
+      {
+        uid: "interview-1@j2f",
+        start: new Date("2099-01-01T10:00:00Z"),
+        end: new Date("2099-01-01T11:00:00Z"),
+        stamp: new Date("2024-01-01T00:00:00Z"),
+        summary: "Interview: J1, at C1",
+        location: "Room 1",
+        status: "CONFIRMED",
+      },
+    ]);
+    expect(ics).toEqual(
+      [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//j2f//Interviews//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        "X-WR-CALNAME:Interviews",
+        "BEGIN:VEVENT",
+        "UID:interview-1@j2f",
+        "DTSTAMP:20240101T000000Z",
+        "DTSTART:20990101T100000Z",
+        "DTEND:20990101T110000Z",
+        "SUMMARY:Interview: J1\\, at C1",
+        "LOCATION:Room 1",
+        "STATUS:CONFIRMED",
+        "END:VEVENT",
+        "END:VCALENDAR",
+        "",
+      ].join("\r\n")
+    );
+  });
+
+  test("works: no events", function () {
+    expect(toICalendar("Empty", [])).toContain("X-WR-CALNAME:Empty\r\n");
+  });
+});
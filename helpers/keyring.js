@@ -0,0 +1,163 @@
+"use strict";
+
+/** Keys for signing and verifying JWTs.
+ *
+ * If config.JWT_KEYS_DIR is set, tokens are signed with RS256 or ES256 using
+ * the PEM keys in that directory, one per file, named <kid>.pem. Each token's
+ * header says which key (kid) signed it, and tokens signed by any key in the
+ * directory are accepted; the public halves are published as a JWKS (see
+ * routes/wellKnown.js) so other services can check tokens too.
+ *
+ * To rotate keys, add a new private key, make it the signing key
+ * (config.JWT_SIGNING_KID, or by naming it to sort last) and restart, since
+ * keys are only read once. Tokens signed by the old key keep working until
+ * it's removed; replacing it with just its public key stops it signing but
+ * keeps it verifying.
+ *
+ * Without JWT_KEYS_DIR, tokens are signed with SECRET_KEY (HS256), which can't
+ * be published. Once keys are set up, HS256 tokens are no longer accepted;
+ * since access tokens are short-lived, clients just get new ones with their
+ * refresh tokens.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+
+// keyrings already read, by directory and signing kid
+const keyrings = new Map();
+
+/** Return the JWT algorithm for a key, or throw if it isn't RSA or P-256. */
+
+function algorithmFor(key) {
+  if (key.asymmetricKeyType === "rsa") return "RS256";
+  if (
+    key.asymmetricKeyType === "ec" &&
+    key.asymmetricKeyDetails.namedCurve === "prime256v1"
+  ) {
+    return "ES256";
+  }
+  throw new Error(`Unsupported JWT key type: ${key.asymmetricKeyType}`);
+}
+
+/** Read the keys in dir.
+ *
+ * Returns { signing, keys }
+ *   where keys is a Map of kid => { kid, alg, publicKey }
+ *   and signing is { kid, alg, privateKey } for signingKid (by default the
+ *   last private key by kid.)
+ *
+ * Throws if a key can't be used, or there's no private key to sign with.
+ */
+
+function readKeyring(dir, signingKid) {
+  const keys = new Map();
+  const privateKeys = new Map();
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".pem"))
+    .sort();
+  for (const file of files) {
+    const kid = path.basename(file, ".pem");
+    const pem = fs.readFileSync(path.join(dir, file), "utf8");
+
+    let publicKey;
+    if (pem.includes("PRIVATE KEY")) {
+      const privateKey = crypto.createPrivateKey(pem);
+      privateKeys.set(kid, privateKey);
+      publicKey = crypto.createPublicKey(privateKey);
+    } else {
+      publicKey = crypto.createPublicKey(pem);
+    }
+    keys.set(kid, { kid, alg: algorithmFor(publicKey), publicKey });
+  }
+
+  const kid = signingKid || [...privateKeys.keys()].pop();
+  if (!privateKeys.has(kid)) {
+    throw new Error(`No private JWT signing key ${kid || ""} in ${dir}`);
+  }
+
+  return {
+    signing: { kid, alg: keys.get(kid).alg, privateKey: privateKeys.get(kid) },
+    keys,
+  };
+}
+
+/** Return the keyring for the current config, or null if tokens are signed
+ * with SECRET_KEY. */
+
+function getKeyring() {
+  const dir = config.JWT_KEYS_DIR;
+  if (!dir) return null;
+
+  const cacheKey = `${dir}\n${config.JWT_SIGNING_KID}`;
+  if (!keyrings.has(cacheKey)) {
+    keyrings.set(cacheKey, readKeyring(dir, config.JWT_SIGNING_KID));
+  }
+  return keyrings.get(cacheKey);
+}
+
+/** Return payload signed as a JWT; options are as for jwt.sign. */
+
+function signJwt(payload, options = {}) {
+  const keyring = getKeyring();
+  if (!keyring) {
+    return jwt.sign(payload, config.SECRET_KEY, {
+      ...options,
+      algorithm: "HS256",
+    });
+  }
+
+  const { kid, alg, privateKey } = keyring.signing;
+  return jwt.sign(
+    payload,
+    privateKey.export({ type: "pkcs8", format: "pem" }),
+    { ...options, algorithm: alg, keyid: kid }
+  );
+}
+
+/** Return the payload of token, checking its signature and expiry.
+ *
+ * Throws (like jwt.verify) if the token is invalid, expired or was signed by
+ * a key that isn't in the keyring.
+ */
+
+function verifyJwt(token) {
+  const keyring = getKeyring();
+  if (!keyring) {
+    return jwt.verify(token, config.SECRET_KEY, { algorithms: ["HS256"] });
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keyring.keys.get(decoded.header.kid);
+  if (!key) throw new jwt.JsonWebTokenError("Unknown signing key");
+
+  return jwt.verify(
+    token,
+    key.publicKey.export({ type: "spki", format: "pem" }),
+    { algorithms: [key.alg] }
+  );
+}
+
+/** Return the public keys tokens may be signed with, as a JSON Web Key Set:
+ *   { keys: [{ kid, alg, use, kty, ... }, ...] }
+ * With SECRET_KEY signing, there are none.
+ */
+
+function getJwks() {
+  const keyring = getKeyring();
+  if (!keyring) return { keys: [] };
+
+  const keys = [...keyring.keys.values()].map(({ kid, alg, publicKey }) => ({
+    kid,
+    alg,
+    use: "sig",
+    ...publicKey.export({ format: "jwk" }),
+  }));
+  return { keys };
+}
+
+module.exports = { signJwt, verifyJwt, getJwks };
@@ -0,0 +1,192 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+const { signJwt, verifyJwt, getJwks } = require("./keyring");
+
+let dir;
+
+function writeKey(kid, type, options, { publicOnly = false } = {}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+  const pem = publicOnly
+    ? publicKey.export({ type: "spki", format: "pem" })
+    : privateKey.export({ type: "pkcs8", format: "pem" });
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), pem);
+}
+
+function writeRsaKey(kid, opts) {
+  writeKey(kid, "rsa", { modulusLength: 2048 }, opts);
+}
+
+function writeEcKey(kid, opts) {
+  writeKey(kid, "ec", { namedCurve: "P-256" }, opts);
+}
+
+beforeEach(function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "j2f-keys-"));
+});
+
+afterEach(function () {
+  fs.rmSync(dir, { recursive: true });
+  config.JWT_KEYS_DIR = "";
+  config.JWT_SIGNING_KID = "";
+});
+
+describe("with SECRET_KEY", function () {
+  test("works", function () {
+    const token = signJwt({ username: "u1" }, { expiresIn: "1m" });
+    expect(jwt.decode(token, { complete: true }).header).toEqual({
+      alg: "HS256",
+      typ: "JWT",
+    });
+    expect(jwt.verify(token, config.SECRET_KEY).username).toEqual("u1");
+    expect(verifyJwt(token).username).toEqual("u1");
+  });
+
+  test("refuses tokens signed otherwise", function () {
+    const token = jwt.sign({ username: "u1" }, "wrong");
+    expect(() => verifyJwt(token)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  test("nothing to publish", function () {
+    expect(getJwks()).toEqual({ keys: [] });
+  });
+});
+
+describe("with keys", function () {
+  test("works: RS256", function () {
+    writeRsaKey("2024-01");
+    config.JWT_KEYS_DIR = dir;
+
+    const token = signJwt({ username: "u1" }, { expiresIn: "1m" });
+    expect(jwt.decode(token, { complete: true }).header).toEqual({
+      alg: "RS256",
+      typ: "JWT",
+      kid: "2024-01",
+    });
+    expect(verifyJwt(token).username).toEqual("u1");
+  });
+
+  test("works: ES256", function () {
+    writeEcKey("2024-01");
+    config.JWT_KEYS_DIR = dir;
+
+    const token = signJwt({ username: "u1" });
+    expect(jwt.decode(token, { complete: true }).header.alg).toEqual("ES256");
+    expect(verifyJwt(token).username).toEqual("u1");
+  });
+
+  test("works: rotation", function () {
+    writeRsaKey("2024-01");
+    config.JWT_KEYS_DIR = dir;
+    const oldToken = signJwt({ username: "u1" });
+
+    // a newer key takes over signing, without the old one's tokens failing
+    writeEcKey("2024-02");
+    // keys are only read once per directory; this is like a restart
+    config.JWT_KEYS_DIR = dir + path.sep;
+    const newToken = signJwt({ username: "u2" });
+    expect(jwt.decode(newToken, { complete: true }).header.kid).toEqual(
+      "2024-02"
+    );
+    expect(verifyJwt(oldToken).username).toEqual("u1");
+    expect(verifyJwt(newToken).username).toEqual("u2");
+  });
+
+  test("works: chosen signing key", function () {
+    writeRsaKey("a");
+    writeRsaKey("b");
+    config.JWT_KEYS_DIR = dir;
+    config.JWT_SIGNING_KID = "a";
+
+    const token = signJwt({ username: "u1" });
+    expect(jwt.decode(token, { complete: true }).header.kid).toEqual("a");
+  });
+
+  test("works: public keys only verify", function () {
+    writeRsaKey("2024-01");
+    config.JWT_KEYS_DIR = dir;
+    const token = signJwt({ username: "u1" });
+
+    const publicPem = crypto
+      .createPublicKey(fs.readFileSync(path.join(dir, "2024-01.pem")))
+      .export({ type: "spki", format: "pem" });
+    fs.writeFileSync(path.join(dir, "2024-01.pem"), publicPem);
+    writeRsaKey("2024-02");
+    config.JWT_KEYS_DIR = dir + path.sep;
+
+    expect(verifyJwt(token).username).toEqual("u1");
+    expect(jwt.decode(signJwt({}), { complete: true }).header.kid).toEqual(
+      "2024-02"
+    );
+  });
+
+  test("refuses unknown keys and SECRET_KEY tokens", function () {
+    writeRsaKey("2024-01");
+    config.JWT_KEYS_DIR = dir;
+
+    const unknown = jwt.sign(
+      { username: "u1" },
+      crypto
+        .generateKeyPairSync("rsa", { modulusLength: 2048 })
+        .privateKey.export({ type: "pkcs8", format: "pem" }),
+      { algorithm: "RS256", keyid: "nope" }
+    );
+    expect(() => verifyJwt(unknown)).toThrow(jwt.JsonWebTokenError);
+
+    const hs256 = jwt.sign({ username: "u1" }, config.SECRET_KEY);
+    expect(() => verifyJwt(hs256)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  test("refuses tokens with the wrong algorithm for the key", function () {
+    writeRsaKey("2024-01");
+    config.JWT_KEYS_DIR = dir;
+
+    // signing with the public key as an HMAC secret
+    const publicPem = crypto
+      .createPublicKey(fs.readFileSync(path.join(dir, "2024-01.pem")))
+      .export({ type: "spki", format: "pem" });
+    const token = jwt.sign({ username: "u1" }, publicPem, {
+      algorithm: "HS256",
+      keyid: "2024-01",
+    });
+    expect(() => verifyJwt(token)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  test("fails without a private key", function () {
+    writeRsaKey("2024-01", { publicOnly: true });
+    config.JWT_KEYS_DIR = dir;
+    expect(() => signJwt({})).toThrow("No private JWT signing key");
+  });
+
+  test("publishes public keys", function () {
+    writeRsaKey("2024-01", { publicOnly: true });
+    writeEcKey("2024-02");
+    config.JWT_KEYS_DIR = dir;
+
+    const { keys } = getJwks();
+    expect(keys).toEqual([
+      {
+        kid: "2024-01",
+        alg: "RS256",
+        use: "sig",
+        kty: "RSA",
+        n: expect.any(String),
+        e: "AQAB",
+      },
+      {
+        kid: "2024-02",
+        alg: "ES256",
+        use: "sig",
+        kty: "EC",
+        crv: "P-256",
+        x: expect.any(String),
+        y: expect.any(String),
+      },
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+/** Outgoing email.
+ *
+ * Messages are handed to a transport: an object with an async
+ * send({ from, to, subject, text }) method. The built-in transports are:
+ *  console: prints messages (the default outside of tests)
+ *  file: writes each message as a JSON file into MAIL_DIR
+ *  memory: keeps messages in an array (the default in tests)
+ *
+ * A real mail service can be plugged in with setTransport().
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { MAIL_TRANSPORT, MAIL_FROM, MAIL_DIR } = require("../config");
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log(
+        `--- mail to ${message.to}: ${message.subject}\n${message.text}\n---`
+      );
+    },
+  },
+
+  file: {
+    async send(message) {
+      await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+      await fs.promises.writeFile(
+        path.join(MAIL_DIR, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    },
+  },
+
+  memory: {
+    sent: [],
+    async send(message) {
+      this.sent.push(message);
+    },
+  },
+};
+
+let transport = transports[MAIL_TRANSPORT];
+if (!transport) throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+
+/** Use transport for all mail sent from now on. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/** Send an email: { to, subject, text } => undefined */
+
+async function sendMail({ to, subject, text }) {
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { sendMail, setTransport, transports };
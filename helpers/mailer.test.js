@@ -0,0 +1,64 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { sendMail, setTransport, transports } = require("./mailer");
+
+afterEach(function () {
+  transports.memory.sent.length = 0;
+  setTransport(transports.memory);
+});
+
+describe("sendMail", function () {
+  test("works: memory transport in tests", async function () {
+    await sendMail({ to: "u1@email.com", subject: "Hi", text: "Hello" });
+    expect(transports.memory.sent).toEqual([
+      {
+        from: expect.any(String),
+        to: "u1@email.com",
+        subject: "Hi",
+        text: "Hello",
+      },
+    ]);
+  });
+
+  test("works: custom transport", async function () {
+    const sent = [];
+    setTransport({
+      async send(message) {
+        sent.push(message);
+      },
+    });
+    await sendMail({ to: "u1@email.com", subject: "Hi", text: "Hello" });
+    expect(sent.length).toEqual(1);
+    expect(transports.memory.sent.length).toEqual(0);
+  });
+});
+
+describe("file transport", function () {
+  test("works", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "j2f-mail-"));
+    jest.resetModules();
+    jest.doMock("../config", () => ({
+      MAIL_TRANSPORT: "file",
+      MAIL_FROM: "test@j2f.local",
+      MAIL_DIR: dir,
+    }));
+    const mailer = require("./mailer");
+
+    await mailer.sendMail({ to: "u1@email.com", subject: "Hi", text: "Hello" });
+
+    const files = fs.readdirSync(dir);
+    expect(files.length).toEqual(1);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, files[0])))).toEqual({
+      from: "test@j2f.local",
+      to: "u1@email.com",
+      subject: "Hi",
+      text: "Hello",
+    });
+
+    fs.rmSync(dir, { recursive: true });
+    jest.dontMock("../config");
+  });
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+/** Cleaning up Markdown text users write (like notes), so that it's safe to
+ * render: any HTML is removed, and links can only go to http(s) or mailto
+ * URLs. The Markdown itself is left alone.
+ */
+
+const SAFE_URL_SCHEMES = ["http", "https", "mailto"];
+
+// control characters other than tab and newline, and the characters that
+// override text direction (which can make text read differently than it is)
+const UNSAFE_CHARS = /[\x00-\x08\x0B-\x1F\x7F\u202A-\u202E\u2066-\u2069]/g;
+
+const HTML = /<!--[\s\S]*?(?:-->|$)|<\/?[a-z][^>]*>?/gi;
+
+// [text](url ...) and ![alt](url ...)
+const INLINE_LINK = /(\]\(\s*<?)([^\s)>]*)/g;
+// [label]: url
+const LINK_DEFINITION = /^( {0,3}\[[^\]]+\]:\s*<?)(\S*?)(>?(?:\s|$))/gm;
+
+/** Return url with character references (&#58; &#x3a; &colon;) decoded, as
+ * Markdown renderers do. */
+
+function decodeEntities(url) {
+  return url
+    .replace(/&#x([0-9a-f]+);?/gi, (m, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);?/g, (m, dec) => String.fromCodePoint(+dec))
+    .replace(/&colon;/gi, ":");
+}
+
+/** Return true if url is relative or uses a safe scheme (not javascript:,
+ * data: and the like.) */
+
+function isSafeUrl(url) {
+  const decoded = decodeEntities(url).replace(/[\s\x00-\x1F]/g, "");
+  const scheme = decoded.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/** Return text cleaned up to be rendered as Markdown: line endings are
+ * normalized, unsafe characters and HTML are removed, unsafe link URLs are
+ * replaced with "#", and it's trimmed.
+ */
+
+function sanitizeMarkdown(text) {
+  let clean = String(text).replace(/\r\n?/g, "\n").replace(UNSAFE_CHARS, "");
+
+  // removing tags can join up others (like <scr<b>ipt>), so repeat until
+  // there are none left
+  let previous;
+  do {
+    previous = clean;
+    clean = clean.replace(HTML, "");
+  } while (clean !== previous);
+
+  return clean
+    .replace(INLINE_LINK, (m, start, url) => (isSafeUrl(url) ? m : `${start}#`))
+    .replace(LINK_DEFINITION, (m, start, url, end) =>
+      isSafeUrl(url) ? m : `${start}#${end}`
+    )
+    .trim();
+}
+
+module.exports = { sanitizeMarkdown, isSafeUrl };
@@ -0,0 +1,47 @@
+"use strict";
+
+const { sanitizeMarkdown, isSafeUrl } = require("./markdown");
+
+describe("sanitizeMarkdown", function () {
+  test("leaves Markdown alone", function () {
+    const text = "# Call\n\n> **Al** at _5pm_\n\n- [site](https://a.com)";
+    expect(sanitizeMarkdown(text)).toEqual(text);
+  });
+
+  test("removes HTML", function () {
+    expect(
+      sanitizeMarkdown('Hi <b>there</b><img src=x onerror="alert(1)">')
+    ).toEqual("Hi there");
+    expect(sanitizeMarkdown("a<!-- hidden -->b")).toEqual("ab");
+  });
+
+  test("removes tags made by removing others", function () {
+    expect(sanitizeMarkdown("<scr<b>ipt>alert(1)")).not.toContain("<");
+  });
+
+  test("keeps < and > that aren't tags", function () {
+    expect(sanitizeMarkdown("1 < 2 and 3 > 2")).toEqual("1 < 2 and 3 > 2");
+  });
+
+  test("replaces unsafe link URLs", function () {
+    expect(sanitizeMarkdown("[x](javascript:go) ![y](data:x)")).toEqual(
+      "[x](#) ![y](#)"
+    );
+    expect(sanitizeMarkdown("[a]: jav&#x61;script:go")).toEqual("[a]: #");
+  });
+
+  test("cleans up whitespace and control characters", function () {
+    expect(sanitizeMarkdown("  a\r\nb\u0007\u202Ec\t \n")).toEqual("a\nbc");
+  });
+});
+
+describe("isSafeUrl", function () {
+  test("works", function () {
+    expect(isSafeUrl("https://a.com")).toEqual(true);
+    expect(isSafeUrl("mailto:al@a.com")).toEqual(true);
+    expect(isSafeUrl("/jobs/1")).toEqual(true);
+    expect(isSafeUrl("JavaScript:go")).toEqual(false);
+    expect(isSafeUrl("java\tscript:go")).toEqual(false);
+    expect(isSafeUrl("javascript&colon;go")).toEqual(false);
+  });
+});
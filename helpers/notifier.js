@@ -0,0 +1,66 @@
+"use strict";
+
+/** Notifications sent to users outside the app, like saved-search alerts.
+ *
+ * A notification is { username, email, subject, text, data } where data is
+ * anything a transport might want beyond the text (like the jobs in an
+ * alert.) Notifications are handed to a transport: an object with an async
+ * send(notification) method. The built-in transports are:
+ *  email: emails the text (the default outside of tests; see mailer.js)
+ *  file: writes each notification as a JSON file into NOTIFY_DIR
+ *  memory: keeps notifications in an array (the default in tests)
+ *
+ * Others (push, chat, ...) can be plugged in with setTransport().
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { sendMail } = require("./mailer");
+const { NOTIFY_TRANSPORT, NOTIFY_DIR } = require("../config");
+
+const transports = {
+  email: {
+    async send({ email, subject, text }) {
+      await sendMail({ to: email, subject, text });
+    },
+  },
+
+  file: {
+    async send(notification) {
+      await fs.promises.mkdir(NOTIFY_DIR, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+      await fs.promises.writeFile(
+        path.join(NOTIFY_DIR, fileName),
+        JSON.stringify(notification, null, 2)
+      );
+    },
+  },
+
+  memory: {
+    sent: [],
+    async send(notification) {
+      this.sent.push(notification);
+    },
+  },
+};
+
+let transport = transports[NOTIFY_TRANSPORT];
+if (!transport) {
+  throw new Error(`Unknown NOTIFY_TRANSPORT: ${NOTIFY_TRANSPORT}`);
+}
+
+/** Use transport for all notifications sent from now on. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/** Send a notification: { username, email, subject, text, data } =>
+ * undefined */
+
+async function notify({ username, email, subject, text, data = {} }) {
+  await transport.send({ username, email, subject, text, data });
+}
+
+module.exports = { notify, setTransport, transports };
@@ -0,0 +1,79 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { notify, setTransport, transports } = require("./notifier");
+const mailer = require("./mailer");
+
+const notification = {
+  username: "u1",
+  email: "u1@email.com",
+  subject: "Hi",
+  text: "Hello",
+  data: { type: "test" },
+};
+
+afterEach(function () {
+  transports.memory.sent.length = 0;
+  mailer.transports.memory.sent.length = 0;
+  setTransport(transports.memory);
+});
+
+describe("notify", function () {
+  test("works: memory transport in tests", async function () {
+    await notify(notification);
+    expect(transports.memory.sent).toEqual([notification]);
+  });
+
+  test("works: custom transport", async function () {
+    const sent = [];
+    setTransport({
+      async send(notification) {
+        sent.push(notification);
+      },
+    });
+    await notify({ ...notification, data: undefined });
+    expect(sent).toEqual([{ ...notification, data: {} }]);
+    expect(transports.memory.sent.length).toEqual(0);
+  });
+});
+
+describe("email transport", function () {
+  test("works", async function () {
+    setTransport(transports.email);
+    await notify(notification);
+    expect(mailer.transports.memory.sent).toEqual([
+      {
+        from: expect.any(String),
+        to: "u1@email.com",
+        subject: "Hi",
+        text: "Hello",
+      },
+    ]);
+  });
+});
+
+describe("file transport", function () {
+  test("works", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "j2f-notify-"));
+    jest.resetModules();
+    jest.doMock("../config", () => ({
+      MAIL_TRANSPORT: "memory",
+      NOTIFY_TRANSPORT: "file",
+      NOTIFY_DIR: dir,
+    }));
+    const notifier = require("./notifier");
+
+    await notifier.notify(notification);
+
+    const files = fs.readdirSync(dir);
+    expect(files.length).toEqual(1);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, files[0])))).toEqual(
+      notification
+    );
+
+    fs.rmSync(dir, { recursive: true });
+    jest.dontMock("../config");
+  });
+});
@@ -0,0 +1,169 @@
+"use strict";
+
+/** OpenID Connect client, for logging in with an outside identity provider
+ * (the authorization code flow, with PKCE.)
+ *
+ * The provider is set up with config.OIDC_ISSUER, OIDC_CLIENT_ID, etc.; its
+ * endpoints and keys are found through its discovery document.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+const { UnauthorizedError } = require("../expressError");
+
+const ID_TOKEN_ALGORITHMS = ["RS256", "ES256"];
+
+// discovery documents already fetched, by issuer
+const discoveries = new Map();
+// JSON Web Key Sets already fetched, by URL
+const jwksCache = new Map();
+
+/** Return true if OpenID Connect login is set up. */
+
+function isConfigured() {
+  return Boolean(config.OIDC_ISSUER && config.OIDC_CLIENT_ID);
+}
+
+/** Fetch url and return its JSON body; throws UnauthorizedError if the
+ * provider doesn't answer properly. */
+
+async function fetchJson(url, options) {
+  let resp;
+  try {
+    resp = await fetch(url, options);
+  } catch (err) {
+    throw new UnauthorizedError("Identity provider unavailable");
+  }
+  if (!resp.ok) {
+    throw new UnauthorizedError(`Identity provider refused: ${resp.status}`);
+  }
+  return await resp.json();
+}
+
+/** Return the provider's discovery document (fetched the first time.)
+ *
+ * Throws UnauthorizedError if it can't be fetched or is for another issuer.
+ */
+
+async function discover() {
+  const issuer = config.OIDC_ISSUER;
+  if (!discoveries.has(issuer)) {
+    const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+    const doc = await fetchJson(url);
+    if (doc.issuer !== issuer) {
+      throw new UnauthorizedError("Identity provider issuer doesn't match");
+    }
+    discoveries.set(issuer, doc);
+  }
+  return discoveries.get(issuer);
+}
+
+/** Return the PKCE code challenge for codeVerifier (S256). */
+
+function codeChallengeFor(codeVerifier) {
+  return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+}
+
+/** Return the URL to send a user to, to log in at the provider.
+ *
+ * state, nonce and codeVerifier are random values kept until the user comes
+ * back (see getVerifiedClaims.)
+ */
+
+async function getAuthorizationUrl({ state, nonce, codeVerifier }) {
+  const { authorization_endpoint } = await discover();
+
+  const url = new URL(authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.OIDC_CLIENT_ID,
+    redirect_uri: config.OIDC_REDIRECT_URI,
+    scope: config.OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallengeFor(codeVerifier),
+    code_challenge_method: "S256",
+  }).toString();
+  return url.toString();
+}
+
+/** Return the public key (as PEM) the provider signs ID tokens with as kid,
+ * fetching its keys again if kid is new. */
+
+async function getSigningKey(jwksUri, kid) {
+  const find = () =>
+    (jwksCache.get(jwksUri) || []).find(
+      (k) => k.kid === kid && k.use !== "enc"
+    );
+
+  if (!find()) {
+    const { keys } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, keys || []);
+  }
+
+  const jwk = find();
+  if (!jwk) throw new UnauthorizedError("Unknown ID token signing key");
+  return crypto
+    .createPublicKey({ key: jwk, format: "jwk" })
+    .export({ type: "spki", format: "pem" });
+}
+
+/** Trade the code the provider sent the user back with for an ID token, and
+ * return its verified claims ({ iss, sub, email, email_verified, ... }).
+ *
+ * nonce and codeVerifier must be the ones used for getAuthorizationUrl.
+ *
+ * Throws UnauthorizedError if the code is refused or the ID token isn't valid
+ * (signature, issuer, audience, expiry or nonce.)
+ */
+
+async function getVerifiedClaims({ code, nonce, codeVerifier }) {
+  const { token_endpoint, jwks_uri } = await discover();
+
+  const credentials = Buffer.from(
+    `${encodeURIComponent(config.OIDC_CLIENT_ID)}:` +
+      encodeURIComponent(config.OIDC_CLIENT_SECRET)
+  ).toString("base64");
+  const tokens = await fetchJson(token_endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Authorization: `Basic ${credentials}`,
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: config.OIDC_REDIRECT_URI,
+      code_verifier: codeVerifier,
+    }).toString(),
+  });
+
+  const decoded =
+    tokens.id_token && jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) throw new UnauthorizedError("No ID token from provider");
+
+  const key = await getSigningKey(jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: config.OIDC_ISSUER,
+      audience: config.OIDC_CLIENT_ID,
+    });
+  } catch (err) {
+    throw new UnauthorizedError(`Invalid ID token: ${err.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new UnauthorizedError("Invalid ID token: nonce doesn't match");
+  }
+  return claims;
+}
+
+module.exports = {
+  isConfigured,
+  getAuthorizationUrl,
+  getVerifiedClaims,
+  codeChallengeFor,
+};
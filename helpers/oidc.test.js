@@ -0,0 +1,132 @@
+"use strict";
+
+const config = require("../config");
+const { UnauthorizedError } = require("../expressError");
+const {
+  isConfigured,
+  getAuthorizationUrl,
+  getVerifiedClaims,
+  codeChallengeFor,
+} = require("./oidc");
+const { startMockOidcProvider } = require("./_mockOidcProvider");
+
+const CLIENT = {
+  clientId: "j2f",
+  clientSecret: "j2f-secret",
+  redirectUri: "http://localhost:3001/oidc/callback",
+};
+const LOGIN = {
+  state: "state-1",
+  nonce: "nonce-1",
+  codeVerifier: "v".repeat(43),
+};
+
+let provider;
+const saved = {};
+
+beforeAll(async function () {
+  provider = await startMockOidcProvider(CLIENT);
+  const settings = {
+    OIDC_ISSUER: provider.issuer,
+    OIDC_CLIENT_ID: CLIENT.clientId,
+    OIDC_CLIENT_SECRET: CLIENT.clientSecret,
+    OIDC_REDIRECT_URI: CLIENT.redirectUri,
+  };
+  for (const key of Object.keys(settings)) {
+    saved[key] = config[key];
+    config[key] = settings[key];
+  }
+});
+
+afterAll(async function () {
+  Object.assign(config, saved);
+  await provider.close();
+});
+
+beforeEach(function () {
+  provider.claims = { sub: "sub-1", email: "sso@example.com" };
+});
+
+async function login() {
+  const url = await getAuthorizationUrl(LOGIN);
+  return provider.authorize(url);
+}
+
+describe("isConfigured", function () {
+  test("works", function () {
+    expect(isConfigured()).toEqual(true);
+    config.OIDC_ISSUER = "";
+    try {
+      expect(isConfigured()).toEqual(false);
+    } finally {
+      config.OIDC_ISSUER = provider.issuer;
+    }
+  });
+});
+
+describe("getAuthorizationUrl", function () {
+  test("works", async function () {
+    const url = new URL(await getAuthorizationUrl(LOGIN));
+    expect(url.origin + url.pathname).toEqual(`${provider.issuer}/authorize`);
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: "code",
+      client_id: "j2f",
+      redirect_uri: CLIENT.redirectUri,
+      scope: "openid email profile",
+      state: "state-1",
+      nonce: "nonce-1",
+      code_challenge: codeChallengeFor(LOGIN.codeVerifier),
+      code_challenge_method: "S256",
+    });
+  });
+});
+
+describe("getVerifiedClaims", function () {
+  test("works", async function () {
+    const { code } = await login();
+    const claims = await getVerifiedClaims({ ...LOGIN, code });
+    expect(claims).toEqual(
+      expect.objectContaining({
+        iss: provider.issuer,
+        aud: "j2f",
+        sub: "sub-1",
+        email: "sso@example.com",
+        nonce: "nonce-1",
+      })
+    );
+  });
+
+  test("unauth if code refused", async function () {
+    const { code } = await login();
+    await expect(
+      getVerifiedClaims({ ...LOGIN, code, codeVerifier: "w".repeat(43) })
+    ).rejects.toThrow(UnauthorizedError);
+    // the code was used up
+    await expect(getVerifiedClaims({ ...LOGIN, code })).rejects.toThrow(
+      UnauthorizedError
+    );
+  });
+
+  test("unauth if nonce doesn't match", async function () {
+    const { code } = await login();
+    await expect(
+      getVerifiedClaims({ ...LOGIN, code, nonce: "other" })
+    ).rejects.toThrow("nonce");
+  });
+
+  test("unauth if token is for another client", async function () {
+    provider.claims = { ...provider.claims, aud: "someone-else" };
+    const { code } = await login();
+    await expect(getVerifiedClaims({ ...LOGIN, code })).rejects.toThrow(
+      "Invalid ID token"
+    );
+  });
+
+  test("unauth if token is from another issuer", async function () {
+    provider.claims = { ...provider.claims, iss: "http://evil.example.com" };
+    const { code } = await login();
+    await expect(getVerifiedClaims({ ...LOGIN, code })).rejects.toThrow(
+      "Invalid ID token"
+    );
+  });
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+// bcrypt ignores anything past 72 bytes
+const MAX_LENGTH = 72;
+
+const CHARACTER_CLASSES = [
+  /[a-z]/,
+  /[A-Z]/,
+  /[0-9]/,
+  /[^a-zA-Z0-9]/,
+];
+
+// blocklists already read, by file name
+const blocklists = new Map();
+
+/** Return the set of blocked passwords (lowercased) from config's
+ * PASSWORD_BLOCKLIST_FILE, reading it the first time. Lines that are empty or
+ * start with "#" are ignored.
+ */
+
+function getBlocklist() {
+  const file = config.PASSWORD_BLOCKLIST_FILE;
+  if (!file) return new Set();
+
+  if (!blocklists.has(file)) {
+    const text = fs.readFileSync(path.resolve(__dirname, "..", file), "utf8");
+    const words = text
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith("#"));
+    blocklists.set(file, new Set(words));
+  }
+  return blocklists.get(file);
+}
+
+/** Check password against the password policy (see config.js).
+ *
+ * user may be { username, email }, so passwords containing them are refused.
+ * (Reuse of earlier passwords needs the database; see User.)
+ *
+ * Returns a list of the rules broken, like
+ *   [{ rule: "length", message: "Password must be at least 10 characters" }]
+ * or [] if password is fine.
+ */
+
+function checkPassword(password, { username, email } = {}) {
+  const errors = [];
+
+  if (password.length < config.PASSWORD_MIN_LENGTH) {
+    errors.push({
+      rule: "length",
+      message: `Password must be at least ${config.PASSWORD_MIN_LENGTH} characters`,
+    });
+  } else if (Buffer.byteLength(password) > MAX_LENGTH) {
+    errors.push({
+      rule: "length",
+      message: `Password must be at most ${MAX_LENGTH} characters`,
+    });
+  }
+
+  const classes = CHARACTER_CLASSES.filter((re) => re.test(password)).length;
+  if (classes < config.PASSWORD_MIN_CHARACTER_CLASSES) {
+    errors.push({
+      rule: "characterClasses",
+      message:
+        `Password must use at least ${config.PASSWORD_MIN_CHARACTER_CLASSES} ` +
+        "of: lowercase letters, uppercase letters, numbers, symbols",
+    });
+  }
+
+  if (getBlocklist().has(password.toLowerCase())) {
+    errors.push({
+      rule: "blocklist",
+      message: "Password is too common",
+    });
+  }
+
+  // short names would rule out too much, e.g. "u1"
+  const lowered = password.toLowerCase();
+  const personal = [username, email && email.split("@")[0]].filter(
+    (word) => word && word.length >= 3
+  );
+  if (personal.some((word) => lowered.includes(word.toLowerCase()))) {
+    errors.push({
+      rule: "personalInfo",
+      message: "Password must not contain your username or email address",
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { checkPassword, MAX_LENGTH };
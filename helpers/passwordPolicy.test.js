@@ -0,0 +1,78 @@
+const config = require("../config");
+const { checkPassword } = require("./passwordPolicy");
+
+const saved = {};
+const POLICY = {
+  PASSWORD_MIN_LENGTH: 10,
+  PASSWORD_MIN_CHARACTER_CLASSES: 3,
+  PASSWORD_BLOCKLIST_FILE: "data/common-passwords.txt",
+};
+
+beforeAll(function () {
+  for (const key of Object.keys(POLICY)) {
+    saved[key] = config[key];
+    config[key] = POLICY[key];
+  }
+});
+
+afterAll(function () {
+  Object.assign(config, saved);
+});
+
+function rules(password, user) {
+  return checkPassword(password, user).map((e) => e.rule);
+}
+
+describe("checkPassword", function () {
+  test("works", function () {
+    expect(checkPassword("Correct-Horse-9")).toEqual([]);
+    expect(checkPassword("correct horse 9")).toEqual([]);
+  });
+
+  test("length", function () {
+    expect(checkPassword("Sh0rt!")).toEqual([
+      { rule: "length", message: "Password must be at least 10 characters" },
+    ]);
+    expect(rules("Aa1!".repeat(18))).toEqual([]);
+    expect(rules("Aa1!".repeat(18) + "x")).toEqual(["length"]);
+    // bcrypt's limit is in bytes, not characters
+    expect(rules("Aa1!é".repeat(13))).toEqual(["length"]);
+  });
+
+  test("character classes", function () {
+    expect(rules("alllowercase")).toEqual(["characterClasses"]);
+    expect(rules("lower-and-symbols")).toEqual(["characterClasses"]);
+    expect(rules("lower-symbols-and-1")).toEqual([]);
+  });
+
+  test("blocklist, ignoring case", function () {
+    expect(rules("Password123")).toEqual(["blocklist"]);
+    expect(rules("PASSWORD1234")).toContain("blocklist");
+  });
+
+  test("blocklist can be turned off", function () {
+    config.PASSWORD_BLOCKLIST_FILE = "";
+    try {
+      expect(rules("Password123")).toEqual([]);
+    } finally {
+      config.PASSWORD_BLOCKLIST_FILE = POLICY.PASSWORD_BLOCKLIST_FILE;
+    }
+  });
+
+  test("personal info", function () {
+    const user = { username: "JaneDoe", email: "jdoe77@mail.com" };
+    expect(rules("my-janedoe-pw1", user)).toEqual(["personalInfo"]);
+    expect(rules("my-JDOE77-pw1", user)).toEqual(["personalInfo"]);
+    expect(rules("my-mail.com-pw1", user)).toEqual([]);
+    // names this short would rule out too much
+    expect(rules("my-u1-password-1", { username: "u1" })).toEqual([]);
+  });
+
+  test("reports every rule broken", function () {
+    expect(rules("janedoe", { username: "janedoe" })).toEqual([
+      "length",
+      "characterClasses",
+      "personalInfo",
+    ]);
+  });
+});
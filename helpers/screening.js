@@ -0,0 +1,81 @@
+"use strict";
+
+/** Screening questions recruiters ask on a job, and checking the answers
+ * candidates give when they apply.
+ *
+ * A question is { id, prompt, type, choices, required } where type is one of
+ *   text: answered with a string
+ *   yesNo: answered with true or false
+ *   choice: answered with one of choices
+ * Answers are an object of question id => answer; questions that aren't
+ * required can be left out.
+ */
+
+const jsonschema = require("jsonschema");
+const { BadRequestError } = require("../expressError");
+
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+/** Check a job's questions beyond what schemas/screeningQuestions.json can:
+ * ids must be different, and only choice questions have (and must have)
+ * choices.
+ *
+ * Throws BadRequestError if not.
+ */
+
+function checkQuestions(questions) {
+  const errs = [];
+  const ids = new Set();
+  for (const { id, type, choices } of questions) {
+    if (ids.has(id)) errs.push(`Duplicate screening question id: ${id}`);
+    ids.add(id);
+
+    if (type === "choice" && !choices) {
+      errs.push(`Screening question ${id} needs choices`);
+    } else if (type !== "choice" && choices) {
+      errs.push(`Only choice screening questions have choices: ${id}`);
+    }
+  }
+  if (errs.length) throw new BadRequestError(errs);
+}
+
+/** Return the JSON schema answers to questions must follow. */
+
+function answersSchemaFor(questions) {
+  const properties = {};
+  for (const { id, type, choices } of questions) {
+    if (type === "text") {
+      properties[id] = { type: "string", maxLength: MAX_TEXT_ANSWER_LENGTH };
+    } else if (type === "yesNo") {
+      properties[id] = { type: "boolean" };
+    } else {
+      properties[id] = { type: "string", enum: choices };
+    }
+  }
+
+  return {
+    type: "object",
+    properties,
+    additionalProperties: false,
+    required: questions.filter((q) => q.required).map((q) => q.id),
+  };
+}
+
+/** Check answers to questions.
+ *
+ * Throws BadRequestError (listing what's wrong) if a required question isn't
+ * answered, an answer is of the wrong kind, or there's an answer to a
+ * question that wasn't asked.
+ */
+
+function checkAnswers(questions, answers) {
+  const validator = jsonschema.validate(answers, answersSchemaFor(questions), {
+    propertyName: "answers",
+  });
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+}
+
+module.exports = { checkQuestions, answersSchemaFor, checkAnswers };
@@ -0,0 +1,79 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const {
+  checkQuestions,
+  answersSchemaFor,
+  checkAnswers,
+} = require("./screening");
+
+const questions = [
+  { id: "why", prompt: "Why us?", type: "text" },
+  { id: "visa", prompt: "Need a visa?", type: "yesNo", required: true },
+  { id: "level", prompt: "Level?", type: "choice", choices: ["jr", "sr"] },
+];
+
+describe("checkQuestions", function () {
+  test("works", function () {
+    checkQuestions(questions);
+    checkQuestions([]);
+  });
+
+  test("bad request for duplicate ids", function () {
+    expect(() => checkQuestions([questions[0], questions[0]])).toThrow(
+      BadRequestError
+    );
+  });
+
+  test("bad request for choices on the wrong type", function () {
+    try {
+      checkQuestions([
+        { id: "a", prompt: "A?", type: "choice" },
+        { id: "b", prompt: "B?", type: "text", choices: ["x", "y"] },
+      ]);
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual([
+        "Screening question a needs choices",
+        "Only choice screening questions have choices: b",
+      ]);
+    }
+  });
+});
+
+describe("answersSchemaFor", function () {
+  test("works", function () {
+    expect(answersSchemaFor(questions)).toEqual({
+      type: "object",
+      properties: {
+        why: { type: "string", maxLength: 2000 },
+        visa: { type: "boolean" },
+        level: { type: "string", enum: ["jr", "sr"] },
+      },
+      additionalProperties: false,
+      required: ["visa"],
+    });
+  });
+});
+
+describe("checkAnswers", function () {
+  test("works", function () {
+    checkAnswers(questions, { visa: false });
+    checkAnswers(questions, { why: "Mission", visa: true, level: "sr" });
+    checkAnswers([], {});
+  });
+
+  test("bad request listing what's wrong", function () {
+    try {
+      checkAnswers(questions, { level: "cto", extra: 1 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual([
+        expect.stringContaining("answers.level"),
+        expect.stringContaining("extra"),
+        expect.stringContaining("visa"),
+      ]);
+    }
+  });
+});
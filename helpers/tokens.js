@@ -1,9 +1,22 @@
-const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const crypto = require("crypto");
+const { UnauthorizedError } = require("../expressError");
+const { signJwt, verifyJwt } = require("./keyring");
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  MFA_TOKEN_EXPIRES_IN,
+  IMPERSONATION_TOKEN_EXPIRES_IN,
+} = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed, short-lived JWT from user data.
+ *
+ * The token carries the user's roles (see Role), and gets a unique id (jti)
+ * so it can be revoked on its own, and the time it was issued in milliseconds
+ * (iatMs; iat is only to the second), so revoking all of a user's tokens
+ * doesn't catch one issued just after. If the user passed two-factor
+ * authentication ({ mfa: true }), the token says so.
+ */
 
-function createToken(user) {
+function createToken(user, { mfa = false } = {}) {
   console.assert(
     user.isAdmin !== undefined,
     "createToken passed user without isAdmin property"
@@ -12,9 +25,88 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    roles: user.roles || [],
+    iatMs: Date.now(),
   };
+  if (mfa) payload.mfa = true;
 
-  return jwt.sign(payload, SECRET_KEY);
+  return signJwt(payload, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  });
 }
 
-module.exports = { createToken };
+/** return signed JWT letting admin act as user, for support.
+ *
+ * The token is for user (with their roles, never admin rights) and says who
+ * is impersonating them (impersonatedBy). It is shorter-lived than a normal
+ * token and read-only (see restrictImpersonation.) Like createToken's, it has
+ * an iatMs.
+ */
+
+function createImpersonationToken(admin, user) {
+  const payload = {
+    username: user.username,
+    isAdmin: false,
+    roles: user.roles || [],
+    impersonatedBy: admin.username,
+    iatMs: Date.now(),
+  };
+
+  return signJwt(payload, {
+    expiresIn: IMPERSONATION_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/** return signed JWT for a user who has passed the password step of login
+ * but still has to give a two-factor code.
+ *
+ * This is not an access token: authenticateJWT ignores it.
+ */
+
+function createMfaToken(user) {
+  return signJwt(
+    { username: user.username, mfaPending: true },
+    { expiresIn: MFA_TOKEN_EXPIRES_IN }
+  );
+}
+
+/** return username from a token made by createMfaToken.
+ *
+ * Throws UnauthorizedError if the token is invalid, expired or of another kind.
+ */
+
+function verifyMfaToken(token) {
+  try {
+    const payload = verifyJwt(token);
+    if (payload.mfaPending === true) return payload.username;
+  } catch (err) {
+    // fall through
+  }
+  throw new UnauthorizedError("Invalid or expired two-factor login token");
+}
+
+/** return a random, URL-safe token for things like refresh tokens.
+ *
+ * These are opaque to the client; only their hash is stored in the database.
+ */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return SHA-256 hex digest of an opaque token, for storage and lookup. */
+
+function hashOpaqueToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = {
+  createToken,
+  createImpersonationToken,
+  createMfaToken,
+  verifyMfaToken,
+  createOpaqueToken,
+  hashOpaqueToken,
+};
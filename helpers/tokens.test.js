@@ -1,5 +1,13 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { UnauthorizedError } = require("../expressError");
+const {
+  createToken,
+  createImpersonationToken,
+  createMfaToken,
+  verifyMfaToken,
+  createOpaqueToken,
+  hashOpaqueToken,
+} = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -8,8 +16,12 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      iatMs: expect.any(Number),
       username: "test",
       isAdmin: false,
+      roles: [],
     });
   });
 
@@ -18,8 +30,12 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      iatMs: expect.any(Number),
       username: "test",
       isAdmin: true,
+      roles: [],
     });
   });
 
@@ -29,8 +45,105 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      iatMs: expect.any(Number),
       username: "test",
       isAdmin: false,
+      roles: [],
     });
   });
+
+  test("works: roles", function () {
+    const token = createToken({
+      username: "test",
+      isAdmin: false,
+      roles: ["recruiter"],
+    });
+    expect(jwt.verify(token, SECRET_KEY).roles).toEqual(["recruiter"]);
+  });
+
+  test("works: expires", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    // default lifetime is 15 minutes
+    expect(payload.exp - payload.iat).toEqual(15 * 60);
+  });
+
+  test("works: unique token ids", function () {
+    const token1 = createToken({ username: "test", isAdmin: false });
+    const token2 = createToken({ username: "test", isAdmin: false });
+    expect(jwt.decode(token1).jti).not.toEqual(jwt.decode(token2).jti);
+  });
+});
+
+describe("createToken with mfa", function () {
+  test("works", function () {
+    const token = createToken({ username: "test", isAdmin: true }, { mfa: true });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.mfa).toEqual(true);
+  });
+});
+
+describe("createImpersonationToken", function () {
+  test("works", function () {
+    const token = createImpersonationToken(
+      { username: "admin", isAdmin: true },
+      { username: "test", isAdmin: false, roles: ["recruiter"] }
+    );
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      iatMs: expect.any(Number),
+      username: "test",
+      isAdmin: false,
+      roles: ["recruiter"],
+      impersonatedBy: "admin",
+    });
+    expect(payload.exp - payload.iat).toEqual(10 * 60);
+  });
+});
+
+describe("createMfaToken / verifyMfaToken", function () {
+  test("works", function () {
+    const token = createMfaToken({ username: "test", isAdmin: true });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      username: "test",
+      mfaPending: true,
+    });
+    expect(payload.exp - payload.iat).toEqual(5 * 60);
+    expect(verifyMfaToken(token)).toEqual("test");
+  });
+
+  test("rejects access tokens", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    expect(() => verifyMfaToken(token)).toThrow(UnauthorizedError);
+  });
+
+  test("rejects garbage", function () {
+    expect(() => verifyMfaToken("nope")).toThrow(UnauthorizedError);
+  });
+});
+
+describe("createOpaqueToken", function () {
+  test("works", function () {
+    const token = createOpaqueToken();
+    expect(token).toEqual(expect.any(String));
+    expect(token.length).toBeGreaterThanOrEqual(43);
+    expect(createOpaqueToken()).not.toEqual(token);
+  });
+});
+
+describe("hashOpaqueToken", function () {
+  test("works", function () {
+    const hash = hashOpaqueToken("abc");
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashOpaqueToken("abc")).toEqual(hash);
+    expect(hashOpaqueToken("abd")).not.toEqual(hash);
+  });
 });
@@ -0,0 +1,134 @@
+"use strict";
+
+/** Time-based one-time passwords (RFC 6238), as used by authenticator apps.
+ *
+ * Codes are 6 digits, change every 30 seconds and are HMAC-SHA1 based,
+ * which is what every common authenticator app expects.
+ */
+
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/** Encode a Buffer as unpadded base32 (the format authenticator apps use). */
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+/** Decode base32 (case-insensitive, padding and spaces ignored) to a Buffer. */
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/** Return a new random base32 secret (160 bits, as RFC 4226 recommends). */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** Return the 30-second time step for a time in milliseconds. */
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/** Return the code for base32 secret at the given time step. */
+
+function generateCode(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // dynamic truncation, RFC 4226 section 5.3
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/** Check code against base32 secret, allowing one step of clock drift either
+ * way. Steps at or before notAfterStep are not accepted, so a code can't be
+ * used twice.
+ *
+ * Returns the matching time step, or null if the code is not valid.
+ */
+
+function verifyCode(secret, code, notAfterStep = -1, time = Date.now()) {
+  const current = timeStep(time);
+
+  for (const step of [current - 1, current, current + 1]) {
+    if (step <= notAfterStep) continue;
+    const expected = generateCode(secret, step);
+    if (
+      typeof code === "string" &&
+      code.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expected))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/** Return the otpauth:// URI that authenticator apps scan as a QR code. */
+
+function otpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+};
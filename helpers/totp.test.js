@@ -0,0 +1,82 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+} = require("./totp");
+
+// RFC 6238 appendix B test secret: ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+  test("works", function () {
+    expect(base32Encode(Buffer.from("foobar"))).toEqual("MZXW6YTBOI");
+    expect(base32Decode("MZXW6YTBOI").toString()).toEqual("foobar");
+    expect(base32Decode("mzxw 6ytb oi======").toString()).toEqual("foobar");
+  });
+
+  test("throws on invalid characters", function () {
+    expect(() => base32Decode("M1")).toThrow();
+  });
+});
+
+describe("generateSecret", function () {
+  test("works", function () {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toEqual(secret);
+  });
+});
+
+describe("generateCode", function () {
+  test("matches RFC 6238 test vectors", function () {
+    // the RFC lists 8-digit codes; ours are their last 6 digits
+    expect(generateCode(RFC_SECRET, timeStep(59 * 1000))).toEqual("287082");
+    expect(generateCode(RFC_SECRET, timeStep(1111111109 * 1000))).toEqual(
+      "081804"
+    );
+    expect(generateCode(RFC_SECRET, timeStep(2000000000 * 1000))).toEqual(
+      "279037"
+    );
+  });
+});
+
+describe("verifyCode", function () {
+  const time = 1111111109 * 1000;
+  const step = timeStep(time);
+
+  test("works", function () {
+    expect(verifyCode(RFC_SECRET, "081804", -1, time)).toEqual(step);
+  });
+
+  test("works: allows one step of drift", function () {
+    const previous = generateCode(RFC_SECRET, step - 1);
+    expect(verifyCode(RFC_SECRET, previous, -1, time)).toEqual(step - 1);
+    const next = generateCode(RFC_SECRET, step + 1);
+    expect(verifyCode(RFC_SECRET, next, -1, time)).toEqual(step + 1);
+  });
+
+  test("rejects wrong or stale codes", function () {
+    expect(verifyCode(RFC_SECRET, "000000", -1, time)).toEqual(null);
+    expect(verifyCode(RFC_SECRET, "81804", -1, time)).toEqual(null);
+    const old = generateCode(RFC_SECRET, step - 2);
+    expect(verifyCode(RFC_SECRET, old, -1, time)).toEqual(null);
+  });
+
+  test("rejects already-used steps", function () {
+    expect(verifyCode(RFC_SECRET, "081804", step, time)).toEqual(null);
+  });
+});
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(
+      otpauthUri({ secret: "ABC", accountName: "u1", issuer: "J2F" })
+    ).toEqual(
+      "otpauth://totp/J2F%3Au1?secret=ABC&issuer=J2F&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});
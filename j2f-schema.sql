@@ -13,6 +13,7 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
+  email_verified_at TIMESTAMP,
   is_admin BOOLEAN NOT NULL DEFAULT FALSE
 );
 
@@ -22,10 +23,26 @@ CREATE TABLE jobs (
   salary INTEGER CHECK (salary >= 0),
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON DELETE CASCADE,
+  -- [{ id, prompt, type, choices, required }, ...]; see helpers/screening.js
+  screening_questions JSONB NOT NULL DEFAULT '[]'
 );
 
-CREATE TYPE state_type AS ENUM ('interested', 'applied', 'accepted', 'rejected');
+-- resumes users have put up, to choose from when they apply
+
+CREATE TABLE resumes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  url TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TYPE state_type AS ENUM (
+  'interested', 'applied', 'interviewing', 'offered',
+  'accepted', 'rejected', 'withdrawn'
+);
 
 CREATE TABLE applications (
   username VARCHAR(25)
@@ -33,5 +50,381 @@ CREATE TABLE applications (
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
   state state_type,
+  cover_letter TEXT,
+  resume_id INTEGER
+    REFERENCES resumes ON DELETE SET NULL,
+  -- answers to the job's screening questions, by question id
+  answers JSONB NOT NULL DEFAULT '{}',
+  applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  -- jobs the candidate has saved but not applied to are kept as 'interested'
+  -- applications (their notes on them are in notes)
+  saved_at TIMESTAMP,
   PRIMARY KEY (username, job_id)
 );
+
+-- everything that happened to an application, oldest first: applying, each
+-- change of state and unapplying (which deletes the application itself)
+
+CREATE TABLE application_events (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  event TEXT NOT NULL
+    CHECK (event IN ('applied', 'state_changed', 'unapplied')),
+  from_state state_type,
+  to_state state_type,
+  actor VARCHAR(25),
+  note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- job searches users save (filters as for GET /jobs: title, minSalary,
+-- hasEquity), and alerts queued for new jobs that match them, sent as a
+-- digest as often as frequency says
+
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}',
+  frequency TEXT NOT NULL DEFAULT 'daily'
+    CHECK (frequency IN ('instant', 'daily', 'weekly')),
+  last_sent_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE search_alerts (
+  id SERIAL PRIMARY KEY,
+  search_id INTEGER NOT NULL
+    REFERENCES saved_searches ON DELETE CASCADE,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMP,
+  UNIQUE (search_id, job_id)
+);
+
+-- companies users follow, to hear about their new jobs
+
+CREATE TABLE company_follows (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, company_handle)
+);
+
+-- users' in-app notifications (see models/notification.js), and the types
+-- of them they've turned off or back on; types are on unless set here
+
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  type TEXT NOT NULL
+    CHECK (type IN ('applicationState', 'newJob', 'interview')),
+  message TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE notification_preferences (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  type TEXT
+    CHECK (type IN ('applicationState', 'newJob', 'interview')),
+  enabled BOOLEAN NOT NULL,
+  PRIMARY KEY (username, type)
+);
+
+-- notes on an application (username is the candidate) or on a job itself
+-- (username is NULL). Private notes are only seen by their author; team
+-- notes are shared with the recruiters for the job's company.
+
+CREATE TABLE notes (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  username VARCHAR(25),
+  author VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  visibility TEXT NOT NULL DEFAULT 'private'
+    CHECK (visibility IN ('private', 'team')),
+  body TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+-- interviews for an application: recruiters propose them with one or more
+-- time slots, and the candidate accepts one (which becomes starts_at and
+-- ends_at.) Participants are the usernames of the interviewers.
+
+CREATE TABLE interviews (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'proposed'
+    CHECK (status IN ('proposed', 'accepted', 'cancelled')),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  location TEXT,
+  meeting_url TEXT,
+  participants VARCHAR(25)[] NOT NULL DEFAULT '{}',
+  proposed_by VARCHAR(25),
+  cancelled_by VARCHAR(25),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE TABLE interview_slots (
+  id SERIAL PRIMARY KEY,
+  interview_id INTEGER NOT NULL
+    REFERENCES interviews ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  CHECK (ends_at > starts_at)
+);
+
+-- secret tokens for users' interview calendar feeds, which calendar apps
+-- fetch without logging in; only a hash is kept, like refresh tokens
+
+CREATE TABLE calendar_feeds (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  family_id TEXT NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMP,
+  replaced_by TEXT,
+  mfa BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- no foreign keys here: revocations must outlive a deleted user
+
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE user_token_revocations (
+  username VARCHAR(25) PRIMARY KEY,
+  revoked_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE password_reset_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMP
+);
+
+CREATE TABLE email_verification_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMP
+);
+
+-- kind is 'username' or 'ip'; usernames needn't exist, so no foreign key
+
+CREATE TABLE login_failures (
+  kind TEXT NOT NULL CHECK (kind IN ('username', 'ip')),
+  value TEXT NOT NULL,
+  failures INTEGER NOT NULL,
+  last_failed_at TIMESTAMP NOT NULL,
+  locked_until TIMESTAMP,
+  PRIMARY KEY (kind, value)
+);
+
+-- enabled_at is NULL while enrollment hasn't been confirmed with a code
+
+CREATE TABLE user_mfa (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  enabled_at TIMESTAMP,
+  last_used_step BIGINT NOT NULL DEFAULT -1
+);
+
+CREATE TABLE mfa_recovery_codes (
+  code_hash TEXT NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  used_at TIMESTAMP,
+  PRIMARY KEY (username, code_hash)
+);
+
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  prefix TEXT NOT NULL,
+  scopes TEXT[] NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP
+);
+
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE permissions (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role TEXT
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT
+    REFERENCES permissions ON DELETE CASCADE,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE user_roles (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT
+    REFERENCES roles ON DELETE CASCADE,
+  PRIMARY KEY (username, role)
+);
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Full access to everything'),
+       ('recruiter', 'Posts and manages jobs for the companies they belong to'),
+       ('moderator', 'Keeps company profiles and user accounts in order'),
+       ('candidate', 'Looks for and applies to jobs');
+
+INSERT INTO permissions (name, description)
+VALUES ('companies:write', 'Create, update and delete companies'),
+       ('jobs:write', 'Create, update and delete jobs'),
+       ('users:read', 'List all users'),
+       ('applications:read', 'See who applied to any job'),
+       ('applications:write', 'Move any application between states');
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('admin', 'companies:write'),
+       ('admin', 'jobs:write'),
+       ('admin', 'users:read'),
+       ('admin', 'applications:read'),
+       ('admin', 'applications:write'),
+       ('moderator', 'companies:write'),
+       ('moderator', 'users:read');
+
+-- recruiters manage their own company's profile, jobs and applicants
+
+CREATE TABLE company_members (
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'recruiter'
+    REFERENCES roles,
+  PRIMARY KEY (company_handle, username)
+);
+
+-- every request made while impersonating; no foreign keys, so the trail
+-- outlives deleted users
+
+CREATE TABLE impersonation_audit (
+  id SERIAL PRIMARY KEY,
+  admin_username VARCHAR(25) NOT NULL,
+  username VARCHAR(25) NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  blocked BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- hashes of users' earlier passwords, so they can't be reused (see
+-- config.PASSWORD_HISTORY_COUNT)
+
+CREATE TABLE password_history (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- who changed what, through the API; like impersonation_audit there are no
+-- foreign keys, and rows can't be changed or deleted once written
+
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor VARCHAR(25) NOT NULL,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  request_id TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+-- OpenID Connect logins in progress, by hash of their state parameter
+
+CREATE TABLE oidc_logins (
+  state_hash TEXT PRIMARY KEY,
+  nonce TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- accounts at OpenID Connect providers that users log in with
+
+CREATE TABLE user_identities (
+  issuer TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (issuer, subject)
+);
+
+-- single-use tickets for opening GET /events streams, by hash; each holds the
+-- token payload (or API key user) it was made for
+
+CREATE TABLE event_tickets (
+  ticket_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  payload JSONB NOT NULL,
+  expires_at TIMESTAMP NOT NULL
+);
@@ -2,24 +2,69 @@
 
 /** Convenience middleware to handle common auth cases in routes. */
 
-const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const config = require("../config");
+const { verifyJwt } = require("../helpers/keyring");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const TokenRevocation = require("../models/tokenRevocation");
+const ApiKey = require("../models/apiKey");
+const Role = require("../models/role");
+const CompanyMember = require("../models/companyMember");
+const Impersonation = require("../models/impersonation");
+const EventTicket = require("../models/eventTicket");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the username and isAdmin field.)
  *
+ * Tokens without an expiry (issued before access tokens became short-lived),
+ * tokens that have been revoked (logout, deleted user, etc.) and two-factor
+ * login tokens are ignored. Impersonation tokens are also ignored once the
+ * impersonating admin's tokens have been revoked.
+ *
+ * Scripts can send a personal API key in an X-Api-Key header instead; the
+ * key's user is stored on res.locals if the key's scopes allow this request.
+ *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
     const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
+    const apiKey = req.headers && req.headers["x-api-key"];
+    if (apiKey && !authHeader) {
+      const user = await ApiKey.authenticate(apiKey);
+      if (user && ApiKey.allows(user.scopes, req.method)) {
+        res.locals.user = user;
+      }
+    } else if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const payload = verifyJwt(token);
+      if (await isUsableToken(payload)) res.locals.user = payload;
+    }
+    return next();
+  } catch (err) {
+    return next();
+  }
+}
+
+/** Middleware: Authenticate user from a ticket in the query string
+ * (?ticket=...; see EventTicket), for GET /events, whose browser clients
+ * (EventSource) can't send headers. The ticket is used up; if its token or
+ * API key has since been revoked, it's ignored. A token in a header takes
+ * precedence.
+ *
+ * It's not an error if no ticket was provided or if it's not valid.
+ */
+
+async function authenticateEventTicket(req, res, next) {
+  try {
+    const ticket = req.query && req.query.ticket;
+    if (!res.locals.user && typeof ticket === "string") {
+      const user = await EventTicket.redeem(ticket);
+      if (user && (await isStillUsable(user))) res.locals.user = user;
     }
     return next();
   } catch (err) {
@@ -27,6 +72,65 @@ function authenticateJWT(req, res, next) {
   }
 }
 
+/** Return true if a verified token payload can be used to authenticate (see
+ * authenticateJWT.)
+ */
+
+async function isUsableToken(payload) {
+  if (payload.exp === undefined || payload.mfaPending) return false;
+  if (await TokenRevocation.isRevoked(payload)) return false;
+
+  if (payload.impersonatedBy) {
+    const admin = {
+      username: payload.impersonatedBy,
+      iat: payload.iat,
+      iatMs: payload.iatMs,
+    };
+    if (await TokenRevocation.isRevoked(admin)) return false;
+  }
+  return true;
+}
+
+/** Return true if user (as stored on res.locals by authenticateJWT) can
+ * still be used to authenticate: its token hasn't been revoked, or its API key
+ * still exists. Long-lived connections use this to recheck who they're for.
+ */
+
+async function isStillUsable(user) {
+  if (user.apiKeyId !== undefined) return await ApiKey.exists(user.apiKeyId);
+  return await isUsableToken(user);
+}
+
+/** Middleware: Keep impersonation read-only and audited.
+ *
+ * Every request made with an impersonation token is recorded (see
+ * Impersonation); anything other than GET, HEAD or OPTIONS is refused with
+ * Forbidden, so an admin can see what a user sees but not act for them
+ * (change their password, apply to jobs, etc.)
+ */
+
+async function restrictImpersonation(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user || !user.impersonatedBy) return next();
+
+    const blocked = !SAFE_METHODS.includes(req.method);
+    await Impersonation.record({
+      adminUsername: user.impersonatedBy,
+      username: user.username,
+      method: req.method,
+      // without the query string, which may hold credentials
+      path: req.originalUrl.split("?")[0],
+      blocked,
+    });
+
+    if (blocked) throw new ForbiddenError("Not allowed while impersonating");
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
 /** Middleware to use when they must be logged in.
  *
  * If not, raises Unauthorized.
@@ -41,6 +145,19 @@ function ensureLoggedIn(req, res, next) {
   }
 }
 
+/** Return true if user (a token payload) may use admin rights.
+ *
+ * Admins are users with isAdmin set or the "admin" role. When
+ * config.REQUIRE_ADMIN_MFA is set, they must have logged in with two-factor
+ * authentication too.
+ */
+
+function hasAdminAccess(user) {
+  if (!user) return false;
+  if (!user.isAdmin && !(user.roles || []).includes("admin")) return false;
+  return !config.REQUIRE_ADMIN_MFA || user.mfa === true;
+}
+
 /** Middleware to use when they be logged in as an admin user.
  *
  *  If not, raises Unauthorized.
@@ -48,7 +165,7 @@ function ensureLoggedIn(req, res, next) {
 
 function ensureAdmin(req, res, next) {
   try {
-    if (!res.locals.user || !res.locals.user.isAdmin) {
+    if (!hasAdminAccess(res.locals.user)) {
       throw new UnauthorizedError();
     }
     return next();
@@ -57,6 +174,102 @@ function ensureAdmin(req, res, next) {
   }
 }
 
+/** Return middleware to use when they must have a role granting permission
+ * (e.g. "jobs:write"). Admins have every permission.
+ *
+ *  If not, raises Unauthorized.
+ */
+
+function requirePermission(permission) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user || !(await hasPermission(user, permission))) {
+        throw new UnauthorizedError();
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Return middleware to use when they must have permission (as for
+ * requirePermission) or be a recruiter for a company.
+ *
+ * getCompanyHandle(req) returns (or resolves to) the handle of the company
+ * the request is about.
+ *
+ *  If not, raises Unauthorized.
+ */
+
+function requirePermissionOrRecruiter(permission, getCompanyHandle) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (await hasPermission(user, permission)) return next();
+
+      const handle = await getCompanyHandle(req);
+      const isRecruiter =
+        handle && (await CompanyMember.isRecruiter(user.username, handle));
+      if (!isRecruiter) throw new UnauthorizedError();
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Return middleware for routes about a user's application to a job
+ * (/:username/jobs/:id), to use when they must be the applicant, have
+ * permission, or be a recruiter for the job's company. Routes about all of
+ * a job's applications (without :username) work too; there's no applicant.
+ *
+ * getCompanyHandle(req) returns (or resolves to) the handle of the job's
+ * company. Who they're acting as is stored on res.locals.applicationRole:
+ * "admin" if they have permission, otherwise "candidate" or "recruiter".
+ *
+ *  If none of these, raises Unauthorized.
+ */
+
+function requireApplicantOrRecruiter(permission, getCompanyHandle) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+
+      if (await hasPermission(user, permission)) {
+        res.locals.applicationRole = "admin";
+      } else if (user.username === req.params.username) {
+        res.locals.applicationRole = "candidate";
+      } else {
+        const handle = await getCompanyHandle(req);
+        const isRecruiter =
+          handle && (await CompanyMember.isRecruiter(user.username, handle));
+        if (!isRecruiter) throw new UnauthorizedError();
+        res.locals.applicationRole = "recruiter";
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Return true if user (a token payload) has a role granting permission.
+ * Admins have every permission.
+ */
+
+async function hasPermission(user, permission) {
+  if (hasAdminAccess(user)) return true;
+
+  // the admin role only counts through hasAdminAccess, which also checks for
+  // two-factor authentication
+  const roles = (user.roles || []).filter((r) => r !== "admin");
+  return await Role.hasPermission(roles, permission);
+}
+
 /** Middleware to use when they must provide a valid token & be user matching
  *  username provided as route param.
  *
@@ -66,7 +279,29 @@ function ensureAdmin(req, res, next) {
 function ensureCorrectUserOrAdmin(req, res, next) {
   try {
     const user = res.locals.user;
-    if (!(user && (user.isAdmin || user.username === req.params.username))) {
+    const isAllowed =
+      user && (hasAdminAccess(user) || user.username === req.params.username);
+    if (!isAllowed) {
+      throw new UnauthorizedError();
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware to use when they must provide a valid token & be user matching
+ *  username provided as route param; admins can't act for them. For things
+ *  like making credentials (API keys), which would let an admin act as the
+ *  user without impersonation's limits.
+ *
+ *  If not, raises Unauthorized.
+ */
+
+function ensureCorrectUser(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user || user.username !== req.params.username) {
       throw new UnauthorizedError();
     }
     return next();
@@ -77,7 +312,14 @@ function ensureCorrectUserOrAdmin(req, res, next) {
 
 module.exports = {
   authenticateJWT,
+  authenticateEventTicket,
+  isStillUsable,
+  restrictImpersonation,
   ensureLoggedIn,
   ensureAdmin,
   ensureCorrectUserOrAdmin,
+  ensureCorrectUser,
+  requirePermission,
+  requirePermissionOrRecruiter,
+  requireApplicantOrRecruiter,
 };
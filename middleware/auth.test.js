@@ -1,57 +1,323 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const db = require("../db");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const TokenRevocation = require("../models/tokenRevocation");
+const ApiKey = require("../models/apiKey");
+const EventTicket = require("../models/eventTicket");
 const {
   authenticateJWT,
+  authenticateEventTicket,
+  restrictImpersonation,
   ensureLoggedIn,
   ensureAdmin,
   ensureCorrectUserOrAdmin,
+  ensureCorrectUser,
+  requirePermission,
 } = require("./auth");
 
-const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const config = require("../config");
+const { SECRET_KEY } = config;
+const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY, {
+  expiresIn: "15m",
+  jwtid: "test-jti",
+});
+const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong", {
+  expiresIn: "15m",
+});
+const expiredJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY, {
+  expiresIn: "-1m",
+});
+const noExpiryJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+});
+
+afterAll(async function () {
+  await db.end();
+});
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${testJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
+        exp: expect.any(Number),
+        jti: "test-jti",
         username: "test",
         isAdmin: false,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: expired token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token without expiry", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${noExpiryJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: revoked token", async function () {
+    expect.assertions(2);
+    await TokenRevocation.revoke(jwt.decode(testJwt));
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: all tokens for user revoked", async function () {
+    expect.assertions(2);
+    await TokenRevocation.revokeAllForUser("test");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: impersonation ends if admin's tokens revoked", async function () {
+    expect.assertions(1);
+    const token = jwt.sign(
+      { username: "test", isAdmin: false, impersonatedBy: "admin" },
+      SECRET_KEY,
+      { expiresIn: "10m", jwtid: "imp-jti" }
+    );
+    await TokenRevocation.revokeAllForUser("admin");
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, function () {});
+    expect(res.locals).toEqual({});
+  });
+
+  describe("with API key", function () {
+    let apiKey;
+
+    beforeEach(async function () {
+      await db.query(
+        `INSERT INTO users (username, password, first_name, last_name, email)
+             VALUES ('test', 'x', 'T', 'Est', 'test@test.com')`
+      );
+      apiKey = await ApiKey.create("test", { name: "k1", scopes: ["read"] });
+    });
+
+    test("works", async function () {
+      expect.assertions(2);
+      const req = { method: "GET", headers: { "x-api-key": apiKey.key } };
+      const res = { locals: {} };
+      const next = function (err) {
+        expect(err).toBeFalsy();
+      };
+      await authenticateJWT(req, res, next);
+      expect(res.locals).toEqual({
+        user: {
+          username: "test",
+          isAdmin: false,
+          roles: [],
+          apiKeyId: apiKey.id,
+          scopes: ["read"],
+        },
+      });
+    });
+
+    test("works: ignored outside its scopes", async function () {
+      expect.assertions(2);
+      const req = { method: "POST", headers: { "x-api-key": apiKey.key } };
+      const res = { locals: {} };
+      const next = function (err) {
+        expect(err).toBeFalsy();
+      };
+      await authenticateJWT(req, res, next);
+      expect(res.locals).toEqual({});
+    });
+
+    test("works: invalid key", async function () {
+      expect.assertions(2);
+      const req = { method: "GET", headers: { "x-api-key": "j2f_nope" } };
+      const res = { locals: {} };
+      const next = function (err) {
+        expect(err).toBeFalsy();
+      };
+      await authenticateJWT(req, res, next);
+      expect(res.locals).toEqual({});
+    });
+  });
+});
+
+describe("authenticateEventTicket", function () {
+  const user = jwt.decode(testJwt);
+
+  beforeEach(async function () {
+    await db.query(
+      `INSERT INTO users (username, password, first_name, last_name, email)
+           VALUES ('test', 'x', 'T', 'Est', 'test@test.com')`
+    );
+  });
+
+  test("works", async function () {
+    expect.assertions(2);
+    const ticket = await EventTicket.create(user);
+    const req = { query: { ticket } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateEventTicket(req, res, next);
+    expect(res.locals).toEqual({ user });
+  });
+
+  test("works: a header token takes precedence", async function () {
+    expect.assertions(2);
+    const other = { username: "other", isAdmin: false };
+    const ticket = await EventTicket.create(user);
+    const req = { query: { ticket } };
+    const res = { locals: { user: other } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateEventTicket(req, res, next);
+    expect(res.locals.user).toBe(other);
+  });
+
+  test("works: invalid ticket", async function () {
+    expect.assertions(2);
+    const req = { query: { ticket: "nope" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateEventTicket(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  test("works: ignores tickets for revoked tokens", async function () {
+    expect.assertions(2);
+    const ticket = await EventTicket.create(user);
+    await TokenRevocation.revoke(user);
+    const req = { query: { ticket } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateEventTicket(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+});
+
+describe("restrictImpersonation", function () {
+  const impersonating = {
+    username: "test",
+    isAdmin: false,
+    impersonatedBy: "admin",
+  };
+
+  async function auditRows() {
+    const result = await db.query(
+      `SELECT method, path, blocked FROM impersonation_audit`
+    );
+    return result.rows;
+  }
+
+  test("works: reads are allowed and recorded", async function () {
+    expect.assertions(2);
+    const req = { method: "GET", originalUrl: "/users/test" };
+    const res = { locals: { user: impersonating } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await restrictImpersonation(req, res, next);
+    expect(await auditRows()).toEqual([
+      { method: "GET", path: "/users/test", blocked: false },
+    ]);
+  });
+
+  test("forbidden for changes, which are recorded", async function () {
+    expect.assertions(2);
+    const req = { method: "PATCH", originalUrl: "/users/test" };
+    const res = { locals: { user: impersonating } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await restrictImpersonation(req, res, next);
+    expect(await auditRows()).toEqual([
+      { method: "PATCH", path: "/users/test", blocked: true },
+    ]);
+  });
+
+  test("works: the query string isn't recorded", async function () {
+    const req = { method: "GET", originalUrl: "/events?ticket=secret" };
+    const res = { locals: { user: impersonating } };
+    await restrictImpersonation(req, res, function () {});
+    expect(await auditRows()).toEqual([
+      { method: "GET", path: "/events", blocked: false },
+    ]);
+  });
+
+  test("works: normal tokens aren't affected", async function () {
+    expect.assertions(2);
+    const req = { method: "PATCH", originalUrl: "/users/test" };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await restrictImpersonation(req, res, next);
+    expect(await auditRows()).toEqual([]);
+  });
 });
 
 describe("ensureLoggedIn", function () {
@@ -87,6 +353,18 @@ describe("ensureAdmin", function () {
     ensureAdmin(req, res, next);
   });
 
+  test("works: admin role", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: { user: { username: "test", isAdmin: false, roles: ["admin"] } },
+    };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdmin(req, res, next);
+  });
+
   test("unauth if not admin", function () {
     expect.assertions(1);
     const req = {};
@@ -106,6 +384,90 @@ describe("ensureAdmin", function () {
     };
     ensureAdmin(req, res, next);
   });
+
+  test("two-factor login required if configured", function () {
+    expect.assertions(2);
+    config.REQUIRE_ADMIN_MFA = true;
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    ensureAdmin(req, res, function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    });
+    res.locals.user.mfa = true;
+    ensureAdmin(req, res, function (err) {
+      expect(err).toBeFalsy();
+    });
+    config.REQUIRE_ADMIN_MFA = false;
+  });
+});
+
+describe("requirePermission", function () {
+  const requireCompaniesWrite = requirePermission("companies:write");
+
+  test("works: admin", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requireCompaniesWrite(req, res, next);
+  });
+
+  test("works: role with permission", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: {
+        user: { username: "test", isAdmin: false, roles: ["moderator"] },
+      },
+    };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requireCompaniesWrite(req, res, next);
+  });
+
+  test("unauth if no role with permission", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: {
+        user: { username: "test", isAdmin: false, roles: ["candidate"] },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requireCompaniesWrite(req, res, next);
+  });
+
+  test("unauth if anon", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requireCompaniesWrite(req, res, next);
+  });
+
+  test("admin role needs two-factor login if configured", async function () {
+    expect.assertions(2);
+    config.REQUIRE_ADMIN_MFA = true;
+    const req = {};
+    const res = {
+      locals: { user: { username: "test", isAdmin: false, roles: ["admin"] } },
+    };
+    await requireCompaniesWrite(req, res, function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    });
+    res.locals.user.mfa = true;
+    await requireCompaniesWrite(req, res, function (err) {
+      expect(err).toBeFalsy();
+    });
+    config.REQUIRE_ADMIN_MFA = false;
+  });
 });
 
 describe("ensureCorrectUserOrAdmin", function () {
@@ -149,3 +511,35 @@ describe("ensureCorrectUserOrAdmin", function () {
     ensureCorrectUserOrAdmin(req, res, next);
   });
 });
+
+describe("ensureCorrectUser", function () {
+  test("works: same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+
+  test("unauth: admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+
+  test("unauth: if anon", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+});
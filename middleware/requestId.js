@@ -0,0 +1,29 @@
+"use strict";
+
+/** Middleware giving each request an id, to tie together log lines and audit
+ * log entries about the same request. */
+
+const crypto = require("crypto");
+
+// ids passed in by a proxy or client are kept if they look reasonable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/** Middleware: store the request's id on res.locals.requestId and send it
+ * back in an X-Request-Id header.
+ *
+ * The id is taken from the request's own X-Request-Id header, if any; else a
+ * new one is made.
+ */
+
+function assignRequestId(req, res, next) {
+  const given = req.headers && req.headers["x-request-id"];
+  const requestId = REQUEST_ID_PATTERN.test(given || "")
+    ? given
+    : crypto.randomUUID();
+
+  res.locals.requestId = requestId;
+  res.set("X-Request-Id", requestId);
+  return next();
+}
+
+module.exports = { assignRequestId };
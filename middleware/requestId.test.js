@@ -0,0 +1,40 @@
+"use strict";
+
+const { assignRequestId } = require("./requestId");
+
+function run(headers) {
+  const req = { headers };
+  const sent = {};
+  const res = {
+    locals: {},
+    set(name, value) {
+      sent[name] = value;
+    },
+  };
+  const next = jest.fn();
+  assignRequestId(req, res, next);
+  expect(next).toHaveBeenCalledWith();
+  return { requestId: res.locals.requestId, sent };
+}
+
+describe("assignRequestId", function () {
+  test("works: makes a new id", function () {
+    const { requestId, sent } = run({});
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(sent).toEqual({ "X-Request-Id": requestId });
+    expect(run({}).requestId).not.toEqual(requestId);
+  });
+
+  test("works: keeps the client's id", function () {
+    const { requestId, sent } = run({ "x-request-id": "abc-123" });
+    expect(requestId).toEqual("abc-123");
+    expect(sent).toEqual({ "X-Request-Id": "abc-123" });
+  });
+
+  test("ignores unreasonable ids", function () {
+    expect(run({ "x-request-id": "a b" }).requestId).not.toEqual("a b");
+    expect(run({ "x-request-id": "x".repeat(101) }).requestId).toMatch(
+      /^[0-9a-f-]{36}$/
+    );
+  });
+});
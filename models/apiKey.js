@@ -0,0 +1,148 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+
+/** Keys start with this so they're easy to recognize (e.g. by secret
+ * scanners) and can't be confused with JWTs or refresh tokens. */
+const KEY_PREFIX = "j2f_";
+
+/** What each scope lets a key do.
+ *
+ *  read: safe requests only (GET, HEAD, OPTIONS)
+ *  write: any request
+ */
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/** Related functions for personal API keys.
+ *
+ * API keys let scripts act as a user without knowing their password. Like
+ * refresh tokens, only a hash of each key is stored, so the key itself is only
+ * available when it's created.
+ */
+
+class ApiKey {
+  /** Create a new API key for username.
+   *
+   * data should be { name, scopes }; scopes defaults to ["read"].
+   *
+   * Returns { id, name, scopes, prefix, createdAt, lastUsedAt, key }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async create(username, { name, scopes = ["read"] }) {
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const key = KEY_PREFIX + createOpaqueToken();
+
+    const result = await db.query(
+      `INSERT INTO api_keys (username, name, key_hash, prefix, scopes)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id, name, scopes, prefix,
+                     created_at AS "createdAt",
+                     last_used_at AS "lastUsedAt"`,
+      [username, name, hashOpaqueToken(key), key.slice(0, 12), scopes]
+    );
+
+    return { ...result.rows[0], key };
+  }
+
+  /** Find all of username's API keys.
+   *
+   * Returns [{ id, name, scopes, prefix, createdAt, lastUsedAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+      `SELECT id, name, scopes, prefix,
+              created_at AS "createdAt",
+              last_used_at AS "lastUsedAt"
+           FROM api_keys
+           WHERE username = $1
+           ORDER BY id`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Revoke one of username's API keys; returns undefined.
+   *
+   * Throws NotFoundError if username has no such key.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+      `DELETE FROM api_keys
+           WHERE username = $1 AND id = $2
+           RETURNING id`,
+      [username, id]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+  }
+
+  /** Revoke every API key of username; returns undefined. */
+
+  static async revokeAllForUser(username) {
+    await db.query(`DELETE FROM api_keys WHERE username = $1`, [username]);
+  }
+
+  /** Return true if the API key with id still exists (it hasn't been
+   * revoked, and its user hasn't been removed.)
+   **/
+
+  static async exists(id) {
+    const result = await db.query(
+      `SELECT id
+           FROM api_keys
+           WHERE id = $1`,
+      [id]
+    );
+    return result.rows.length > 0;
+  }
+
+  /** Look up a raw API key, recording that it was used.
+   *
+   * Returns { username, isAdmin, roles, apiKeyId, scopes } (shaped like a
+   * token payload, for res.locals.user), or undefined if the key isn't valid.
+   **/
+
+  static async authenticate(key) {
+    if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return;
+
+    const result = await db.query(
+      `UPDATE api_keys AS k
+           SET last_used_at = NOW()
+           FROM users AS u
+           WHERE k.key_hash = $1 AND u.username = k.username
+           RETURNING k.username,
+                     u.is_admin AS "isAdmin",
+                     ARRAY(SELECT role
+                               FROM user_roles
+                               WHERE username = k.username
+                               ORDER BY role) AS roles,
+                     k.id AS "apiKeyId",
+                     k.scopes`,
+      [hashOpaqueToken(key)]
+    );
+
+    return result.rows[0];
+  }
+
+  /** Return true if a key with scopes may make a request with method. */
+
+  static allows(scopes, method) {
+    if (scopes.includes("write")) return true;
+    return scopes.includes("read") && SAFE_METHODS.includes(method);
+  }
+}
+
+module.exports = ApiKey;
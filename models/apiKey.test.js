@@ -0,0 +1,142 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const apiKey = await ApiKey.create("u1", {
+      name: "ATS sync",
+      scopes: ["read", "write"],
+    });
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "ATS sync",
+      scopes: ["read", "write"],
+      prefix: apiKey.key.slice(0, 12),
+      createdAt: expect.any(Date),
+      lastUsedAt: null,
+      key: expect.stringMatching(/^j2f_/),
+    });
+
+    // only the hash is stored
+    const found = await db.query(
+      `SELECT key_hash FROM api_keys WHERE id = $1`,
+      [apiKey.id]
+    );
+    expect(found.rows[0].key_hash).not.toEqual(apiKey.key);
+  });
+
+  test("works: defaults to read scope", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "reports" });
+    expect(apiKey.scopes).toEqual(["read"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await ApiKey.create("nope", { name: "x" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const { id } = await ApiKey.create("u1", { name: "k1" });
+    await ApiKey.create("u2", { name: "k2" });
+    const apiKeys = await ApiKey.findAll("u1");
+    expect(apiKeys).toEqual([
+      {
+        id,
+        name: "k1",
+        scopes: ["read"],
+        prefix: expect.any(String),
+        createdAt: expect.any(Date),
+        lastUsedAt: null,
+      },
+    ]);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { id, key } = await ApiKey.create("u1", { name: "k1" });
+    await ApiKey.revoke("u1", id);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+
+  test("not found if another user's key", async function () {
+    const { id } = await ApiKey.create("u1", { name: "k1" });
+    try {
+      await ApiKey.revoke("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** exists */
+
+describe("exists", function () {
+  test("works", async function () {
+    const { id } = await ApiKey.create("u1", { name: "k1" });
+    expect(await ApiKey.exists(id)).toEqual(true);
+    await ApiKey.revoke("u1", id);
+    expect(await ApiKey.exists(id)).toEqual(false);
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works", async function () {
+    const { id, key } = await ApiKey.create("u1", { name: "k1" });
+    expect(await ApiKey.authenticate(key)).toEqual({
+      username: "u1",
+      isAdmin: false,
+      roles: [],
+      apiKeyId: id,
+      scopes: ["read"],
+    });
+
+    const [found] = await ApiKey.findAll("u1");
+    expect(found.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("undefined for unknown keys", async function () {
+    expect(await ApiKey.authenticate("j2f_nope")).toBeUndefined();
+    expect(await ApiKey.authenticate("nope")).toBeUndefined();
+  });
+});
+
+/************************************** allows */
+
+describe("allows", function () {
+  test("works", function () {
+    expect(ApiKey.allows(["read"], "GET")).toEqual(true);
+    expect(ApiKey.allows(["read"], "POST")).toEqual(false);
+    expect(ApiKey.allows(["write"], "DELETE")).toEqual(true);
+    expect(ApiKey.allows([], "GET")).toEqual(false);
+  });
+});
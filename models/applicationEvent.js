@@ -0,0 +1,78 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for application history: a timeline of when a user
+ * applied to a job, each change of state, and when they unapplied.
+ *
+ * Events are kept after the application itself is deleted, so the timeline
+ * shows it too; they go when the user or job does.
+ */
+
+class ApplicationEvent {
+  /** Record an event; returns undefined.
+   *
+   * event should be
+   *   { username, jobId, event, fromState, toState, actor, note }
+   * where event is "applied", "state_changed" or "unapplied", and actor is
+   * the username of who did it.
+   **/
+
+  static async record({
+    username,
+    jobId,
+    event,
+    fromState = null,
+    toState = null,
+    actor = null,
+    note = null,
+  }) {
+    await db.query(
+      `INSERT INTO application_events
+           (username, job_id, event, from_state, to_state, actor, note)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [username, jobId, event, fromState, toState, actor, note]
+    );
+  }
+
+  /** Given a username and jobId, return the history of the user's
+   * application to the job, oldest first.
+   *
+   * Returns [{ id, event, fromState, toState, actor, note, createdAt }, ...]
+   *
+   * Applications from before history was kept may have none, so this can be
+   * empty. Throws NotFoundError if there's neither history nor an
+   * application (they never applied.)
+   **/
+
+  static async findAll(username, jobId) {
+    const result = await db.query(
+      `SELECT id,
+              event,
+              from_state AS "fromState",
+              to_state AS "toState",
+              actor,
+              note,
+              created_at AS "createdAt"
+           FROM application_events
+           WHERE username = $1 AND job_id = $2
+           ORDER BY created_at, id`,
+      [username, jobId]
+    );
+
+    if (!result.rows.length) {
+      const appRes = await db.query(
+        `SELECT 1
+             FROM applications
+             WHERE username = $1 AND job_id = $2`,
+        [username, jobId]
+      );
+      if (appRes.rows[0]) return [];
+      throw new NotFoundError(`No application history: ${username}, ${jobId}`);
+    }
+    return result.rows;
+  }
+}
+
+module.exports = ApplicationEvent;
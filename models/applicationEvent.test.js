@@ -0,0 +1,106 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const ApplicationEvent = require("./applicationEvent.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works", async function () {
+    await ApplicationEvent.record({
+      username: "u1",
+      jobId: testJobIds[0],
+      event: "state_changed",
+      fromState: "applied",
+      toState: "interviewing",
+      actor: "u2",
+      note: "Phone screen booked",
+    });
+    const result = await db.query(
+      `SELECT username, job_id, event, from_state, to_state, actor, note
+           FROM application_events`
+    );
+    expect(result.rows).toEqual([
+      {
+        username: "u1",
+        job_id: testJobIds[0],
+        event: "state_changed",
+        from_state: "applied",
+        to_state: "interviewing",
+        actor: "u2",
+        note: "Phone screen booked",
+      },
+    ]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: whole timeline, oldest first", async function () {
+    await User.applyToJob("u2", testJobIds[0]);
+    await User.updateAppStatus("u2", testJobIds[0], "offered", "recruiter", {
+      actor: "u1",
+      note: "Great fit",
+    });
+    await User.unapplyFromJob("u2", testJobIds[0]);
+
+    const history = await ApplicationEvent.findAll("u2", testJobIds[0]);
+    expect(history).toEqual([
+      {
+        id: expect.any(Number),
+        event: "applied",
+        fromState: null,
+        toState: "applied",
+        actor: "u2",
+        note: null,
+        createdAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        event: "state_changed",
+        fromState: "applied",
+        toState: "offered",
+        actor: "u1",
+        note: "Great fit",
+        createdAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        event: "unapplied",
+        fromState: "offered",
+        toState: null,
+        actor: "u2",
+        note: null,
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: application from before history was kept", async function () {
+    expect(await ApplicationEvent.findAll("u1", testJobIds[0])).toEqual([]);
+  });
+
+  test("not found if never applied", async function () {
+    try {
+      await ApplicationEvent.findAll("u2", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
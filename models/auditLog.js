@@ -0,0 +1,150 @@
+"use strict";
+
+const db = require("../db");
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/** Related functions for the audit log: a record of who created, changed or
+ * deleted what (companies, jobs, users, etc.), so questions like "who deleted
+ * this company?" can be answered.
+ *
+ * The log is append-only: j2f-schema.sql refuses to change or delete entries.
+ */
+
+class AuditLog {
+  /** Record an entry; returns undefined.
+   *
+   * entry should be
+   *   { actor, action, targetType, targetId, before, after, requestId }
+   * where action is like "company.delete" and before and after are the
+   * target's data before and after (leave out before for creations and after
+   * for deletions.) When both are given, only the fields in both that changed
+   * are kept.
+   **/
+
+  static async record({
+    actor,
+    action,
+    targetType,
+    targetId,
+    before,
+    after,
+    requestId,
+  }) {
+    if (before && after) ({ before, after } = AuditLog._diff(before, after));
+
+    await db.query(
+      `INSERT INTO audit_log
+           (actor, action, target_type, target_id, before, after, request_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        actor,
+        action,
+        targetType,
+        String(targetId),
+        before === undefined ? null : JSON.stringify(before),
+        after === undefined ? null : JSON.stringify(after),
+        requestId,
+      ]
+    );
+  }
+
+  /** Find audit log entries, newest first, a page at a time.
+   *
+   * Takes an optional filter object which can include:
+   *   { actor, action, targetType, targetId, requestId, since, until,
+   *     page, limit }
+   * since and until are timestamps; page starts at 1 and limit defaults to
+   * 20.
+   *
+   * Returns { entries, total, page, limit }
+   *   where entries is [{ id, actor, action, targetType, targetId, before,
+   *                       after, requestId, createdAt }, ...]
+   *   and total is how many entries match, on all pages.
+   **/
+
+  static async findAll(filters = {}) {
+    const page = +filters.page || 1;
+    const limit = +filters.limit || DEFAULT_PAGE_SIZE;
+
+    const whereClauses = [];
+    const values = [];
+    const columns = {
+      actor: "actor",
+      action: "action",
+      targetType: "target_type",
+      targetId: "target_id",
+      requestId: "request_id",
+    };
+    for (const [filter, column] of Object.entries(columns)) {
+      if (filters[filter] !== undefined) {
+        values.push(filters[filter]);
+        whereClauses.push(`${column} = $${values.length}`);
+      }
+    }
+
+    if (filters.since !== undefined) {
+      values.push(filters.since);
+      whereClauses.push(`created_at >= $${values.length}::timestamptz`);
+    }
+
+    if (filters.until !== undefined) {
+      values.push(filters.until);
+      whereClauses.push(`created_at < $${values.length}::timestamptz`);
+    }
+    const where = whereClauses.length
+      ? `WHERE ${whereClauses.join(" AND ")}`
+      : "";
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::integer AS total
+           FROM audit_log
+           ${where}`,
+      values
+    );
+
+    const result = await db.query(
+      `SELECT id,
+              actor,
+              action,
+              target_type AS "targetType",
+              target_id AS "targetId",
+              before,
+              after,
+              request_id AS "requestId",
+              created_at AS "createdAt"
+           FROM audit_log
+           ${where}
+           ORDER BY id DESC
+           LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    return {
+      entries: result.rows,
+      total: countRes.rows[0].total,
+      page,
+      limit,
+    };
+  }
+
+  /** Given a record's data before and after a change, return { before, after }
+   * holding only the fields whose values changed. Fields missing from either
+   * (e.g. ones only included when getting a record) are left out.
+   */
+
+  static _diff(before, after) {
+    const changedBefore = {};
+    const changedAfter = {};
+    for (const [key, value] of Object.entries(after)) {
+      if (!(key in before)) continue;
+      if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+        changedBefore[key] = before[key];
+        changedAfter[key] = value;
+      }
+    }
+    return { before: changedBefore, after: changedAfter };
+  }
+}
+
+module.exports = AuditLog;
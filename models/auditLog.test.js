@@ -0,0 +1,190 @@
+"use strict";
+
+const db = require("../db.js");
+const AuditLog = require("./auditLog.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function addEntries() {
+  await AuditLog.record({
+    actor: "admin",
+    action: "company.create",
+    targetType: "company",
+    targetId: "c4",
+    after: { handle: "c4", name: "C4" },
+    requestId: "req-1",
+  });
+  await AuditLog.record({
+    actor: "u1",
+    action: "job.update",
+    targetType: "job",
+    targetId: 7,
+    before: { title: "Old", salary: 100 },
+    after: { title: "New", salary: 100 },
+    requestId: "req-2",
+  });
+  await AuditLog.record({
+    actor: "admin",
+    action: "company.delete",
+    targetType: "company",
+    targetId: "c4",
+    before: { handle: "c4", name: "C4" },
+    requestId: "req-3",
+  });
+}
+
+/************************************** record */
+
+describe("record", function () {
+  test("works", async function () {
+    await addEntries();
+    const result = await db.query(
+      `SELECT actor, action, target_type, target_id, before, after, request_id
+           FROM audit_log
+           ORDER BY id`
+    );
+    expect(result.rows).toEqual([
+      {
+        actor: "admin",
+        action: "company.create",
+        target_type: "company",
+        target_id: "c4",
+        before: null,
+        after: { handle: "c4", name: "C4" },
+        request_id: "req-1",
+      },
+      {
+        actor: "u1",
+        action: "job.update",
+        target_type: "job",
+        target_id: "7",
+        before: { title: "Old" },
+        after: { title: "New" },
+        request_id: "req-2",
+      },
+      {
+        actor: "admin",
+        action: "company.delete",
+        target_type: "company",
+        target_id: "c4",
+        before: { handle: "c4", name: "C4" },
+        after: null,
+        request_id: "req-3",
+      },
+    ]);
+  });
+
+  test("entries can't be changed", async function () {
+    await addEntries();
+    await expect(
+      db.query("UPDATE audit_log SET actor = 'someone-else'")
+    ).rejects.toThrow("append-only");
+  });
+
+  test("entries can't be deleted", async function () {
+    await addEntries();
+    await expect(db.query("DELETE FROM audit_log")).rejects.toThrow(
+      "append-only"
+    );
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: no filter", async function () {
+    await addEntries();
+    const audit = await AuditLog.findAll();
+    expect(audit).toEqual({
+      entries: [
+        expect.objectContaining({ action: "company.delete" }),
+        expect.objectContaining({ action: "job.update" }),
+        expect.objectContaining({ action: "company.create" }),
+      ],
+      total: 3,
+      page: 1,
+      limit: 20,
+    });
+    expect(audit.entries[1]).toEqual({
+      id: expect.any(Number),
+      actor: "u1",
+      action: "job.update",
+      targetType: "job",
+      targetId: "7",
+      before: { title: "Old" },
+      after: { title: "New" },
+      requestId: "req-2",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works: filters", async function () {
+    await addEntries();
+    let audit = await AuditLog.findAll({ actor: "admin", targetId: "c4" });
+    expect(audit.entries.map((e) => e.action)).toEqual([
+      "company.delete",
+      "company.create",
+    ]);
+
+    audit = await AuditLog.findAll({ action: "job.update" });
+    expect(audit.entries.map((e) => e.requestId)).toEqual(["req-2"]);
+
+    audit = await AuditLog.findAll({
+      targetType: "company",
+      requestId: "req-3",
+    });
+    expect(audit.entries.map((e) => e.action)).toEqual(["company.delete"]);
+  });
+
+  test("works: since and until", async function () {
+    await addEntries();
+    const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    expect((await AuditLog.findAll({ since: past })).total).toEqual(3);
+    expect((await AuditLog.findAll({ since: future })).total).toEqual(0);
+    expect((await AuditLog.findAll({ until: past })).total).toEqual(0);
+  });
+
+  test("works: pages", async function () {
+    await addEntries();
+    const audit = await AuditLog.findAll({ page: "2", limit: "2" });
+    expect(audit).toEqual({
+      entries: [expect.objectContaining({ action: "company.create" })],
+      total: 3,
+      page: 2,
+      limit: 2,
+    });
+  });
+
+  test("works: empty", async function () {
+    expect(await AuditLog.findAll()).toEqual({
+      entries: [],
+      total: 0,
+      page: 1,
+      limit: 20,
+    });
+  });
+});
+
+/************************************** _diff */
+
+describe("_diff", function () {
+  test("works", function () {
+    expect(
+      AuditLog._diff(
+        { name: "Old", numEmployees: 5, jobs: [] },
+        { name: "New", numEmployees: 5, logoUrl: null }
+      )
+    ).toEqual({ before: { name: "Old" }, after: { name: "New" } });
+  });
+});
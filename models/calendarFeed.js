@@ -0,0 +1,55 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+
+/** Related functions for interview calendar feeds.
+ *
+ * Calendar apps fetch a user's feed (see routes/calendar.js) by a secret
+ * token in its URL, since they can't log in. Each user has at most one; a
+ * new one replaces the old, so a leaked URL can be stopped working.
+ */
+
+class CalendarFeed {
+  /** Make a new feed token for username, replacing any old one.
+   *
+   * Returns the token.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async create(username) {
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const token = createOpaqueToken();
+    await db.query(
+      `INSERT INTO calendar_feeds (username, token_hash)
+           VALUES ($1, $2)
+           ON CONFLICT (username)
+           DO UPDATE SET token_hash = $2, created_at = NOW()`,
+      [username, hashOpaqueToken(token)]
+    );
+    return token;
+  }
+
+  /** Return the username whose feed token is token, or undefined. */
+
+  static async findUsername(token) {
+    const result = await db.query(
+      `SELECT username
+           FROM calendar_feeds
+           WHERE token_hash = $1`,
+      [hashOpaqueToken(token)]
+    );
+    return result.rows[0] && result.rows[0].username;
+  }
+}
+
+module.exports = CalendarFeed;
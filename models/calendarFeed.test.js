@@ -0,0 +1,48 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const CalendarFeed = require("./calendarFeed.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const token = await CalendarFeed.create("u1");
+    expect(await CalendarFeed.findUsername(token)).toEqual("u1");
+  });
+
+  test("replaces the old token", async function () {
+    const oldToken = await CalendarFeed.create("u1");
+    const newToken = await CalendarFeed.create("u1");
+    expect(await CalendarFeed.findUsername(oldToken)).toBeUndefined();
+    expect(await CalendarFeed.findUsername(newToken)).toEqual("u1");
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CalendarFeed.create("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findUsername */
+
+describe("findUsername", function () {
+  test("undefined for unknown token", async function () {
+    expect(await CalendarFeed.findUsername("nope")).toBeUndefined();
+  });
+});
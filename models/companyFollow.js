@@ -0,0 +1,84 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for following companies: users who follow a company
+ * are notified when it posts a job (see Notification.newJob.)
+ */
+
+class CompanyFollow {
+  /** Make username follow company handle; following it again does nothing.
+   *
+   * Returns { companyHandle, followedAt }
+   *
+   * Throws NotFoundError if company or user not found.
+   **/
+
+  static async follow(username, handle) {
+    const companyCheck = await db.query(
+      `SELECT handle
+           FROM companies
+           WHERE handle = $1`,
+      [handle]
+    );
+    if (!companyCheck.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+      `INSERT INTO company_follows (username, company_handle)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING`,
+      [username, handle]
+    );
+    const result = await db.query(
+      `SELECT company_handle AS "companyHandle", created_at AS "followedAt"
+           FROM company_follows
+           WHERE username = $1 AND company_handle = $2`,
+      [username, handle]
+    );
+    return result.rows[0];
+  }
+
+  /** Stop username following company handle; returns undefined.
+   *
+   * Throws NotFoundError if they weren't following it.
+   **/
+
+  static async unfollow(username, handle) {
+    const result = await db.query(
+      `DELETE FROM company_follows
+           WHERE username = $1 AND company_handle = $2
+           RETURNING company_handle`,
+      [username, handle]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`Not following: ${handle}`);
+  }
+
+  /** Find the companies username follows.
+   *
+   * Returns [{ handle, name, followedAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+      `SELECT c.handle, c.name, f.created_at AS "followedAt"
+           FROM company_follows AS f
+           JOIN companies AS c ON c.handle = f.company_handle
+           WHERE f.username = $1
+           ORDER BY c.name`,
+      [username]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = CompanyFollow;
@@ -0,0 +1,73 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const CompanyFollow = require("./companyFollow.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** follow */
+
+describe("follow", function () {
+  test("works", async function () {
+    const followed = await CompanyFollow.follow("u1", "c1");
+    expect(followed).toEqual({
+      companyHandle: "c1",
+      followedAt: expect.any(Date),
+    });
+    expect(await CompanyFollow.findAll("u1")).toEqual([
+      { handle: "c1", name: "C1", followedAt: followed.followedAt },
+    ]);
+  });
+
+  test("following again does nothing", async function () {
+    const first = await CompanyFollow.follow("u1", "c1");
+    const again = await CompanyFollow.follow("u1", "c1");
+    expect(again).toEqual(first);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyFollow.follow("u1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyFollow.follow("nope", "c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unfollow */
+
+describe("unfollow", function () {
+  test("works", async function () {
+    await CompanyFollow.follow("u1", "c1");
+    await CompanyFollow.unfollow("u1", "c1");
+    expect(await CompanyFollow.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if not following", async function () {
+    try {
+      await CompanyFollow.unfollow("u1", "c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,134 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for company members: users who act for a company.
+ *
+ * For now the only membership role is "recruiter", which lets a user manage
+ * their company's profile and jobs, and see who applied to those jobs.
+ */
+
+class CompanyMember {
+  /** Make username a member of company handle, with role (default
+   * "recruiter"). Adding an existing member updates their role.
+   *
+   * Returns { companyHandle, username, role }
+   *
+   * Throws NotFoundError if company, user or role not found.
+   **/
+
+  static async add(handle, username, role = "recruiter") {
+    const companyCheck = await db.query(
+      `SELECT handle
+           FROM companies
+           WHERE handle = $1`,
+      [handle]
+    );
+    if (!companyCheck.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const roleCheck = await db.query(
+      `SELECT name
+           FROM roles
+           WHERE name = $1`,
+      [role]
+    );
+    if (!roleCheck.rows[0]) throw new NotFoundError(`No role: ${role}`);
+
+    const result = await db.query(
+      `INSERT INTO company_members (company_handle, username, role)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (company_handle, username) DO UPDATE SET role = $3
+           RETURNING company_handle AS "companyHandle", username, role`,
+      [handle, username, role]
+    );
+    return result.rows[0];
+  }
+
+  /** Find all members of company handle.
+   *
+   * Returns [{ username, firstName, lastName, email, role }, ...]
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async findAll(handle) {
+    const companyCheck = await db.query(
+      `SELECT handle
+           FROM companies
+           WHERE handle = $1`,
+      [handle]
+    );
+    if (!companyCheck.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(
+      `SELECT u.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              u.email,
+              m.role
+           FROM company_members AS m
+           JOIN users AS u ON u.username = m.username
+           WHERE m.company_handle = $1
+           ORDER BY u.username`,
+      [handle]
+    );
+    return result.rows;
+  }
+
+  /** Remove username from company handle; returns undefined.
+   *
+   * Throws NotFoundError if they weren't a member.
+   **/
+
+  static async remove(handle, username) {
+    const result = await db.query(
+      `DELETE FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+      [handle, username]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No member of ${handle}: ${username}`);
+    }
+  }
+
+  /** Return true if username is a recruiter for company handle. */
+
+  static async isRecruiter(username, handle) {
+    const result = await db.query(
+      `SELECT EXISTS (SELECT 1
+                          FROM company_members
+                          WHERE username = $1
+                            AND company_handle = $2
+                            AND role = 'recruiter') AS "isRecruiter"`,
+      [username, handle]
+    );
+    return result.rows[0].isRecruiter;
+  }
+
+  /** Return the usernames of the recruiters for jobId's company. */
+
+  static async findRecruitersForJob(jobId) {
+    const result = await db.query(
+      `SELECT m.username
+           FROM company_members AS m
+           JOIN jobs AS j ON j.company_handle = m.company_handle
+           WHERE j.id = $1 AND m.role = 'recruiter'
+           ORDER BY m.username`,
+      [jobId]
+    );
+    return result.rows.map((m) => m.username);
+  }
+}
+
+module.exports = CompanyMember;
@@ -0,0 +1,144 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const CompanyMember = require("./companyMember.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const member = await CompanyMember.add("c1", "u1");
+    expect(member).toEqual({
+      companyHandle: "c1",
+      username: "u1",
+      role: "recruiter",
+    });
+    expect(await CompanyMember.isRecruiter("u1", "c1")).toEqual(true);
+  });
+
+  test("works: adding twice is fine", async function () {
+    await CompanyMember.add("c1", "u1");
+    await CompanyMember.add("c1", "u1");
+    const members = await CompanyMember.findAll("c1");
+    expect(members.length).toEqual(1);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.add("nope", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyMember.add("c1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such role", async function () {
+    try {
+      await CompanyMember.add("c1", "u1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u2");
+    await CompanyMember.add("c2", "u1");
+    const members = await CompanyMember.findAll("c1");
+    expect(members).toEqual([
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        role: "recruiter",
+      },
+    ]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.findAll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1");
+    await CompanyMember.remove("c1", "u1");
+    expect(await CompanyMember.isRecruiter("u1", "c1")).toEqual(false);
+  });
+
+  test("not found if not a member", async function () {
+    try {
+      await CompanyMember.remove("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** isRecruiter */
+
+describe("isRecruiter", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1");
+    expect(await CompanyMember.isRecruiter("u1", "c1")).toEqual(true);
+    expect(await CompanyMember.isRecruiter("u1", "c2")).toEqual(false);
+    expect(await CompanyMember.isRecruiter("u2", "c1")).toEqual(false);
+  });
+
+  test("other membership roles don't count", async function () {
+    await CompanyMember.add("c1", "u1", "candidate");
+    expect(await CompanyMember.isRecruiter("u1", "c1")).toEqual(false);
+  });
+});
+
+/************************************** findRecruitersForJob */
+
+describe("findRecruitersForJob", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u2");
+    await CompanyMember.add("c1", "u1", "candidate");
+    await CompanyMember.add("c2", "u1");
+    expect(await CompanyMember.findRecruitersForJob(testJobIds[0])).toEqual([
+      "u2",
+    ]);
+  });
+
+  test("none for no such job", async function () {
+    expect(await CompanyMember.findRecruitersForJob(0)).toEqual([]);
+  });
+});
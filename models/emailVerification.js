@@ -0,0 +1,104 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+
+const { EMAIL_VERIFICATION_EXPIRES_HOURS, APP_URL } = require("../config.js");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * A verification token is emailed to the address being verified; only its
+ * hash is stored, along with the address it was sent to. Following the link
+ * marks that address as verified, as long as it's still the user's address.
+ */
+
+class EmailVerification {
+  /** Email a new verification link to username's current address.
+   *
+   * Returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async send(username) {
+    const userRes = await db.query(
+      `SELECT username, email, first_name AS "firstName"
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const token = createOpaqueToken();
+    await db.query(
+      `INSERT INTO email_verification_tokens
+           (token_hash, username, email, expires_at)
+           VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 hour')`,
+      [
+        hashOpaqueToken(token),
+        username,
+        user.email,
+        EMAIL_VERIFICATION_EXPIRES_HOURS,
+      ]
+    );
+
+    await sendMail({
+      to: user.email,
+      subject: "Confirm your J2F email address",
+      text:
+        `Hi ${user.firstName},\n\n` +
+        `Please confirm this is the email address for your J2F account ` +
+        `(${username}) by following this link:\n\n` +
+        `${APP_URL}/verify-email?token=${encodeURIComponent(token)}\n\n` +
+        `The link expires in ${EMAIL_VERIFICATION_EXPIRES_HOURS} hours.`,
+    });
+  }
+
+  /** Given a verification token, mark the address it was sent to as
+   * verified.
+   *
+   * Returns username.
+   *
+   * Throws BadRequestError if token is unknown, expired or already used, or
+   * if the user's address has changed since it was sent.
+   **/
+
+  static async confirm(token) {
+    const result = await db.query(
+      `UPDATE email_verification_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username, email`,
+      [hashOpaqueToken(token)]
+    );
+    const verification = result.rows[0];
+
+    if (!verification) {
+      throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    const userRes = await db.query(
+      `UPDATE users
+           SET email_verified_at = NOW()
+           WHERE username = $1 AND email = $2
+           RETURNING username`,
+      [verification.username, verification.email]
+    );
+
+    if (!userRes.rows[0]) {
+      throw new BadRequestError(
+        "Email address has changed since verification was sent"
+      );
+    }
+
+    return verification.username;
+  }
+}
+
+module.exports = EmailVerification;
@@ -0,0 +1,125 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const { transports } = require("../helpers/mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(function () {
+  transports.memory.sent.length = 0;
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Pull the verification token out of the last email sent. */
+
+function tokenFromMail() {
+  const mail = transports.memory.sent[transports.memory.sent.length - 1];
+  return decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+}
+
+async function isVerified(username) {
+  const result = await db.query(
+    `SELECT email_verified_at IS NOT NULL AS "verified"
+         FROM users
+         WHERE username = $1`,
+    [username]
+  );
+  return result.rows[0].verified;
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    expect(transports.memory.sent).toEqual([
+      {
+        from: expect.any(String),
+        to: "u1@email.com",
+        subject: "Confirm your J2F email address",
+        text: expect.stringContaining("/verify-email?token="),
+      },
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.send("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    expect(await isVerified("u1")).toEqual(false);
+    const username = await EmailVerification.confirm(tokenFromMail());
+    expect(username).toEqual("u1");
+    expect(await isVerified("u1")).toEqual(true);
+    expect(await isVerified("u2")).toEqual(false);
+  });
+
+  test("bad request if token used twice", async function () {
+    await EmailVerification.send("u1");
+    const token = tokenFromMail();
+    await EmailVerification.confirm(token);
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    await EmailVerification.send("u1");
+    await db.query(
+      `UPDATE email_verification_tokens
+           SET expires_at = NOW() - INTERVAL '1 minute'`
+    );
+    try {
+      await EmailVerification.confirm(tokenFromMail());
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await isVerified("u1")).toEqual(false);
+  });
+
+  test("bad request if email changed since sent", async function () {
+    await EmailVerification.send("u1");
+    await db.query(
+      `UPDATE users SET email = 'other@email.com' WHERE username = 'u1'`
+    );
+    try {
+      await EmailVerification.confirm(tokenFromMail());
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await isVerified("u1")).toEqual(false);
+  });
+
+  test("bad request if unknown token", async function () {
+    try {
+      await EmailVerification.confirm("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
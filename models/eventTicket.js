@@ -0,0 +1,60 @@
+"use strict";
+
+const db = require("../db");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { EVENTS_TICKET_EXPIRES_SECONDS } = require("../config");
+
+/** Related functions for tickets to open event streams (GET /events).
+ *
+ * Browsers' EventSource can't send headers, so the stream is opened with a
+ * ticket in the query string rather than the access token itself, which
+ * would end up in logs. A ticket can be used once, and expires after
+ * EVENTS_TICKET_EXPIRES_SECONDS; only its hash is stored.
+ */
+
+class EventTicket {
+  /** Create a ticket for user (a token payload, or an API key's user, as
+   * on res.locals.user.)
+   *
+   * Returns the ticket.
+   **/
+
+  static async create(user) {
+    // expired tickets can't be used, so there's no need to keep them
+    await db.query(`DELETE FROM event_tickets WHERE expires_at < NOW()`);
+
+    const ticket = createOpaqueToken();
+    await db.query(
+      `INSERT INTO event_tickets (ticket_hash, username, payload, expires_at)
+           VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')`,
+      [
+        hashOpaqueToken(ticket),
+        user.username,
+        user,
+        EVENTS_TICKET_EXPIRES_SECONDS,
+      ]
+    );
+    return ticket;
+  }
+
+  /** Use up a ticket.
+   *
+   * Returns the user it was created for, or undefined if the ticket is
+   * unknown, expired or already used.
+   **/
+
+  static async redeem(ticket) {
+    const result = await db.query(
+      `DELETE FROM event_tickets
+           WHERE ticket_hash = $1
+           RETURNING payload, expires_at > NOW() AS "isCurrent"`,
+      [hashOpaqueToken(ticket)]
+    );
+    const row = result.rows[0];
+
+    if (!row || !row.isCurrent) return;
+    return row.payload;
+  }
+}
+
+module.exports = EventTicket;
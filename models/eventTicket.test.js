@@ -0,0 +1,68 @@
+"use strict";
+
+const db = require("../db.js");
+const EventTicket = require("./eventTicket.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const user = { username: "u1", isAdmin: false, jti: "jti1", exp: 2e9 };
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const ticket = await EventTicket.create(user);
+    expect(ticket).toEqual(expect.any(String));
+
+    // only the hash is stored
+    const found = await db.query(`SELECT ticket_hash FROM event_tickets`);
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].ticket_hash).not.toEqual(ticket);
+  });
+
+  test("works: purges expired tickets", async function () {
+    await EventTicket.create(user);
+    await db.query(
+      `UPDATE event_tickets SET expires_at = NOW() - INTERVAL '1 minute'`
+    );
+    await EventTicket.create(user);
+    const found = await db.query(`SELECT ticket_hash FROM event_tickets`);
+    expect(found.rows.length).toEqual(1);
+  });
+});
+
+/************************************** redeem */
+
+describe("redeem", function () {
+  test("works", async function () {
+    const ticket = await EventTicket.create(user);
+    expect(await EventTicket.redeem(ticket)).toEqual(user);
+  });
+
+  test("works only once", async function () {
+    const ticket = await EventTicket.create(user);
+    await EventTicket.redeem(ticket);
+    expect(await EventTicket.redeem(ticket)).toBeUndefined();
+  });
+
+  test("doesn't work if expired", async function () {
+    const ticket = await EventTicket.create(user);
+    await db.query(
+      `UPDATE event_tickets SET expires_at = NOW() - INTERVAL '1 second'`
+    );
+    expect(await EventTicket.redeem(ticket)).toBeUndefined();
+  });
+
+  test("doesn't work if unknown", async function () {
+    expect(await EventTicket.redeem("nope")).toBeUndefined();
+  });
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createImpersonationToken } = require("../helpers/tokens");
+const User = require("./user");
+
+/** Related functions for admins impersonating users.
+ *
+ * Impersonation lets support staff see exactly what a user sees. Starting it
+ * and every request made with the resulting token are recorded in
+ * impersonation_audit.
+ */
+
+class Impersonation {
+  /** Start impersonating username as adminUsername.
+   *
+   * Returns { token }: a short-lived, read-only token for username.
+   *
+   * Throws NotFoundError if user not found, BadRequestError if they are an
+   * admin (admin rights can't be borrowed this way).
+   **/
+
+  static async start(adminUsername, username) {
+    const user = await User.get(username);
+
+    if (user.isAdmin || user.roles.includes("admin")) {
+      throw new BadRequestError(`Can't impersonate an admin: ${username}`);
+    }
+
+    const token = createImpersonationToken({ username: adminUsername }, user);
+    return { token };
+  }
+
+  /** Record a request made while impersonating; returns undefined.
+   *
+   * data should be { adminUsername, username, method, path, blocked }
+   **/
+
+  static async record({ adminUsername, username, method, path, blocked }) {
+    await db.query(
+      `INSERT INTO impersonation_audit
+           (admin_username, username, method, path, blocked)
+           VALUES ($1, $2, $3, $4, $5)`,
+      [adminUsername, username, method, path, blocked || false]
+    );
+  }
+}
+
+module.exports = Impersonation;
@@ -0,0 +1,78 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Impersonation = require("./impersonation.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** start */
+
+describe("start", function () {
+  test("works", async function () {
+    const { token } = await Impersonation.start("admin", "u1");
+    expect(jwt.decode(token)).toEqual(
+      expect.objectContaining({
+        username: "u1",
+        isAdmin: false,
+        impersonatedBy: "admin",
+      })
+    );
+  });
+
+  test("bad request for admins", async function () {
+    await User.update("u2", { isAdmin: true });
+    try {
+      await Impersonation.start("admin", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Impersonation.start("admin", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** record */
+
+describe("record", function () {
+  test("works", async function () {
+    await Impersonation.record({
+      adminUsername: "admin",
+      username: "u1",
+      method: "GET",
+      path: "/users/u1",
+    });
+    const found = await db.query(
+      `SELECT admin_username, username, method, path, blocked
+           FROM impersonation_audit`
+    );
+    expect(found.rows).toEqual([
+      {
+        admin_username: "admin",
+        username: "u1",
+        method: "GET",
+        path: "/users/u1",
+        blocked: false,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,343 @@
+"use strict";
+
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} = require("../expressError");
+const Notification = require("./notification");
+
+// interviews can only be set up while an application is still open
+// (applications without a state count as applied)
+const OPEN_STATES = ["applied", "interviewing", "offered"];
+
+const INTERVIEW_COLUMNS = `id,
+              username,
+              job_id AS "jobId",
+              status,
+              starts_at AS "startsAt",
+              ends_at AS "endsAt",
+              location,
+              meeting_url AS "meetingUrl",
+              participants,
+              proposed_by AS "proposedBy",
+              cancelled_by AS "cancelledBy",
+              created_at AS "createdAt"`;
+
+/** Related functions for interviews.
+ *
+ * Recruiters propose an interview for an application with one or more time
+ * slots; the candidate accepts one of them, which sets when it is. Either
+ * side can cancel it. Nobody (the candidate or a participant) can be in two
+ * accepted interviews at once. The candidate is notified of proposals, and
+ * the interviewers when a time is accepted.
+ *
+ * As for applications (see User.updateAppStatus), methods take the role
+ * they're acting as: "candidate", "recruiter" or "admin".
+ */
+
+class Interview {
+  /** Propose an interview for username's application to jobId.
+   *
+   * data should be { slots, location, meetingUrl, participants }
+   *   where slots are [{ startsAt, endsAt }, ...] (times to choose from) and
+   *   participants are the usernames of the interviewers
+   * actor is the username of who proposed it.
+   *
+   * Returns { id, username, jobId, status, startsAt, endsAt, location,
+   *           meetingUrl, participants, proposedBy, cancelledBy, createdAt,
+   *           slots }
+   *   where slots is [{ id, startsAt, endsAt }, ...]
+   *
+   * Throws NotFoundError if there's no such application (or the job is only
+   * saved), ForbiddenError if role is "candidate", and BadRequestError if the
+   * application isn't open, a participant isn't a user, or a slot is in the
+   * past or clashes with another interview of the candidate or a participant.
+   **/
+
+  static async propose(
+    username,
+    jobId,
+    { slots, location = null, meetingUrl = null, participants = [] },
+    role,
+    { actor = null } = {}
+  ) {
+    if (role === "candidate") {
+      throw new ForbiddenError("Only recruiters can propose interviews");
+    }
+
+    const appRes = await db.query(
+      `SELECT state
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+      [username, jobId]
+    );
+    const application = appRes.rows[0];
+    // a job they've only saved isn't an application recruiters can see
+    if (!application || application.state === "interested") {
+      throw new NotFoundError(`No application: ${username}, ${jobId}`);
+    }
+    const state = application.state || "applied";
+    if (!OPEN_STATES.includes(state)) {
+      throw new BadRequestError(
+        `Can't set up interviews for an application that's ${state}`
+      );
+    }
+
+    const usersRes = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = ANY($1)`,
+      [participants]
+    );
+    const found = usersRes.rows.map((u) => u.username);
+    const missing = participants.filter((p) => !found.includes(p));
+    if (missing.length) {
+      throw new BadRequestError(`No user: ${missing.join(", ")}`);
+    }
+
+    for (const { startsAt, endsAt } of slots) {
+      await Interview._checkSlot([username, ...participants], startsAt, endsAt);
+    }
+
+    const result = await db.query(
+      `INSERT INTO interviews
+           (username, job_id, location, meeting_url, participants,
+            proposed_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id`,
+      [username, jobId, location, meetingUrl, participants, actor]
+    );
+    const id = result.rows[0].id;
+
+    for (const { startsAt, endsAt } of slots) {
+      await db.query(
+        `INSERT INTO interview_slots (interview_id, starts_at, ends_at)
+             VALUES ($1, $2, $3)`,
+        [id, startsAt, endsAt]
+      );
+    }
+
+    const interview = await Interview.get(username, jobId, id);
+    await Notification.interviewProposed(interview);
+    return interview;
+  }
+
+  /** Given an interview id (for username's application to jobId), return
+   * data about it, as for propose.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(username, jobId, id) {
+    const result = await db.query(
+      `SELECT ${INTERVIEW_COLUMNS}
+           FROM interviews
+           WHERE id = $1 AND username = $2 AND job_id = $3`,
+      [id, username, jobId]
+    );
+    const interview = result.rows[0];
+    if (!interview) throw new NotFoundError(`No interview: ${id}`);
+
+    await Interview._addSlots([interview]);
+    return interview;
+  }
+
+  /** Find all interviews for username's application to jobId, oldest first.
+   *
+   * Returns [interview, ...] where interview is as for propose.
+   **/
+
+  static async findAll(username, jobId) {
+    const result = await db.query(
+      `SELECT ${INTERVIEW_COLUMNS}
+           FROM interviews
+           WHERE username = $1 AND job_id = $2
+           ORDER BY id`,
+      [username, jobId]
+    );
+
+    await Interview._addSlots(result.rows);
+    return result.rows;
+  }
+
+  /** Accept a proposed interview, at one of its slots.
+   *
+   * Returns the interview, as for propose.
+   *
+   * Throws NotFoundError if there's no such interview, ForbiddenError if
+   * role is "recruiter", and BadRequestError if it isn't proposed, slotId
+   * isn't one of its slots, or the slot is past or clashes with another
+   * interview (see propose.)
+   **/
+
+  static async accept(username, jobId, id, slotId, role) {
+    if (role === "recruiter") {
+      throw new ForbiddenError("Only the candidate can accept interviews");
+    }
+
+    const interview = await Interview.get(username, jobId, id);
+    if (interview.status !== "proposed") {
+      throw new BadRequestError(`Interview is already ${interview.status}`);
+    }
+    const slot = interview.slots.find((s) => s.id === slotId);
+    if (!slot) throw new BadRequestError(`No slot: ${slotId}`);
+
+    await Interview._checkSlot(
+      [username, ...interview.participants],
+      slot.startsAt,
+      slot.endsAt
+    );
+
+    const result = await db.query(
+      `UPDATE interviews
+           SET status = 'accepted',
+               starts_at = $1,
+               ends_at = $2,
+               updated_at = NOW()
+           WHERE id = $3 AND status = 'proposed'
+           RETURNING id`,
+      [slot.startsAt, slot.endsAt, id]
+    );
+    if (!result.rows[0]) {
+      throw new BadRequestError("Interview was changed; try again");
+    }
+
+    const accepted = await Interview.get(username, jobId, id);
+    await Notification.interviewAccepted(accepted);
+    return accepted;
+  }
+
+  /** Cancel an interview (proposed or accepted); actor is the username of
+   * who cancelled it.
+   *
+   * Returns the interview, as for propose.
+   *
+   * Throws NotFoundError if there's no such interview, and BadRequestError
+   * if it's already cancelled.
+   **/
+
+  static async cancel(username, jobId, id, { actor = null } = {}) {
+    const result = await db.query(
+      `UPDATE interviews
+           SET status = 'cancelled',
+               cancelled_by = $1,
+               updated_at = NOW()
+           WHERE id = $2 AND username = $3 AND job_id = $4
+             AND status <> 'cancelled'
+           RETURNING id`,
+      [actor, id, username, jobId]
+    );
+    if (!result.rows[0]) {
+      await Interview.get(username, jobId, id);
+      throw new BadRequestError("Interview is already cancelled");
+    }
+
+    return await Interview.get(username, jobId, id);
+  }
+
+  /** Find accepted interviews any of usernames (as candidate or participant)
+   * has between startsAt and endsAt.
+   *
+   * Returns [{ id, username, jobId, startsAt, endsAt }, ...]
+   **/
+
+  static async findConflicts(usernames, startsAt, endsAt) {
+    const result = await db.query(
+      `SELECT id,
+              username,
+              job_id AS "jobId",
+              starts_at AS "startsAt",
+              ends_at AS "endsAt"
+           FROM interviews
+           WHERE status = 'accepted'
+             AND starts_at < $3 AND ends_at > $2
+             AND (username = ANY($1) OR participants && $1::VARCHAR(25)[])
+           ORDER BY starts_at`,
+      [usernames, startsAt, endsAt]
+    );
+    return result.rows;
+  }
+
+  /** Find the interviews to show in username's calendar: accepted ones, and
+   * cancelled ones that had been accepted (so calendars remove them), where
+   * they're the candidate or a participant.
+   *
+   * Returns [{ id, username, status, startsAt, endsAt, location,
+   *            meetingUrl, participants, updatedAt, jobTitle,
+   *            companyName }, ...]
+   **/
+
+  static async findForCalendar(username) {
+    const result = await db.query(
+      `SELECT i.id,
+              i.username,
+              i.status,
+              i.starts_at AS "startsAt",
+              i.ends_at AS "endsAt",
+              i.location,
+              i.meeting_url AS "meetingUrl",
+              i.participants,
+              i.updated_at AS "updatedAt",
+              j.title AS "jobTitle",
+              c.name AS "companyName"
+           FROM interviews AS i
+           JOIN jobs AS j ON j.id = i.job_id
+           JOIN companies AS c ON c.handle = j.company_handle
+           WHERE i.starts_at IS NOT NULL
+             AND (i.username = $1 OR $1 = ANY(i.participants))
+           ORDER BY i.starts_at`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Check a slot for an interview with usernames: it must end after it
+   * starts, be in the future and not clash with their other interviews.
+   *
+   * Throws BadRequestError if not.
+   */
+
+  static async _checkSlot(usernames, startsAt, endsAt) {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (!(end > start)) {
+      throw new BadRequestError(`Slot must end after it starts: ${startsAt}`);
+    }
+    if (start <= new Date()) {
+      throw new BadRequestError(`Slot is in the past: ${startsAt}`);
+    }
+
+    const conflicts = await Interview.findConflicts(usernames, start, end);
+    if (conflicts.length) {
+      const ids = conflicts.map((c) => c.id).join(", ");
+      throw new BadRequestError(
+        `Slot at ${start.toISOString()} clashes with interview ${ids}`
+      );
+    }
+  }
+
+  /** Add slots ([{ id, startsAt, endsAt }, ...]) to each of interviews. */
+
+  static async _addSlots(interviews) {
+    const result = await db.query(
+      `SELECT id,
+              interview_id AS "interviewId",
+              starts_at AS "startsAt",
+              ends_at AS "endsAt"
+           FROM interview_slots
+           WHERE interview_id = ANY($1)
+           ORDER BY starts_at, id`,
+      [interviews.map((i) => i.id)]
+    );
+
+    for (const interview of interviews) {
+      interview.slots = result.rows
+        .filter((s) => s.interviewId === interview.id)
+        .map(({ id, startsAt, endsAt }) => ({ id, startsAt, endsAt }));
+    }
+  }
+}
+
+module.exports = Interview;
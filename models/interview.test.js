@@ -0,0 +1,396 @@
+"use strict";
+
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} = require("../expressError");
+const db = require("../db.js");
+const Interview = require("./interview.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const slot1 = {
+  startsAt: "2099-01-01T10:00:00Z",
+  endsAt: "2099-01-01T11:00:00Z",
+};
+const slot2 = {
+  startsAt: "2099-01-02T10:00:00Z",
+  endsAt: "2099-01-02T11:00:00Z",
+};
+
+function propose(jobId = testJobIds[0], data = {}) {
+  return Interview.propose(
+    "u1",
+    jobId,
+    { slots: [slot1, slot2], ...data },
+    "recruiter",
+    { actor: "u2" }
+  );
+}
+
+/************************************** propose */
+
+describe("propose", function () {
+  test("works", async function () {
+    const interview = await propose(testJobIds[0], {
+      location: "Room 1",
+      participants: ["u2"],
+    });
+    expect(interview).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      jobId: testJobIds[0],
+      status: "proposed",
+      startsAt: null,
+      endsAt: null,
+      location: "Room 1",
+      meetingUrl: null,
+      participants: ["u2"],
+      proposedBy: "u2",
+      cancelledBy: null,
+      createdAt: expect.any(Date),
+      slots: [
+        {
+          id: expect.any(Number),
+          startsAt: new Date(slot1.startsAt),
+          endsAt: new Date(slot1.endsAt),
+        },
+        {
+          id: expect.any(Number),
+          startsAt: new Date(slot2.startsAt),
+          endsAt: new Date(slot2.endsAt),
+        },
+      ],
+    });
+  });
+
+  test("forbidden for candidate", async function () {
+    try {
+      await Interview.propose(
+        "u1",
+        testJobIds[0],
+        { slots: [slot1] },
+        "candidate"
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Interview.propose("u2", testJobIds[0], { slots: [slot1] }, "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if the job is only saved", async function () {
+    await db.query(
+      `UPDATE applications SET state = 'interested' WHERE job_id = $1`,
+      [testJobIds[0]]
+    );
+    try {
+      await propose();
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if application is closed", async function () {
+    await db.query(
+      `UPDATE applications SET state = 'rejected' WHERE job_id = $1`,
+      [testJobIds[0]]
+    );
+    try {
+      await propose();
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if participant isn't a user", async function () {
+    try {
+      await propose(testJobIds[0], { participants: ["nope"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("No user: nope");
+    }
+  });
+
+  test("bad request for slots in the past or backwards", async function () {
+    const bad = [
+      { startsAt: "2000-01-01T10:00:00Z", endsAt: "2000-01-01T11:00:00Z" },
+      { startsAt: slot1.endsAt, endsAt: slot1.startsAt },
+    ];
+    for (const slot of bad) {
+      try {
+        await Interview.propose(
+          "u1",
+          testJobIds[0],
+          { slots: [slot] },
+          "admin"
+        );
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request if a slot clashes", async function () {
+    const first = await propose(testJobIds[0]);
+    await Interview.accept(
+      "u1",
+      testJobIds[0],
+      first.id,
+      first.slots[0].id,
+      "candidate"
+    );
+
+    try {
+      await Interview.propose(
+        "u1",
+        testJobIds[1],
+        {
+          slots: [
+            {
+              startsAt: "2099-01-01T10:30:00Z",
+              endsAt: "2099-01-01T11:30:00Z",
+            },
+          ],
+        },
+        "recruiter"
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(
+        `Slot at 2099-01-01T10:30:00.000Z clashes with interview ${first.id}`
+      );
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const interview = await propose();
+    await propose(testJobIds[1]);
+    expect(await Interview.findAll("u1", testJobIds[0])).toEqual([interview]);
+  });
+
+  test("works: none", async function () {
+    expect(await Interview.findAll("u2", testJobIds[0])).toEqual([]);
+  });
+});
+
+/************************************** accept */
+
+describe("accept", function () {
+  test("works", async function () {
+    const { id, slots } = await propose();
+    const interview = await Interview.accept(
+      "u1",
+      testJobIds[0],
+      id,
+      slots[1].id,
+      "candidate"
+    );
+    expect(interview.status).toEqual("accepted");
+    expect(interview.startsAt).toEqual(new Date(slot2.startsAt));
+    expect(interview.endsAt).toEqual(new Date(slot2.endsAt));
+  });
+
+  test("forbidden for recruiter", async function () {
+    const { id, slots } = await propose();
+    try {
+      await Interview.accept("u1", testJobIds[0], id, slots[0].id, "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("bad request for another interview's slot", async function () {
+    const { id } = await propose();
+    const other = await propose(testJobIds[1]);
+    try {
+      await Interview.accept(
+        "u1",
+        testJobIds[0],
+        id,
+        other.slots[0].id,
+        "candidate"
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if it clashes for a participant", async function () {
+    const first = await Interview.propose(
+      "u1",
+      testJobIds[0],
+      { slots: [slot1], participants: ["u2"] },
+      "recruiter"
+    );
+    await Interview.accept(
+      "u1",
+      testJobIds[0],
+      first.id,
+      first.slots[0].id,
+      "candidate"
+    );
+
+    // u2 interviews u1 for job 0, so can't be interviewed then either
+    await db.query(
+      `INSERT INTO applications (username, job_id) VALUES ('u2', $1)`,
+      [testJobIds[1]]
+    );
+    const second = await Interview.propose(
+      "u2",
+      testJobIds[1],
+      { slots: [slot2, { startsAt: slot1.startsAt, endsAt: slot1.endsAt }] },
+      "recruiter"
+    ).catch((err) => err);
+    expect(second instanceof BadRequestError).toBeTruthy();
+  });
+
+  test("bad request if not proposed", async function () {
+    const { id, slots } = await propose();
+    await Interview.cancel("u1", testJobIds[0], id);
+    try {
+      await Interview.accept("u1", testJobIds[0], id, slots[0].id, "candidate");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Interview is already cancelled");
+    }
+  });
+
+  test("not found if no such interview", async function () {
+    try {
+      await Interview.accept("u1", testJobIds[0], 0, 0, "candidate");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** cancel */
+
+describe("cancel", function () {
+  test("works", async function () {
+    const { id } = await propose();
+    const interview = await Interview.cancel("u1", testJobIds[0], id, {
+      actor: "u1",
+    });
+    expect(interview.status).toEqual("cancelled");
+    expect(interview.cancelledBy).toEqual("u1");
+  });
+
+  test("frees the time", async function () {
+    const first = await propose();
+    await Interview.accept(
+      "u1",
+      testJobIds[0],
+      first.id,
+      first.slots[0].id,
+      "candidate"
+    );
+    await Interview.cancel("u1", testJobIds[0], first.id);
+
+    const second = await propose(testJobIds[1]);
+    expect(second.status).toEqual("proposed");
+  });
+
+  test("bad request if already cancelled", async function () {
+    const { id } = await propose();
+    await Interview.cancel("u1", testJobIds[0], id);
+    try {
+      await Interview.cancel("u1", testJobIds[0], id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such interview", async function () {
+    try {
+      await Interview.cancel("u1", testJobIds[0], 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForCalendar */
+
+describe("findForCalendar", function () {
+  test("works, for candidate and participants", async function () {
+    const first = await propose(testJobIds[0], { participants: ["u2"] });
+    await Interview.accept(
+      "u1",
+      testJobIds[0],
+      first.id,
+      first.slots[0].id,
+      "candidate"
+    );
+    // proposed interviews have no time yet
+    await Interview.propose("u1", testJobIds[1], { slots: [slot2] }, "admin");
+
+    const expected = [
+      {
+        id: first.id,
+        username: "u1",
+        status: "accepted",
+        startsAt: new Date(slot1.startsAt),
+        endsAt: new Date(slot1.endsAt),
+        location: null,
+        meetingUrl: null,
+        participants: ["u2"],
+        updatedAt: expect.any(Date),
+        jobTitle: "j1",
+        companyName: "C1",
+      },
+    ];
+    expect(await Interview.findForCalendar("u1")).toEqual(expected);
+    expect(await Interview.findForCalendar("u2")).toEqual(expected);
+  });
+
+  test("keeps cancelled interviews that had a time", async function () {
+    const first = await propose();
+    await Interview.accept(
+      "u1",
+      testJobIds[0],
+      first.id,
+      first.slots[0].id,
+      "candidate"
+    );
+    await Interview.cancel("u1", testJobIds[0], first.id);
+
+    const interviews = await Interview.findForCalendar("u1");
+    expect(interviews.map((i) => i.status)).toEqual(["cancelled"]);
+  });
+});
@@ -1,20 +1,42 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { checkQuestions } = require("../helpers/screening");
+const SavedSearch = require("./savedSearch");
+const Notification = require("./notification");
+const { publish } = require("../helpers/events");
+
+// what applicants can be sorted by (see getApplicants), and the SQL
+const APPLICATION_SORTS = {
+  appliedAt: "a.applied_at",
+  lastName: "u.last_name",
+  state: "COALESCE(a.state, 'applied')",
+  username: "u.username",
+};
 
 /** Related functions for jobs. */
 
 class Job {
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, companyHandle }
+   * data should be { title, salary, equity, companyHandle, screeningQuestions }
+   * where screeningQuestions (optional) are asked of candidates when they
+   * apply; see helpers/screening.js. Alerts are queued for the saved
+   * searches it matches (see SavedSearch.queueAlerts; sending them is up to
+   * the caller), and the company's followers notified.
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Returns { id, title, salary, equity, companyHandle, screeningQuestions }
    *
    * Throws BadRequestError if comapanyHandle doesn't exist
    * */
 
-  static async create({ title, salary, equity, companyHandle }) {
+  static async create({
+    title,
+    salary,
+    equity,
+    companyHandle,
+    screeningQuestions = [],
+  }) {
     const checkCompanyExists = await db.query(
       `SELECT handle
        FROM companies
@@ -24,15 +46,20 @@ class Job {
     if (checkCompanyExists.rows[0] === undefined) {
       throw new BadRequestError(`Company does not exist: ${companyHandle}`);
     }
+    checkQuestions(screeningQuestions);
 
     const result = await db.query(
       `INSERT INTO jobs
-           (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
-      [title, salary, equity, companyHandle]
+           (title, salary, equity, company_handle, screening_questions)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id, title, salary, equity,
+                     company_handle AS "companyHandle",
+                     screening_questions AS "screeningQuestions"`,
+      [title, salary, equity, companyHandle, JSON.stringify(screeningQuestions)]
     );
     const job = result.rows[0];
+    await SavedSearch.queueAlerts(job);
+    await Notification.newJob(job);
 
     return job;
   }
@@ -89,7 +116,7 @@ class Job {
 
   /** Given a job id, return data about the job.
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Returns { id, title, salary, equity, screeningQuestions, company }
    *
    * Throws NotFoundError if not found.
    * */
@@ -100,7 +127,8 @@ class Job {
               title, 
               salary, 
               equity, 
-              company_handle AS "companyHandle"
+              company_handle AS "companyHandle",
+              screening_questions AS "screeningQuestions"
            FROM jobs
            WHERE id = $1`,
       [id]
@@ -167,15 +195,28 @@ class Job {
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {title, salary, equity}
+   * Data can include: {title, salary, equity, screeningQuestions}
    *
-   * Returns {id, title, salary, equity, companyHandle }
+   * Returns {id, title, salary, equity, companyHandle, screeningQuestions }
+   *
+   * Users who've applied to or saved the job are sent a jobUpdated event (see
+   * helpers/events.js.)
    *
    * Throws NotFoundError if not found.
    */
 
   static async update(id, data) {
-    const { setCols, values } = sqlForPartialUpdate(data);
+    if (data.screeningQuestions) {
+      checkQuestions(data.screeningQuestions);
+      data = {
+        ...data,
+        screeningQuestions: JSON.stringify(data.screeningQuestions),
+      };
+    }
+
+    const { setCols, values } = sqlForPartialUpdate(data, {
+      screeningQuestions: "screening_questions",
+    });
     const idVarIdx = `$${values.length + 1}`;
 
     const querySql = `UPDATE jobs 
@@ -185,21 +226,29 @@ class Job {
                                 title, 
                                 salary, 
                                 equity, 
-                                company_handle AS "companyHandle"`;
+                                company_handle AS "companyHandle",
+                                screening_questions AS "screeningQuestions"`;
     const result = await db.query(querySql, [...values, id]);
     const job = result.rows[0];
 
     if (!job) throw new NotFoundError(`No job: ${id}`);
 
+    await publish(await Job._findCandidates(id), "jobUpdated", {
+      jobId: job.id,
+    });
     return job;
   }
 
   /** Delete given job from database; returns id of job removed.
+   *
+   * Users who'd applied to or saved it are sent a jobRemoved event.
    *
    * Throws NotFoundError if job not found.
    * */
 
   static async remove(id) {
+    // their applications go with the job, so find them first
+    const candidates = await Job._findCandidates(id);
     const result = await db.query(
       `DELETE
            FROM jobs
@@ -210,9 +259,95 @@ class Job {
     const job = result.rows[0];
 
     if (!job) throw new NotFoundError(`No job: ${id}`);
+
+    await publish(candidates, "jobRemoved", { jobId: job.id });
+  }
+
+  /** Given a job id, return the handle of the company it's for.
+   *
+   * Throws NotFoundError if job not found.
+   * */
+
+  static async getCompanyHandle(id) {
+    const result = await db.query(
+      `SELECT company_handle AS "companyHandle"
+           FROM jobs
+           WHERE id = $1`,
+      [id]
+    );
+    const job = result.rows[0];
+
+    if (!job) throw new NotFoundError(`No job: ${id}`);
+
+    return job.companyHandle;
   }
-}
 
-  
+  /** Given a job id, return the users who have applied to it (not those
+   * who've only saved it), for recruiters.
+   *
+   * Takes an optional filter object which can include:
+   *   { state, sort }
+   * state is a list of states to include (applications without a state count
+   * as applied); sort is "username" (the default), "appliedAt", "lastName"
+   * or "state" (in the order applications move through), or one of these
+   * starting with "-" for descending order.
+   *
+   * Returns [{ username, firstName, lastName, email, state, appliedAt,
+   *            coverLetter, resume, answers }, ...]
+   *   where resume is { id, title, url } or null
+   *
+   * Throws NotFoundError if job not found, BadRequestError if sort is invalid.
+   * */
+
+  static async getApplicants(id, { state, sort = "username" } = {}) {
+    await Job.getCompanyHandle(id);
+
+    const descending = sort.startsWith("-");
+    const orderBy = APPLICATION_SORTS[sort.replace(/^-/, "")];
+    if (!orderBy) throw new BadRequestError(`Invalid sort: ${sort}`);
+
+    const queryValues = [id];
+    let stateSql = "";
+    if (state !== undefined) {
+      queryValues.push(state);
+      stateSql = `AND COALESCE(a.state, 'applied') = ANY($2)`;
+    }
+
+    const result = await db.query(
+      `SELECT u.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              u.email,
+              a.state,
+              a.applied_at AS "appliedAt",
+              a.cover_letter AS "coverLetter",
+              (SELECT json_build_object('id', r.id, 'title', r.title,
+                                        'url', r.url)
+                   FROM resumes AS r
+                   WHERE r.id = a.resume_id) AS resume,
+              a.answers
+           FROM applications AS a
+           JOIN users AS u ON u.username = a.username
+           WHERE a.job_id = $1 AND a.state IS DISTINCT FROM 'interested'
+             ${stateSql}
+           ORDER BY ${orderBy} ${descending ? "DESC" : "ASC"}, u.username`,
+      queryValues
+    );
+
+    return result.rows;
+  }
+
+  /** Return the usernames of those who've applied to or saved job id. */
+
+  static async _findCandidates(id) {
+    const result = await db.query(
+      `SELECT username
+           FROM applications
+           WHERE job_id = $1`,
+      [id]
+    );
+    return result.rows.map((a) => a.username);
+  }
+}
 
 module.exports = Job;
@@ -1,11 +1,14 @@
 const db = require("../db.js");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const Job = require("./job.js");
+const User = require("./user.js");
+const Resume = require("./resume.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -30,6 +33,7 @@ describe("create", () => {
       salary: 500,
       equity: "0.5",
       companyHandle: "c1",
+      screeningQuestions: [],
       id: expect.any(Number),
     });
 
@@ -48,6 +52,30 @@ describe("create", () => {
     ]);
   });
 
+  test("works: with screening questions", async () => {
+    const screeningQuestions = [
+      { id: "visa", prompt: "Need a visa?", type: "yesNo", required: true },
+      { id: "level", prompt: "Level?", type: "choice", choices: ["jr", "sr"] },
+    ];
+    const job = await Job.create({ ...newJob, screeningQuestions });
+    expect(job.screeningQuestions).toEqual(screeningQuestions);
+  });
+
+  test("bad request with duplicate screening question ids", async () => {
+    try {
+      await Job.create({
+        ...newJob,
+        screeningQuestions: [
+          { id: "q", prompt: "One?", type: "text" },
+          { id: "q", prompt: "Two?", type: "text" },
+        ],
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("bad request if company handle doesn't exist", async () => {
     const newJobBadData = {
       title: "new",
@@ -233,6 +261,7 @@ describe("get", () => {
       title: "new",
       salary: 500,
       equity: "0.5",
+      screeningQuestions: [],
       company: {
       description: "Desc1",
       handle: "c1",
@@ -326,6 +355,7 @@ describe("update", () => {
       salary: 500,
       equity: "0.5",
       companyHandle: "c1",
+      screeningQuestions: [],
     });
 
     const result = await db.query(
@@ -358,6 +388,7 @@ describe("update", () => {
       salary: null,
       equity: null,
       companyHandle: "c1",
+      screeningQuestions: [],
     });
 
     const result = await db.query(
@@ -376,6 +407,29 @@ describe("update", () => {
     ]);
   });
 
+  test("works: screening questions", async () => {
+    const screeningQuestions = [
+      { id: "why", prompt: "Why us?", type: "text", required: true },
+    ];
+    const job = await Job.update(id, {
+      title: "newUpdate",
+      screeningQuestions,
+    });
+    expect(job.screeningQuestions).toEqual(screeningQuestions);
+  });
+
+  test("bad request for choice question without choices", async () => {
+    try {
+      await Job.update(id, {
+        title: "newUpdate",
+        screeningQuestions: [{ id: "pick", prompt: "Pick?", type: "choice" }],
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("not found if no such job", async () => {
     try {
       await Job.update(0, updateData);
@@ -423,3 +477,138 @@ describe("remove", () => {
     }
   });
 });
+
+/** ************************************ getCompanyHandle */
+
+describe("getCompanyHandle", () => {
+  test("works", async () => {
+    expect(await Job.getCompanyHandle(testJobIds[1])).toEqual("c2");
+  });
+
+  test("not found if no such job", async () => {
+    try {
+      await Job.getCompanyHandle(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/** ************************************ getApplicants */
+
+describe("getApplicants", () => {
+  test("works", async () => {
+    const applicants = await Job.getApplicants(testJobIds[0]);
+    expect(applicants).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        state: null,
+        appliedAt: expect.any(Date),
+        coverLetter: null,
+        resume: null,
+        answers: {},
+      },
+    ]);
+  });
+
+  test("works: with what they applied with", async () => {
+    const resume = await Resume.create("u2", {
+      title: "CV",
+      url: "http://cv.example.com/u2.pdf",
+    });
+    await User.applyToJob("u2", testJobIds[0], {
+      coverLetter: "Dear C1",
+      resumeId: resume.id,
+    });
+
+    const applicants = await Job.getApplicants(testJobIds[0]);
+    expect(applicants[1]).toEqual({
+      username: "u2",
+      firstName: "U2F",
+      lastName: "U2L",
+      email: "u2@email.com",
+      state: "applied",
+      appliedAt: expect.any(Date),
+      coverLetter: "Dear C1",
+      resume: {
+        id: resume.id,
+        title: "CV",
+        url: "http://cv.example.com/u2.pdf",
+      },
+      answers: {},
+    });
+  });
+
+  test("works: filter by state (none counts as applied)", async () => {
+    await User.applyToJob("u2", testJobIds[0]);
+    await User.updateAppStatus("u2", testJobIds[0], "offered", "recruiter");
+
+    const offered = await Job.getApplicants(testJobIds[0], {
+      state: ["offered"],
+    });
+    expect(offered.map((a) => a.username)).toEqual(["u2"]);
+
+    const applied = await Job.getApplicants(testJobIds[0], {
+      state: ["applied", "interviewing"],
+    });
+    expect(applied.map((a) => a.username)).toEqual(["u1"]);
+  });
+
+  test("works: sort", async () => {
+    await User.applyToJob("u2", testJobIds[0]);
+    await User.updateAppStatus("u2", testJobIds[0], "offered", "recruiter");
+    await db.query(
+      `UPDATE applications SET applied_at = NOW() - INTERVAL '1 day'
+           WHERE username = 'u2'`
+    );
+
+    const byUsername = await Job.getApplicants(testJobIds[0]);
+    expect(byUsername.map((a) => a.username)).toEqual(["u1", "u2"]);
+
+    const byAppliedAt = await Job.getApplicants(testJobIds[0], {
+      sort: "appliedAt",
+    });
+    expect(byAppliedAt.map((a) => a.username)).toEqual(["u2", "u1"]);
+
+    const byState = await Job.getApplicants(testJobIds[0], {
+      sort: "-state",
+    });
+    expect(byState.map((a) => a.username)).toEqual(["u2", "u1"]);
+
+    const byLastName = await Job.getApplicants(testJobIds[0], {
+      sort: "-lastName",
+    });
+    expect(byLastName.map((a) => a.username)).toEqual(["u2", "u1"]);
+  });
+
+  test("works: no applicants", async () => {
+    expect(await Job.getApplicants(testJobIds[2])).toEqual([]);
+  });
+
+  test("leaves out users who only saved the job", async () => {
+    await User.saveJob("u2", testJobIds[2]);
+    expect(await Job.getApplicants(testJobIds[2])).toEqual([]);
+  });
+
+  test("bad request for invalid sort", async () => {
+    try {
+      await Job.getApplicants(testJobIds[0], { sort: "salary" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async () => {
+    try {
+      await Job.getApplicants(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
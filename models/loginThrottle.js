@@ -0,0 +1,144 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError, LockedError } = require("../expressError");
+
+const {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_IP_FREE_ATTEMPTS,
+  LOGIN_BACKOFF_MAX_SECONDS,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+} = require("../config.js");
+
+/** Related functions for slowing down password guessing.
+ *
+ * Failed logins are counted per username and per client IP address. See
+ * config.js for how counts turn into backoff and lockout.
+ */
+
+class LoginThrottle {
+  /** Throw if a login attempt for username from ip isn't allowed yet.
+   *
+   * ip may be undefined, in which case only the username is checked.
+   *
+   * Throws LockedError if the account is locked, or TooManyRequestsError if
+   * the caller must wait before trying again. Both carry retryAfter (seconds).
+   **/
+
+  static async check(username, ip) {
+    const result = await db.query(
+      `SELECT kind,
+              failures,
+              EXTRACT(EPOCH FROM NOW() - last_failed_at)::float AS "secondsSince",
+              EXTRACT(EPOCH FROM locked_until - NOW())::float AS "lockedFor"
+           FROM login_failures
+           WHERE (kind = 'username' AND value = $1)
+              OR (kind = 'ip' AND value = $2)`,
+      [username, ip || null]
+    );
+
+    for (const row of result.rows) {
+      if (row.lockedFor > 0) {
+        throw new LockedError(
+          "Account locked after too many failed logins; try again later",
+          Math.ceil(row.lockedFor)
+        );
+      }
+    }
+
+    for (const row of result.rows) {
+      const freeAttempts =
+        row.kind === "ip" ? LOGIN_IP_FREE_ATTEMPTS : LOGIN_FREE_ATTEMPTS;
+      const wait =
+        LoginThrottle._backoffSeconds(row.failures, freeAttempts) -
+        row.secondsSince;
+      if (wait > 0) {
+        throw new TooManyRequestsError(
+          "Too many failed logins; try again later",
+          Math.ceil(wait)
+        );
+      }
+    }
+  }
+
+  /** Record a failed login for username from ip, locking the account once
+   * it reaches LOGIN_LOCKOUT_THRESHOLD failures.
+   *
+   * Returns undefined.
+   **/
+
+  static async recordFailure(username, ip) {
+    const failures = await LoginThrottle._increment("username", username);
+    if (ip) await LoginThrottle._increment("ip", ip);
+
+    if (failures >= LOGIN_LOCKOUT_THRESHOLD) {
+      await db.query(
+        `UPDATE login_failures
+             SET locked_until = NOW() + $2 * INTERVAL '1 minute'
+             WHERE kind = 'username' AND value = $1`,
+        [username, LOGIN_LOCKOUT_MINUTES]
+      );
+    }
+  }
+
+  /** Clear failures for username after a successful login.
+   *
+   * Failures from the IP address are kept, so an attacker can't reset their
+   * count by logging into an account of their own. Returns undefined.
+   **/
+
+  static async recordSuccess(username) {
+    await LoginThrottle.unlock(username);
+  }
+
+  /** Clear failures and any lock for username; returns undefined. */
+
+  static async unlock(username) {
+    await db.query(
+      `DELETE FROM login_failures
+           WHERE kind = 'username' AND value = $1`,
+      [username]
+    );
+  }
+
+  /** Add a failure for (kind, value), starting over if the last one was
+   * longer ago than LOGIN_FAILURE_WINDOW_MINUTES.
+   *
+   * Returns the new failure count.
+   **/
+
+  static async _increment(kind, value) {
+    const result = await db.query(
+      `INSERT INTO login_failures (kind, value, failures, last_failed_at)
+           VALUES ($1, $2, 1, NOW())
+           ON CONFLICT (kind, value) DO UPDATE
+             SET failures = CASE
+                   WHEN login_failures.last_failed_at
+                        < NOW() - $3 * INTERVAL '1 minute'
+                   THEN 1
+                   ELSE login_failures.failures + 1
+                 END,
+                 last_failed_at = NOW()
+           RETURNING failures`,
+      [kind, value, LOGIN_FAILURE_WINDOW_MINUTES]
+    );
+    return result.rows[0].failures;
+  }
+
+  /** Seconds to wait after the last of `failures` failed logins:
+   * 0 for the first freeAttempts, then 1, 2, 4, ... up to
+   * LOGIN_BACKOFF_MAX_SECONDS.
+   */
+
+  static _backoffSeconds(failures, freeAttempts) {
+    if (failures < freeAttempts) return 0;
+    return Math.min(
+      2 ** (failures - freeAttempts),
+      LOGIN_BACKOFF_MAX_SECONDS
+    );
+  }
+}
+
+module.exports = LoginThrottle;
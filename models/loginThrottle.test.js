@@ -0,0 +1,126 @@
+"use strict";
+
+const { TooManyRequestsError, LockedError } = require("../expressError");
+const db = require("../db.js");
+const LoginThrottle = require("./loginThrottle.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Record n failures for username from ip. */
+
+async function failLogins(n, username = "u1", ip = "1.2.3.4") {
+  for (let i = 0; i < n; i++) {
+    await LoginThrottle.recordFailure(username, ip);
+  }
+}
+
+/************************************** check */
+
+describe("check", function () {
+  test("works: no failures", async function () {
+    await LoginThrottle.check("u1", "1.2.3.4");
+  });
+
+  test("works: free attempts", async function () {
+    await failLogins(2);
+    await LoginThrottle.check("u1", "1.2.3.4");
+  });
+
+  test("too many requests after free attempts", async function () {
+    await failLogins(3);
+    try {
+      await LoginThrottle.check("u1", "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(1);
+    }
+  });
+
+  test("works: backoff over", async function () {
+    await failLogins(3);
+    await db.query(
+      `UPDATE login_failures SET last_failed_at = NOW() - INTERVAL '2 seconds'`
+    );
+    await LoginThrottle.check("u1", "1.2.3.4");
+  });
+
+  test("too many requests per ip, across usernames", async function () {
+    for (let i = 0; i < 20; i++) {
+      await LoginThrottle.recordFailure(`user${i}`, "1.2.3.4");
+    }
+    await LoginThrottle.check("u1", "5.6.7.8");
+    try {
+      await LoginThrottle.check("u1", "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+  });
+
+  test("locked after threshold", async function () {
+    await failLogins(10);
+    try {
+      await LoginThrottle.check("u1", "5.6.7.8");
+      fail();
+    } catch (err) {
+      expect(err instanceof LockedError).toBeTruthy();
+      expect(err.retryAfter).toEqual(30 * 60);
+    }
+  });
+
+  test("works: failures start over after window", async function () {
+    await failLogins(9);
+    await db.query(
+      `UPDATE login_failures SET last_failed_at = NOW() - INTERVAL '1 hour'`
+    );
+    await failLogins(1);
+    await LoginThrottle.check("u1", "1.2.3.4");
+  });
+});
+
+/************************************** recordSuccess */
+
+describe("recordSuccess", function () {
+  test("clears username but not ip failures", async function () {
+    await failLogins(3);
+    await LoginThrottle.recordSuccess("u1");
+    const result = await db.query(
+      `SELECT kind, value, failures FROM login_failures`
+    );
+    expect(result.rows).toEqual([
+      { kind: "ip", value: "1.2.3.4", failures: 3 },
+    ]);
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await failLogins(10, "u1", undefined);
+    await LoginThrottle.unlock("u1");
+    await LoginThrottle.check("u1");
+  });
+});
+
+/************************************** _backoffSeconds */
+
+describe("_backoffSeconds", function () {
+  test("works", function () {
+    expect(LoginThrottle._backoffSeconds(0, 3)).toEqual(0);
+    expect(LoginThrottle._backoffSeconds(2, 3)).toEqual(0);
+    expect(LoginThrottle._backoffSeconds(3, 3)).toEqual(1);
+    expect(LoginThrottle._backoffSeconds(5, 3)).toEqual(4);
+    expect(LoginThrottle._backoffSeconds(50, 3)).toEqual(300);
+  });
+});
@@ -0,0 +1,236 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+} = require("../expressError");
+const totp = require("../helpers/totp");
+const { hashOpaqueToken } = require("../helpers/tokens");
+const LoginThrottle = require("./loginThrottle");
+const RefreshToken = require("./refreshToken");
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** Related functions for two-factor authentication (TOTP).
+ *
+ * Enrolling stores a new secret that isn't used until the user proves their
+ * authenticator app has it by activating with a code. Activation hands out
+ * single-use recovery codes (stored hashed) for when the app is lost.
+ */
+
+class Mfa {
+  /** Start two-factor enrollment for username, replacing any unconfirmed
+   * earlier attempt.
+   *
+   * Returns { secret, otpauthUri } for the user's authenticator app.
+   *
+   * Throws NotFoundError if user not found, BadRequestError if two-factor
+   * authentication is already enabled.
+   **/
+
+  static async enroll(username) {
+    const userCheck = await db.query(
+      `SELECT u.username, m.enabled_at AS "enabledAt"
+           FROM users AS u
+           LEFT JOIN user_mfa AS m ON m.username = u.username
+           WHERE u.username = $1`,
+      [username]
+    );
+    const user = userCheck.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.enabledAt) {
+      throw new BadRequestError(
+        `Two-factor authentication already enabled: ${username}`
+      );
+    }
+
+    const secret = totp.generateSecret();
+    await db.query(
+      `INSERT INTO user_mfa (username, secret)
+           VALUES ($1, $2)
+           ON CONFLICT (username) DO UPDATE
+             SET secret = $2, last_used_step = -1`,
+      [username, secret]
+    );
+
+    const otpauthUri = totp.otpauthUri({
+      secret,
+      accountName: username,
+      issuer: "J2F",
+    });
+    return { secret, otpauthUri };
+  }
+
+  /** Finish enrollment by checking a code from the authenticator app.
+   *
+   * The user's refresh tokens are revoked, since they were issued without a
+   * second factor; they'll log in again with one once their access tokens
+   * expire.
+   *
+   * Returns { recoveryCodes }: this is the only time they are available.
+   *
+   * Throws BadRequestError if there's no pending enrollment or the code is
+   * wrong.
+   **/
+
+  static async activate(username, code) {
+    const mfaRes = await db.query(
+      `SELECT secret
+           FROM user_mfa
+           WHERE username = $1 AND enabled_at IS NULL`,
+      [username]
+    );
+    const pending = mfaRes.rows[0];
+
+    if (!pending) {
+      throw new BadRequestError(`No two-factor enrollment for: ${username}`);
+    }
+
+    const step = totp.verifyCode(pending.secret, code);
+    if (step === null) throw new BadRequestError("Invalid two-factor code");
+
+    await db.query(
+      `UPDATE user_mfa
+           SET enabled_at = NOW(), last_used_step = $2
+           WHERE username = $1`,
+      [username, step]
+    );
+    await RefreshToken.revokeAllForUser(username);
+
+    const recoveryCodes = await Mfa._createRecoveryCodes(username);
+    return { recoveryCodes };
+  }
+
+  /** Return true if username has two-factor authentication enabled. */
+
+  static async isEnabled(username) {
+    const result = await db.query(
+      `SELECT username
+           FROM user_mfa
+           WHERE username = $1 AND enabled_at IS NOT NULL`,
+      [username]
+    );
+    return result.rows.length > 0;
+  }
+
+  /** Check a second-factor code for username, from client address ip.
+   *
+   * code may be a current code from the authenticator app (each can only be
+   * used once) or an unused recovery code.
+   *
+   * Returns undefined. Throws UnauthorizedError if the code is wrong; wrong
+   * codes count as failed logins (see LoginThrottle.)
+   **/
+
+  static async verify(username, code, ip) {
+    await LoginThrottle.check(username, ip);
+
+    const mfaRes = await db.query(
+      `SELECT secret, last_used_step AS "lastUsedStep"
+           FROM user_mfa
+           WHERE username = $1 AND enabled_at IS NOT NULL`,
+      [username]
+    );
+    const mfa = mfaRes.rows[0];
+
+    if (mfa) {
+      const step = totp.verifyCode(mfa.secret, code, +mfa.lastUsedStep);
+      if (step !== null) {
+        // claim the code, unless a concurrent request used it (or a later
+        // one) since it was checked
+        const claimRes = await db.query(
+          `UPDATE user_mfa
+               SET last_used_step = $2
+               WHERE username = $1 AND last_used_step < $2
+               RETURNING username`,
+          [username, step]
+        );
+        if (claimRes.rows[0]) {
+          await LoginThrottle.recordSuccess(username);
+          return;
+        }
+      }
+
+      const recoveryRes = await db.query(
+        `UPDATE mfa_recovery_codes
+             SET used_at = NOW()
+             WHERE username = $1 AND code_hash = $2 AND used_at IS NULL
+             RETURNING username`,
+        [username, hashOpaqueToken(Mfa._normalizeRecoveryCode(code))]
+      );
+      if (recoveryRes.rows[0]) {
+        await LoginThrottle.recordSuccess(username);
+        return;
+      }
+    }
+
+    await LoginThrottle.recordFailure(username, ip);
+    throw new UnauthorizedError("Invalid two-factor code");
+  }
+
+  /** Turn off two-factor authentication for username, from client address
+   * ip; returns undefined.
+   *
+   * Once it's enabled, this takes a second-factor code, checked as by
+   * verify; an enrollment that was never activated can be dropped without.
+   *
+   * Throws NotFoundError if it wasn't enabled or being enrolled, and
+   * UnauthorizedError if the code is wrong.
+   **/
+
+  static async disable(username, code, ip) {
+    if (await Mfa.isEnabled(username)) await Mfa.verify(username, code, ip);
+
+    const result = await db.query(
+      `DELETE FROM user_mfa
+           WHERE username = $1
+           RETURNING username`,
+      [username]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No two-factor authentication for: ${username}`);
+    }
+
+    await db.query(`DELETE FROM mfa_recovery_codes WHERE username = $1`, [
+      username,
+    ]);
+  }
+
+  /** Replace username's recovery codes with new ones; returns the codes. */
+
+  static async _createRecoveryCodes(username) {
+    await db.query(`DELETE FROM mfa_recovery_codes WHERE username = $1`, [
+      username,
+    ]);
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      // e.g. "3f9a-c21e-77b0"
+      const hex = crypto.randomBytes(6).toString("hex");
+      codes.push(hex.match(/.{4}/g).join("-"));
+    }
+
+    for (const code of codes) {
+      await db.query(
+        `INSERT INTO mfa_recovery_codes (username, code_hash)
+             VALUES ($1, $2)`,
+        [username, hashOpaqueToken(Mfa._normalizeRecoveryCode(code))]
+      );
+    }
+
+    return codes;
+  }
+
+  /** Recovery codes are compared ignoring case, spaces and dashes. */
+
+  static _normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[\s-]/g, "");
+  }
+}
+
+module.exports = Mfa;
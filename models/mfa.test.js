@@ -0,0 +1,254 @@
+"use strict";
+
+const {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+  TooManyRequestsError,
+} = require("../expressError");
+const db = require("../db.js");
+const Mfa = require("./mfa.js");
+const RefreshToken = require("./refreshToken.js");
+const totp = require("../helpers/totp");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Enroll and activate u1; returns { secret, recoveryCodes }. */
+
+async function enableForU1() {
+  const { secret } = await Mfa.enroll("u1");
+  const { recoveryCodes } = await Mfa.activate("u1", totp.generateCode(secret));
+  // activation used up the current code; pretend that was a while ago
+  await db.query(`UPDATE user_mfa SET last_used_step = last_used_step - 2`);
+  return { secret, recoveryCodes };
+}
+
+/************************************** enroll */
+
+describe("enroll", function () {
+  test("works", async function () {
+    const { secret, otpauthUri } = await Mfa.enroll("u1");
+    expect(secret).toMatch(/^[A-Z2-7]+$/);
+    expect(otpauthUri).toEqual(
+      expect.stringContaining(`otpauth://totp/J2F%3Au1?secret=${secret}`)
+    );
+    expect(await Mfa.isEnabled("u1")).toEqual(false);
+  });
+
+  test("works: restarting replaces secret", async function () {
+    const first = await Mfa.enroll("u1");
+    const second = await Mfa.enroll("u1");
+    expect(second.secret).not.toEqual(first.secret);
+  });
+
+  test("bad request if already enabled", async function () {
+    await enableForU1();
+    try {
+      await Mfa.enroll("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Mfa.enroll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** activate */
+
+describe("activate", function () {
+  test("works", async function () {
+    const { secret } = await Mfa.enroll("u1");
+    const { recoveryCodes } = await Mfa.activate(
+      "u1",
+      totp.generateCode(secret)
+    );
+    expect(recoveryCodes.length).toEqual(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect(await Mfa.isEnabled("u1")).toEqual(true);
+  });
+
+  test("works: revokes refresh tokens", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { secret } = await Mfa.enroll("u1");
+    await Mfa.activate("u1", totp.generateCode(secret));
+    await expect(RefreshToken.rotate(token)).rejects.toThrow();
+  });
+
+  test("bad request with wrong code", async function () {
+    await Mfa.enroll("u1");
+    try {
+      await Mfa.activate("u1", "000000");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await Mfa.isEnabled("u1")).toEqual(false);
+  });
+
+  test("bad request if not enrolling", async function () {
+    try {
+      await Mfa.activate("u1", "000000");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works with authenticator code", async function () {
+    const { secret } = await enableForU1();
+    await Mfa.verify("u1", totp.generateCode(secret), "1.2.3.4");
+  });
+
+  test("unauth if authenticator code reused", async function () {
+    const { secret } = await enableForU1();
+    const code = totp.generateCode(secret);
+    await Mfa.verify("u1", code, "1.2.3.4");
+    try {
+      await Mfa.verify("u1", code, "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("works with recovery code, once", async function () {
+    const { recoveryCodes } = await enableForU1();
+    await Mfa.verify("u1", recoveryCodes[0].toUpperCase(), "1.2.3.4");
+    try {
+      await Mfa.verify("u1", recoveryCodes[0], "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    await Mfa.verify("u1", recoveryCodes[1], "1.2.3.4");
+  });
+
+  test("unauth if code used twice at once", async function () {
+    const { secret } = await enableForU1();
+    const code = totp.generateCode(secret);
+    const results = await Promise.allSettled([
+      Mfa.verify("u1", code, "1.2.3.4"),
+      Mfa.verify("u1", code, "1.2.3.4"),
+    ]);
+    expect(results.map((r) => r.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+  });
+
+  test("unauth with wrong code", async function () {
+    await enableForU1();
+    try {
+      await Mfa.verify("u1", "000000", "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if not enabled", async function () {
+    const { secret } = await Mfa.enroll("u1");
+    try {
+      await Mfa.verify("u1", totp.generateCode(secret), "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("wrong codes are throttled", async function () {
+    const { secret } = await enableForU1();
+    for (let i = 0; i < 3; i++) {
+      await expect(Mfa.verify("u1", "000000", "1.2.3.4")).rejects.toThrow(
+        UnauthorizedError
+      );
+    }
+    try {
+      await Mfa.verify("u1", totp.generateCode(secret), "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    const { secret } = await enableForU1();
+    await Mfa.disable("u1", totp.generateCode(secret), "1.2.3.4");
+    expect(await Mfa.isEnabled("u1")).toEqual(false);
+    const codes = await db.query(
+      `SELECT code_hash FROM mfa_recovery_codes WHERE username = 'u1'`
+    );
+    expect(codes.rows).toEqual([]);
+  });
+
+  test("works with recovery code", async function () {
+    const { recoveryCodes } = await enableForU1();
+    await Mfa.disable("u1", recoveryCodes[0], "1.2.3.4");
+    expect(await Mfa.isEnabled("u1")).toEqual(false);
+  });
+
+  test("works: cancels enrollment without a code", async function () {
+    await Mfa.enroll("u1");
+    await Mfa.disable("u1");
+    const found = await db.query(
+      `SELECT username FROM user_mfa WHERE username = 'u1'`
+    );
+    expect(found.rows).toEqual([]);
+  });
+
+  test("unauth without a code once enabled", async function () {
+    await enableForU1();
+    try {
+      await Mfa.disable("u1", undefined, "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    expect(await Mfa.isEnabled("u1")).toEqual(true);
+  });
+
+  test("unauth with wrong code", async function () {
+    await enableForU1();
+    try {
+      await Mfa.disable("u1", "000000", "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    expect(await Mfa.isEnabled("u1")).toEqual(true);
+  });
+
+  test("not found if not enabled", async function () {
+    try {
+      await Mfa.disable("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,186 @@
+"use strict";
+
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} = require("../expressError");
+const { sanitizeMarkdown } = require("../helpers/markdown");
+
+const NOTE_COLUMNS = `id,
+              job_id AS "jobId",
+              username,
+              author,
+              visibility,
+              body,
+              created_at AS "createdAt",
+              updated_at AS "updatedAt"`;
+
+/** Related functions for notes.
+ *
+ * Notes are on an application (a target of { jobId, username }, where
+ * username is the candidate) or on a job itself ({ jobId }). Their body is
+ * Markdown, cleaned up with helpers/markdown.js.
+ *
+ * A note's visibility is "private" (only its author sees it) or "team"
+ * (shared with the recruiters for the job's company, but never the
+ * candidate.) As for applications (see User.updateAppStatus), methods take
+ * the role they're acting as: "candidate", "recruiter" or "admin"; only
+ * recruiters and admins see and write team notes.
+ */
+
+class Note {
+  /** Add a note to target, written by author.
+   *
+   * data should be { body, visibility }
+   *
+   * Returns { id, jobId, username, author, visibility, body, createdAt,
+   *           updatedAt }
+   *
+   * Throws NotFoundError if there's no such application or job,
+   * ForbiddenError if a candidate tries to write a team note, and
+   * BadRequestError if there's nothing left of body once it's cleaned up.
+   **/
+
+  static async create(
+    { jobId, username = null },
+    { body, visibility = "private" },
+    { author, role }
+  ) {
+    Note._checkVisibility(visibility, role);
+    await Note._checkTarget({ jobId, username }, role);
+
+    const result = await db.query(
+      `INSERT INTO notes (job_id, username, author, visibility, body)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING ${NOTE_COLUMNS}`,
+      [jobId, username, author, visibility, Note._cleanBody(body)]
+    );
+    return result.rows[0];
+  }
+
+  /** Find the notes on target viewer can see, oldest first: their own, and
+   * team notes if role isn't "candidate".
+   *
+   * Returns [note, ...] where note is as for create.
+   **/
+
+  static async findAll({ jobId, username = null }, { viewer, role }) {
+    const result = await db.query(
+      `SELECT ${NOTE_COLUMNS}
+           FROM notes
+           WHERE job_id = $1 AND username IS NOT DISTINCT FROM $2
+             AND (author = $3 OR (visibility = 'team' AND $4))
+           ORDER BY created_at, id`,
+      [jobId, username, viewer, role !== "candidate"]
+    );
+    return result.rows;
+  }
+
+  /** Update one of author's notes on target with data, which can include
+   * { body, visibility }.
+   *
+   * Returns the note, as for create.
+   *
+   * Throws NotFoundError if author has no such note (only the author can
+   * change a note), and ForbiddenError or BadRequestError as for create.
+   **/
+
+  static async update(
+    { jobId, username = null },
+    id,
+    { body, visibility },
+    { author, role }
+  ) {
+    if (visibility !== undefined) Note._checkVisibility(visibility, role);
+    const cleanBody = body === undefined ? null : Note._cleanBody(body);
+
+    const result = await db.query(
+      `UPDATE notes
+           SET body = COALESCE($1, body),
+               visibility = COALESCE($2, visibility),
+               updated_at = NOW()
+           WHERE id = $3 AND job_id = $4
+             AND username IS NOT DISTINCT FROM $5 AND author = $6
+           RETURNING ${NOTE_COLUMNS}`,
+      [cleanBody, visibility || null, id, jobId, username, author]
+    );
+    const note = result.rows[0];
+
+    if (!note) throw new NotFoundError(`No note: ${id}`);
+    return note;
+  }
+
+  /** Delete one of author's notes on target; returns undefined.
+   *
+   * Throws NotFoundError if author has no such note.
+   **/
+
+  static async remove({ jobId, username = null }, id, { author }) {
+    const result = await db.query(
+      `DELETE FROM notes
+           WHERE id = $1 AND job_id = $2
+             AND username IS NOT DISTINCT FROM $3 AND author = $4
+           RETURNING id`,
+      [id, jobId, username, author]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No note: ${id}`);
+  }
+
+  /** Throw ForbiddenError if role can't write notes with visibility. */
+
+  static _checkVisibility(visibility, role) {
+    if (visibility === "team" && role === "candidate") {
+      throw new ForbiddenError(
+        "Only recruiters can share notes with the company team"
+      );
+    }
+  }
+
+  /** Check that target exists: an application, or a job.
+   *
+   * Applications only saved by the candidate ('interested') aren't shown to
+   * the company, so they only exist for the candidate.
+   *
+   * Throws NotFoundError if not.
+   */
+
+  static async _checkTarget({ jobId, username }, role) {
+    if (username === null) {
+      const result = await db.query(
+        `SELECT id
+             FROM jobs
+             WHERE id = $1`,
+        [jobId]
+      );
+      if (!result.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+      return;
+    }
+
+    const result = await db.query(
+      `SELECT state
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+      [username, jobId]
+    );
+    const application = result.rows[0];
+    if (
+      !application ||
+      (application.state === "interested" && role !== "candidate")
+    ) {
+      throw new NotFoundError(`No application: ${username}, ${jobId}`);
+    }
+  }
+
+  /** Return body cleaned up; throws BadRequestError if nothing's left. */
+
+  static _cleanBody(body) {
+    const clean = sanitizeMarkdown(body);
+    if (!clean) throw new BadRequestError("Note is empty");
+    return clean;
+  }
+}
+
+module.exports = Note;
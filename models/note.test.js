@@ -0,0 +1,236 @@
+"use strict";
+
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} = require("../expressError");
+const Note = require("./note.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const candidate = { author: "u1", role: "candidate" };
+const recruiter = { author: "u2", role: "recruiter" };
+
+function application() {
+  return { jobId: testJobIds[0], username: "u1" };
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const note = await Note.create(
+      application(),
+      { body: "Follow up **Friday** <script>alert(1)</script>" },
+      candidate
+    );
+    expect(note).toEqual({
+      id: expect.any(Number),
+      jobId: testJobIds[0],
+      username: "u1",
+      author: "u1",
+      visibility: "private",
+      body: "Follow up **Friday** alert(1)",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("works: team note on a job", async function () {
+    const note = await Note.create(
+      { jobId: testJobIds[0] },
+      { body: "Budget approved", visibility: "team" },
+      recruiter
+    );
+    expect(note).toEqual(
+      expect.objectContaining({ username: null, visibility: "team" })
+    );
+  });
+
+  test("forbidden for candidate team notes", async function () {
+    try {
+      await Note.create(
+        application(),
+        { body: "Hi", visibility: "team" },
+        candidate
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("bad request if nothing is left of body", async function () {
+    try {
+      await Note.create(application(), { body: " <b></b> " }, candidate);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Note.create(
+        { jobId: testJobIds[2], username: "u1" },
+        { body: "Hi" },
+        candidate
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Note.create({ jobId: 0 }, { body: "Hi" }, recruiter);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("saved jobs only have notes from the candidate", async function () {
+    await User.saveJob("u2", testJobIds[2]);
+    const target = { jobId: testJobIds[2], username: "u2" };
+    await Note.create(target, { body: "Hi" }, { ...candidate, author: "u2" });
+    try {
+      await Note.create(target, { body: "Hi" }, { ...recruiter, author: "u1" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await Note.create(application(), { body: "mine" }, candidate);
+    await Note.create(application(), { body: "u2's" }, recruiter);
+    await Note.create(
+      application(),
+      { body: "team", visibility: "team" },
+      recruiter
+    );
+  });
+
+  test("candidates see their own notes", async function () {
+    const notes = await Note.findAll(application(), {
+      viewer: "u1",
+      role: "candidate",
+    });
+    expect(notes.map((n) => n.body)).toEqual(["mine"]);
+  });
+
+  test("recruiters see their own and team notes", async function () {
+    const notes = await Note.findAll(application(), {
+      viewer: "u2",
+      role: "recruiter",
+    });
+    expect(notes.map((n) => n.body)).toEqual(["u2's", "team"]);
+  });
+
+  test("others on the team see team notes", async function () {
+    const notes = await Note.findAll(application(), {
+      viewer: "admin",
+      role: "admin",
+    });
+    expect(notes.map((n) => n.body)).toEqual(["team"]);
+  });
+
+  test("notes on the job are separate", async function () {
+    const notes = await Note.findAll(
+      { jobId: testJobIds[0] },
+      { viewer: "u2", role: "recruiter" }
+    );
+    expect(notes).toEqual([]);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const { id } = await Note.create(application(), { body: "a" }, recruiter);
+    const note = await Note.update(
+      application(),
+      id,
+      { body: "b", visibility: "team" },
+      recruiter
+    );
+    expect(note).toEqual(
+      expect.objectContaining({ id, body: "b", visibility: "team" })
+    );
+  });
+
+  test("works: leaving out fields", async function () {
+    const { id } = await Note.create(application(), { body: "a" }, recruiter);
+    const note = await Note.update(application(), id, {}, recruiter);
+    expect(note).toEqual(
+      expect.objectContaining({ body: "a", visibility: "private" })
+    );
+  });
+
+  test("not found for someone else's note", async function () {
+    const { id } = await Note.create(
+      application(),
+      { body: "a", visibility: "team" },
+      recruiter
+    );
+    try {
+      await Note.update(application(), id, { body: "b" }, candidate);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("forbidden for candidate team notes", async function () {
+    const { id } = await Note.create(application(), { body: "a" }, candidate);
+    try {
+      await Note.update(application(), id, { visibility: "team" }, candidate);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await Note.create(application(), { body: "a" }, candidate);
+    await Note.remove(application(), id, { author: "u1" });
+    const notes = await Note.findAll(application(), {
+      viewer: "u1",
+      role: "candidate",
+    });
+    expect(notes).toEqual([]);
+  });
+
+  test("not found for someone else's note", async function () {
+    const { id } = await Note.create(application(), { body: "a" }, candidate);
+    try {
+      await Note.remove(application(), id, { author: "u2" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,270 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { publish } = require("../helpers/events");
+
+// kinds of notification, which users can turn off (see setPreferences)
+const TYPES = ["applicationState", "newJob", "interview"];
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const NOTIFICATION_COLUMNS = `id,
+              type,
+              message,
+              data,
+              read_at AS "readAt",
+              created_at AS "createdAt"`;
+
+/** Related functions for notifications: each user's in-app inbox.
+ *
+ * Models add notifications when things happen that users would want to hear
+ * about:
+ *   applicationState: someone else changed the state of their application
+ *   newJob: a company they follow posted a job
+ *   interview: an interview was proposed to them, or one they're in was
+ *     scheduled
+ * unless the user turned that type off.
+ */
+
+class Notification {
+  /** Notify each of usernames (who hasn't turned type off) with message;
+   * data is whatever the frontend needs to link to it, like { jobId }.
+   *
+   * Each of them is sent a notification event (see helpers/events.js.)
+   *
+   * Returns [{ username, id, type, message, data, readAt, createdAt }, ...],
+   * the notifications added.
+   **/
+
+  static async create(usernames, type, message, data = {}) {
+    const result = await db.query(
+      `INSERT INTO notifications (username, type, message, data)
+           SELECT u.username, $2, $3, $4
+               FROM unnest($1::VARCHAR(25)[]) AS u (username)
+               WHERE NOT EXISTS (SELECT 1
+                                     FROM notification_preferences AS p
+                                     WHERE p.username = u.username
+                                       AND p.type = $2
+                                       AND NOT p.enabled)
+           RETURNING username, ${NOTIFICATION_COLUMNS}`,
+      [usernames, type, message, JSON.stringify(data)]
+    );
+    if (result.rows.length) {
+      await publish(
+        result.rows.map((n) => n.username),
+        "notification",
+        { type, message, data }
+      );
+    }
+    return result.rows;
+  }
+
+  /** Notify the candidate that their application to jobId is now state. */
+
+  static async applicationStateChanged(username, jobId, state) {
+    const job = await Notification._getJob(jobId);
+    return await Notification.create(
+      [username],
+      "applicationState",
+      `Your application for ${job.title} at ${job.companyName} is now ${state}`,
+      { jobId, state }
+    );
+  }
+
+  /** Notify the followers of a new job's ({ id, title, companyHandle })
+   * company. */
+
+  static async newJob({ id, title, companyHandle }) {
+    const result = await db.query(
+      `SELECT f.username, c.name AS "companyName"
+           FROM company_follows AS f
+           JOIN companies AS c ON c.handle = f.company_handle
+           WHERE f.company_handle = $1`,
+      [companyHandle]
+    );
+    if (!result.rows.length) return [];
+
+    return await Notification.create(
+      result.rows.map((f) => f.username),
+      "newJob",
+      `${result.rows[0].companyName} posted a new job: ${title}`,
+      { jobId: id }
+    );
+  }
+
+  /** Notify the candidate that an interview ({ id, username, jobId }) was
+   * proposed, so they can choose a time. */
+
+  static async interviewProposed({ id, username, jobId }) {
+    const job = await Notification._getJob(jobId);
+    return await Notification.create(
+      [username],
+      "interview",
+      `You've been invited to interview for ${job.title} at ` +
+        `${job.companyName}; choose a time`,
+      { jobId, interviewId: id }
+    );
+  }
+
+  /** Notify the interviewers (the participants and whoever proposed it) that
+   * an interview ({ id, username, jobId, startsAt, participants,
+   * proposedBy }) was scheduled. */
+
+  static async interviewAccepted(interview) {
+    const { id, username, jobId, startsAt, participants, proposedBy } =
+      interview;
+    const interviewers = [...new Set([...participants, proposedBy])].filter(
+      (u) => u && u !== username
+    );
+    if (!interviewers.length) return [];
+
+    const job = await Notification._getJob(jobId);
+    return await Notification.create(
+      interviewers,
+      "interview",
+      `Interview with ${username} for ${job.title} is scheduled for ` +
+        new Date(startsAt).toISOString(),
+      { jobId, interviewId: id, username }
+    );
+  }
+
+  /** Find username's notifications, newest first.
+   *
+   * filters can include { unread, page, limit }: unread ("true") only finds
+   * those that haven't been read; page is from 1, and limit defaults to 20.
+   *
+   * Returns { entries, total, unread, page, limit }
+   *   where entries are [{ id, type, message, data, readAt, createdAt }, ...],
+   *   total is how many match (on all pages) and unread is how many of the
+   *   user's notifications are unread.
+   **/
+
+  static async findAll(username, filters = {}) {
+    const page = +filters.page || 1;
+    const limit = +filters.limit || DEFAULT_PAGE_SIZE;
+    const unreadOnly = filters.unread === "true";
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::integer AS total,
+              (COUNT(*) FILTER (WHERE read_at IS NULL))::integer AS unread
+           FROM notifications
+           WHERE username = $1`,
+      [username]
+    );
+    const { total, unread } = countRes.rows[0];
+
+    const result = await db.query(
+      `SELECT ${NOTIFICATION_COLUMNS}
+           FROM notifications
+           WHERE username = $1 AND (read_at IS NULL OR NOT $2)
+           ORDER BY id DESC
+           LIMIT $3 OFFSET $4`,
+      [username, unreadOnly, limit, (page - 1) * limit]
+    );
+
+    return {
+      entries: result.rows,
+      total: unreadOnly ? unread : total,
+      unread,
+      page,
+      limit,
+    };
+  }
+
+  /** Mark one of username's notifications read (if it isn't already.)
+   *
+   * Returns { id, type, message, data, readAt, createdAt }
+   *
+   * Throws NotFoundError if username has no such notification.
+   **/
+
+  static async markRead(username, id) {
+    const result = await db.query(
+      `UPDATE notifications
+           SET read_at = COALESCE(read_at, NOW())
+           WHERE username = $1 AND id = $2
+           RETURNING ${NOTIFICATION_COLUMNS}`,
+      [username, id]
+    );
+    const notification = result.rows[0];
+
+    if (!notification) throw new NotFoundError(`No notification: ${id}`);
+    return notification;
+  }
+
+  /** Mark all of username's notifications read; returns how many weren't
+   * already. */
+
+  static async markAllRead(username) {
+    const result = await db.query(
+      `UPDATE notifications
+           SET read_at = NOW()
+           WHERE username = $1 AND read_at IS NULL`,
+      [username]
+    );
+    return result.rowCount;
+  }
+
+  /** Return which types of notification username gets:
+   *   { applicationState, newJob, interview } (each true or false)
+   **/
+
+  static async getPreferences(username) {
+    const result = await db.query(
+      `SELECT type, enabled
+           FROM notification_preferences
+           WHERE username = $1`,
+      [username]
+    );
+
+    const preferences = Object.fromEntries(TYPES.map((t) => [t, true]));
+    for (const { type, enabled } of result.rows) preferences[type] = enabled;
+    return preferences;
+  }
+
+  /** Turn types of notification on or off for username: preferences is
+   * { type: enabled, ... }, for some or all types. Notifications already
+   * sent are kept.
+   *
+   * Returns all of their preferences, as for getPreferences.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async setPreferences(username, preferences) {
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    for (const [type, enabled] of Object.entries(preferences)) {
+      await db.query(
+        `INSERT INTO notification_preferences (username, type, enabled)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (username, type) DO UPDATE SET enabled = $3`,
+        [username, type, enabled]
+      );
+    }
+
+    return await Notification.getPreferences(username);
+  }
+
+  /** Return { title, companyName } for jobId. */
+
+  static async _getJob(jobId) {
+    const result = await db.query(
+      `SELECT j.title, c.name AS "companyName"
+           FROM jobs AS j
+           JOIN companies AS c ON c.handle = j.company_handle
+           WHERE j.id = $1`,
+      [jobId]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,240 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const Notification = require("./notification.js");
+const CompanyFollow = require("./companyFollow.js");
+const Interview = require("./interview.js");
+const Job = require("./job.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function messagesFor(username) {
+  const { entries } = await Notification.findAll(username);
+  return entries.map((n) => n.message);
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const added = await Notification.create(["u1", "u2"], "newJob", "Hello", {
+      jobId: 1,
+    });
+    expect(added).toEqual([
+      {
+        username: "u1",
+        id: expect.any(Number),
+        type: "newJob",
+        message: "Hello",
+        data: { jobId: 1 },
+        readAt: null,
+        createdAt: expect.any(Date),
+      },
+      expect.objectContaining({ username: "u2" }),
+    ]);
+  });
+
+  test("skips users who turned the type off", async function () {
+    await Notification.setPreferences("u2", { newJob: false });
+    const added = await Notification.create(["u1", "u2"], "newJob", "Hello");
+    expect(added.map((n) => n.username)).toEqual(["u1"]);
+
+    await Notification.create(["u2"], "interview", "Hi");
+    expect(await messagesFor("u2")).toEqual(["Hi"]);
+  });
+});
+
+/************************************** events */
+
+describe("events", function () {
+  test("application state changed by someone else", async function () {
+    await User.updateAppStatus(
+      "u1",
+      testJobIds[0],
+      "interviewing",
+      "recruiter"
+    );
+    expect(await messagesFor("u1")).toEqual([
+      "Your application for j1 at C1 is now interviewing",
+    ]);
+
+    await User.updateAppStatus("u1", testJobIds[0], "withdrawn", "candidate");
+    expect((await messagesFor("u1")).length).toEqual(1);
+  });
+
+  test("new job from a followed company", async function () {
+    await CompanyFollow.follow("u2", "c1");
+    const job = await Job.create({
+      title: "New",
+      salary: 1,
+      equity: "0",
+      companyHandle: "c1",
+    });
+    const { entries } = await Notification.findAll("u2");
+    expect(entries).toEqual([
+      expect.objectContaining({
+        type: "newJob",
+        message: "C1 posted a new job: New",
+        data: { jobId: job.id },
+      }),
+    ]);
+    expect(await messagesFor("u1")).toEqual([]);
+  });
+
+  test("interview proposed and accepted", async function () {
+    const { id, slots } = await Interview.propose(
+      "u1",
+      testJobIds[0],
+      {
+        slots: [
+          { startsAt: "2099-01-01T10:00:00Z", endsAt: "2099-01-01T11:00:00Z" },
+        ],
+        participants: ["u2"],
+      },
+      "recruiter",
+      { actor: "u2" }
+    );
+    expect(await messagesFor("u1")).toEqual([
+      "You've been invited to interview for j1 at C1; choose a time",
+    ]);
+
+    await Interview.accept("u1", testJobIds[0], id, slots[0].id, "candidate");
+    expect(await messagesFor("u2")).toEqual([
+      "Interview with u1 for j1 is scheduled for 2099-01-01T10:00:00.000Z",
+    ]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    for (const message of ["one", "two", "three"]) {
+      await Notification.create(["u1"], "newJob", message);
+    }
+    await Notification.create(["u2"], "newJob", "other");
+  });
+
+  test("works", async function () {
+    const notifications = await Notification.findAll("u1");
+    expect(notifications).toEqual({
+      entries: [
+        {
+          id: expect.any(Number),
+          type: "newJob",
+          message: "three",
+          data: {},
+          readAt: null,
+          createdAt: expect.any(Date),
+        },
+        expect.objectContaining({ message: "two" }),
+        expect.objectContaining({ message: "one" }),
+      ],
+      total: 3,
+      unread: 3,
+      page: 1,
+      limit: 20,
+    });
+  });
+
+  test("works: unread only", async function () {
+    const { entries } = await Notification.findAll("u1");
+    await Notification.markRead("u1", entries[0].id);
+
+    const notifications = await Notification.findAll("u1", { unread: "true" });
+    expect(notifications.entries.map((n) => n.message)).toEqual(["two", "one"]);
+    expect(notifications.total).toEqual(2);
+    expect(notifications.unread).toEqual(2);
+  });
+
+  test("works: pages", async function () {
+    const notifications = await Notification.findAll("u1", {
+      page: "2",
+      limit: "2",
+    });
+    expect(notifications.entries.map((n) => n.message)).toEqual(["one"]);
+    expect(notifications.total).toEqual(3);
+  });
+});
+
+/************************************** markRead */
+
+describe("markRead", function () {
+  test("works", async function () {
+    const [{ id }] = await Notification.create(["u1"], "newJob", "Hi");
+    const notification = await Notification.markRead("u1", id);
+    expect(notification.readAt).toEqual(expect.any(Date));
+
+    // reading it again keeps when it was first read
+    const again = await Notification.markRead("u1", id);
+    expect(again.readAt).toEqual(notification.readAt);
+  });
+
+  test("not found for someone else's notification", async function () {
+    const [{ id }] = await Notification.create(["u1"], "newJob", "Hi");
+    try {
+      await Notification.markRead("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** markAllRead */
+
+describe("markAllRead", function () {
+  test("works", async function () {
+    await Notification.create(["u1"], "newJob", "one");
+    await Notification.create(["u1"], "newJob", "two");
+    await Notification.create(["u2"], "newJob", "other");
+
+    expect(await Notification.markAllRead("u1")).toEqual(2);
+    expect((await Notification.findAll("u1")).unread).toEqual(0);
+    expect((await Notification.findAll("u2")).unread).toEqual(1);
+  });
+});
+
+/************************************** preferences */
+
+describe("preferences", function () {
+  test("all on by default", async function () {
+    expect(await Notification.getPreferences("u1")).toEqual({
+      applicationState: true,
+      newJob: true,
+      interview: true,
+    });
+  });
+
+  test("can be changed", async function () {
+    await Notification.setPreferences("u1", { newJob: false });
+    const preferences = await Notification.setPreferences("u1", {
+      interview: false,
+    });
+    expect(preferences).toEqual({
+      applicationState: true,
+      newJob: false,
+      interview: false,
+    });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Notification.setPreferences("nope", { newJob: false });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
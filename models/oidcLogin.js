@@ -0,0 +1,161 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { getAuthorizationUrl, getVerifiedClaims } = require("../helpers/oidc");
+const config = require("../config");
+const User = require("./user");
+
+// usernames made for new users are cut to fit users.username
+const MAX_USERNAME_LENGTH = 25;
+
+/** Related functions for logging in with OpenID Connect.
+ *
+ * Each provider account (issuer and subject) is linked to one user. The first
+ * time someone logs in, their account is linked to the user with the same
+ * email address if both the provider and j2f have verified that address, and
+ * otherwise a new user is made for them.
+ */
+
+class OidcLogin {
+  /** Start logging in: remember a new state, nonce and PKCE code verifier.
+   *
+   * Returns { url }: where to send the user to log in at the provider.
+   **/
+
+  static async start() {
+    const state = createOpaqueToken();
+    const nonce = createOpaqueToken();
+    const codeVerifier = createOpaqueToken();
+
+    const url = await getAuthorizationUrl({ state, nonce, codeVerifier });
+
+    await db.query(
+      `INSERT INTO oidc_logins (state_hash, nonce, code_verifier, expires_at)
+           VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')`,
+      [
+        hashOpaqueToken(state),
+        nonce,
+        codeVerifier,
+        config.OIDC_LOGIN_EXPIRES_MINUTES,
+      ]
+    );
+
+    return { url };
+  }
+
+  /** Finish logging in, given the code and state the provider sent the user
+   * back with. Each state can only be used once.
+   *
+   * Returns the username of the user logged in as.
+   *
+   * Throws BadRequestError if state is unknown, expired or already used, and
+   * UnauthorizedError if the provider doesn't accept the code (see
+   * helpers/oidc.js.)
+   **/
+
+  static async finish(code, state) {
+    const result = await db.query(
+      `DELETE FROM oidc_logins
+           WHERE state_hash = $1
+           RETURNING nonce,
+                     code_verifier AS "codeVerifier",
+                     expires_at > NOW() AS "isCurrent"`,
+      [hashOpaqueToken(state)]
+    );
+    const login = result.rows[0];
+
+    if (!login || !login.isCurrent) {
+      throw new BadRequestError("Invalid or expired login state");
+    }
+
+    const claims = await getVerifiedClaims({
+      code,
+      nonce: login.nonce,
+      codeVerifier: login.codeVerifier,
+    });
+
+    return await OidcLogin._findOrCreateUser(claims);
+  }
+
+  /** Return the username linked to the provider account in claims, linking
+   * or making one first if needed (see class comment.)
+   *
+   * Throws BadRequestError if a new user is needed but claims has no email.
+   */
+
+  static async _findOrCreateUser(claims) {
+    const { iss: issuer, sub: subject } = claims;
+
+    const identityRes = await db.query(
+      `SELECT username
+           FROM user_identities
+           WHERE issuer = $1 AND subject = $2`,
+      [issuer, subject]
+    );
+    if (identityRes.rows[0]) return identityRes.rows[0].username;
+
+    let username;
+    if (claims.email && claims.email_verified === true) {
+      const userRes = await db.query(
+        `SELECT username
+             FROM users
+             WHERE lower(email) = lower($1)
+               AND email_verified_at IS NOT NULL
+             ORDER BY username
+             LIMIT 1`,
+        [claims.email]
+      );
+      if (userRes.rows[0]) username = userRes.rows[0].username;
+    }
+
+    if (!username) {
+      if (!claims.email) {
+        throw new BadRequestError("Identity provider gave no email address");
+      }
+      username = await OidcLogin._unusedUsername(
+        claims.preferred_username || claims.email.split("@")[0]
+      );
+      await User.register({
+        username,
+        firstName: claims.given_name || claims.name || username,
+        lastName: claims.family_name || "-",
+        email: claims.email,
+        isAdmin: false,
+        emailVerified: claims.email_verified === true,
+      });
+    }
+
+    await db.query(
+      `INSERT INTO user_identities (issuer, subject, username)
+           VALUES ($1, $2, $3)`,
+      [issuer, subject, username]
+    );
+    return username;
+  }
+
+  /** Return a username based on wanted that no user has yet. */
+
+  static async _unusedUsername(wanted) {
+    const base =
+      wanted
+        .toLowerCase()
+        .replace(/[^a-z0-9_.-]/g, "")
+        .slice(0, MAX_USERNAME_LENGTH - 4) || "user";
+
+    const result = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username LIKE $1 || '%'`,
+      [base]
+    );
+    const taken = new Set(result.rows.map((r) => r.username));
+
+    let username = base;
+    for (let n = 2; taken.has(username); n++) username = `${base}${n}`;
+    return username;
+  }
+}
+
+module.exports = OidcLogin;
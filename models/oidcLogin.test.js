@@ -0,0 +1,223 @@
+"use strict";
+
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const OidcLogin = require("./oidcLogin.js");
+const User = require("./user.js");
+const config = require("../config");
+const { transports } = require("../helpers/mailer");
+const { startMockOidcProvider } = require("../helpers/_mockOidcProvider");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+const CLIENT = {
+  clientId: "j2f",
+  clientSecret: "j2f-secret",
+  redirectUri: "http://localhost:3001/oidc/callback",
+};
+
+let provider;
+const saved = {};
+
+beforeAll(async function () {
+  await commonBeforeAll();
+  provider = await startMockOidcProvider(CLIENT);
+  const settings = {
+    OIDC_ISSUER: provider.issuer,
+    OIDC_CLIENT_ID: CLIENT.clientId,
+    OIDC_CLIENT_SECRET: CLIENT.clientSecret,
+    OIDC_REDIRECT_URI: CLIENT.redirectUri,
+  };
+  for (const key of Object.keys(settings)) {
+    saved[key] = config[key];
+    config[key] = settings[key];
+  }
+});
+beforeEach(commonBeforeEach);
+beforeEach(function () {
+  provider.claims = {
+    sub: "sub-1",
+    email: "sso@example.com",
+    email_verified: true,
+    preferred_username: "sso",
+    given_name: "Sso",
+    family_name: "User",
+  };
+});
+afterEach(function () {
+  transports.memory.sent.length = 0;
+});
+afterEach(commonAfterEach);
+afterAll(async function () {
+  Object.assign(config, saved);
+  await provider.close();
+  await commonAfterAll();
+});
+
+async function login() {
+  const { url } = await OidcLogin.start();
+  const { code, state } = provider.authorize(url);
+  return await OidcLogin.finish(code, state);
+}
+
+/************************************** start */
+
+describe("start", function () {
+  test("works", async function () {
+    const { url } = await OidcLogin.start();
+    expect(url.startsWith(`${provider.issuer}/authorize?`)).toEqual(true);
+
+    const state = new URL(url).searchParams.get("state");
+    const found = await db.query("SELECT * FROM oidc_logins");
+    expect(found.rows).toEqual([
+      {
+        state_hash: expect.any(String),
+        nonce: new URL(url).searchParams.get("nonce"),
+        code_verifier: expect.any(String),
+        expires_at: expect.any(Date),
+      },
+    ]);
+    // only a hash of the state is kept
+    expect(found.rows[0].state_hash).not.toEqual(state);
+  });
+});
+
+/************************************** finish */
+
+describe("finish", function () {
+  test("works: makes a new user", async function () {
+    expect(await login()).toEqual("sso");
+
+    const user = await User.get("sso");
+    expect(user).toEqual(
+      expect.objectContaining({
+        firstName: "Sso",
+        lastName: "User",
+        email: "sso@example.com",
+        emailVerified: true,
+        isAdmin: false,
+      })
+    );
+    // the provider verified the address already
+    expect(transports.memory.sent.length).toEqual(0);
+  });
+
+  test("works: same user next time", async function () {
+    expect(await login()).toEqual("sso");
+    provider.claims.email = "changed@example.com";
+    expect(await login()).toEqual("sso");
+  });
+
+  test("works: links user with the same verified email", async function () {
+    await db.query(
+      `UPDATE users
+           SET email = 'sso@example.com', email_verified_at = NOW()
+           WHERE username = 'u1'`
+    );
+    expect(await login()).toEqual("u1");
+
+    const found = await db.query("SELECT * FROM user_identities");
+    expect(found.rows).toEqual([
+      expect.objectContaining({
+        issuer: provider.issuer,
+        subject: "sub-1",
+        username: "u1",
+      }),
+    ]);
+  });
+
+  test("doesn't link unless both sides verified the email", async function () {
+    await db.query(
+      `UPDATE users SET email = 'sso@example.com' WHERE username = 'u1'`
+    );
+    expect(await login()).toEqual("sso");
+
+    await db.query(
+      `UPDATE users
+           SET email = 'other@example.com', email_verified_at = NOW()
+           WHERE username = 'u2'`
+    );
+    provider.claims = {
+      sub: "sub-2",
+      email: "other@example.com",
+      email_verified: false,
+    };
+    expect(await login()).toEqual("other");
+    expect(transports.memory.sent).toEqual([
+      expect.objectContaining({ to: "other@example.com" }),
+    ]);
+  });
+
+  test("bad request if state reused", async function () {
+    const { url } = await OidcLogin.start();
+    const { code, state } = provider.authorize(url);
+    await OidcLogin.finish(code, state);
+    try {
+      await OidcLogin.finish(code, state);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if state expired", async function () {
+    const { url } = await OidcLogin.start();
+    const { code, state } = provider.authorize(url);
+    await db.query(
+      `UPDATE oidc_logins SET expires_at = NOW() - INTERVAL '1 minute'`
+    );
+    try {
+      await OidcLogin.finish(code, state);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if unknown state", async function () {
+    try {
+      await OidcLogin.finish("code", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if provider gives no email", async function () {
+    provider.claims = { sub: "sub-3" };
+    try {
+      await login();
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("unauth if code refused", async function () {
+    const { url } = await OidcLogin.start();
+    const { state } = provider.authorize(url);
+    try {
+      await OidcLogin.finish("wrong-code", state);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** _unusedUsername */
+
+describe("_unusedUsername", function () {
+  test("works", async function () {
+    expect(await OidcLogin._unusedUsername("New.Person")).toEqual("new.person");
+    expect(await OidcLogin._unusedUsername("u1")).toEqual("u12");
+    expect(await OidcLogin._unusedUsername("!!!")).toEqual("user");
+    expect(await OidcLogin._unusedUsername("x".repeat(40))).toEqual(
+      "x".repeat(21)
+    );
+  });
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const User = require("./user");
+const TokenRevocation = require("./tokenRevocation");
+
+const { PASSWORD_RESET_EXPIRES_MINUTES, APP_URL } = require("../config.js");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * Reset tokens are emailed to the user; only their hash is stored. A token
+ * can be used once, and expires after PASSWORD_RESET_EXPIRES_MINUTES.
+ */
+
+class PasswordReset {
+  /** Start a password reset for username: store a new reset token and email
+   * a link containing it to the user.
+   *
+   * Unknown usernames are silently ignored, so callers can't use this to
+   * find out which accounts exist. Returns undefined.
+   **/
+
+  static async request(username) {
+    const userRes = await db.query(
+      `SELECT username, email, first_name AS "firstName"
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    const user = userRes.rows[0];
+
+    if (!user) return;
+
+    const token = createOpaqueToken();
+    await db.query(
+      `INSERT INTO password_reset_tokens (token_hash, username, expires_at)
+           VALUES ($1, $2, NOW() + $3 * INTERVAL '1 minute')`,
+      [hashOpaqueToken(token), username, PASSWORD_RESET_EXPIRES_MINUTES]
+    );
+
+    await sendMail({
+      to: user.email,
+      subject: "Reset your J2F password",
+      text:
+        `Hi ${user.firstName},\n\n` +
+        `Someone asked to reset the password for your J2F account ` +
+        `(${username}). To choose a new password, follow this link:\n\n` +
+        `${APP_URL}/reset-password?token=${encodeURIComponent(token)}\n\n` +
+        `The link expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes. ` +
+        `If you didn't ask for this, you can ignore this email.`,
+    });
+  }
+
+  /** Finish a password reset: given a reset token and a new password, set
+   * the password of the token's user.
+   *
+   * All of the user's outstanding reset tokens are used up, and all of their
+   * access and refresh tokens are revoked.
+   *
+   * Returns username.
+   *
+   * Throws BadRequestError if token is unknown, expired or already used, or
+   * if password isn't allowed (see User.checkNewPassword); in that case the
+   * token can still be used with a better password.
+   **/
+
+  static async confirm(token, password) {
+    const check = await db.query(
+      `SELECT username
+           FROM password_reset_tokens
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()`,
+      [hashOpaqueToken(token)]
+    );
+    if (check.rows[0]) {
+      await User.checkNewPassword(check.rows[0].username, password);
+    }
+
+    const result = await db.query(
+      `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username`,
+      [hashOpaqueToken(token)]
+    );
+    const reset = result.rows[0];
+
+    if (!reset) {
+      throw new BadRequestError("Invalid or expired password reset token");
+    }
+
+    await db.query(
+      `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE username = $1 AND used_at IS NULL`,
+      [reset.username]
+    );
+
+    await User.update(reset.username, { password });
+    await TokenRevocation.revokeAllForUser(reset.username);
+
+    return reset.username;
+  }
+}
+
+module.exports = PasswordReset;
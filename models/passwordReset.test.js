@@ -0,0 +1,137 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const TokenRevocation = require("./tokenRevocation.js");
+const { transports } = require("../helpers/mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(function () {
+  transports.memory.sent.length = 0;
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Pull the reset token out of the last email sent. */
+
+function tokenFromMail() {
+  const mail = transports.memory.sent[transports.memory.sent.length - 1];
+  return decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works", async function () {
+    await PasswordReset.request("u1");
+    expect(transports.memory.sent).toEqual([
+      {
+        from: expect.any(String),
+        to: "u1@email.com",
+        subject: "Reset your J2F password",
+        text: expect.stringContaining("/reset-password?token="),
+      },
+    ]);
+
+    const found = await db.query(
+      `SELECT username FROM password_reset_tokens WHERE used_at IS NULL`
+    );
+    expect(found.rows).toEqual([{ username: "u1" }]);
+  });
+
+  test("works: ignores unknown user", async function () {
+    await PasswordReset.request("nope");
+    expect(transports.memory.sent).toEqual([]);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await PasswordReset.request("u1");
+    const username = await PasswordReset.confirm(tokenFromMail(), "newpass");
+    expect(username).toEqual("u1");
+
+    const user = await User.authenticate("u1", "newpass");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("works: logs user out everywhere", async function () {
+    const iat = Math.floor(Date.now() / 1000);
+    await PasswordReset.request("u1");
+    await PasswordReset.confirm(tokenFromMail(), "newpass");
+    expect(await TokenRevocation.isRevoked({ username: "u1", iat })).toEqual(
+      true
+    );
+  });
+
+  test("bad request if token used twice", async function () {
+    await PasswordReset.request("u1");
+    const token = tokenFromMail();
+    await PasswordReset.confirm(token, "newpass");
+    try {
+      await PasswordReset.confirm(token, "newpass2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if another reset token was used", async function () {
+    await PasswordReset.request("u1");
+    const first = tokenFromMail();
+    await PasswordReset.request("u1");
+    await PasswordReset.confirm(tokenFromMail(), "newpass");
+    try {
+      await PasswordReset.confirm(first, "newpass2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    await PasswordReset.request("u1");
+    await db.query(
+      `UPDATE password_reset_tokens
+           SET expires_at = NOW() - INTERVAL '1 minute'`
+    );
+    try {
+      await PasswordReset.confirm(tokenFromMail(), "newpass");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if password refused; token kept", async function () {
+    await PasswordReset.request("u1");
+    const token = tokenFromMail();
+    try {
+      await PasswordReset.confirm(token, "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await PasswordReset.confirm(token, "newpass")).toEqual("u1");
+  });
+
+  test("bad request if unknown token", async function () {
+    try {
+      await PasswordReset.confirm("nope", "newpass");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,146 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require("../config.js");
+
+/** Related functions for refresh tokens.
+ *
+ * A refresh token is an opaque random string handed to the client; only its
+ * hash is stored. Every login starts a new "family" of tokens. Each time a
+ * token is used it is revoked and replaced by a new one in the same family.
+ * If an already-used token is presented again, someone has a copy of it, so
+ * the whole family is revoked.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for username.
+   *
+   * Options:
+   *  familyId: the new token joins this family; otherwise a new family is
+   *            started
+   *  mfa: whether the login passed two-factor authentication
+   *
+   * Returns the raw token (this is the only time it is available).
+   **/
+
+  static async issue(
+    username,
+    { familyId = crypto.randomUUID(), mfa = false } = {}
+  ) {
+    const token = createOpaqueToken();
+
+    await db.query(
+      `INSERT INTO refresh_tokens
+           (token_hash, family_id, username, mfa, expires_at)
+           VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 day')`,
+      [
+        hashOpaqueToken(token),
+        familyId,
+        username,
+        mfa,
+        REFRESH_TOKEN_EXPIRES_DAYS,
+      ]
+    );
+
+    return token;
+  }
+
+  /** Use a refresh token, replacing it with a new one in the same family.
+   *
+   * Returns { username, mfa, refreshToken }
+   *
+   * Throws UnauthorizedError if token is unknown, expired or already used.
+   * Reuse of an already-used token revokes every token in its family.
+   **/
+
+  static async rotate(token) {
+    const tokenHash = hashOpaqueToken(token);
+
+    const result = await db.query(
+      `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE token_hash = $1
+             AND revoked_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username, family_id AS "familyId", mfa`,
+      [tokenHash]
+    );
+    const current = result.rows[0];
+
+    if (!current) {
+      const reuseCheck = await db.query(
+        `SELECT family_id AS "familyId", revoked_at AS "revokedAt"
+             FROM refresh_tokens
+             WHERE token_hash = $1`,
+        [tokenHash]
+      );
+      const used = reuseCheck.rows[0];
+
+      if (used && used.revokedAt) {
+        await RefreshToken.revokeFamily(used.familyId);
+        throw new UnauthorizedError("Refresh token reuse detected");
+      }
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const refreshToken = await RefreshToken.issue(current.username, {
+      familyId: current.familyId,
+      mfa: current.mfa,
+    });
+    await db.query(
+      `UPDATE refresh_tokens
+           SET replaced_by = $1
+           WHERE token_hash = $2`,
+      [hashOpaqueToken(refreshToken), tokenHash]
+    );
+
+    return { username: current.username, mfa: current.mfa, refreshToken };
+  }
+
+  /** Revoke every still-active token in a family; returns undefined. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+      `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+      [familyId]
+    );
+  }
+
+  /** Revoke the family a refresh token of username's belongs to (e.g. on
+   * logout).
+   *
+   * Unknown tokens, and other users', are ignored; returns undefined.
+   **/
+
+  static async revoke(token, username) {
+    await db.query(
+      `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE revoked_at IS NULL
+             AND username = $2
+             AND family_id = (SELECT family_id
+                                  FROM refresh_tokens
+                                  WHERE token_hash = $1)`,
+      [hashOpaqueToken(token), username]
+    );
+  }
+
+  /** Revoke every still-active refresh token of username; returns undefined. */
+
+  static async revokeAllForUser(username) {
+    await db.query(
+      `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+      [username]
+    );
+  }
+}
+
+module.exports = RefreshToken;
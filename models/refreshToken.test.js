@@ -0,0 +1,172 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const { hashOpaqueToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    expect(token).toEqual(expect.any(String));
+
+    const found = await db.query(
+      `SELECT username, family_id, expires_at > NOW() AS "active"
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+      [hashOpaqueToken(token)]
+    );
+    expect(found.rows).toEqual([
+      { username: "u1", family_id: expect.any(String), active: true },
+    ]);
+  });
+
+  test("works: joins existing family", async function () {
+    await RefreshToken.issue("u1", { familyId: "fam" });
+    await RefreshToken.issue("u1", { familyId: "fam" });
+    const found = await db.query(
+      `SELECT token_hash FROM refresh_tokens WHERE family_id = 'fam'`
+    );
+    expect(found.rows.length).toEqual(2);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { username, refreshToken } = await RefreshToken.rotate(token);
+    expect(username).toEqual("u1");
+    expect(refreshToken).not.toEqual(token);
+
+    const old = await db.query(
+      `SELECT revoked_at, replaced_by
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+      [hashOpaqueToken(token)]
+    );
+    expect(old.rows[0].revoked_at).toBeTruthy();
+    expect(old.rows[0].replaced_by).toEqual(hashOpaqueToken(refreshToken));
+  });
+
+  test("works: keeps two-factor status", async function () {
+    const token = await RefreshToken.issue("u1", { mfa: true });
+    const { mfa } = await RefreshToken.rotate(token);
+    expect(mfa).toEqual(true);
+
+    const other = await RefreshToken.issue("u1");
+    expect((await RefreshToken.rotate(other)).mfa).toEqual(false);
+  });
+
+  test("works: can rotate the new token", async function () {
+    const token = await RefreshToken.issue("u1");
+    const first = await RefreshToken.rotate(token);
+    const second = await RefreshToken.rotate(first.refreshToken);
+    expect(second.username).toEqual("u1");
+  });
+
+  test("unauth if unknown token", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.issue("u1");
+    await db.query(
+      `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 minute'`
+    );
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("reuse revokes the whole family", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Refresh token reuse detected");
+    }
+
+    // the legitimately-rotated token is no longer usable either
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("reuse doesn't affect other families", async function () {
+    const token = await RefreshToken.issue("u1");
+    const other = await RefreshToken.issue("u1");
+    await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+
+    const { username } = await RefreshToken.rotate(other);
+    expect(username).toEqual("u1");
+  });
+});
+
+/************************************** revokeFamily */
+
+describe("revokeFamily", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1", { familyId: "fam" });
+    await RefreshToken.revokeFamily("fam");
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works: revokes the whole family", async function () {
+    const token = await RefreshToken.issue("u1", { familyId: "fam" });
+    const other = await RefreshToken.issue("u1", { familyId: "fam" });
+    await RefreshToken.revoke(token, "u1");
+    await expect(RefreshToken.rotate(other)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("ignores other users' tokens", async function () {
+    const token = await RefreshToken.issue("u1");
+    await RefreshToken.revoke(token, "u2");
+    const { username } = await RefreshToken.rotate(token);
+    expect(username).toEqual("u1");
+  });
+});
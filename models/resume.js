@@ -0,0 +1,86 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for resumes.
+ *
+ * Users keep a list of resumes (each a title and a link to the document) and
+ * choose one of them when they apply to a job.
+ */
+
+class Resume {
+  /** Add a resume for username.
+   *
+   * data should be { title, url }
+   *
+   * Returns { id, title, url, createdAt }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async create(username, { title, url }) {
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `INSERT INTO resumes (username, title, url)
+           VALUES ($1, $2, $3)
+           RETURNING id, title, url, created_at AS "createdAt"`,
+      [username, title, url]
+    );
+    return result.rows[0];
+  }
+
+  /** Find all of username's resumes.
+   *
+   * Returns [{ id, title, url, createdAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+      `SELECT id, title, url, created_at AS "createdAt"
+           FROM resumes
+           WHERE username = $1
+           ORDER BY id`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Return true if resume id is one of username's. */
+
+  static async belongsTo(id, username) {
+    const result = await db.query(
+      `SELECT EXISTS (SELECT 1
+                          FROM resumes
+                          WHERE id = $1 AND username = $2) AS "belongs"`,
+      [id, username]
+    );
+    return result.rows[0].belongs;
+  }
+
+  /** Delete one of username's resumes; returns undefined. Applications made
+   * with it are kept, without a resume.
+   *
+   * Throws NotFoundError if username has no such resume.
+   **/
+
+  static async remove(username, id) {
+    const result = await db.query(
+      `DELETE FROM resumes
+           WHERE username = $1 AND id = $2
+           RETURNING id`,
+      [username, id]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No resume: ${id}`);
+  }
+}
+
+module.exports = Resume;
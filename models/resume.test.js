@@ -0,0 +1,91 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const Resume = require("./resume.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newResume = { title: "CV", url: "http://cv.example.com/u1.pdf" };
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const resume = await Resume.create("u1", newResume);
+    expect(resume).toEqual({
+      id: expect.any(Number),
+      title: "CV",
+      url: "http://cv.example.com/u1.pdf",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Resume.create("nope", newResume);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const resume = await Resume.create("u1", newResume);
+    await Resume.create("u2", newResume);
+    expect(await Resume.findAll("u1")).toEqual([resume]);
+  });
+});
+
+/************************************** belongsTo */
+
+describe("belongsTo", function () {
+  test("works", async function () {
+    const { id } = await Resume.create("u1", newResume);
+    expect(await Resume.belongsTo(id, "u1")).toEqual(true);
+    expect(await Resume.belongsTo(id, "u2")).toEqual(false);
+    expect(await Resume.belongsTo(0, "u1")).toEqual(false);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, keeping applications made with it", async function () {
+    const { id } = await Resume.create("u1", newResume);
+    await db.query(
+      `UPDATE applications SET resume_id = $1 WHERE username = 'u1'`,
+      [id]
+    );
+
+    await Resume.remove("u1", id);
+    expect(await Resume.findAll("u1")).toEqual([]);
+    const res = await db.query(
+      `SELECT resume_id FROM applications WHERE username = 'u1'`
+    );
+    expect(res.rows).toEqual([{ resume_id: null }, { resume_id: null }]);
+  });
+
+  test("not found if not theirs", async function () {
+    const { id } = await Resume.create("u1", newResume);
+    try {
+      await Resume.remove("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,107 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const TokenRevocation = require("./tokenRevocation");
+
+/** Related functions for roles and the permissions they grant.
+ *
+ * Roles and permissions themselves are set up in j2f-schema.sql; users are
+ * given roles here. A user's roles are carried in their tokens, while what
+ * each role may do is looked up when it's needed.
+ */
+
+class Role {
+  /** Find all roles.
+   *
+   * Returns [{ name, description, permissions: [permission, ...] }, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+      `SELECT r.name,
+              r.description,
+              ARRAY(SELECT permission
+                        FROM role_permissions
+                        WHERE role = r.name
+                        ORDER BY permission) AS permissions
+           FROM roles AS r
+           ORDER BY r.name`
+    );
+    return result.rows;
+  }
+
+  /** Return true if any of roles grants permission. */
+
+  static async hasPermission(roles, permission) {
+    const result = await db.query(
+      `SELECT EXISTS (SELECT 1
+                          FROM role_permissions
+                          WHERE role = ANY($1)
+                            AND permission = $2) AS "allowed"`,
+      [roles, permission]
+    );
+    return result.rows[0].allowed;
+  }
+
+  /** Give username role; giving a role they already have is fine.
+   *
+   * Returns undefined. Throws NotFoundError if user or role not found.
+   **/
+
+  static async assign(username, role) {
+    await Role._checkExists(username, role);
+
+    await db.query(
+      `INSERT INTO user_roles (username, role)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING`,
+      [username, role]
+    );
+  }
+
+  /** Take role away from username; returns undefined.
+   *
+   * The user's existing tokens are revoked, since those still claim the role.
+   *
+   * Throws NotFoundError if user or role not found, or user doesn't have role.
+   **/
+
+  static async unassign(username, role) {
+    await Role._checkExists(username, role);
+
+    const result = await db.query(
+      `DELETE FROM user_roles
+           WHERE username = $1 AND role = $2
+           RETURNING role`,
+      [username, role]
+    );
+    if (!result.rows[0]) {
+      throw new NotFoundError(`User ${username} doesn't have role: ${role}`);
+    }
+
+    await TokenRevocation.revokeAllForUser(username);
+  }
+
+  /** Throw NotFoundError unless both username and role exist. */
+
+  static async _checkExists(username, role) {
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const roleCheck = await db.query(
+      `SELECT name
+           FROM roles
+           WHERE name = $1`,
+      [role]
+    );
+    if (!roleCheck.rows[0]) throw new NotFoundError(`No role: ${role}`);
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,117 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const Role = require("./role.js");
+const TokenRevocation = require("./tokenRevocation.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const roles = await Role.findAll();
+    expect(roles.map((r) => r.name)).toEqual([
+      "admin",
+      "candidate",
+      "moderator",
+      "recruiter",
+    ]);
+    expect(roles.find((r) => r.name === "moderator")).toEqual({
+      name: "moderator",
+      description: expect.any(String),
+      permissions: ["companies:write", "users:read"],
+    });
+  });
+});
+
+/************************************** hasPermission */
+
+describe("hasPermission", function () {
+  test("works", async function () {
+    expect(
+      await Role.hasPermission(["candidate", "moderator"], "users:read")
+    ).toEqual(true);
+    expect(await Role.hasPermission(["moderator"], "jobs:write")).toEqual(
+      false
+    );
+    expect(await Role.hasPermission([], "jobs:write")).toEqual(false);
+  });
+});
+
+/************************************** assign */
+
+describe("assign", function () {
+  test("works", async function () {
+    await Role.assign("u1", "recruiter");
+    const user = await User.get("u1");
+    expect(user.roles).toEqual(["recruiter"]);
+  });
+
+  test("works: assigning twice is fine", async function () {
+    await Role.assign("u1", "recruiter");
+    await Role.assign("u1", "recruiter");
+    const user = await User.get("u1");
+    expect(user.roles).toEqual(["recruiter"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.assign("nope", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such role", async function () {
+    try {
+      await Role.assign("u1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unassign */
+
+describe("unassign", function () {
+  test("works", async function () {
+    await Role.assign("u1", "recruiter");
+    await Role.unassign("u1", "recruiter");
+    const user = await User.get("u1");
+    expect(user.roles).toEqual([]);
+  });
+
+  test("works: revokes tokens", async function () {
+    await Role.assign("u1", "recruiter");
+    await Role.unassign("u1", "recruiter");
+    const payload = {
+      jti: "x",
+      username: "u1",
+      iat: Math.floor(Date.now() / 1000) - 60,
+    };
+    expect(await TokenRevocation.isRevoked(payload)).toEqual(true);
+  });
+
+  test("not found if user doesn't have role", async function () {
+    try {
+      await Role.unassign("u1", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
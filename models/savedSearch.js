@@ -0,0 +1,273 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { notify } = require("../helpers/notifier");
+const config = require("../config");
+
+// how long to wait between digests; a little under a day (or week) so a
+// scheduler running at the same time each day doesn't skip any
+const DIGEST_INTERVALS = {
+  instant: "0 seconds",
+  daily: "23 hours",
+  weekly: "6 days 23 hours",
+};
+
+const SEARCH_COLUMNS = `id,
+              name,
+              filters,
+              frequency,
+              last_sent_at AS "lastSentAt",
+              created_at AS "createdAt"`;
+
+/** Related functions for saved searches.
+ *
+ * Users save the filters they search jobs with (as for Job.findAll). When a
+ * new job matches, an alert is queued for it (see queueAlerts); the alerts
+ * for each search are sent together through helpers/notifier.js, as soon as
+ * the job is posted (see sendInstantAlerts) or in a daily or weekly digest
+ * (see sendDigests.) Alerts are claimed before they're sent, so each is only
+ * sent once.
+ */
+
+class SavedSearch {
+  /** Save a search for username.
+   *
+   * data should be { name, filters, frequency }
+   *   where filters is { title, minSalary, hasEquity }, all optional, and
+   *   frequency is "instant", "daily" (the default) or "weekly"
+   *
+   * Returns { id, name, filters, frequency, lastSentAt, createdAt }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async create(username, { name, filters = {}, frequency = "daily" }) {
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `INSERT INTO saved_searches (username, name, filters, frequency)
+           VALUES ($1, $2, $3, $4)
+           RETURNING ${SEARCH_COLUMNS}`,
+      [username, name, JSON.stringify(filters), frequency]
+    );
+    return result.rows[0];
+  }
+
+  /** Find all of username's saved searches.
+   *
+   * Returns [{ id, name, filters, frequency, lastSentAt, createdAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+      `SELECT ${SEARCH_COLUMNS}
+           FROM saved_searches
+           WHERE username = $1
+           ORDER BY id`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Delete one of username's saved searches (and its alerts); returns
+   * undefined.
+   *
+   * Throws NotFoundError if username has no such search.
+   **/
+
+  static async remove(username, id) {
+    const result = await db.query(
+      `DELETE FROM saved_searches
+           WHERE username = $1 AND id = $2
+           RETURNING id`,
+      [username, id]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No saved search: ${id}`);
+  }
+
+  /** Queue alerts for a new job ({ id, title, salary, equity }) to every
+   * saved search it matches. They're sent by sendInstantAlerts (for instant
+   * searches) or sendDigests.
+   *
+   * Matching is the same as Job.findAll's: title is a case-insensitive,
+   * partial match, salary must be at least minSalary and, with hasEquity,
+   * equity must be more than 0.
+   *
+   * Returns the number of alerts queued.
+   **/
+
+  static async queueAlerts({ id, title, salary, equity }) {
+    const result = await db.query(
+      `INSERT INTO search_alerts (search_id, job_id)
+           SELECT s.id, $1
+               FROM saved_searches AS s
+               WHERE (s.filters->>'title' IS NULL
+                      OR $2 ILIKE '%' || (s.filters->>'title') || '%')
+                 AND (s.filters->>'minSalary' IS NULL
+                      OR $3 >= (s.filters->>'minSalary')::INTEGER)
+                 AND (s.filters->>'hasEquity' IS DISTINCT FROM 'true'
+                      OR $4::NUMERIC > 0)
+           ON CONFLICT DO NOTHING
+           RETURNING search_id`,
+      [id, title, salary, equity]
+    );
+
+    return result.rows.length;
+  }
+
+  /** Send the alerts for a new job to the instant saved searches it matched.
+   *
+   * This is done once the job is posted, so errors are logged rather than
+   * thrown; alerts that weren't sent are left for the next digest of instant
+   * alerts (see sendDigests.)
+   *
+   * Returns the number of alerts sent.
+   **/
+
+  static async sendInstantAlerts(jobId) {
+    let searchesRes;
+    try {
+      searchesRes = await db.query(
+        `SELECT s.id, s.name, s.username, u.email
+             FROM saved_searches AS s
+             JOIN users AS u ON u.username = s.username
+             WHERE s.frequency = 'instant'
+               AND EXISTS (SELECT 1
+                               FROM search_alerts AS a
+                               WHERE a.search_id = s.id
+                                 AND a.job_id = $1
+                                 AND a.sent_at IS NULL)
+             ORDER BY s.id`,
+        [jobId]
+      );
+    } catch (err) {
+      console.error(`Couldn't send alerts for job ${jobId}: ${err.message}`);
+      return 0;
+    }
+
+    let sent = 0;
+    for (const search of searchesRes.rows) {
+      try {
+        if (await SavedSearch._sendDigest(search, { jobId })) sent++;
+      } catch (err) {
+        console.error(
+          `Couldn't send alerts for saved search ${search.id}: ${err.message}`
+        );
+      }
+    }
+    return sent;
+  }
+
+  /** Send a digest of its unsent alerts for each saved search with
+   * frequency ("instant", "daily" or "weekly") that has some, unless one was
+   * sent less than a day (or week) ago.
+   *
+   * Digests are sent by running sendAlerts.js on a schedule; instant
+   * alerts are normally sent as jobs are posted (see sendInstantAlerts), so
+   * instant digests only pick up those that couldn't be.
+   *
+   * Returns the number of digests sent.
+   **/
+
+  static async sendDigests(frequency) {
+    const searchesRes = await db.query(
+      `SELECT s.id, s.name, s.username, u.email
+           FROM saved_searches AS s
+           JOIN users AS u ON u.username = s.username
+           WHERE s.frequency = $1
+             AND (s.last_sent_at IS NULL
+                  OR s.last_sent_at <= NOW() - $2::INTERVAL)
+             AND EXISTS (SELECT 1
+                             FROM search_alerts AS a
+                             WHERE a.search_id = s.id AND a.sent_at IS NULL)
+           ORDER BY s.id`,
+      [frequency, DIGEST_INTERVALS[frequency]]
+    );
+
+    let sent = 0;
+    for (const search of searchesRes.rows) {
+      if (await SavedSearch._sendDigest(search)) sent++;
+    }
+    return sent;
+  }
+
+  /** Send search ({ id, name, username, email }) its unsent alerts (only
+   * those for jobId, if given.)
+   *
+   * The alerts are claimed (marked sent) first, so they aren't also sent by
+   * a digest running at the same time, and released again if sending fails.
+   *
+   * Returns true if any were sent, false if there were none left to claim.
+   * Throws if sending fails.
+   */
+
+  static async _sendDigest(search, { jobId = null } = {}) {
+    const claimRes = await db.query(
+      `UPDATE search_alerts
+           SET sent_at = NOW()
+           WHERE search_id = $1
+             AND sent_at IS NULL
+             AND ($2::INTEGER IS NULL OR job_id = $2)
+           RETURNING id`,
+      [search.id, jobId]
+    );
+    const alertIds = claimRes.rows.map((a) => a.id);
+    if (!alertIds.length) return false;
+
+    const jobsRes = await db.query(
+      `SELECT j.id,
+              j.title,
+              j.salary,
+              j.equity,
+              j.company_handle AS "companyHandle",
+              c.name AS "companyName"
+           FROM search_alerts AS a
+           JOIN jobs AS j ON j.id = a.job_id
+           JOIN companies AS c ON c.handle = j.company_handle
+           WHERE a.id = ANY($1)
+           ORDER BY a.id`,
+      [alertIds]
+    );
+    const jobs = jobsRes.rows;
+
+    const count = jobs.length === 1 ? "1 new job" : `${jobs.length} new jobs`;
+    const lines = jobs.map(
+      (j) => `- ${j.title} at ${j.companyName}: ${config.APP_URL}/jobs/${j.id}`
+    );
+    try {
+      await notify({
+        username: search.username,
+        email: search.email,
+        subject: `${count} for your search "${search.name}"`,
+        text: lines.join("\n"),
+        data: { type: "searchAlert", searchId: search.id, jobs },
+      });
+    } catch (err) {
+      await db.query(
+        `UPDATE search_alerts
+             SET sent_at = NULL
+             WHERE id = ANY($1)`,
+        [alertIds]
+      );
+      throw err;
+    }
+
+    await db.query(
+      `UPDATE saved_searches
+           SET last_sent_at = NOW()
+           WHERE id = $1`,
+      [search.id]
+    );
+    return true;
+  }
+}
+
+module.exports = SavedSearch;
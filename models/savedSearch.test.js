@@ -0,0 +1,287 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const SavedSearch = require("./savedSearch.js");
+const Job = require("./job.js");
+const { setTransport, transports } = require("../helpers/notifier");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+afterEach(function () {
+  transports.memory.sent.length = 0;
+  setTransport(transports.memory);
+});
+
+function createJob(data = {}) {
+  return Job.create({
+    title: "Engineer",
+    salary: 150,
+    equity: "0.1",
+    companyHandle: "c1",
+    ...data,
+  });
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", {
+      name: "Engineering",
+      filters: { title: "eng", minSalary: 100 },
+    });
+    expect(search).toEqual({
+      id: expect.any(Number),
+      name: "Engineering",
+      filters: { title: "eng", minSalary: 100 },
+      frequency: "daily",
+      lastSentAt: null,
+      createdAt: expect.any(Date),
+    });
+    expect(await SavedSearch.findAll("u1")).toEqual([search]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedSearch.create("nope", { name: "All" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "All" });
+    await SavedSearch.remove("u1", id);
+    expect(await SavedSearch.findAll("u1")).toEqual([]);
+  });
+
+  test("not found for someone else's search", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "All" });
+    try {
+      await SavedSearch.remove("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** queueAlerts */
+
+describe("queueAlerts", function () {
+  async function alertedSearches() {
+    const result = await db.query(
+      `SELECT s.name
+           FROM search_alerts AS a
+           JOIN saved_searches AS s ON s.id = a.search_id
+           ORDER BY s.name`
+    );
+    return result.rows.map((r) => r.name);
+  }
+
+  test("matches like Job.findAll", async function () {
+    await SavedSearch.create("u1", { name: "all" });
+    await SavedSearch.create("u1", { name: "eng", filters: { title: "ENG" } });
+    await SavedSearch.create("u1", { name: "ops", filters: { title: "ops" } });
+    await SavedSearch.create("u1", {
+      name: "rich",
+      filters: { minSalary: 200 },
+    });
+    await SavedSearch.create("u1", {
+      name: "equity",
+      filters: { hasEquity: true },
+    });
+
+    await createJob();
+    expect(await alertedSearches()).toEqual(["all", "eng", "equity"]);
+  });
+
+  test("hasEquity doesn't match jobs without equity", async function () {
+    await SavedSearch.create("u1", {
+      name: "equity",
+      filters: { hasEquity: true },
+    });
+    await createJob({ equity: "0" });
+    await createJob({ equity: null });
+    expect(await alertedSearches()).toEqual([]);
+  });
+
+  test("doesn't send them", async function () {
+    await SavedSearch.create("u1", { name: "All", frequency: "instant" });
+    await createJob();
+    expect(transports.memory.sent).toEqual([]);
+  });
+});
+
+/************************************** sendInstantAlerts */
+
+describe("sendInstantAlerts", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", {
+      name: "Engineering",
+      frequency: "instant",
+    });
+    const job = await createJob();
+
+    expect(await SavedSearch.sendInstantAlerts(job.id)).toEqual(1);
+    expect(transports.memory.sent).toEqual([
+      {
+        username: "u1",
+        email: "u1@email.com",
+        subject: '1 new job for your search "Engineering"',
+        text: `- Engineer at C1: http://localhost:3001/jobs/${job.id}`,
+        data: {
+          type: "searchAlert",
+          searchId: search.id,
+          jobs: [
+            {
+              id: job.id,
+              title: "Engineer",
+              salary: 150,
+              equity: "0.1",
+              companyHandle: "c1",
+              companyName: "C1",
+            },
+          ],
+        },
+      },
+    ]);
+
+    // already sent
+    expect(await SavedSearch.sendInstantAlerts(job.id)).toEqual(0);
+  });
+
+  test("only sends that job's alerts", async function () {
+    await SavedSearch.create("u1", { name: "All", frequency: "instant" });
+    await createJob({ title: "Designer" });
+    const job = await createJob();
+
+    expect(await SavedSearch.sendInstantAlerts(job.id)).toEqual(1);
+    expect(transports.memory.sent[0].data.jobs.map((j) => j.id)).toEqual([
+      job.id,
+    ]);
+  });
+
+  test("leaves daily alerts for the digest", async function () {
+    await SavedSearch.create("u1", { name: "All" });
+    const job = await createJob();
+    expect(await SavedSearch.sendInstantAlerts(job.id)).toEqual(0);
+    expect(transports.memory.sent).toEqual([]);
+  });
+
+  test("logs errors, leaving the alerts unsent", async function () {
+    await SavedSearch.create("u1", { name: "All", frequency: "instant" });
+    const job = await createJob();
+    setTransport({
+      async send() {
+        throw new Error("mail server down");
+      },
+    });
+    const logged = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    try {
+      expect(await SavedSearch.sendInstantAlerts(job.id)).toEqual(0);
+      expect(logged).toHaveBeenCalledWith(
+        expect.stringContaining("mail server down")
+      );
+    } finally {
+      logged.mockRestore();
+    }
+
+    setTransport(transports.memory);
+    expect(await SavedSearch.sendDigests("instant")).toEqual(1);
+    expect(transports.memory.sent.length).toEqual(1);
+  });
+
+  test("logs errors finding the searches too", async function () {
+    const job = await createJob();
+    const query = jest
+      .spyOn(db, "query")
+      .mockRejectedValueOnce(new Error("database down"));
+    const logged = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    try {
+      expect(await SavedSearch.sendInstantAlerts(job.id)).toEqual(0);
+      expect(logged).toHaveBeenCalledWith(
+        expect.stringContaining("database down")
+      );
+    } finally {
+      query.mockRestore();
+      logged.mockRestore();
+    }
+  });
+});
+
+/************************************** sendDigests */
+
+describe("sendDigests", function () {
+  test("works", async function () {
+    await SavedSearch.create("u1", { name: "All" });
+    await SavedSearch.create("u2", { name: "Weekly", frequency: "weekly" });
+    await createJob({ title: "Engineer" });
+    await createJob({ title: "Designer" });
+
+    expect(await SavedSearch.sendDigests("daily")).toEqual(1);
+    expect(transports.memory.sent.length).toEqual(1);
+    expect(transports.memory.sent[0]).toEqual(
+      expect.objectContaining({
+        username: "u1",
+        subject: '2 new jobs for your search "All"',
+      })
+    );
+    expect(transports.memory.sent[0].data.jobs.map((j) => j.title)).toEqual([
+      "Engineer",
+      "Designer",
+    ]);
+
+    // already sent
+    expect(await SavedSearch.sendDigests("daily")).toEqual(0);
+  });
+
+  test("sends each alert once, even if run twice at once", async function () {
+    await SavedSearch.create("u1", { name: "All" });
+    await createJob();
+
+    const sent = await Promise.all([
+      SavedSearch.sendDigests("daily"),
+      SavedSearch.sendDigests("daily"),
+    ]);
+    expect(sent[0] + sent[1]).toEqual(1);
+    expect(transports.memory.sent.length).toEqual(1);
+  });
+
+  test("waits a day between digests", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "All" });
+    await db.query(
+      `UPDATE saved_searches
+           SET last_sent_at = NOW() - INTERVAL '1 hour'
+           WHERE id = $1`,
+      [id]
+    );
+    await createJob();
+    expect(await SavedSearch.sendDigests("daily")).toEqual(0);
+
+    await db.query(
+      `UPDATE saved_searches
+           SET last_sent_at = NOW() - INTERVAL '1 day'
+           WHERE id = $1`,
+      [id]
+    );
+    expect(await SavedSearch.sendDigests("daily")).toEqual(1);
+  });
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+const db = require("../db");
+const RefreshToken = require("./refreshToken");
+const ApiKey = require("./apiKey");
+
+/** Related functions for revoking access tokens before they expire.
+ *
+ * A single token is revoked by its jti (e.g. on logout). All of a user's
+ * tokens are revoked at once by recording a cutoff time: any token for that
+ * username issued at or before the cutoff is rejected.
+ */
+
+class TokenRevocation {
+  /** Revoke a single token, given its decoded payload { jti, username, exp }.
+   *
+   * Returns undefined.
+   **/
+
+  static async revoke({ jti, username, exp }) {
+    // expired tokens are rejected anyway, so there's no need to keep them
+    await db.query(`DELETE FROM revoked_tokens WHERE expires_at < NOW()`);
+
+    await db.query(
+      `INSERT INTO revoked_tokens (jti, username, expires_at)
+           VALUES ($1, $2, to_timestamp($3))
+           ON CONFLICT (jti) DO NOTHING`,
+      [jti, username, exp]
+    );
+  }
+
+  /** Revoke every token (access and refresh) and API key issued to username
+   * so far.
+   *
+   * Returns undefined.
+   **/
+
+  static async revokeAllForUser(username) {
+    // the time now, even in a transaction (where NOW() is when it began), so
+    // tokens issued since it began are covered
+    await db.query(
+      `INSERT INTO user_token_revocations (username, revoked_at)
+           VALUES ($1, clock_timestamp())
+           ON CONFLICT (username)
+             DO UPDATE SET revoked_at = EXCLUDED.revoked_at`,
+      [username]
+    );
+    await RefreshToken.revokeAllForUser(username);
+    await ApiKey.revokeAllForUser(username);
+  }
+
+  /** Given a decoded token payload { jti, username, iat, iatMs }, return true
+   * if the token has been revoked.
+   *
+   * The time it was issued is taken from iatMs (see createToken) if it has
+   * one. iat only has one-second resolution, so a token without iatMs issued
+   * in the same second as a revoke-all counts as revoked.
+   **/
+
+  static async isRevoked({ jti, username, iat, iatMs }) {
+    const issuedAt = iatMs !== undefined ? iatMs / 1000 : iat;
+    const result = await db.query(
+      `SELECT EXISTS (SELECT 1
+                          FROM revoked_tokens
+                          WHERE jti = $1)
+           OR EXISTS (SELECT 1
+                          FROM user_token_revocations
+                          WHERE username = $2
+                            AND revoked_at >= to_timestamp($3)) AS "revoked"`,
+      [jti || null, username, issuedAt]
+    );
+
+    return result.rows[0].revoked;
+  }
+}
+
+module.exports = TokenRevocation;
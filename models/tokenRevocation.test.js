@@ -0,0 +1,100 @@
+"use strict";
+
+const db = require("../db.js");
+const TokenRevocation = require("./tokenRevocation.js");
+const RefreshToken = require("./refreshToken.js");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const now = Math.floor(Date.now() / 1000);
+const payload = { jti: "jti1", username: "u1", iat: now, exp: now + 900 };
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    expect(await TokenRevocation.isRevoked(payload)).toEqual(false);
+    await TokenRevocation.revoke(payload);
+    expect(await TokenRevocation.isRevoked(payload)).toEqual(true);
+    expect(
+      await TokenRevocation.isRevoked({ ...payload, jti: "jti2" })
+    ).toEqual(false);
+  });
+
+  test("works: twice", async function () {
+    await TokenRevocation.revoke(payload);
+    await TokenRevocation.revoke(payload);
+    expect(await TokenRevocation.isRevoked(payload)).toEqual(true);
+  });
+
+  test("works: purges expired revocations", async function () {
+    await TokenRevocation.revoke({ ...payload, jti: "old", exp: now - 60 });
+    await TokenRevocation.revoke(payload);
+    const result = await db.query(`SELECT jti FROM revoked_tokens`);
+    expect(result.rows).toEqual([{ jti: "jti1" }]);
+  });
+});
+
+/************************************** revokeAllForUser */
+
+describe("revokeAllForUser", function () {
+  test("works", async function () {
+    await TokenRevocation.revokeAllForUser("u1");
+    expect(await TokenRevocation.isRevoked(payload)).toEqual(true);
+    expect(
+      await TokenRevocation.isRevoked({ ...payload, username: "u2" })
+    ).toEqual(false);
+  });
+
+  test("works: later tokens are still valid", async function () {
+    await TokenRevocation.revokeAllForUser("u1");
+    expect(
+      await TokenRevocation.isRevoked({ ...payload, iat: now + 60 })
+    ).toEqual(false);
+  });
+
+  test("works: same-second tokens without iatMs", async function () {
+    await TokenRevocation.revokeAllForUser("u1");
+    const iat = Math.floor(Date.now() / 1000);
+    expect(await TokenRevocation.isRevoked({ ...payload, iat })).toEqual(true);
+  });
+
+  test("works: to the millisecond with iatMs", async function () {
+    const before = { ...payload, iatMs: Date.now() };
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await TokenRevocation.revokeAllForUser("u1");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const after = { ...payload, iatMs: Date.now() };
+    expect(await TokenRevocation.isRevoked(before)).toEqual(true);
+    expect(await TokenRevocation.isRevoked(after)).toEqual(false);
+  });
+
+  test("works: revokes refresh tokens", async function () {
+    const token = await RefreshToken.issue("u1");
+    await TokenRevocation.revokeAllForUser("u1");
+    await expect(RefreshToken.rotate(token)).rejects.toThrow();
+  });
+
+  test("works: revokes API keys", async function () {
+    const { key } = await ApiKey.create("u1", { name: "k1" });
+    await TokenRevocation.revokeAllForUser("u1");
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+
+  test("works: tokens without jti", async function () {
+    const { jti, ...noJti } = payload;
+    expect(await TokenRevocation.isRevoked(noJti)).toEqual(false);
+    await TokenRevocation.revokeAllForUser("u1");
+    expect(await TokenRevocation.isRevoked(noJti)).toEqual(true);
+  });
+});
@@ -4,26 +4,52 @@ const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
 const {
+  ExpressError,
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
 const generator = require("generate-password");
-const STATES = new Set(['interested', 'applied', 'accepted', 'rejected']);
-
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const TokenRevocation = require("./tokenRevocation");
+const EmailVerification = require("./emailVerification");
+const LoginThrottle = require("./loginThrottle");
+const ApplicationEvent = require("./applicationEvent");
+const Resume = require("./resume");
+const Notification = require("./notification");
+const Note = require("./note");
+const CompanyMember = require("./companyMember");
+const { publish } = require("../helpers/events");
+const { checkPassword } = require("../helpers/passwordPolicy");
+const { sanitizeMarkdown } = require("../helpers/markdown");
+const { checkTransition } = require("../helpers/applicationStates");
+const { checkAnswers } = require("../helpers/screening");
+
+// bcrypt won't go below this cost, whatever it's asked for
+const BCRYPT_MIN_COST = 4;
+
+const config = require("../config.js");
+const { BCRYPT_WORK_FACTOR } = config;
 
 /** Related functions for users. */
 
 class User {
-  /** authenticate user with username, password.
+  /** authenticate user with username, password, from client address ip.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin, roles }
    *
    * Throws UnauthorizedError is user not found or wrong password.
+   *
+   * Failed attempts are counted per username and ip (if given); too many
+   * throw TooManyRequestsError or, for a locked account, LockedError.
+   *
+   * If the stored hash is weaker than a new one would be (see _isWeakHash),
+   * the password is rehashed now that it's known.
    **/
 
-  static async authenticate(username, password) {
+  static async authenticate(username, password, ip) {
+    await LoginThrottle.check(username, ip);
+
     // try to find the user first
     const result = await db.query(
       `SELECT username,
@@ -31,7 +57,11 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  ARRAY(SELECT role
+                            FROM user_roles
+                            WHERE username = users.username
+                            ORDER BY role) AS roles
            FROM users
            WHERE username = $1`,
       [username]
@@ -43,19 +73,30 @@ class User {
       // compare hashed password to a new hash from password
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
+        await LoginThrottle.recordSuccess(username);
+        if (User._isWeakHash(user.password)) {
+          await User._rehashPassword(username, password);
+        }
         delete user.password;
         return user;
       }
     }
 
+    await LoginThrottle.recordFailure(username, ip);
     throw new UnauthorizedError("Invalid username/password");
   }
 
-  /** Register user with data.
+  /** Register user with data, and email them a link to verify their
+   * address.
+   *
+   * If no password is given (admins creating users), a random one is made.
+   * If emailVerified is true (the address was checked elsewhere, e.g. by an
+   * identity provider), no link is sent and the address counts as verified.
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
-   * Throws BadRequestError on duplicates.
+   * Throws BadRequestError on duplicates, or if password breaks the password
+   * policy (with the list of rules broken; see helpers/passwordPolicy.js).
    **/
 
   static async register({
@@ -65,6 +106,7 @@ class User {
     lastName,
     email,
     isAdmin,
+    emailVerified = false,
   }) {
     const duplicateCheck = await db.query(
       `SELECT username
@@ -76,7 +118,14 @@ class User {
     if (duplicateCheck.rows[0]) {
       throw new BadRequestError(`Duplicate username: ${username}`);
     }
-    password = password || User._randomPassword(10);
+    if (password) {
+      const errors = checkPassword(password, { username, email });
+      if (errors.length) throw new BadRequestError(errors);
+    } else {
+      password = User._randomPassword(
+        Math.max(config.PASSWORD_MIN_LENGTH, 16)
+      );
+    }
 
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
@@ -87,14 +136,26 @@ class User {
             first_name,
             last_name,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
+            is_admin,
+            email_verified_at)
+           VALUES ($1, $2, $3, $4, $5, $6,
+                   CASE WHEN $7::boolean THEN NOW() END)
            RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-      [username, hashedPassword, firstName, lastName, email, isAdmin]
+      [
+        username,
+        hashedPassword,
+        firstName,
+        lastName,
+        email,
+        isAdmin,
+        emailVerified,
+      ]
     );
 
     const user = result.rows[0];
 
+    if (!emailVerified) await EmailVerification.send(user.username);
+
     return user;
   }
 
@@ -119,7 +180,8 @@ class User {
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
+   * Returns { username, first_name, last_name, is_admin, emailVerified, roles,
+   *           jobs }
    *   where jobs is { id, title, company_handle, company_name, state }
    *
    * Throws NotFoundError if user not found.
@@ -131,7 +193,12 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  email_verified_at IS NOT NULL AS "emailVerified",
+                  is_admin AS "isAdmin",
+                  ARRAY(SELECT role
+                            FROM user_roles
+                            WHERE username = users.username
+                            ORDER BY role) AS roles
            FROM users
            WHERE username = $1`,
       [username]
@@ -141,10 +208,11 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    // jobs they've only saved aren't applications (see getSavedJobs)
     const applicationsRes = await db.query(
       `SELECT a.job_id
         FROM applications AS a
-        WHERE a.username = $1`,
+        WHERE a.username = $1 AND a.state IS DISTINCT FROM 'interested'`,
       [username]
     );
     user.applications = applicationsRes.rows.map((a) => a.job_id);
@@ -164,20 +232,48 @@ class User {
    *
    * Throws NotFoundError if not found.
    *
+   * Removing admin rights (isAdmin: false) revokes the user's existing tokens,
+   * since those still claim admin rights.
+   *
+   * Changing the email address marks it as unverified and emails a new
+   * verification link.
+   *
+   * A new password is checked with checkNewPassword, and the old one is kept
+   * in the user's password history.
+   *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
   static async update(username, data) {
+    let oldHash;
     if (data.password) {
+      oldHash = await User.checkNewPassword(
+        username,
+        data.password,
+        data.email
+      );
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
 
+    let emailChanged = false;
+    if (data.email !== undefined) {
+      const emailRes = await db.query(
+        `SELECT email
+           FROM users
+           WHERE username = $1`,
+        [username]
+      );
+      emailChanged = emailRes.rows[0] && emailRes.rows[0].email !== data.email;
+      if (emailChanged) data = { ...data, emailVerifiedAt: null };
+    }
+
     const { setCols, values } = sqlForPartialUpdate(data, {
       firstName: "first_name",
       lastName: "last_name",
       isAdmin: "is_admin",
+      emailVerifiedAt: "email_verified_at",
     });
     const usernameVarIdx = "$" + (values.length + 1);
 
@@ -194,11 +290,96 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    if (oldHash) await User._addToPasswordHistory(username, oldHash);
+    if (data.isAdmin === false) await TokenRevocation.revokeAllForUser(username);
+    if (emailChanged) await EmailVerification.send(username);
+
     delete user.password;
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Check that password may become username's new password: it follows the
+   * password policy (see helpers/passwordPolicy.js), with email in place of
+   * the user's current address if given, and isn't the same as their current
+   * password or any of the config.PASSWORD_HISTORY_COUNT - 1 before it.
+   *
+   * Returns the user's current password hash.
+   *
+   * Throws NotFoundError if user not found, BadRequestError (with the list of
+   * rules broken) if password isn't allowed.
+   **/
+
+  static async checkNewPassword(username, password, email) {
+    const userRes = await db.query(
+      `SELECT email, password
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const errors = checkPassword(password, {
+      username,
+      email: email || user.email,
+    });
+
+    const historyRes = await db.query(
+      `SELECT password_hash AS "passwordHash"
+           FROM password_history
+           WHERE username = $1
+           ORDER BY id DESC
+           LIMIT $2`,
+      [username, Math.max(config.PASSWORD_HISTORY_COUNT - 1, 0)]
+    );
+    const hashes = [
+      user.password,
+      ...historyRes.rows.map((h) => h.passwordHash),
+    ];
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push({
+          rule: "history",
+          message:
+            "Password must not be the same as any of your last " +
+            `${config.PASSWORD_HISTORY_COUNT} passwords`,
+        });
+        break;
+      }
+    }
+
+    if (errors.length) throw new BadRequestError(errors);
+    return user.password;
+  }
+
+  /** Add hash to username's password history, forgetting any beyond the
+   * config.PASSWORD_HISTORY_COUNT - 1 most recent (the current password makes
+   * up the rest); returns undefined.
+   */
+
+  static async _addToPasswordHistory(username, hash) {
+    await db.query(
+      `INSERT INTO password_history (username, password_hash)
+           VALUES ($1, $2)`,
+      [username, hash]
+    );
+    await db.query(
+      `DELETE FROM password_history
+           WHERE username = $1
+             AND id NOT IN (SELECT id
+                                FROM password_history
+                                WHERE username = $1
+                                ORDER BY id DESC
+                                LIMIT $2)`,
+      [username, Math.max(config.PASSWORD_HISTORY_COUNT - 1, 0)]
+    );
+  }
+
+  /** Delete given user from database; returns undefined.
+   *
+   * Any tokens already issued to the user are revoked.
+   */
 
   static async remove(username) {
     let result = await db.query(
@@ -211,16 +392,35 @@ class User {
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await TokenRevocation.revokeAllForUser(username);
   }
 
   /** Apply for job: update db, returns undefined.
    *
    * - username: username applying for job
    * - jobId: job id
+   * - data: { coverLetter, resumeId, answers }, all optional
+   *     resumeId is one of the user's resumes; answers are to the job's
+   *     screening questions (see helpers/screening.js)
+   * - actor: username of who applied for them (by default, themselves)
+   *
+   * If the user saved the job (see saveJob), this turns it into an
+   * application, keeping their notes on it.
+   *
+   * Throws ForbiddenError if config.REQUIRE_VERIFIED_EMAIL_TO_APPLY is set
+   * and the user hasn't verified their email address.
+   * Throws BadRequestError if the resume isn't theirs or the answers don't
+   * fit the questions.
    **/
-  static async applyToJob(username, jobId) {
+  static async applyToJob(
+    username,
+    jobId,
+    { coverLetter = null, resumeId = null, answers = {} } = {},
+    { actor = username } = {}
+  ) {
     const preCheck = await db.query(
-      `SELECT id
+      `SELECT id, screening_questions AS "screeningQuestions"
            FROM jobs
            WHERE id = $1`,
       [jobId]
@@ -230,7 +430,7 @@ class User {
     if (!job) throw new NotFoundError(`No job: ${jobId}`);
 
     const preCheck2 = await db.query(
-      `SELECT username
+      `SELECT username, email_verified_at AS "emailVerifiedAt"
            FROM users
            WHERE username = $1`,
       [username]
@@ -239,34 +439,198 @@ class User {
 
     if (!user) throw new NotFoundError(`No username: ${username}`);
 
-    // check if a user already applied to this job
+    if (config.REQUIRE_VERIFIED_EMAIL_TO_APPLY && !user.emailVerifiedAt) {
+      throw new ForbiddenError(
+        "Email address must be verified before applying to jobs"
+      );
+    }
+
+    // check if a user already applied to this job (saving it doesn't count)
     const appRes = await db.query(
-      `SELECT username, job_id AS "jobId"
+      `SELECT username, job_id AS "jobId", state
           FROM applications 
           WHERE username=$1 AND job_id = $2`,
       [username, jobId]
     );
     const application = appRes.rows[0];
-    if (application)
+    if (application && application.state !== "interested")
       throw new BadRequestError(
         `User: ${username} Already applied to job${jobId}`
       );
 
-    await db.query(
-      `INSERT INTO applications (job_id, username, state)
-           VALUES ($1, $2, 'applied')`,
+    if (resumeId !== null && !(await Resume.belongsTo(resumeId, username))) {
+      throw new BadRequestError(`No resume: ${resumeId}`);
+    }
+    checkAnswers(job.screeningQuestions, answers);
+
+    if (application) {
+      const result = await db.query(
+        `UPDATE applications
+             SET state = 'applied',
+                 cover_letter = $3,
+                 resume_id = $4,
+                 answers = $5,
+                 applied_at = NOW()
+             WHERE job_id = $1 AND username = $2 AND state = 'interested'
+             RETURNING job_id`,
+        [jobId, username, coverLetter, resumeId, JSON.stringify(answers)]
+      );
+      if (!result.rows[0]) {
+        throw new BadRequestError("Application was changed; try again");
+      }
+    } else {
+      await db.query(
+        `INSERT INTO applications
+             (job_id, username, state, cover_letter, resume_id, answers)
+             VALUES ($1, $2, 'applied', $3, $4, $5)`,
+        [jobId, username, coverLetter, resumeId, JSON.stringify(answers)]
+      );
+    }
+    await ApplicationEvent.record({
+      username,
+      jobId,
+      event: "applied",
+      fromState: application ? application.state : null,
+      toState: "applied",
+      actor,
+    });
+  }
+
+  /** Save a job to apply to later: returns { jobId, savedAt, note }
+   *
+   * Saved jobs are applications in the 'interested' state, which only the
+   * candidate sees. notes, if given, are added as a private note of the
+   * candidate's on it (see Note; note is that, or null), so saving a job
+   * again adds to them; applying to it (see applyToJob) keeps them.
+   *
+   * Throws NotFoundError if username or jobId is not found, and
+   * BadRequestError if the user already applied to the job or notes are
+   * empty once cleaned up.
+   **/
+
+  static async saveJob(username, jobId, { notes = null } = {}) {
+    const jobCheck = await db.query(
+      `SELECT id
+           FROM jobs
+           WHERE id = $1`,
+      [jobId]
+    );
+    if (!jobCheck.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    // check before saving, so an empty note doesn't leave the job saved
+    if (notes !== null && !sanitizeMarkdown(notes)) {
+      throw new BadRequestError("Note is empty");
+    }
+
+    const result = await db.query(
+      `INSERT INTO applications (job_id, username, state, saved_at)
+           VALUES ($1, $2, 'interested', NOW())
+           ON CONFLICT (username, job_id) DO UPDATE
+             SET saved_at = applications.saved_at
+             WHERE applications.state = 'interested'
+           RETURNING job_id AS "jobId", saved_at AS "savedAt"`,
       [jobId, username]
     );
+    const saved = result.rows[0];
+    if (!saved) {
+      throw new BadRequestError(`Already applied to job: ${jobId}`);
+    }
+
+    saved.note = null;
+    if (notes !== null) {
+      saved.note = await Note.create(
+        { jobId, username },
+        { body: notes },
+        { author: username, role: "candidate" }
+      );
+    }
+    return saved;
+  }
+
+  /** Remove a saved job; returns undefined.
+   *
+   * Throws NotFoundError if the user hasn't saved the job (including if
+   * they've since applied to it; see unapplyFromJob.)
+   **/
+
+  static async unsaveJob(username, jobId) {
+    const result = await db.query(
+      `DELETE FROM applications
+           WHERE username = $1 AND job_id = $2 AND state = 'interested'
+           RETURNING job_id`,
+      [username, jobId]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No saved job: ${jobId}`);
+  }
+
+  /** Given a username, return the jobs they've saved, most recent first.
+   *
+   * Returns [{ id, title, salary, equity, companyHandle, companyName,
+   *            savedAt }, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getSavedJobs(username) {
+    const userCheck = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]
+    );
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `SELECT a.job_id AS id,
+              j.title,
+              j.salary,
+              j.equity,
+              j.company_handle AS "companyHandle",
+              c.name AS "companyName",
+              a.saved_at AS "savedAt"
+           FROM applications AS a
+           JOIN jobs AS j ON a.job_id = j.id
+           JOIN companies AS c ON j.company_handle = c.handle
+           WHERE a.username = $1 AND a.state = 'interested'
+           ORDER BY a.saved_at DESC, a.job_id`,
+      [username]
+    );
+
+    return result.rows;
   }
 
-  /** Given a username and jobId and status, update status for
-   * job application.
+  /** Given a username and jobId and state, change the state of the user's
+   * application to the job, acting as role ("candidate", "recruiter" or
+   * "admin"; see helpers/applicationStates.js for who can make which changes.)
+   * The change is added to the application's history, with actor (who made
+   * it) and an optional note, and the candidate is notified unless they made
+   * it themselves. The candidate and the company's recruiters are sent an
+   * applicationState event (see helpers/events.js.)
+   *
+   * Returns { username, jobId, state }
    *
-   * Throws NotFoundError if username, jobId, or app is not found.
-   * Throw bad request error if state is invalid
+   * Throws NotFoundError if username, jobId, or app is not found (a job the
+   * user only saved doesn't count; see applyToJob.)
+   * Throws BadRequestError if state is invalid or can't follow the current
+   * state, and ForbiddenError if role can't make the change.
    */
 
-  static async updateAppStatus(username, jobId, state) {
+  static async updateAppStatus(
+    username,
+    jobId,
+    state,
+    role,
+    { actor = null, note = null } = {}
+  ) {
     // check if job exists
     const jobRes = await db.query(
       `SELECT id
@@ -289,43 +653,170 @@ class User {
 
     // check if application exists
     const appRes = await db.query(
-      `SELECT username, job_id AS "jobId"
+      `SELECT username, job_id AS "jobId", state
         FROM applications 
         WHERE username=$1 AND job_id = $2`,
       [username, jobId]
     );
     const application = appRes.rows[0];
-    if (!application)
+    // saved jobs aren't applications yet; applyToJob turns them into ones
+    if (!application || application.state === "interested")
       throw new NotFoundError(`
     No application: ${username}, ${jobId}`);
 
-    // check if state is valid
-    if (STATES.has(state) === false)
-      throw new BadRequestError(`
-    Invalid state: ${state}`);
+    checkTransition(application.state, state, role);
 
-    // update job application
+    // update job application, unless its state changed since it was checked
+    const result = await db.query(
+      `UPDATE applications
+           SET state = $1
+           WHERE username = $2
+             AND job_id = $3
+             AND state IS NOT DISTINCT FROM $4
+           RETURNING username, job_id AS "jobId", state`,
+      [state, username, jobId, application.state]
+    );
+    if (!result.rows[0]) {
+      throw new BadRequestError("Application was changed; try again");
+    }
+    await ApplicationEvent.record({
+      username,
+      jobId,
+      event: "state_changed",
+      fromState: application.state,
+      toState: state,
+      actor,
+      note,
+    });
+    if (role !== "candidate") {
+      await Notification.applicationStateChanged(username, jobId, state);
+    }
+    const recruiters = await CompanyMember.findRecruitersForJob(jobId);
+    await publish(
+      [username, ...recruiters],
+      "applicationState",
+      result.rows[0]
+    );
+    return result.rows[0];
+  }
+
+  /** Change the state of several users' applications to jobId at once, as
+   * for updateAppStatus. Each is changed (or not) on its own, so one that
+   * can't be doesn't stop the others.
+   *
+   * Returns { updated, failed }
+   *   where updated is [{ username, jobId, state }, ...]
+   *   and failed is [{ username, error: { message, status } }, ...]
+   */
+
+  static async updateAppStatuses(
+    usernames,
+    jobId,
+    state,
+    role,
+    { actor = null, note = null } = {}
+  ) {
+    const updated = [];
+    const failed = [];
+    for (const username of usernames) {
+      try {
+        updated.push(
+          await User.updateAppStatus(username, jobId, state, role, {
+            actor,
+            note,
+          })
+        );
+      } catch (err) {
+        if (!(err instanceof ExpressError)) throw err;
+        failed.push({
+          username,
+          error: { message: err.message, status: err.status },
+        });
+      }
+    }
+    return { updated, failed };
+  }
+
+  /** Return true if a password hash should be upgraded: it was made with a
+   * lower cost than config.BCRYPT_WORK_FACTOR, or with an older bcrypt variant
+   * ($2a$, $2y$) or something other than bcrypt.
+   */
+
+  static _isWeakHash(hash) {
+    const match = /^\$(2[aby])\$(\d\d)\$/.exec(hash);
+    if (!match || match[1] !== "2b") return true;
+    return +match[2] < Math.max(config.BCRYPT_WORK_FACTOR, BCRYPT_MIN_COST);
+  }
+
+  /** Store a new hash of password (at the current work factor) for username;
+   * returns undefined.
+   */
+
+  static async _rehashPassword(username, password) {
+    const hashedPassword = await bcrypt.hash(
+      password,
+      config.BCRYPT_WORK_FACTOR
+    );
     await db.query(
-      `
-    UPDATE applications 
-    SET state=$1
-    WHERE username=$2 AND job_id=$3`,
-      [state, username, jobId]
+      `UPDATE users
+           SET password = $1
+           WHERE username = $2`,
+      [hashedPassword, username]
+    );
+  }
+
+  /** Summarize how users' passwords are hashed, to see how many still need
+   * upgrading (see _isWeakHash.)
+   *
+   * Returns { workFactor, total, weak, hashes }
+   *   where hashes is [{ variant, cost, count }, ...]; variant and cost are
+   *   null for hashes that aren't bcrypt at all.
+   **/
+
+  static async passwordHashReport() {
+    const result = await db.query(
+      `SELECT substring(password FROM $1) AS variant,
+              substring(password FROM $2)::integer AS cost,
+              COUNT(*)::integer AS count
+           FROM users
+           GROUP BY 1, 2
+           ORDER BY 1, 2`,
+      ["^\\$(2[aby])\\$\\d\\d\\$", "^\\$2[aby]\\$(\\d\\d)\\$"]
     );
+    const hashes = result.rows;
+
+    const minCost = Math.max(config.BCRYPT_WORK_FACTOR, BCRYPT_MIN_COST);
+    let total = 0;
+    let weak = 0;
+    for (const { variant, cost, count } of hashes) {
+      total += count;
+      if (variant !== "2b" || cost < minCost) weak += count;
+    }
+
+    return { workFactor: config.BCRYPT_WORK_FACTOR, total, weak, hashes };
   }
 
-  /** Generates a password of length made up of letters and numbers*/
-  static _randomPassword(length = 10) {
+  /** Generates a password of length made up of lowercase and uppercase
+   * letters, numbers and symbols (at least one of each, so it passes the
+   * password policy's character class rule.)
+   */
+  static _randomPassword(length = 16) {
     // Generate a random password
     return generator.generate({
       length,
       numbers: true,
+      symbols: true,
+      uppercase: true,
+      strict: true,
     });
   }
 
-  /** Given a username, return all applied jobs for that user.
+  /** Given a username, return all applied jobs for that user (not those
+   * they've only saved; see getSavedJobs.)
    *
-   * Returns [{ id, title, salary, equity, companyHandle, companyName, state }, ...]
+   * Returns [{ id, title, salary, equity, companyHandle, companyName, state,
+   *            coverLetter, resume, answers }, ...]
+   *   where resume is { id, title, url } or null
    *
    * Throws NotFoundError if user not found.
    **/
@@ -345,6 +836,11 @@ class User {
       `SELECT
           a.job_id AS id,
           a.state,
+          a.cover_letter AS "coverLetter",
+          (SELECT json_build_object('id', r.id, 'title', r.title, 'url', r.url)
+               FROM resumes AS r
+               WHERE r.id = a.resume_id) AS resume,
+          a.answers,
           j.title,
           j.salary,
           j.equity,
@@ -357,7 +853,7 @@ class User {
        JOIN
           companies AS c ON j.company_handle = c.handle
        WHERE
-          a.username = $1`,
+          a.username = $1 AND a.state IS DISTINCT FROM 'interested'`,
       [username]
     );
 
@@ -368,8 +864,9 @@ class User {
    *
    * - username: username unapplying from job
    * - jobId: job id
+   * - actor: username of who unapplied them (by default, themselves)
    **/
-  static async unapplyFromJob(username, jobId) {
+  static async unapplyFromJob(username, jobId, { actor = username } = {}) {
     const preCheckUser = await db.query(
       `SELECT username
            FROM users
@@ -391,13 +888,22 @@ class User {
     const result = await db.query(
       `DELETE FROM applications
            WHERE username = $1 AND job_id = $2
-           RETURNING job_id`,
+             AND state IS DISTINCT FROM 'interested'
+           RETURNING job_id, state`,
       [username, jobId]
     );
     const application = result.rows[0];
 
     if (!application)
       throw new NotFoundError(`No application found for user ${username} and job ${jobId}`);
+
+    await ApplicationEvent.record({
+      username,
+      jobId,
+      event: "unapplied",
+      fromState: application.state,
+      actor,
+    });
   }
 }
 
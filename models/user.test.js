@@ -4,9 +4,18 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
+  LockedError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const TokenRevocation = require("./tokenRevocation.js");
+const LoginThrottle = require("./loginThrottle.js");
+const Resume = require("./resume.js");
+const ApplicationEvent = require("./applicationEvent.js");
+const Note = require("./note.js");
+const config = require("../config");
+const { transports } = require("../helpers/mailer");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -17,6 +26,9 @@ const {
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
+afterEach(function () {
+  transports.memory.sent.length = 0;
+});
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
@@ -31,6 +43,7 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      roles: [],
     });
   });
 
@@ -51,6 +64,74 @@ describe("authenticate", function () {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     }
   });
+
+  test("works: upgrades hashes below the current work factor", async function () {
+    const workFactor = config.BCRYPT_WORK_FACTOR;
+    config.BCRYPT_WORK_FACTOR = 5;
+    try {
+      await User.authenticate("u1", "password1");
+    } finally {
+      config.BCRYPT_WORK_FACTOR = workFactor;
+    }
+    const result = await db.query(
+      `SELECT password FROM users WHERE username = 'u1'`
+    );
+    expect(result.rows[0].password).toMatch(/^\$2b\$05\$/);
+    expect(await User.authenticate("u1", "password1")).toBeTruthy();
+  });
+
+  test("works: upgrades old bcrypt variants", async function () {
+    await db.query(
+      `UPDATE users
+           SET password = replace(password, '$2b$', '$2a$')
+           WHERE username = 'u1'`
+    );
+    await User.authenticate("u1", "password1");
+    const result = await db.query(
+      `SELECT password FROM users WHERE username = 'u1'`
+    );
+    expect(result.rows[0].password).toMatch(/^\$2b\$/);
+  });
+
+  test("works: leaves current hashes alone", async function () {
+    const before = await db.query(
+      `SELECT password FROM users WHERE username = 'u1'`
+    );
+    await User.authenticate("u1", "password1");
+    const after = await db.query(
+      `SELECT password FROM users WHERE username = 'u1'`
+    );
+    expect(after.rows[0].password).toEqual(before.rows[0].password);
+  });
+
+  test("counts failures and clears them on success", async function () {
+    await expect(User.authenticate("u1", "wrong", "1.2.3.4")).rejects.toThrow(
+      UnauthorizedError
+    );
+    let result = await db.query(
+      `SELECT kind, failures FROM login_failures ORDER BY kind`
+    );
+    expect(result.rows).toEqual([
+      { kind: "ip", failures: 1 },
+      { kind: "username", failures: 1 },
+    ]);
+
+    await User.authenticate("u1", "password1", "1.2.3.4");
+    result = await db.query(`SELECT kind FROM login_failures`);
+    expect(result.rows).toEqual([{ kind: "ip" }]);
+  });
+
+  test("locked even with correct password", async function () {
+    for (let i = 0; i < 10; i++) {
+      await LoginThrottle.recordFailure("u1", "1.2.3.4");
+    }
+    try {
+      await User.authenticate("u1", "password1", "5.6.7.8");
+      fail();
+    } catch (err) {
+      expect(err instanceof LockedError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** register */
@@ -76,6 +157,23 @@ describe("register", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: sends verification email", async function () {
+    await User.register({
+      ...newUser,
+      password: "password",
+    });
+    expect(transports.memory.sent).toEqual([
+      expect.objectContaining({
+        to: "test@test.com",
+        subject: "Confirm your J2F email address",
+      }),
+    ]);
+    const found = await db.query(
+      "SELECT email_verified_at FROM users WHERE username = 'new'"
+    );
+    expect(found.rows[0].email_verified_at).toEqual(null);
+  });
+
   test("works: adds admin", async function () {
     let user = await User.register({
       ...newUser,
@@ -102,6 +200,12 @@ describe("register", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: random password if none given", async function () {
+    await User.register(newUser);
+    const found = await db.query("SELECT * FROM users WHERE username = 'new'");
+    expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+  });
+
   test("bad request with dup data", async function () {
     try {
       await User.register({
@@ -117,6 +221,26 @@ describe("register", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("bad request if password breaks policy", async function () {
+    try {
+      await User.register({
+        ...newUser,
+        password: "new-password",
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual([
+        {
+          rule: "personalInfo",
+          message: "Password must not contain your username or email address",
+        },
+      ]);
+    }
+    const found = await db.query("SELECT * FROM users WHERE username = 'new'");
+    expect(found.rows.length).toEqual(0);
+  });
 });
 
 /************************************** findAll */
@@ -154,10 +278,18 @@ describe("get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      emailVerified: false,
+      roles: [],
       applications: [testJobIds[0], testJobIds[1]],
     });
   });
 
+  test("works: saved jobs aren't applications", async function () {
+    await User.saveJob("u1", testJobIds[2]);
+    const user = await User.get("u1");
+    expect(user.applications).toEqual([testJobIds[0], testJobIds[1]]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -188,7 +320,7 @@ describe("update", function () {
 
   test("works: set password", async function () {
     let job = await User.update("u1", {
-      password: "new",
+      password: "newpass",
     });
     expect(job).toEqual({
       username: "u1",
@@ -202,6 +334,98 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: changing email requires verifying it again", async function () {
+    await db.query(
+      "UPDATE users SET email_verified_at = NOW() WHERE username = 'u1'"
+    );
+    await User.update("u1", { email: "u1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+    expect(transports.memory.sent.length).toEqual(0);
+
+    await User.update("u1", { email: "changed@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+    expect(transports.memory.sent).toEqual([
+      expect.objectContaining({ to: "changed@email.com" }),
+    ]);
+  });
+
+  test("works: removing admin revokes tokens", async function () {
+    const iat = Math.floor(Date.now() / 1000);
+    await User.update("u1", { isAdmin: true });
+    expect(await TokenRevocation.isRevoked({ username: "u1", iat })).toEqual(
+      false
+    );
+    await User.update("u1", { isAdmin: false });
+    expect(await TokenRevocation.isRevoked({ username: "u1", iat })).toEqual(
+      true
+    );
+  });
+
+  test("works: keeps password history", async function () {
+    await User.update("u1", { password: "newpass1" });
+    await User.update("u1", { password: "newpass2" });
+    const found = await db.query(
+      "SELECT * FROM password_history WHERE username = 'u1'"
+    );
+    expect(found.rows.length).toEqual(2);
+  });
+
+  test("works: forgets old password history", async function () {
+    const savedCount = config.PASSWORD_HISTORY_COUNT;
+    config.PASSWORD_HISTORY_COUNT = 2;
+    try {
+      await User.update("u1", { password: "newpass1" });
+      await User.update("u1", { password: "newpass2" });
+      await User.update("u1", { password: "newpass3" });
+      const found = await db.query(
+        "SELECT * FROM password_history WHERE username = 'u1'"
+      );
+      expect(found.rows.length).toEqual(1);
+      // password1 has been forgotten, so it can be used again
+      await User.update("u1", { password: "password1" });
+    } finally {
+      config.PASSWORD_HISTORY_COUNT = savedCount;
+    }
+  });
+
+  test("bad request if password breaks policy", async function () {
+    try {
+      await User.update("u1", { password: "new" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual([
+        { rule: "length", message: "Password must be at least 5 characters" },
+      ]);
+    }
+  });
+
+  test("bad request if password checked against new email", async function () {
+    try {
+      await User.update("u1", {
+        email: "hunter@email.com",
+        password: "hunter22",
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message.map((e) => e.rule)).toEqual(["personalInfo"]);
+    }
+  });
+
+  test("bad request if password used recently", async function () {
+    await User.update("u1", { password: "newpass1" });
+    for (const password of ["newpass1", "password1"]) {
+      try {
+        await User.update("u1", { password });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+        expect(err.message.map((e) => e.rule)).toEqual(["history"]);
+      }
+    }
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -213,6 +437,15 @@ describe("update", function () {
     }
   });
 
+  test("not found if no such user, setting password", async function () {
+    try {
+      await User.update("nope", { password: "newpass" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
   test("bad request if no data", async function () {
     expect.assertions(1);
     try {
@@ -233,6 +466,14 @@ describe("remove", function () {
     expect(res.rows.length).toEqual(0);
   });
 
+  test("works: revokes tokens", async function () {
+    const iat = Math.floor(Date.now() / 1000);
+    await User.remove("u1");
+    expect(await TokenRevocation.isRevoked({ username: "u1", iat })).toEqual(
+      true
+    );
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.remove("nope");
@@ -260,6 +501,68 @@ describe("applyToJob", () => {
     });
   });
 
+  test("works: with cover letter, resume and answers", async () => {
+    await db.query(
+      `UPDATE jobs
+           SET screening_questions = '[{"id": "remote", "prompt": "Remote?",
+                                        "type": "yesNo", "required": true}]'
+           WHERE id = $1`,
+      [testJobIds[0]]
+    );
+    const resume = await Resume.create("u2", {
+      title: "CV",
+      url: "http://cv.example.com/u2.pdf",
+    });
+
+    await User.applyToJob("u2", testJobIds[0], {
+      coverLetter: "Hello",
+      resumeId: resume.id,
+      answers: { remote: true },
+    });
+    const res = await db.query(
+      `SELECT cover_letter AS "coverLetter", resume_id AS "resumeId", answers
+          FROM applications
+          WHERE username='u2' AND job_id = $1`,
+      [testJobIds[0]]
+    );
+    expect(res.rows[0]).toEqual({
+      coverLetter: "Hello",
+      resumeId: resume.id,
+      answers: { remote: true },
+    });
+  });
+
+  test("bad request if screening answers don't fit", async () => {
+    await db.query(
+      `UPDATE jobs
+           SET screening_questions = '[{"id": "remote", "prompt": "Remote?",
+                                        "type": "yesNo", "required": true}]'
+           WHERE id = $1`,
+      [testJobIds[0]]
+    );
+    for (const answers of [{}, { remote: "yes" }, { remote: true, x: 1 }]) {
+      try {
+        await User.applyToJob("u2", testJobIds[0], { answers });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request if resume isn't theirs", async () => {
+    const resume = await Resume.create("u1", {
+      title: "CV",
+      url: "http://cv.example.com/u1.pdf",
+    });
+    try {
+      await User.applyToJob("u2", testJobIds[0], { resumeId: resume.id });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   // TODO: expect(err.msg).contains("Some error message")
   test("not found if no such user", async () => {
     try {
@@ -287,13 +590,246 @@ describe("applyToJob", () => {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  describe("when verified email is required", () => {
+    beforeEach(() => {
+      config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = true;
+    });
+    afterEach(() => {
+      config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = false;
+    });
+
+    test("forbidden if email not verified", async () => {
+      try {
+        await User.applyToJob("u2", testJobIds[0]);
+        fail();
+      } catch (err) {
+        expect(err instanceof ForbiddenError).toBeTruthy();
+      }
+    });
+
+    test("works if email verified", async () => {
+      await db.query(
+        "UPDATE users SET email_verified_at = NOW() WHERE username = 'u2'"
+      );
+      await User.applyToJob("u2", testJobIds[0]);
+      const res = await db.query(
+        "SELECT username FROM applications WHERE username = 'u2'"
+      );
+      expect(res.rows.length).toEqual(1);
+    });
+  });
+});
+
+/** ************************************ getAppliedJobs */
+
+describe("getAppliedJobs", () => {
+  test("works", async () => {
+    await User.applyToJob("u2", testJobIds[0], { coverLetter: "Hello" });
+    const jobs = await User.getAppliedJobs("u2");
+    expect(jobs).toEqual([
+      {
+        id: testJobIds[0],
+        title: "j1",
+        salary: 100,
+        equity: "0.1",
+        companyHandle: "c1",
+        companyName: "C1",
+        state: "applied",
+        coverLetter: "Hello",
+        resume: null,
+        answers: {},
+      },
+    ]);
+  });
+
+  test("leaves out saved jobs", async () => {
+    await User.saveJob("u2", testJobIds[0]);
+    expect(await User.getAppliedJobs("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async () => {
+    try {
+      await User.getAppliedJobs("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/** ************************************ saveJob */
+
+describe("saveJob", () => {
+  test("works", async () => {
+    const saved = await User.saveJob("u2", testJobIds[0], { notes: "Ask Al" });
+    expect(saved).toEqual({
+      jobId: testJobIds[0],
+      savedAt: expect.any(Date),
+      note: expect.objectContaining({
+        jobId: testJobIds[0],
+        username: "u2",
+        author: "u2",
+        visibility: "private",
+        body: "Ask Al",
+      }),
+    });
+    const res = await db.query(
+      `SELECT state FROM applications WHERE username = 'u2' AND job_id = $1`,
+      [testJobIds[0]]
+    );
+    expect(res.rows).toEqual([{ state: "interested" }]);
+  });
+
+  test("works without notes", async () => {
+    const saved = await User.saveJob("u2", testJobIds[0]);
+    expect(saved).toEqual({
+      jobId: testJobIds[0],
+      savedAt: expect.any(Date),
+      note: null,
+    });
+  });
+
+  test("saving again adds notes", async () => {
+    const first = await User.saveJob("u2", testJobIds[0], { notes: "Ask Al" });
+    const again = await User.saveJob("u2", testJobIds[0], { notes: "Ask Bo" });
+    expect(again.savedAt).toEqual(first.savedAt);
+    const notes = await Note.findAll(
+      { jobId: testJobIds[0], username: "u2" },
+      { viewer: "u2", role: "candidate" }
+    );
+    expect(notes.map((n) => n.body)).toEqual(["Ask Al", "Ask Bo"]);
+  });
+
+  test("bad request if notes are empty, without saving", async () => {
+    try {
+      await User.saveJob("u2", testJobIds[0], { notes: "<b></b>" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await User.getSavedJobs("u2")).toEqual([]);
+  });
+
+  test("bad request if already applied", async () => {
+    try {
+      await User.saveJob("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async () => {
+    try {
+      await User.saveJob("u2", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async () => {
+    try {
+      await User.saveJob("nope", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("applying keeps notes", async () => {
+    await User.saveJob("u2", testJobIds[0], { notes: "Ask Al" });
+    await User.applyToJob("u2", testJobIds[0], { coverLetter: "Hello" });
+
+    expect(await User.getSavedJobs("u2")).toEqual([]);
+    const jobs = await User.getAppliedJobs("u2");
+    expect(jobs).toEqual([
+      expect.objectContaining({
+        id: testJobIds[0],
+        state: "applied",
+        coverLetter: "Hello",
+      }),
+    ]);
+    const notes = await Note.findAll(
+      { jobId: testJobIds[0], username: "u2" },
+      { viewer: "u2", role: "candidate" }
+    );
+    expect(notes.map((n) => n.body)).toEqual(["Ask Al"]);
+    const history = await ApplicationEvent.findAll("u2", testJobIds[0]);
+    expect(history).toEqual([
+      expect.objectContaining({
+        event: "applied",
+        fromState: "interested",
+        toState: "applied",
+      }),
+    ]);
+  });
+});
+
+/** ************************************ unsaveJob */
+
+describe("unsaveJob", () => {
+  test("works", async () => {
+    await User.saveJob("u2", testJobIds[0]);
+    await User.unsaveJob("u2", testJobIds[0]);
+    expect(await User.getSavedJobs("u2")).toEqual([]);
+  });
+
+  test("not found for an application", async () => {
+    try {
+      await User.unsaveJob("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/** ************************************ getSavedJobs */
+
+describe("getSavedJobs", () => {
+  test("works", async () => {
+    await User.saveJob("u2", testJobIds[0], { notes: "Ask Al" });
+    await User.applyToJob("u2", testJobIds[1]);
+    expect(await User.getSavedJobs("u2")).toEqual([
+      {
+        id: testJobIds[0],
+        title: "j1",
+        salary: 100,
+        equity: "0.1",
+        companyHandle: "c1",
+        companyName: "C1",
+        savedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("not found if no such user", async () => {
+    try {
+      await User.getSavedJobs("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
 
 /** ************************************ updateAppStatus */
 
 describe("updateAppStatus", () => {
   test("works", async () => {
-    await User.updateAppStatus("u1", testJobIds[0], "accepted");
+    const application = await User.updateAppStatus(
+      "u1",
+      testJobIds[0],
+      "interviewing",
+      "recruiter"
+    );
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobIds[0],
+      state: "interviewing",
+    });
     const res = await db.query(
       `SELECT username, job_id AS "jobId", state
           FROM applications 
@@ -303,14 +839,35 @@ describe("updateAppStatus", () => {
     expect(res.rows[0]).toEqual({
       username: "u1",
       jobId: testJobIds[0],
-      state: "accepted",
+      state: "interviewing",
     });
   });
 
+  test("works: through to accepted", async () => {
+    await User.updateAppStatus("u1", testJobIds[0], "offered", "recruiter");
+    const application = await User.updateAppStatus(
+      "u1",
+      testJobIds[0],
+      "accepted",
+      "candidate"
+    );
+    expect(application.state).toEqual("accepted");
+  });
+
+  test("works: candidate withdraws", async () => {
+    const application = await User.updateAppStatus(
+      "u1",
+      testJobIds[0],
+      "withdrawn",
+      "candidate"
+    );
+    expect(application.state).toEqual("withdrawn");
+  });
+
   // TODO: expect(err.msg).contains("Some error message")
   test("not found if no such user", async () => {
     try {
-      await User.updateAppStatus("nope", testJobIds[0], "accepted");
+      await User.updateAppStatus("nope", testJobIds[0], "offered", "admin");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
@@ -319,42 +876,146 @@ describe("updateAppStatus", () => {
 
   test("not found if no such job", async () => {
     try {
-      await User.updateAppStatus("u1", 0, "accepted");
+      await User.updateAppStatus("u1", 0, "offered", "admin");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
 
-  test("bad request if state is not ‘interested’, ‘applied’, ‘accepted’, ‘rejected’", async () => {
+  test("bad request if state is not a state", async () => {
+    try {
+      await User.updateAppStatus("u1", testJobIds[0], "nope", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if state can't follow the current one", async () => {
+    await User.updateAppStatus("u1", testJobIds[0], "rejected", "recruiter");
     try {
-      await User.updateAppStatus("u1", testJobIds[0], "nope");
+      await User.updateAppStatus("u1", testJobIds[0], "accepted", "admin");
       fail();
     } catch (err) {
       expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(
+        "Can't change application from rejected to accepted; rejected is final"
+      );
+    }
+  });
+
+  test("forbidden if role can't make the change", async () => {
+    try {
+      await User.updateAppStatus("u1", testJobIds[0], "offered", "candidate");
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
     }
   });
 
   test("not found if application doesn't exist", async () => {
     try {
-      await User.updateAppStatus("u2", testJobIds[0], "accepted");
+      await User.updateAppStatus("u2", testJobIds[0], "offered", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if the job is only saved", async () => {
+    await User.saveJob("u2", testJobIds[0]);
+    try {
+      await User.updateAppStatus("u2", testJobIds[0], "applied", "candidate");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
+    const res = await db.query(
+      `SELECT state FROM applications WHERE username = 'u2' AND job_id = $1`,
+      [testJobIds[0]]
+    );
+    expect(res.rows).toEqual([{ state: "interested" }]);
   });
 });
+/** ************************************ updateAppStatuses */
+
+describe("updateAppStatuses", () => {
+  test("works, changing each on its own", async () => {
+    await User.applyToJob("u2", testJobIds[0]);
+    await User.updateAppStatus("u2", testJobIds[0], "rejected", "recruiter");
+
+    const result = await User.updateAppStatuses(
+      ["u1", "u2"],
+      testJobIds[0],
+      "interviewing",
+      "recruiter",
+      { actor: "u2" }
+    );
+    expect(result).toEqual({
+      updated: [
+        { username: "u1", jobId: testJobIds[0], state: "interviewing" },
+      ],
+      failed: [
+        {
+          username: "u2",
+          error: {
+            message:
+              "Can't change application from rejected to interviewing; " +
+              "rejected is final",
+            status: 400,
+          },
+        },
+      ],
+    });
+  });
+});
+
+/** ************************************ passwordHashReport */
+
+describe("passwordHashReport", function () {
+  test("works", async function () {
+    const report = await User.passwordHashReport();
+    expect(report).toEqual({
+      workFactor: config.BCRYPT_WORK_FACTOR,
+      total: 2,
+      weak: 0,
+      hashes: [{ variant: "2b", cost: 4, count: 2 }],
+    });
+  });
+
+  test("works: counts weak hashes", async function () {
+    await db.query(
+      `UPDATE users
+           SET password = replace(password, '$2b$', '$2a$')
+           WHERE username = 'u1'`
+    );
+    await db.query(`UPDATE users SET password = 'plain' WHERE username = 'u2'`);
+    const report = await User.passwordHashReport();
+    expect(report).toEqual({
+      workFactor: config.BCRYPT_WORK_FACTOR,
+      total: 2,
+      weak: 2,
+      hashes: [
+        { variant: "2a", cost: 4, count: 1 },
+        { variant: null, cost: null, count: 1 },
+      ],
+    });
+  });
+});
+
 /** ************************************ _randomPassword */
 
 describe("_randomPassword", () => {
   test("works for different lengths", async () => {
-    const randomLength = Math.round(Math.random() * 10);
+    // at least 4, to fit one of each kind of character
+    const randomLength = 4 + Math.round(Math.random() * 10);
     const password = User._randomPassword(randomLength);
 
     expect(password.length).toEqual(randomLength);
     expect(password).toEqual(expect.any(String));
 
-    const randomLength2 = Math.round(Math.random() * 10);
+    const randomLength2 = 4 + Math.round(Math.random() * 10);
     const password2 = User._randomPassword(randomLength2);
 
     expect(password2.length).toEqual(randomLength2);
@@ -364,7 +1025,16 @@ describe("_randomPassword", () => {
   test("works for default length", async () => {
     const password = User._randomPassword();
 
-    expect(password.length).toEqual(10);
+    expect(password.length).toEqual(16);
     expect(password).toEqual(expect.any(String));
   });
+
+  test("uses every kind of character", async () => {
+    const password = User._randomPassword();
+
+    expect(password).toMatch(/[a-z]/);
+    expect(password).toMatch(/[A-Z]/);
+    expect(password).toMatch(/[0-9]/);
+    expect(password).toMatch(/[^a-zA-Z0-9]/);
+  });
 });
\ No newline at end of file
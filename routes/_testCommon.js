@@ -4,6 +4,7 @@ const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/job");
+const CompanyMember = require("../models/companyMember");
 const { createToken } = require("../helpers/tokens");
 
 const testJobIds = [];
@@ -86,6 +87,9 @@ async function commonBeforeAll() {
   });
 
   await User.applyToJob("u1", testJobIds[0]);
+
+  // u3 recruits for c1
+  await CompanyMember.add("c1", "u3");
 }
 
 async function commonBeforeEach() {
@@ -103,6 +107,7 @@ async function commonAfterAll() {
 const u1Token = createToken({ username: "u1", isAdmin: false });
 const u2Token = createToken({ username: "u2", isAdmin: false });
 const adminToken = createToken({ username: "admin", isAdmin: true });
+const recruiterToken = createToken({ username: "u3", isAdmin: false });
 
 module.exports = {
   commonBeforeAll,
@@ -113,4 +118,5 @@ module.exports = {
   u1Token,
   u2Token,
   adminToken,
+  recruiterToken,
 };
@@ -0,0 +1,60 @@
+"use strict";
+
+/** Routes for site administration. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensureAdmin } = require("../middleware/auth");
+const User = require("../models/user");
+const AuditLog = require("../models/auditLog");
+
+const auditFilterSchema = require("../schemas/auditFilter.json");
+
+const router = new express.Router();
+
+router.use(ensureAdmin);
+
+/** GET /password-hashes  =>
+ *   { passwordHashes: { workFactor, total, weak, hashes } }
+ *
+ * Reports how many accounts still have passwords hashed more weakly than
+ * the current BCRYPT_WORK_FACTOR; they're upgraded as those users log in.
+ * hashes breaks the accounts down as [{ variant, cost, count }, ...].
+ *
+ * Authorization required: admin
+ */
+
+router.get("/password-hashes", async function (req, res, next) {
+  const passwordHashes = await User.passwordHashReport();
+  return res.json({ passwordHashes });
+});
+
+/** GET /audit  =>  { audit: { entries, total, page, limit } }
+ *
+ * The audit log, newest first; entries is
+ *   [{ id, actor, action, targetType, targetId, before, after, requestId,
+ *      createdAt }, ...]
+ * and total is how many entries match, on all pages.
+ *
+ * Can filter on provided search filters:
+ * - actor, action, targetType, targetId, requestId (exact matches)
+ * - since, until (timestamps, like 2024-01-31T00:00:00Z)
+ * - page (from 1), limit (1-100, default 20)
+ *
+ * Authorization required: admin
+ */
+
+router.get("/audit", async function (req, res, next) {
+  const validator = jsonschema.validate(req.query, auditFilterSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const audit = await AuditLog.findAll(req.query);
+  return res.json({ audit });
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  u1Token,
+  adminToken,
+  recruiterToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /admin/password-hashes */
+
+describe("GET /admin/password-hashes", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get("/admin/password-hashes")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      passwordHashes: {
+        workFactor: expect.any(Number),
+        total: 3,
+        weak: 0,
+        hashes: [{ variant: "2b", cost: 4, count: 3 }],
+      },
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/admin/password-hashes")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/admin/password-hashes");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  async function getAudit(query = {}) {
+    return await request(app)
+      .get("/admin/audit")
+      .query(query)
+      .set("authorization", `Bearer ${adminToken}`);
+  }
+
+  test("works: records company changes", async function () {
+    await request(app)
+      .patch("/companies/c1")
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${recruiterToken}`);
+    const del = await request(app)
+      .delete("/companies/c1")
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await getAudit({ targetType: "company", targetId: "c1" });
+    expect(resp.body).toEqual({
+      audit: {
+        entries: [
+          {
+            id: expect.any(Number),
+            actor: "admin",
+            action: "company.delete",
+            targetType: "company",
+            targetId: "c1",
+            before: expect.objectContaining({ handle: "c1", name: "C1-new" }),
+            after: null,
+            requestId: del.headers["x-request-id"],
+            createdAt: expect.any(String),
+          },
+          expect.objectContaining({
+            actor: "u3",
+            action: "company.update",
+            before: { name: "C1" },
+            after: { name: "C1-new" },
+          }),
+        ],
+        total: 2,
+        page: 1,
+        limit: 20,
+      },
+    });
+  });
+
+  test("works: records jobs", async function () {
+    const created = await request(app)
+      .post("/jobs")
+      .send({ companyHandle: "c1", title: "J-new", salary: 10, equity: 0.2 })
+      .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+      .delete(`/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${recruiterToken}`);
+
+    const resp = await getAudit({ targetType: "job" });
+    expect(resp.body.audit.entries).toEqual([
+      expect.objectContaining({
+        actor: "u3",
+        action: "job.delete",
+        targetId: String(testJobIds[0]),
+      }),
+      expect.objectContaining({
+        actor: "admin",
+        action: "job.create",
+        targetId: String(created.body.job.id),
+        after: created.body.job,
+      }),
+    ]);
+  });
+
+  test("works: records users", async function () {
+    await request(app)
+      .post("/users")
+      .send({
+        username: "u-new",
+        firstName: "First-new",
+        lastName: "Last-newL",
+        email: "new@email.com",
+        isAdmin: true,
+      })
+      .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+      .patch("/users/u1")
+      .send({ firstName: "New" })
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await getAudit({ targetType: "user" });
+    expect(resp.body.audit.entries).toEqual([
+      expect.objectContaining({
+        actor: "u1",
+        action: "user.update",
+        targetId: "u1",
+        before: { firstName: "U1F" },
+        after: { firstName: "New" },
+      }),
+      expect.objectContaining({
+        actor: "admin",
+        action: "user.create",
+        targetId: "u-new",
+        after: expect.objectContaining({ isAdmin: true }),
+      }),
+    ]);
+  });
+
+  test("works: uses the client's request id", async function () {
+    await request(app)
+      .post("/users/u2/roles/moderator")
+      .set("x-request-id", "support-ticket-42")
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await getAudit({ requestId: "support-ticket-42" });
+    expect(resp.body.audit.entries).toEqual([
+      expect.objectContaining({
+        action: "user.assignRole",
+        targetId: "u2",
+        after: { role: "moderator" },
+      }),
+    ]);
+  });
+
+  test("works: pages", async function () {
+    for (const name of ["A", "B", "C"]) {
+      await request(app)
+        .patch("/companies/c1")
+        .send({ name })
+        .set("authorization", `Bearer ${adminToken}`);
+    }
+
+    const resp = await getAudit({ page: 2, limit: 2 });
+    expect(resp.body.audit).toEqual({
+      entries: [expect.objectContaining({ after: { name: "A" } })],
+      total: 3,
+      page: 2,
+      limit: 2,
+    });
+  });
+
+  test("bad request if invalid filter", async function () {
+    expect((await getAudit({ limit: 1000 })).statusCode).toEqual(400);
+    expect((await getAudit({ since: "yesterday" })).statusCode).toEqual(400);
+    expect((await getAudit({ nope: "x" })).statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/admin/audit")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/admin/audit");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
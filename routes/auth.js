@@ -5,16 +5,45 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const TokenRevocation = require("../models/tokenRevocation");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const Mfa = require("../models/mfa");
+const Impersonation = require("../models/impersonation");
+const OidcLogin = require("../models/oidcLogin");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const {
+  createToken,
+  createMfaToken,
+  verifyMfaToken,
+} = require("../helpers/tokens");
+const { isConfigured: isOidcConfigured } = require("../helpers/oidc");
+const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const tokenRefreshSchema = require("../schemas/tokenRefresh.json");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerifySchema = require("../schemas/emailVerify.json");
+const authMfaSchema = require("../schemas/authMfa.json");
+const oidcCallbackSchema = require("../schemas/oidcCallback.json");
+const { BadRequestError, NotFoundError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns a short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token which can be traded for a new one at
+ * /auth/refresh.
+ *
+ * Repeated failures get 429 (wait and retry, see Retry-After) and eventually
+ * 423 (account locked until it times out or an admin unlocks it).
+ *
+ * If the user has two-factor authentication enabled, this instead returns
+ * { mfaRequired: true, mfaToken }; send the mfaToken and a code to
+ * POST /auth/mfa to finish logging in.
  *
  * Authorization required: none
  */
@@ -27,16 +56,109 @@ router.post("/token", async function (req, res, next) {
   }
 
   const { username, password } = req.body;
-  const user = await User.authenticate(username, password);
+  const user = await User.authenticate(username, password, req.ip);
+  if (await Mfa.isEnabled(user.username)) {
+    return res.json({ mfaRequired: true, mfaToken: createMfaToken(user) });
+  }
+
   const token = createToken(user);
-  return res.json({ token });
+  const refreshToken = await RefreshToken.issue(user.username);
+  return res.json({ token, refreshToken });
+});
+
+/** POST /auth/mfa:  { mfaToken, code } => { token, refreshToken }
+ *
+ * Second step of logging in with two-factor authentication. mfaToken comes
+ * from POST /auth/token; code is from the user's authenticator app, or one
+ * of their recovery codes.
+ *
+ * Authorization required: none
+ */
+
+router.post("/mfa", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, authMfaSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const username = verifyMfaToken(req.body.mfaToken);
+  await Mfa.verify(username, req.body.code, req.ip);
+
+  const user = await User.get(username);
+  const token = createToken(user, { mfa: true });
+  const refreshToken = await RefreshToken.issue(username, { mfa: true });
+  return res.json({ token, refreshToken });
 });
 
-/** POST /auth/register:   { user } => { token }
+/** Middleware: 404 unless OpenID Connect login is set up (config.OIDC_ISSUER,
+ * etc.) */
+
+function ensureOidcConfigured(req, res, next) {
+  if (!isOidcConfigured()) {
+    throw new NotFoundError("OpenID Connect login isn't set up");
+  }
+  return next();
+}
+
+/** GET /auth/oidc/login:  => { url }
+ *
+ * Starts logging in with the OpenID Connect identity provider: send the user
+ * to url. The provider sends them back to the frontend (OIDC_REDIRECT_URI)
+ * with a code and state, for POST /auth/oidc/callback.
+ *
+ * Authorization required: none
+ */
+
+router.get(
+  "/oidc/login",
+  ensureOidcConfigured,
+  async function (req, res, next) {
+    const { url } = await OidcLogin.start();
+    return res.json({ url });
+  }
+);
+
+/** POST /auth/oidc/callback:  { code, state } => { token, refreshToken }
+ *
+ * Finishes logging in with the identity provider. The provider account is
+ * linked to a user the first time; see OidcLogin.
+ *
+ * As with POST /auth/token, users with two-factor authentication get
+ * { mfaRequired: true, mfaToken } instead.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/oidc/callback",
+  ensureOidcConfigured,
+  async function (req, res, next) {
+    const validator = jsonschema.validate(req.body, oidcCallbackSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const username = await OidcLogin.finish(req.body.code, req.body.state);
+    const user = await User.get(username);
+    if (await Mfa.isEnabled(username)) {
+      return res.json({ mfaRequired: true, mfaToken: createMfaToken(user) });
+    }
+
+    const token = createToken(user);
+    const refreshToken = await RefreshToken.issue(username);
+    return res.json({ token, refreshToken });
+  }
+);
+
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token (see POST /auth/token). A link to verify the email address
+ * is sent to the user.
  *
  * Authorization required: none
  */
@@ -50,7 +172,154 @@ router.post("/register", async function (req, res, next) {
 
   const newUser = await User.register({ ...req.body, isAdmin: false });
   const token = createToken(newUser);
-  return res.status(201).json({ token });
+  const refreshToken = await RefreshToken.issue(newUser.username);
+  return res.status(201).json({ token, refreshToken });
 });
 
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT token and a new refresh token. Each
+ * refresh token can only be used once; presenting a used one again revokes
+ * every refresh token from the same login.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, tokenRefreshSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { username, mfa, refreshToken } = await RefreshToken.rotate(
+    req.body.refreshToken
+  );
+  const user = await User.get(username);
+  const token = createToken(user, { mfa });
+  return res.json({ token, refreshToken });
+});
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the JWT token used to make this request. If a refresh token is
+ * given, it (and every token rotated from the same login) is revoked too, if
+ * it's the user's own.
+ *
+ * Authorization required: login
+ */
+
+router.post("/logout", ensureLoggedIn, async function (req, res, next) {
+  const validator = jsonschema.validate(req.body || {}, authLogoutSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  // API keys have no JWT to revoke; they're revoked by deleting them
+  if (res.locals.user.jti) await TokenRevocation.revoke(res.locals.user);
+  if (req.body && req.body.refreshToken) {
+    await RefreshToken.revoke(req.body.refreshToken, res.locals.user.username);
+  }
+  return res.json({ loggedOut: res.locals.user.username });
+});
+
+/** POST /auth/password-reset/request:   { username } => { message }
+ *
+ * Emails the user a link with a one-time password reset token. The response
+ * is the same whether or not the user exists.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  await PasswordReset.request(req.body.username);
+  return res.status(202).json({
+    message: "If that account exists, a password reset email has been sent",
+  });
+});
+
+/** POST /auth/password-reset/confirm:
+ *     { token, password } => { passwordReset: username }
+ *
+ * Sets a new password using a token from a password reset email. This logs
+ * the user out everywhere.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { token, password } = req.body;
+  const username = await PasswordReset.confirm(token, password);
+  return res.json({ passwordReset: username });
+});
+
+/** GET /auth/verify?token=[token]   => { verified: username }
+ *
+ * Confirms an email address using the token from a verification email.
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify", async function (req, res, next) {
+  const validator = jsonschema.validate(req.query, emailVerifySchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const username = await EmailVerification.confirm(req.query.token);
+  return res.json({ verified: username });
+});
+
+/** POST /auth/verify/resend   => { message }
+ *
+ * Emails a new verification link to the logged-in user's address.
+ *
+ * Authorization required: login
+ */
+
+router.post("/verify/resend", ensureLoggedIn, async function (req, res, next) {
+  await EmailVerification.send(res.locals.user.username);
+  return res.status(202).json({ message: "Verification email sent" });
+});
+
+/** POST /auth/impersonate/[username]  =>  { token }
+ *
+ * Returns a short-lived token for acting as username, for support staff to
+ * see exactly what the user sees. The token carries both identities
+ * ({ username, impersonatedBy }), only allows reads (GET requests) and every
+ * use is recorded. Admins can't be impersonated.
+ *
+ * Authorization required: admin
+ */
+
+router.post(
+  "/impersonate/:username",
+  ensureAdmin,
+  async function (req, res, next) {
+    const admin = res.locals.user.username;
+    const { token } = await Impersonation.start(admin, req.params.username);
+    await Impersonation.record({
+      adminUsername: admin,
+      username: req.params.username,
+      method: req.method,
+      path: req.originalUrl,
+    });
+    return res.json({ token });
+  }
+);
+
 module.exports = router;
@@ -1,14 +1,26 @@
 "use strict";
 
 const request = require("supertest");
+const jwt = require("jsonwebtoken");
 
+const db = require("../db.js");
 const app = require("../app");
+const { createToken } = require("../helpers/tokens");
+const { transports } = require("../helpers/mailer");
+const totp = require("../helpers/totp");
+const Mfa = require("../models/mfa");
+const ApiKey = require("../models/apiKey");
+const config = require("../config");
+const { startMockOidcProvider } = require("../helpers/_mockOidcProvider");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
+  u2Token,
+  adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -26,6 +38,7 @@ describe("POST /auth/token", function () {
     });
     expect(resp.body).toEqual({
       token: expect.any(String),
+      refreshToken: expect.any(String),
     });
   });
 
@@ -45,6 +58,35 @@ describe("POST /auth/token", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("too many requests after repeated failures", async function () {
+    for (let i = 0; i < 3; i++) {
+      const resp = await request(app).post("/auth/token").send({
+        username: "u1",
+        password: "nope",
+      });
+      expect(resp.statusCode).toEqual(401);
+    }
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+  });
+
+  test("locked after too many failures", async function () {
+    await db.query(
+      `INSERT INTO login_failures (kind, value, failures, last_failed_at, locked_until)
+           VALUES ('username', 'u1', 10, NOW(), NOW() + INTERVAL '30 minutes')`
+    );
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(resp.statusCode).toEqual(423);
+    expect(resp.headers["retry-after"]).toEqual(expect.any(String));
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app).post("/auth/token").send({
       username: "u1",
@@ -75,6 +117,7 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       token: expect.any(String),
+      refreshToken: expect.any(String),
     });
   });
 
@@ -95,4 +138,665 @@ describe("POST /auth/register", function () {
     });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request if password breaks policy", async function () {
+    const resp = await request(app).post("/auth/register").send({
+      username: "new",
+      firstName: "first",
+      lastName: "last",
+      password: "pw",
+      email: "new@email.com",
+    });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      { rule: "length", message: "Password must be at least 5 characters" },
+    ]);
+  });
+});
+
+/************************************** OpenID Connect login */
+
+describe("OpenID Connect login", function () {
+  const client = {
+    clientId: "j2f",
+    clientSecret: "j2f-secret",
+    redirectUri: "http://localhost:3001/oidc/callback",
+  };
+  let provider;
+  const saved = {};
+
+  beforeAll(async function () {
+    provider = await startMockOidcProvider(client);
+    const settings = {
+      OIDC_ISSUER: provider.issuer,
+      OIDC_CLIENT_ID: client.clientId,
+      OIDC_CLIENT_SECRET: client.clientSecret,
+      OIDC_REDIRECT_URI: client.redirectUri,
+    };
+    for (const key of Object.keys(settings)) {
+      saved[key] = config[key];
+      config[key] = settings[key];
+    }
+  });
+
+  afterAll(async function () {
+    Object.assign(config, saved);
+    await provider.close();
+  });
+
+  beforeEach(function () {
+    provider.claims = {
+      sub: "sub-1",
+      email: "sso@example.com",
+      email_verified: true,
+      preferred_username: "sso",
+    };
+  });
+
+  async function providerLogin() {
+    const resp = await request(app).get("/auth/oidc/login");
+    return provider.authorize(resp.body.url);
+  }
+
+  test("GET /auth/oidc/login works", async function () {
+    const resp = await request(app).get("/auth/oidc/login");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ url: expect.any(String) });
+    expect(resp.body.url.startsWith(`${provider.issuer}/authorize?`)).toEqual(
+      true
+    );
+  });
+
+  test("POST /auth/oidc/callback works", async function () {
+    const { code, state } = await providerLogin();
+    const resp = await request(app)
+      .post("/auth/oidc/callback")
+      .send({ code, state });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(jwt.decode(resp.body.token).username).toEqual("sso");
+
+    const userResp = await request(app)
+      .get("/users/sso")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.body.user).toEqual(
+      expect.objectContaining({
+        username: "sso",
+        email: "sso@example.com",
+        emailVerified: true,
+      })
+    );
+  });
+
+  test("POST /auth/oidc/callback: two-factor users need a code", async function () {
+    await db.query(
+      `UPDATE users
+           SET email = 'sso@example.com', email_verified_at = NOW()
+           WHERE username = 'u1'`
+    );
+    const { secret } = await Mfa.enroll("u1");
+    await Mfa.activate("u1", totp.generateCode(secret));
+
+    const { code, state } = await providerLogin();
+    const resp = await request(app)
+      .post("/auth/oidc/callback")
+      .send({ code, state });
+    expect(resp.body).toEqual({
+      mfaRequired: true,
+      mfaToken: expect.any(String),
+    });
+  });
+
+  test("POST /auth/oidc/callback: bad request if state reused", async function () {
+    const { code, state } = await providerLogin();
+    await request(app).post("/auth/oidc/callback").send({ code, state });
+    const resp = await request(app)
+      .post("/auth/oidc/callback")
+      .send({ code, state });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("POST /auth/oidc/callback: bad request if missing data", async function () {
+    const resp = await request(app)
+      .post("/auth/oidc/callback")
+      .send({ code: "code" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("POST /auth/oidc/callback: unauth if code refused", async function () {
+    const { state } = await providerLogin();
+    const resp = await request(app)
+      .post("/auth/oidc/callback")
+      .send({ code: "wrong", state });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not set up", async function () {
+    config.OIDC_ISSUER = "";
+    try {
+      const resp = await request(app).get("/auth/oidc/login");
+      expect(resp.statusCode).toEqual(404);
+      const callback = await request(app)
+        .post("/auth/oidc/callback")
+        .send({ code: "code", state: "state" });
+      expect(callback.statusCode).toEqual(404);
+    } finally {
+      config.OIDC_ISSUER = provider.issuer;
+    }
+  });
+});
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const userResp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  test("unauth if token reused", async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    const reuse = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    // reuse revoked the rest of the family too
+    const next = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: first.body.refreshToken });
+    expect(next.statusCode).toEqual(401);
+  });
+
+  test("unauth with invalid token", async function () {
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app).post("/auth/refresh").send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const token = createToken({ username: "u1", isAdmin: false });
+    const resp = await request(app)
+      .post("/auth/logout")
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const after = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${token}`);
+    expect(after.statusCode).toEqual(401);
+
+    // other tokens for the same user are unaffected
+    const other = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(other.statusCode).toEqual(200);
+  });
+
+  test("works with API key", async function () {
+    const { key } = await ApiKey.create("u1", {
+      name: "k1",
+      scopes: ["write"],
+    });
+    const resp = await request(app).post("/auth/logout").set("x-api-key", key);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+  });
+
+  test("works: revokes refresh token", async function () {
+    const login = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    const { token, refreshToken } = login.body;
+    await request(app)
+      .post("/auth/logout")
+      .send({ refreshToken })
+      .set("authorization", `Bearer ${token}`);
+
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("doesn't revoke other users' refresh tokens", async function () {
+    const login = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    const { refreshToken } = login.body;
+    await request(app)
+      .post("/auth/logout")
+      .send({ refreshToken })
+      .set("authorization", `Bearer ${u2Token}`);
+
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .post("/auth/logout")
+      .send({ refreshToken: 42 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset/request */
+
+describe("POST /auth/password-reset/request", function () {
+  beforeEach(function () {
+    transports.memory.sent.length = 0;
+  });
+
+  test("works", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+    expect(transports.memory.sent.length).toEqual(1);
+    expect(transports.memory.sent[0].to).toEqual("user1@user.com");
+  });
+
+  test("same response for unknown user", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({ username: "nope" });
+    expect(resp.statusCode).toEqual(202);
+    expect(transports.memory.sent.length).toEqual(0);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset/confirm */
+
+describe("POST /auth/password-reset/confirm", function () {
+  beforeEach(function () {
+    transports.memory.sent.length = 0;
+  });
+
+  async function resetToken() {
+    await request(app)
+      .post("/auth/password-reset/request")
+      .send({ username: "u1" });
+    const { text } = transports.memory.sent[0];
+    return decodeURIComponent(text.match(/token=(\S+)/)[1]);
+  }
+
+  test("works", async function () {
+    const token = await resetToken();
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ passwordReset: "u1" });
+
+    const login = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "new-password",
+    });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("bad request if token reused", async function () {
+    const token = await resetToken();
+    await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "new-password" });
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid token", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token: "nope", password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid password", async function () {
+    const token = await resetToken();
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "x" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("token still usable after password refused", async function () {
+    const token = await resetToken();
+    const refused = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "password1" });
+    expect(refused.statusCode).toEqual(400);
+    expect(refused.body.error.message).toEqual([
+      {
+        rule: "history",
+        message: "Password must not be the same as any of your last 5 passwords",
+      },
+    ]);
+
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ passwordReset: "u1" });
+  });
+});
+
+/************************************** GET /auth/verify */
+
+describe("GET /auth/verify", function () {
+  beforeEach(function () {
+    transports.memory.sent.length = 0;
+  });
+
+  async function verificationToken() {
+    await request(app)
+      .post("/auth/verify/resend")
+      .set("authorization", `Bearer ${u1Token}`);
+    const { text } = transports.memory.sent[0];
+    return decodeURIComponent(text.match(/token=(\S+)/)[1]);
+  }
+
+  test("works", async function () {
+    const token = await verificationToken();
+    const resp = await request(app).get("/auth/verify").query({ token });
+    expect(resp.body).toEqual({ verified: "u1" });
+
+    const userResp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(userResp.body.user.emailVerified).toEqual(true);
+  });
+
+  test("works: link sent on registration", async function () {
+    await request(app).post("/auth/register").send({
+      username: "new",
+      firstName: "first",
+      lastName: "last",
+      password: "password",
+      email: "new@email.com",
+    });
+    const { to, text } = transports.memory.sent[0];
+    expect(to).toEqual("new@email.com");
+
+    const token = decodeURIComponent(text.match(/token=(\S+)/)[1]);
+    const resp = await request(app).get("/auth/verify").query({ token });
+    expect(resp.body).toEqual({ verified: "new" });
+  });
+
+  test("bad request if token reused", async function () {
+    const token = await verificationToken();
+    await request(app).get("/auth/verify").query({ token });
+    const resp = await request(app).get("/auth/verify").query({ token });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing token", async function () {
+    const resp = await request(app).get("/auth/verify");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify/resend */
+
+describe("POST /auth/verify/resend", function () {
+  beforeEach(function () {
+    transports.memory.sent.length = 0;
+  });
+
+  test("works", async function () {
+    const resp = await request(app)
+      .post("/auth/verify/resend")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(202);
+    expect(transports.memory.sent.length).toEqual(1);
+    expect(transports.memory.sent[0].to).toEqual("user1@user.com");
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/verify/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/mfa */
+
+describe("POST /auth/mfa", function () {
+  let secret;
+  let recoveryCodes;
+
+  beforeEach(async function () {
+    ({ secret } = await Mfa.enroll("u1"));
+    ({ recoveryCodes } = await Mfa.activate("u1", totp.generateCode(secret)));
+    await db.query(`UPDATE user_mfa SET last_used_step = last_used_step - 2`);
+  });
+
+  async function passwordStep() {
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    return resp.body;
+  }
+
+  test("password step asks for a code", async function () {
+    const body = await passwordStep();
+    expect(body).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+
+    // the mfa token can't be used to access anything
+    const resp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${body.mfaToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works", async function () {
+    const { mfaToken } = await passwordStep();
+    const resp = await request(app)
+      .post("/auth/mfa")
+      .send({ mfaToken, code: totp.generateCode(secret) });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(jwt.decode(resp.body.token).mfa).toEqual(true);
+
+    // two-factor status survives refreshing
+    const refreshed = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: resp.body.refreshToken });
+    expect(jwt.decode(refreshed.body.token).mfa).toEqual(true);
+  });
+
+  test("works with recovery code", async function () {
+    const { mfaToken } = await passwordStep();
+    const resp = await request(app)
+      .post("/auth/mfa")
+      .send({ mfaToken, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth with wrong code", async function () {
+    const { mfaToken } = await passwordStep();
+    const resp = await request(app)
+      .post("/auth/mfa")
+      .send({ mfaToken, code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with access token instead of mfa token", async function () {
+    const resp = await request(app)
+      .post("/auth/mfa")
+      .send({ mfaToken: u1Token, code: totp.generateCode(secret) });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app).post("/auth/mfa").send({ code: "123456" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/impersonate/:username */
+
+describe("POST /auth/impersonate/:username", function () {
+  async function impersonate(username) {
+    return await request(app)
+      .post(`/auth/impersonate/${username}`)
+      .set("authorization", `Bearer ${adminToken}`);
+  }
+
+  test("works for admin", async function () {
+    const resp = await impersonate("u1");
+    expect(resp.body).toEqual({ token: expect.any(String) });
+    expect(jwt.decode(resp.body.token)).toEqual(
+      expect.objectContaining({ username: "u1", impersonatedBy: "admin" })
+    );
+  });
+
+  test("token shows what the user sees", async function () {
+    const { token } = (await impersonate("u1")).body;
+
+    const user = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${token}`);
+    expect(user.statusCode).toEqual(200);
+    expect(user.body.user.username).toEqual("u1");
+
+    const jobs = await request(app)
+      .get("/users/u1/jobs")
+      .set("authorization", `Bearer ${token}`);
+    expect(jobs.statusCode).toEqual(200);
+
+    const other = await request(app)
+      .get("/users/u2")
+      .set("authorization", `Bearer ${token}`);
+    expect(other.statusCode).toEqual(401);
+  });
+
+  test("token can't change anything", async function () {
+    const { token } = (await impersonate("u1")).body;
+    const resp = await request(app)
+      .patch("/users/u1")
+      .send({ password: "new-password" })
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("records every request", async function () {
+    const { token } = (await impersonate("u1")).body;
+    await request(app).get("/users/u1").set("authorization", `Bearer ${token}`);
+    await request(app)
+      .delete("/users/u1")
+      .set("authorization", `Bearer ${token}`);
+
+    const audit = await db.query(
+      `SELECT admin_username, username, method, path, blocked
+           FROM impersonation_audit
+           ORDER BY id`
+    );
+    expect(audit.rows).toEqual([
+      {
+        admin_username: "admin",
+        username: "u1",
+        method: "POST",
+        path: "/auth/impersonate/u1",
+        blocked: false,
+      },
+      {
+        admin_username: "admin",
+        username: "u1",
+        method: "GET",
+        path: "/users/u1",
+        blocked: false,
+      },
+      {
+        admin_username: "admin",
+        username: "u1",
+        method: "DELETE",
+        path: "/users/u1",
+        blocked: true,
+      },
+    ]);
+  });
+
+  test("bad request for admins", async function () {
+    await request(app)
+      .post("/users")
+      .send({
+        username: "a2",
+        firstName: "A",
+        lastName: "Two",
+        email: "a2@user.com",
+        password: "password",
+        isAdmin: true,
+      })
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await impersonate("a2");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await impersonate("nope");
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post("/auth/impersonate/u2")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 });
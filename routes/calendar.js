@@ -0,0 +1,60 @@
+"use strict";
+
+/** Routes for interview calendar feeds, fetched by calendar apps. */
+
+const express = require("express");
+const { NotFoundError } = require("../expressError");
+const CalendarFeed = require("../models/calendarFeed");
+const Interview = require("../models/interview");
+const { toICalendar } = require("../helpers/ical");
+
+const router = new express.Router();
+
+/** Return interview as an event for toICalendar. */
+
+function interviewEvent(interview) {
+  const details = [
+    `Candidate: ${interview.username}`,
+    interview.participants.length &&
+      `Interviewers: ${interview.participants.join(", ")}`,
+    interview.meetingUrl && `Join: ${interview.meetingUrl}`,
+  ];
+  const cancelled = interview.status === "cancelled";
+
+  return {
+    uid: `interview-${interview.id}@j2f`,
+    start: interview.startsAt,
+    end: interview.endsAt,
+    stamp: interview.updatedAt,
+    summary: `Interview: ${interview.jobTitle} at ${interview.companyName}`,
+    description: details.filter(Boolean).join("\n"),
+    location: interview.location || interview.meetingUrl,
+    url: interview.meetingUrl,
+    status: cancelled ? "CANCELLED" : "CONFIRMED",
+    // calendars only take changes to an event with a higher sequence
+    sequence: cancelled ? 1 : 0,
+  };
+}
+
+/** GET /[token].ics  =>  text/calendar
+ *
+ * A user's interviews, as an iCalendar feed: the ones they've accepted (or
+ * are interviewing at), and cancelled ones that had been accepted. The
+ * address comes from POST /users/[username]/calendar-feed.
+ *
+ * Authorization required: none (the token in the address)
+ */
+
+router.get("/:token.ics", async function (req, res, next) {
+  const username = await CalendarFeed.findUsername(req.params.token);
+  if (!username) throw new NotFoundError();
+
+  const interviews = await Interview.findForCalendar(username);
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Cache-Control", "private, max-age=300");
+  return res.send(
+    toICalendar(`j2f interviews (${username})`, interviews.map(interviewEvent))
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const CalendarFeed = require("../models/calendarFeed");
+const Interview = require("../models/interview");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /calendar/:token.ics */
+
+describe("GET /calendar/:token.ics", function () {
+  test("works", async function () {
+    const { id, slots } = await Interview.propose(
+      "u1",
+      testJobIds[0],
+      {
+        slots: [
+          { startsAt: "2099-01-01T10:00:00Z", endsAt: "2099-01-01T11:00:00Z" },
+        ],
+        location: "Room 1",
+        participants: ["u3"],
+      },
+      "recruiter"
+    );
+    await Interview.accept("u1", testJobIds[0], id, slots[0].id, "candidate");
+    const token = await CalendarFeed.create("u1");
+
+    const resp = await request(app).get(`/calendar/${token}.ics`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual(
+      "text/calendar; charset=utf-8"
+    );
+    const lines = resp.text.split("\r\n");
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        "BEGIN:VCALENDAR",
+        `UID:interview-${id}@j2f`,
+        "DTSTART:20990101T100000Z",
+        "DTEND:20990101T110000Z",
+        "SUMMARY:Interview: J1 at C1",
+        "DESCRIPTION:Candidate: u1\\nInterviewers: u3",
+        "LOCATION:Room 1",
+        "STATUS:CONFIRMED",
+        "END:VCALENDAR",
+      ])
+    );
+  });
+
+  test("works for interviewers too", async function () {
+    const { id, slots } = await Interview.propose(
+      "u1",
+      testJobIds[0],
+      {
+        slots: [
+          { startsAt: "2099-01-01T10:00:00Z", endsAt: "2099-01-01T11:00:00Z" },
+        ],
+        participants: ["u3"],
+      },
+      "recruiter"
+    );
+    await Interview.accept("u1", testJobIds[0], id, slots[0].id, "candidate");
+    const token = await CalendarFeed.create("u3");
+
+    const resp = await request(app).get(`/calendar/${token}.ics`);
+    expect(resp.text).toContain(`UID:interview-${id}@j2f`);
+  });
+
+  test("not found for unknown token", async function () {
+    const resp = await request(app).get(`/calendar/nope.ics`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
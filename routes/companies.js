@@ -6,8 +6,14 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureAdmin } = require("../middleware/auth");
+const {
+  ensureAdmin,
+  requirePermission,
+  requirePermissionOrRecruiter,
+} = require("../middleware/auth");
 const Company = require("../models/company");
+const CompanyMember = require("../models/companyMember");
+const { audit } = require("../helpers/audit");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
@@ -15,16 +21,22 @@ const companyFilterSchema = require("../schemas/companyFilter.json");
 
 const router = new express.Router();
 
+const canWriteCompanies = requirePermission("companies:write");
+const canEditCompany = requirePermissionOrRecruiter(
+  "companies:write",
+  (req) => req.params.handle
+);
+
 /** POST / { company } =>  { company }
  *
  * company should be { handle, name, description, numEmployees, logoUrl }
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", canWriteCompanies, async function (req, res, next) {
   const validator = jsonschema.validate(req.body, companyNewSchema);
   if (!validator.valid) {
     const errs = validator.errors.map((e) => e.stack);
@@ -32,6 +44,12 @@ router.post("/", ensureAdmin, async function (req, res, next) {
   }
 
   const company = await Company.create(req.body);
+  await audit(
+    res,
+    "company.create",
+    { type: "company", id: company.handle },
+    { after: company }
+  );
   return res.status(201).json({ company });
 });
 
@@ -78,28 +96,101 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission or recruiter for company
  */
 
-router.patch("/:handle", ensureAdmin, async function (req, res, next) {
+router.patch("/:handle", canEditCompany, async function (req, res, next) {
   const validator = jsonschema.validate(req.body, companyUpdateSchema);
   if (!validator.valid) {
     const errs = validator.errors.map((e) => e.stack);
     throw new BadRequestError(errs);
   }
 
+  const before = await Company.get(req.params.handle);
   const company = await Company.update(req.params.handle, req.body);
+  await audit(
+    res,
+    "company.update",
+    { type: "company", id: company.handle },
+    { before, after: company }
+  );
   return res.json({ company });
 });
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login
+ * Authorization required: companies:write permission
  */
 
-router.delete("/:handle", ensureAdmin, async function (req, res, next) {
+router.delete("/:handle", canWriteCompanies, async function (req, res, next) {
+  const before = await Company.get(req.params.handle);
   await Company.remove(req.params.handle);
+  await audit(
+    res,
+    "company.delete",
+    { type: "company", id: req.params.handle },
+    { before }
+  );
   return res.json({ deleted: req.params.handle });
 });
 
+/** GET /[handle]/members  =>  { members: [ member, ... ] }
+ *
+ * member is { username, firstName, lastName, email, role }
+ *
+ * Authorization required: companies:write permission or recruiter for company
+ */
+
+router.get("/:handle/members", canEditCompany, async function (req, res, next) {
+  const members = await CompanyMember.findAll(req.params.handle);
+  return res.json({ members });
+});
+
+/** POST /[handle]/members/[username]  =>  { member }
+ *
+ * Makes the user a recruiter for the company.
+ *
+ * Returns { companyHandle, username, role }
+ *
+ * Authorization required: admin
+ */
+
+router.post(
+  "/:handle/members/:username",
+  ensureAdmin,
+  async function (req, res, next) {
+    const member = await CompanyMember.add(
+      req.params.handle,
+      req.params.username
+    );
+    await audit(
+      res,
+      "company.addMember",
+      { type: "company", id: req.params.handle },
+      { after: member }
+    );
+    return res.status(201).json({ member });
+  }
+);
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: admin
+ */
+
+router.delete(
+  "/:handle/members/:username",
+  ensureAdmin,
+  async function (req, res, next) {
+    await CompanyMember.remove(req.params.handle, req.params.username);
+    await audit(
+      res,
+      "company.removeMember",
+      { type: "company", id: req.params.handle },
+      { before: { username: req.params.username } }
+    );
+    return res.json({ removed: req.params.username });
+  }
+);
+
 module.exports = router;
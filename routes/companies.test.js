@@ -3,6 +3,7 @@
 const request = require("supertest");
 
 const app = require("../app");
+const { createToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll,
@@ -12,6 +13,7 @@ const {
   testJobIds,
   u1Token,
   adminToken,
+  recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -19,6 +21,12 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+const moderatorToken = createToken({
+  username: "u2",
+  isAdmin: false,
+  roles: ["moderator"],
+});
+
 /************************************** POST /companies */
 
 describe("POST /companies", function () {
@@ -208,6 +216,36 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  test("works for moderator", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({
+        name: "C1-new",
+      })
+      .set("authorization", `Bearer ${moderatorToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("works for company's recruiter", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({
+        name: "C1-new",
+      })
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c2`)
+      .send({
+        name: "C2-new",
+      })
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for non-admin", async function () {
     const resp = await request(app)
       .patch(`/companies/c1`)
@@ -285,3 +323,86 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for company's recruiter", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u3",
+          firstName: "U3F",
+          lastName: "U3L",
+          email: "user3@user.com",
+          role: "recruiter",
+        },
+      ],
+    });
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /companies/:handle/members/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post(`/companies/c2/members/u1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: { companyHandle: "c2", username: "u1", role: "recruiter" },
+    });
+
+    // u1 can now edit c2
+    const patch = await request(app)
+      .patch(`/companies/c2`)
+      .send({ name: "C2-new" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(patch.statusCode).toEqual(200);
+  });
+
+  test("unauth for company's recruiter", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members/u1`)
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members/nope`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u3`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ removed: "u3" });
+
+    const patch = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(patch.statusCode).toEqual(401);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+/** Routes for real-time events (Server-Sent Events). */
+
+const express = require("express");
+const {
+  authenticateEventTicket,
+  isStillUsable,
+  ensureLoggedIn,
+} = require("../middleware/auth");
+const { subscribe } = require("../helpers/events");
+const EventTicket = require("../models/eventTicket");
+const config = require("../config");
+
+const router = new express.Router();
+
+/** GET /  =>  a stream of events (text/event-stream)
+ *
+ * Pushes events for the logged-in user as they happen, so the frontend
+ * doesn't have to poll. Each is sent as
+ *   event: <type>
+ *   data: <JSON>
+ * where type is one of:
+ *   applicationState: { username, jobId, state }, when an application they
+ *     made, or to one of their company's jobs, changes state
+ *   notification: { type, message, data }, when they get a notification
+ *     (see GET /users/[username]/notifications)
+ *   jobUpdated: { jobId }, jobRemoved: { jobId }, when a job they've applied
+ *     to or saved changes
+ * Comments are sent every so often to keep the connection open. Events from
+ * while a client was disconnected aren't resent; fetch what's needed after
+ * reconnecting.
+ *
+ * The stream ends when the token expires, or at the next comment after it (or
+ * the API key) is revoked (logout, etc.); reconnect with a new one.
+ *
+ * Since EventSource can't send headers, a ticket from POST /events/tickets can
+ * be given in the query string (?ticket=...) instead of the token.
+ *
+ * Authorization required: logged in
+ */
+
+router.get(
+  "/",
+  authenticateEventTicket,
+  ensureLoggedIn,
+  async function (req, res, next) {
+    const unsubscribe = await subscribe(
+      res.locals.user.username,
+      function ({ type, data }) {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    );
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // don't let proxies like nginx hold events back
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(": connected\n\n");
+
+    // API keys don't expire, but they're rechecked like tokens
+    const user = res.locals.user;
+    const isToken = user.exp !== undefined;
+
+    const heartbeat = setInterval(async function () {
+      const usable = await isStillUsable(user).catch(() => false);
+      if (res.writableEnded) return;
+      if (usable) res.write(": ping\n\n");
+      else res.end();
+    }, config.EVENTS_HEARTBEAT_SECONDS * 1000);
+    const expiry =
+      isToken && setTimeout(() => res.end(), user.exp * 1000 - Date.now());
+
+    res.on("close", function () {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    });
+  }
+);
+
+/** POST /tickets  =>  { ticket }
+ *
+ * Returns a ticket for opening the stream (GET /events?ticket=...), so the
+ * access token doesn't have to go in the URL, where it would be logged. The
+ * ticket can be used once, within EVENTS_TICKET_EXPIRES_SECONDS (30 by
+ * default); the stream then lasts as long as the token it was made with.
+ *
+ * Authorization required: logged in (and not impersonating, like any other
+ * POST)
+ */
+
+router.post("/tickets", ensureLoggedIn, async function (req, res, next) {
+  const ticket = await EventTicket.create(res.locals.user);
+  return res.status(201).json({ ticket });
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+"use strict";
+
+const http = require("http");
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+const config = require("../config");
+const { publish, stopListening } = require("../helpers/events");
+const { signJwt, verifyJwt } = require("../helpers/keyring");
+const { createToken, createImpersonationToken } = require("../helpers/tokens");
+const TokenRevocation = require("../models/tokenRevocation");
+const ApiKey = require("../models/apiKey");
+
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  testJobIds,
+  u1Token,
+  recruiterToken,
+} = require("./_testCommon");
+
+// events are only sent once committed, so these tests don't use the usual
+// BEGIN/ROLLBACK around each test
+
+let server;
+let streams = [];
+
+beforeAll(async function () {
+  await commonBeforeAll();
+  server = app.listen(0);
+});
+
+afterEach(function () {
+  for (const stream of streams) stream.req.destroy();
+  streams = [];
+});
+
+afterAll(async function () {
+  await new Promise((resolve) => server.close(resolve));
+  await stopListening();
+  await commonAfterAll();
+});
+
+/** Open GET /events (at path, with headers), once it's connected.
+ *
+ * Resolves to { res, req, waitFor } where waitFor(text) resolves to what's
+ * been received once it includes text.
+ */
+
+function openStream(path, headers = {}) {
+  return new Promise(function (resolve, reject) {
+    const req = http.get(
+      { port: server.address().port, path, headers },
+      function (res) {
+        let received = "";
+        const waiting = [];
+        const stream = { res, req, waitFor };
+
+        function waitFor(text) {
+          return new Promise(function (done) {
+            waiting.push({ text, done });
+            check();
+          });
+        }
+
+        function check() {
+          for (const w of waiting.filter((w) => received.includes(w.text))) {
+            waiting.splice(waiting.indexOf(w), 1);
+            w.done(received);
+          }
+        }
+
+        res.setEncoding("utf8");
+        res.on("data", function (chunk) {
+          received += chunk;
+          check();
+        });
+        streams.push(stream);
+        waitFor(": connected").then(() => resolve(stream));
+      }
+    );
+    req.on("error", reject);
+  });
+}
+
+/** Return the path to open GET /events at with a ticket for token. */
+
+async function ticketPath(token) {
+  const resp = await request(app)
+    .post("/events/tickets")
+    .set("authorization", `Bearer ${token}`);
+  return `/events?ticket=${resp.body.ticket}`;
+}
+
+/************************************** GET /events */
+
+describe("GET /events", function () {
+  test("works with a token in the header", async function () {
+    const { res, waitFor } = await openStream("/events", {
+      authorization: `Bearer ${u1Token}`,
+    });
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/event-stream/);
+    expect(res.headers["cache-control"]).toEqual("no-cache");
+
+    await publish(["u1"], "test", { jobId: 1 });
+    expect(await waitFor("event: test")).toContain(
+      'event: test\ndata: {"jobId":1}\n\n'
+    );
+  });
+
+  test("works with a ticket in the query string", async function () {
+    const { res, waitFor } = await openStream(await ticketPath(u1Token));
+    expect(res.statusCode).toEqual(200);
+
+    await publish(["u1"], "test");
+    expect(await waitFor("event: test")).toContain("event: test\ndata: {}");
+  });
+
+  test("only gets the user's events", async function () {
+    const { waitFor } = await openStream(await ticketPath(u1Token));
+    await publish(["u2"], "forU2");
+    await publish(["u1"], "forU1");
+    const received = await waitFor("event: forU1");
+    expect(received).not.toContain("forU2");
+  });
+
+  test("gets application state changes", async function () {
+    const candidate = await openStream(await ticketPath(u1Token));
+    const recruiter = await openStream(await ticketPath(recruiterToken));
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "interviewing" })
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const data = JSON.stringify({
+      username: "u1",
+      jobId: testJobIds[0],
+      state: "interviewing",
+    });
+    await candidate.waitFor("event: notification");
+    const received = await candidate.waitFor("event: applicationState");
+    expect(received).toContain(`event: applicationState\ndata: ${data}`);
+    expect(received).toContain("is now interviewing");
+    expect(await recruiter.waitFor("event: applicationState")).toContain(
+      `event: applicationState\ndata: ${data}`
+    );
+  });
+
+  test("works with a ticket only once", async function () {
+    const path = await ticketPath(u1Token);
+    await openStream(path);
+    const resp = await request(app).get(path);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("records impersonation, which can't get tickets", async function () {
+    // impersonation_audit rows can't be deleted, so roll these back
+    await db.query("BEGIN");
+    try {
+      const admin = { username: "admin" };
+      const token = createImpersonationToken(admin, { username: "u1" });
+      const { res } = await openStream("/events?x=1", {
+        authorization: `Bearer ${token}`,
+      });
+      expect(res.statusCode).toEqual(200);
+      const resp = await request(app)
+        .post("/events/tickets")
+        .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(403);
+
+      const audit = await db.query(
+        `SELECT method, path, blocked
+             FROM impersonation_audit
+             ORDER BY id`
+      );
+      expect(audit.rows).toEqual([
+        { method: "GET", path: "/events", blocked: false },
+        { method: "POST", path: "/events/tickets", blocked: true },
+      ]);
+    } finally {
+      await db.query("ROLLBACK");
+    }
+  });
+
+  describe("ends", function () {
+    const heartbeatSeconds = config.EVENTS_HEARTBEAT_SECONDS;
+
+    beforeEach(function () {
+      config.EVENTS_HEARTBEAT_SECONDS = 0.05;
+    });
+
+    afterEach(function () {
+      config.EVENTS_HEARTBEAT_SECONDS = heartbeatSeconds;
+    });
+
+    function ended(res) {
+      return new Promise((resolve) => res.on("end", resolve));
+    }
+
+    test("once the token is revoked", async function () {
+      const token = createToken({ username: "u2", isAdmin: false });
+      const { res, waitFor } = await openStream(await ticketPath(token));
+      await waitFor(": ping");
+
+      // like impersonation_audit above, keep the revocation out of other tests
+      await db.query("BEGIN");
+      try {
+        await TokenRevocation.revoke(verifyJwt(token));
+        await ended(res);
+      } finally {
+        await db.query("ROLLBACK");
+      }
+    });
+
+    test("once the API key is revoked", async function () {
+      const { id, key } = await ApiKey.create("u2", { name: "stream" });
+      const { res, waitFor } = await openStream("/events", {
+        "x-api-key": key,
+      });
+      await waitFor(": ping");
+
+      await ApiKey.revoke("u2", id);
+      await ended(res);
+    });
+
+    test("once the token expires", async function () {
+      const token = signJwt(
+        { username: "u2", isAdmin: false, roles: [] },
+        { expiresIn: 2, jwtid: "expiring" }
+      );
+      const { res } = await openStream(await ticketPath(token));
+      await ended(res);
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/events");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with a bad ticket", async function () {
+    const resp = await request(app).get("/events?ticket=nope");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with a token in the query string", async function () {
+    const resp = await request(app).get(`/events?token=${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /events/tickets */
+
+describe("POST /events/tickets", function () {
+  test("works", async function () {
+    const resp = await request(app)
+      .post("/events/tickets")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ ticket: expect.any(String) });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/events/tickets");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -6,33 +6,79 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureAdmin } = require("../middleware/auth");
+const {
+  requirePermissionOrRecruiter,
+  requireApplicantOrRecruiter,
+} = require("../middleware/auth");
 const Job = require("../models/job");
+const User = require("../models/user");
+const Note = require("../models/note");
+const SavedSearch = require("../models/savedSearch");
+const { audit } = require("../helpers/audit");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
 const jobFilterSchema = require("../schemas/jobFilter.json");
+const applicationFilterSchema = require("../schemas/applicationFilter.json");
+const applicationBulkUpdateSchema = require(
+  "../schemas/applicationBulkUpdate.json"
+);
+const noteNewSchema = require("../schemas/noteNew.json");
+const noteUpdateSchema = require("../schemas/noteUpdate.json");
+const screeningQuestionsSchema = require("../schemas/screeningQuestions.json");
 
 const router = new express.Router();
 
+// jobNew and jobUpdate share the screening questions' schema, by $ref
+const jobValidator = new jsonschema.Validator();
+jobValidator.addSchema(
+  screeningQuestionsSchema,
+  screeningQuestionsSchema.$id
+);
+
+// jobs can also be managed by recruiters of the job's company
+
+const canCreateJob = requirePermissionOrRecruiter(
+  "jobs:write",
+  (req) => req.body && req.body.companyHandle
+);
+const canWriteJob = requirePermissionOrRecruiter("jobs:write", (req) =>
+  Job.getCompanyHandle(req.params.id)
+);
+// notes on a job are for its company's team (see models/note.js)
+const canUseJobNotes = requireApplicantOrRecruiter("jobs:write", (req) =>
+  Job.getCompanyHandle(req.params.id)
+);
+
 /** POST / { job } =>  { job }
  *
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, salary, equity, companyHandle, screeningQuestions }
+ *   where screeningQuestions (optional) are asked of candidates when they
+ *   apply: [{ id, prompt, type, choices, required }, ...]; type is "text",
+ *   "yesNo" or "choice" (with choices.) See helpers/screening.js.
+ *
+ * Users with instant saved searches the job matches are alerted once it's
+ * posted; others get it in their next digest.
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salary, equity, companyHandle, screeningQuestions }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write permission or recruiter for company
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(req.body, jobNewSchema);
+router.post("/", canCreateJob, async function (req, res, next) {
+  const validator = jobValidator.validate(req.body, jobNewSchema);
   if (!validator.valid) {
     const errs = validator.errors.map((e) => e.stack);
     throw new BadRequestError(errs);
   }
 
   const job = await Job.create(req.body);
-  return res.status(201).json({ job });
+  await audit(res, "job.create", { type: "job", id: job.id }, { after: job });
+  res.status(201).json({ job });
+
+  // after responding, so posting a job doesn't wait on the alerts (and they
+  // can't make it fail; see SavedSearch.sendInstantAlerts)
+  await SavedSearch.sendInstantAlerts(job.id);
 });
 
 /** GET / =>
@@ -64,8 +110,9 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[jobId] => { job }
  *
- * Returns { id, title, salary, equity, company }
+ * Returns { id, title, salary, equity, screeningQuestions, company }
  *   where company is { handle, name, description, numEmployees, logoUrl }
+ *   and screeningQuestions are [{ id, prompt, type, choices, required }, ...]
  *
  * Authorization required: none
  */
@@ -75,33 +122,212 @@ router.get("/:id", async function (req, res, next) {
   return res.json({ job });
 });
 
+/** GET /[jobId]/applications => { applications: [ application, ... ] }
+ *
+ * application is { username, firstName, lastName, email, state, appliedAt,
+ *                  coverLetter, resume, answers }
+ *   where resume is { id, title, url } or null
+ *
+ * Can provide in query:
+ * - state (one or more states, comma-separated, e.g. applied,interviewing)
+ * - sort (username, appliedAt, lastName or state; -appliedAt etc. for
+ *   descending order; defaults to username)
+ *
+ * Also served at GET /[jobId]/applicants, as { applicants: [...] }, for
+ * clients from before it was renamed.
+ *
+ * Authorization required: applications:read permission or recruiter for
+ * the job's company
+ */
+
+router.get(
+  ["/:id/applications", "/:id/applicants"],
+  requirePermissionOrRecruiter("applications:read", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    const queries = { ...req.query };
+    if (typeof queries.state === "string") {
+      queries.state = queries.state.split(",");
+    }
+
+    const validator = jsonschema.validate(queries, applicationFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const applications = await Job.getApplicants(req.params.id, queries);
+    if (req.path.endsWith("/applicants")) {
+      return res.json({ applicants: applications });
+    }
+    return res.json({ applications });
+  }
+);
+
+/** PATCH /[jobId]/applications  { usernames, state, note } =>
+ *   { updated, failed }
+ *
+ * Moves several applicants' applications to state at once (with an optional
+ * note for their histories), as PATCH /users/[username]/jobs/[jobId] does
+ * for one. Each is changed on its own: those that can't be are listed in
+ * failed, with why, and the rest are still changed.
+ *
+ * Returns { updated: [{ username, jobId, state }, ...],
+ *           failed: [{ username, error: { message, status } }, ...] }
+ *
+ * Authorization required: recruiter for the job's company, or
+ * applications:write permission (which can make any change)
+ */
+
+router.patch(
+  "/:id/applications",
+  requireApplicantOrRecruiter("applications:write", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    const validator = jsonschema.validate(
+      req.body,
+      applicationBulkUpdateSchema
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { usernames, state, note } = req.body;
+    const result = await User.updateAppStatuses(
+      usernames,
+      +req.params.id,
+      state,
+      res.locals.applicationRole,
+      { actor: res.locals.user.username, note }
+    );
+    return res.json(result);
+  }
+);
+
+/** GET /[jobId]/notes => { notes: [ note, ... ] }
+ *
+ * Returns the notes on the job you can see, oldest first: your own, and those
+ * shared with the company team. note is
+ *   { id, jobId, username, author, visibility, body, createdAt, updatedAt }
+ * where username is null (it's not on an application.)
+ *
+ * Authorization required: jobs:write permission or recruiter for company
+ */
+
+router.get("/:id/notes", canUseJobNotes, async function (req, res, next) {
+  const notes = await Note.findAll(
+    { jobId: +req.params.id },
+    { viewer: res.locals.user.username, role: res.locals.applicationRole }
+  );
+  return res.json({ notes });
+});
+
+/** POST /[jobId]/notes  { body, visibility } => { note }
+ *
+ * Adds a note (in Markdown; any HTML is removed) to the job. visibility is
+ * "private" (the default; only the author sees it) or "team".
+ *
+ * Authorization required: jobs:write permission or recruiter for company
+ */
+
+router.post("/:id/notes", canUseJobNotes, async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, noteNewSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map((e) => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const note = await Note.create({ jobId: +req.params.id }, req.body, {
+    author: res.locals.user.username,
+    role: res.locals.applicationRole,
+  });
+  return res.status(201).json({ note });
+});
+
+/** PATCH /[jobId]/notes/[noteId]  { body, visibility } => { note }
+ *
+ * Changes one of your notes on the job.
+ *
+ * Authorization required: the note's author, with jobs:write permission or
+ * recruiter for company
+ */
+
+router.patch(
+  "/:id/notes/:noteId",
+  canUseJobNotes,
+  async function (req, res, next) {
+    const validator = jsonschema.validate(req.body, noteUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const note = await Note.update(
+      { jobId: +req.params.id },
+      +req.params.noteId,
+      req.body,
+      { author: res.locals.user.username, role: res.locals.applicationRole }
+    );
+    return res.json({ note });
+  }
+);
+
+/** DELETE /[jobId]/notes/[noteId] => { deleted: noteId }
+ *
+ * Authorization required: as for PATCH /[jobId]/notes/[noteId]
+ */
+
+router.delete(
+  "/:id/notes/:noteId",
+  canUseJobNotes,
+  async function (req, res, next) {
+    const noteId = +req.params.noteId;
+    await Note.remove({ jobId: +req.params.id }, noteId, {
+      author: res.locals.user.username,
+    });
+    return res.json({ deleted: noteId });
+  }
+);
+
 /** PATCH /[jobId]  { fld1, fld2, ... } => { job }
  *
- * Data can include: { title, salary, equity }
+ * Data can include: { title, salary, equity, screeningQuestions }
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salary, equity, companyHandle, screeningQuestions }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write permission or recruiter for company
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(req.body, jobUpdateSchema);
+router.patch("/:id", canWriteJob, async function (req, res, next) {
+  const validator = jobValidator.validate(req.body, jobUpdateSchema);
   if (!validator.valid) {
     const errs = validator.errors.map((e) => e.stack);
     throw new BadRequestError(errs);
   }
 
+  const before = await Job.get(req.params.id);
   const job = await Job.update(req.params.id, req.body);
+  await audit(
+    res,
+    "job.update",
+    { type: "job", id: job.id },
+    { before, after: job }
+  );
   return res.json({ job });
 });
 
 /** DELETE /[handle]  =>  { deleted: id }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write permission or recruiter for company
  */
 
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.delete("/:id", canWriteJob, async function (req, res, next) {
+  const before = await Job.get(req.params.id);
   await Job.remove(req.params.id);
+  await audit(res, "job.delete", { type: "job", id: before.id }, { before });
   return res.json({ deleted: +req.params.id });
 });
 
@@ -3,6 +3,9 @@
 const request = require("supertest");
 
 const app = require("../app");
+const User = require("../models/user");
+const SavedSearch = require("../models/savedSearch");
+const { setTransport, transports } = require("../helpers/notifier");
 
 const {
   commonBeforeAll,
@@ -11,7 +14,9 @@ const {
   commonAfterAll,
   testJobIds,
   u1Token,
+  u2Token,
   adminToken,
+  recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -40,10 +45,124 @@ describe("POST /jobs", function () {
         salary: 10,
         equity: "0.2",
         companyHandle: "c1",
+        screeningQuestions: [],
       },
     });
   });
 
+  describe("with instant saved searches", function () {
+    beforeEach(async function () {
+      await SavedSearch.create("u1", { name: "All", frequency: "instant" });
+    });
+    afterEach(function () {
+      transports.memory.sent.length = 0;
+      setTransport(transports.memory);
+    });
+
+    /** Resolve once check() is true; alerts are sent after responding. */
+
+    async function eventually(check) {
+      for (let i = 0; i < 100 && !check(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      expect(check()).toEqual(true);
+    }
+
+    test("alerts them once posted", async function () {
+      const resp = await request(app)
+          .post(`/jobs`)
+          .send({ companyHandle: "c1", title: "J-new", salary: 10, equity: 0 })
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(201);
+      await eventually(() => transports.memory.sent.length === 1);
+      expect(transports.memory.sent[0].data.jobs).toEqual([
+        expect.objectContaining({ id: resp.body.job.id }),
+      ]);
+    });
+
+    test("still posts if alerts can't be sent", async function () {
+      setTransport({
+        async send() {
+          throw new Error("mail server down");
+        },
+      });
+      const logged = jest.spyOn(console, "error").mockImplementation(() => {});
+      try {
+        const resp = await request(app)
+            .post(`/jobs`)
+            .send({
+              companyHandle: "c1",
+              title: "J-new",
+              salary: 10,
+              equity: 0,
+            })
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(201);
+        await eventually(() => logged.mock.calls.length === 1);
+      } finally {
+        logged.mockRestore();
+      }
+    });
+  });
+
+  test("ok with screening questions", async function () {
+    const screeningQuestions = [
+      { id: "remote", prompt: "Remote?", type: "yesNo", required: true },
+    ];
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({
+          companyHandle: "c1",
+          title: "J-new",
+          salary: 10,
+          equity: 0.2,
+          screeningQuestions,
+        })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job.screeningQuestions).toEqual(screeningQuestions);
+  });
+
+  test("bad request with invalid screening question", async function () {
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({
+          companyHandle: "c1",
+          title: "J-new",
+          salary: 10,
+          equity: 0.2,
+          screeningQuestions: [{ id: "Bad Id", prompt: "?", type: "essay" }],
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("ok for recruiter", async function () {
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({
+          companyHandle: "c1",
+          title: "J-new",
+          salary: 10,
+          equity: 0.2,
+        })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({
+          companyHandle: "c2",
+          title: "J-new",
+          salary: 10,
+          equity: 0.2,
+        })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for users", async function () {
     const resp = await request(app)
         .post(`/jobs`)
@@ -183,6 +302,7 @@ describe("GET /jobs/:id", function () {
         title: "J1",
         salary: 1,
         equity: "0.1",
+        screeningQuestions: [],
         company: {
           handle: "c1",
           name: "C1",
@@ -217,10 +337,35 @@ describe("PATCH /jobs/:id", function () {
         salary: 1,
         equity: "0.1",
         companyHandle: "c1",
+        screeningQuestions: [],
       },
     });
   });
 
+  test("works for recruiter", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({
+          title: "J-New",
+        })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body.job.title).toEqual("J-New");
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    const created = await request(app)
+        .post(`/jobs`)
+        .send({ companyHandle: "c2", title: "J-c2", salary: 10, equity: 0 })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .patch(`/jobs/${created.body.job.id}`)
+        .send({
+          title: "J-New",
+        })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for others", async function () {
     const resp = await request(app)
         .patch(`/jobs/${testJobIds[0]}`)
@@ -251,6 +396,21 @@ describe("PATCH /jobs/:id", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("bad request with invalid screening question", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({
+          title: "J-New",
+          screeningQuestions: [{ id: "Bad Id", prompt: "?", type: "essay" }],
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      expect.stringContaining("does not match pattern"),
+      expect.stringContaining("is not one of enum values"),
+    ]);
+  });
+
   test("bad request with invalid data", async function () {
     const resp = await request(app)
         .patch(`/jobs/${testJobIds[0]}`)
@@ -272,6 +432,13 @@ describe("DELETE /jobs/:id", function () {
     expect(resp.body).toEqual({ deleted: testJobIds[0] });
   });
 
+  test("works for recruiter", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({ deleted: testJobIds[0] });
+  });
+
   test("unauth for others", async function () {
     const resp = await request(app)
         .delete(`/jobs/${testJobIds[0]}`)
@@ -291,4 +458,238 @@ describe("DELETE /jobs/:id", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
-});
\ No newline at end of file
+});
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  beforeEach(async function () {
+    await User.applyToJob("u2", testJobIds[0], { coverLetter: "Hi" });
+    await User.updateAppStatus("u2", testJobIds[0], "interviewing", "admin");
+  });
+
+  test("works for recruiter", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          state: "applied",
+          appliedAt: expect.any(String),
+          coverLetter: null,
+          resume: null,
+          answers: {},
+        },
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "user2@user.com",
+          state: "interviewing",
+          appliedAt: expect.any(String),
+          coverLetter: "Hi",
+          resume: null,
+          answers: {},
+        },
+      ],
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[1]}/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ applications: [] });
+  });
+
+  test("works: filter by state", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications?state=interviewing,offered`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications.map((a) => a.username)).toEqual(["u2"]);
+  });
+
+  test("works: sort", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications?sort=-state`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications.map((a) => a.username)).toEqual([
+      "u2",
+      "u1",
+    ]);
+  });
+
+  test("works at the old path, /applicants", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applicants?state=interviewing`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applicants.map((a) => a.username)).toEqual(["u2"]);
+  });
+
+  test("bad request for invalid filter", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications?state=hired&sort=salary`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .get(`/jobs/0/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /jobs/:id/applications */
+
+describe("PATCH /jobs/:id/applications", function () {
+  beforeEach(async function () {
+    await User.applyToJob("u2", testJobIds[0]);
+  });
+
+  test("works for recruiter", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}/applications`)
+        .send({
+          usernames: ["u1", "u2"],
+          state: "interviewing",
+          note: "Round 1",
+        })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      updated: [
+        { username: "u1", jobId: testJobIds[0], state: "interviewing" },
+        { username: "u2", jobId: testJobIds[0], state: "interviewing" },
+      ],
+      failed: [],
+    });
+  });
+
+  test("changes what it can, listing what it can't", async function () {
+    await User.updateAppStatus("u2", testJobIds[0], "withdrawn", "candidate");
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}/applications`)
+        .send({ usernames: ["u1", "u2", "u3"], state: "rejected" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({
+      updated: [{ username: "u1", jobId: testJobIds[0], state: "rejected" }],
+      failed: [
+        {
+          username: "u2",
+          error: {
+            message: "Can't change application from withdrawn to rejected; " +
+                "withdrawn is final",
+            status: 400,
+          },
+        },
+        {
+          username: "u3",
+          error: { message: expect.any(String), status: 404 },
+        },
+      ],
+    });
+  });
+
+  test("recruiters can't make candidates' changes", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}/applications`)
+        .send({ usernames: ["u1"], state: "withdrawn" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body.failed[0].error.status).toEqual(403);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}/applications`)
+        .send({ usernames: [], state: "rejected" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for applicants", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}/applications`)
+        .send({ usernames: ["u2"], state: "rejected" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /jobs/:id/notes */
+
+describe("/jobs/:id/notes", function () {
+  test("add, list, change and delete", async function () {
+    const createResp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/notes`)
+        .send({ body: "Budget <i>approved</i>", visibility: "team" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(createResp.statusCode).toEqual(201);
+    const note = createResp.body.note;
+    expect(note).toEqual({
+      id: expect.any(Number),
+      jobId: testJobIds[0],
+      username: null,
+      author: "u3",
+      visibility: "team",
+      body: "Budget approved",
+      createdAt: expect.any(String),
+      updatedAt: expect.any(String),
+    });
+
+    const listResp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/notes`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(listResp.body).toEqual({ notes: [note] });
+
+    const updateResp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}/notes/${note.id}`)
+        .send({ visibility: "private" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(updateResp.body.note.visibility).toEqual("private");
+
+    const deleteResp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}/notes/${note.id}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(deleteResp.body).toEqual({ deleted: note.id });
+  });
+
+  test("not found changing someone else's note", async function () {
+    const createResp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/notes`)
+        .send({ body: "Hi", visibility: "team" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}/notes/${createResp.body.note.id}`)
+        .send({ body: "Bye" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/notes`)
+        .send({ body: "Hi", visibility: "public" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/notes`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
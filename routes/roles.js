@@ -0,0 +1,25 @@
+"use strict";
+
+/** Routes for roles. */
+
+const express = require("express");
+const { ensureAdmin } = require("../middleware/auth");
+const Role = require("../models/role");
+
+const router = new express.Router();
+
+/** GET /  =>
+ *   { roles: [ { name, description, permissions: [permission, ...] }, ...] }
+ *
+ * Lists the roles that can be given to users with
+ * POST /users/[username]/roles/[role].
+ *
+ * Authorization required: admin
+ */
+
+router.get("/", ensureAdmin, async function (req, res, next) {
+  const roles = await Role.findAll();
+  return res.json({ roles });
+});
+
+module.exports = router;
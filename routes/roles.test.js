@@ -0,0 +1,47 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /roles */
+
+describe("GET /roles", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get("/roles")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.roles).toContainEqual({
+      name: "moderator",
+      description: expect.any(String),
+      permissions: ["companies:write", "users:read"],
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/roles")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/roles");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
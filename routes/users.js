@@ -5,12 +5,50 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureCorrectUserOrAdmin, ensureAdmin } = require("../middleware/auth");
+const {
+  ensureCorrectUserOrAdmin,
+  ensureCorrectUser,
+  ensureAdmin,
+  requirePermission,
+  requireApplicantOrRecruiter,
+} = require("../middleware/auth");
 const { BadRequestError } = require("../expressError");
 const User = require("../models/user");
+const Job = require("../models/job");
+const ApplicationEvent = require("../models/applicationEvent");
+const TokenRevocation = require("../models/tokenRevocation");
+const LoginThrottle = require("../models/loginThrottle");
+const Mfa = require("../models/mfa");
+const ApiKey = require("../models/apiKey");
+const Resume = require("../models/resume");
+const Interview = require("../models/interview");
+const CalendarFeed = require("../models/calendarFeed");
+const Note = require("../models/note");
+const SavedSearch = require("../models/savedSearch");
+const CompanyFollow = require("../models/companyFollow");
+const Notification = require("../models/notification");
+const Role = require("../models/role");
 const { createToken } = require("../helpers/tokens");
+const { audit } = require("../helpers/audit");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const mfaActivateSchema = require("../schemas/mfaActivate.json");
+const mfaDisableSchema = require("../schemas/mfaDisable.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const resumeNewSchema = require("../schemas/resumeNew.json");
+const savedJobNewSchema = require("../schemas/savedJobNew.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
+const notificationFilterSchema = require("../schemas/notificationFilter.json");
+const notificationPreferencesSchema = require(
+  "../schemas/notificationPreferences.json"
+);
+const interviewNewSchema = require("../schemas/interviewNew.json");
+const interviewAcceptSchema = require("../schemas/interviewAccept.json");
+const noteNewSchema = require("../schemas/noteNew.json");
+const noteUpdateSchema = require("../schemas/noteUpdate.json");
+const config = require("../config");
 
 const router = express.Router();
 
@@ -35,6 +73,12 @@ router.post("/", ensureAdmin, async function (req, res, next) {
     }
 
     const user = await User.register(req.body);
+    await audit(
+      res,
+      "user.create",
+      { type: "user", id: user.username },
+      { after: user }
+    );
     const token = createToken(user);
     return res.status(201).json({ user, token });
   } catch (err) {
@@ -46,17 +90,21 @@ router.post("/", ensureAdmin, async function (req, res, next) {
  *
  * Returns list of all users.
  *
- * Authorization required: admin
+ * Authorization required: users:read permission
  **/
 
-router.get("/", ensureAdmin, async function (req, res, next) {
-  try {
-    const users = await User.findAll();
-    return res.json({ users });
-  } catch (err) {
-    return next(err);
+router.get(
+  "/",
+  requirePermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const users = await User.findAll();
+      return res.json({ users });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 /** GET /[username] => { user }
  *
@@ -100,7 +148,14 @@ router.patch(
         throw new BadRequestError(errs);
       }
 
+      const before = await User.get(req.params.username);
       const user = await User.update(req.params.username, req.body);
+      await audit(
+        res,
+        "user.update",
+        { type: "user", id: user.username },
+        { before, after: user }
+      );
       return res.json({ user });
     } catch (err) {
       return next(err);
@@ -118,7 +173,14 @@ router.delete(
   ensureCorrectUserOrAdmin,
   async function (req, res, next) {
     try {
+      const before = await User.get(req.params.username);
       await User.remove(req.params.username);
+      await audit(
+        res,
+        "user.delete",
+        { type: "user", id: req.params.username },
+        { before }
+      );
       return res.json({ deleted: req.params.username });
     } catch (err) {
       return next(err);
@@ -126,41 +188,1111 @@ router.delete(
   }
 );
 
-/** POST /[username]/jobs/[id]  { state } => { application }
+/** POST /[username]/revoke-tokens  =>  { revoked: username }
  *
- * Returns {"applied": jobId}
+ * Revokes every access and refresh token issued to the user so far, logging
+ * them out everywhere.
+ *
+ * Authorization required: admin
+ **/
+
+router.post(
+  "/:username/revoke-tokens",
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      await TokenRevocation.revokeAllForUser(req.params.username);
+      await audit(res, "user.revokeTokens", {
+        type: "user",
+        id: req.params.username,
+      });
+      return res.json({ revoked: req.params.username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Clears failed login attempts for the user, unlocking their account.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/unlock", ensureAdmin, async function (req, res, next) {
+  try {
+    await LoginThrottle.unlock(req.params.username);
+    await audit(res, "user.unlock", { type: "user", id: req.params.username });
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/roles/[role]  =>  { assigned: role }
+ *
+ * Gives the user a role (see GET /roles). It shows up in their tokens the next
+ * time they log in or refresh.
+ *
+ * Authorization required: admin
+ **/
+
+router.post(
+  "/:username/roles/:role",
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      await Role.assign(req.params.username, req.params.role);
+      await audit(
+        res,
+        "user.assignRole",
+        { type: "user", id: req.params.username },
+        { after: { role: req.params.role } }
+      );
+      return res.json({ assigned: req.params.role });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/roles/[role]  =>  { unassigned: role }
+ *
+ * Takes a role away from the user, revoking their existing tokens.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete(
+  "/:username/roles/:role",
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      await Role.unassign(req.params.username, req.params.role);
+      await audit(
+        res,
+        "user.unassignRole",
+        { type: "user", id: req.params.username },
+        { before: { role: req.params.role } }
+      );
+      return res.json({ unassigned: req.params.role });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/mfa  =>  { mfa: { secret, otpauthUri } }
+ *
+ * Starts two-factor enrollment. Show otpauthUri as a QR code (or secret for
+ * typing in) to the user's authenticator app, then confirm with
+ * POST /[username]/mfa/activate.
  *
  * Authorization required: admin or same-user-as-:username
- * */
+ **/
 
 router.post(
-  "/:username/jobs/:id",
+  "/:username/mfa",
   ensureCorrectUserOrAdmin,
   async function (req, res, next) {
     try {
-      const jobId = +req.params.id;
-      await User.applyToJob(req.params.username, jobId);
-      return res.json({ applied: jobId });
+      const mfa = await Mfa.enroll(req.params.username);
+      return res.status(201).json({ mfa });
     } catch (err) {
       return next(err);
     }
   }
 );
 
-/** GET /[username]/jobs => { jobs: [ { id, title, salary, equity, companyHandle, companyName, state }, ...] }
+/** POST /[username]/mfa/activate  { code }  =>  { recoveryCodes }
+ *
+ * Turns on two-factor authentication once the user shows a code from their
+ * authenticator app. Returns single-use recovery codes; they are not shown
+ * again. The user's refresh tokens stop working, so they log in again with a
+ * code once their access token expires.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.post(
+  "/:username/mfa/activate",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, mfaActivateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const { recoveryCodes } = await Mfa.activate(
+        req.params.username,
+        req.body.code
+      );
+      return res.json({ recoveryCodes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/mfa  { code }  =>  { disabled: username }
+ *
+ * Turns off two-factor authentication. Once it's enabled, this needs a
+ * current code from the user's authenticator app, or a recovery code; an
+ * enrollment that wasn't activated can be cancelled without one. Recorded in
+ * the audit log.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete(
+  "/:username/mfa",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const body = req.body || {};
+      const validator = jsonschema.validate(body, mfaDisableSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      await Mfa.disable(req.params.username, body.code, req.ip);
+      await audit(res, "user.disableMfa", {
+        type: "user",
+        id: req.params.username,
+      });
+      return res.json({ disabled: req.params.username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/api-keys  =>  { apiKeys: [ apiKey, ... ] }
  *
- * Returns list of all jobs a user has applied to.
+ * apiKey is { id, name, scopes, prefix, createdAt, lastUsedAt }; the keys
+ * themselves are never shown again after they're created.
  *
  * Authorization required: admin or same-user-as-:username
  **/
 
 router.get(
-  "/:username/jobs",
+  "/:username/api-keys",
   ensureCorrectUserOrAdmin,
   async function (req, res, next) {
     try {
-      const jobs = await User.getAppliedJobs(req.params.username);
-      return res.json({ jobs });
+      const apiKeys = await ApiKey.findAll(req.params.username);
+      return res.json({ apiKeys });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/api-keys  { name, scopes }  =>  { apiKey }
+ *
+ * Creates an API key, sent as an X-Api-Key header instead of a token. scopes
+ * is a list of "read" (GET requests only) and/or "write" (any request);
+ * defaults to ["read"].
+ *
+ * Returns { id, name, scopes, prefix, createdAt, lastUsedAt, key }. This is the
+ * only time key is available.
+ *
+ * Authorization required: same-user-as-:username (not admins, who could
+ * otherwise act as the user without impersonating them)
+ **/
+
+router.post(
+  "/:username/api-keys",
+  ensureCorrectUser,
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, apiKeyNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const apiKey = await ApiKey.create(req.params.username, req.body);
+      return res.status(201).json({ apiKey });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/api-keys/[id]  =>  { revoked: id }
+ *
+ * Recorded in the audit log.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete(
+  "/:username/api-keys/:id",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const id = +req.params.id;
+      await ApiKey.revoke(req.params.username, id);
+      await audit(
+        res,
+        "user.revokeApiKey",
+        { type: "user", id: req.params.username },
+        { before: { apiKeyId: id } }
+      );
+      return res.json({ revoked: id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/resumes  =>  { resumes: [ resume, ... ] }
+ *
+ * resume is { id, title, url, createdAt }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get(
+  "/:username/resumes",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const resumes = await Resume.findAll(req.params.username);
+      return res.json({ resumes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/resumes  { title, url }  =>  { resume }
+ *
+ * Adds a resume (a link to the document) to choose when applying to jobs.
+ *
+ * Returns { id, title, url, createdAt }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.post(
+  "/:username/resumes",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, resumeNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const resume = await Resume.create(req.params.username, req.body);
+      return res.status(201).json({ resume });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/resumes/[id]  =>  { deleted: id }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete(
+  "/:username/resumes/:id",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const id = +req.params.id;
+      await Resume.remove(req.params.username, id);
+      return res.json({ deleted: id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/searches  =>  { searches: [ search, ... ] }
+ *
+ * search is { id, name, filters, frequency, lastSentAt, createdAt }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get(
+  "/:username/searches",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const searches = await SavedSearch.findAll(req.params.username);
+      return res.json({ searches });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/searches  { name, filters, frequency }  =>  { search }
+ *
+ * Saves a job search: filters are as for GET /jobs ({ title, minSalary,
+ * hasEquity }, all optional.) When a new job matches, the user is alerted,
+ * as often as frequency says: "instant", "daily" (the default) or "weekly".
+ *
+ * Returns { search }, as for GET /[username]/searches
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.post(
+  "/:username/searches",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, savedSearchNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const search = await SavedSearch.create(req.params.username, req.body);
+      return res.status(201).json({ search });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/searches/[id]  =>  { deleted: id }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete(
+  "/:username/searches/:id",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const id = +req.params.id;
+      await SavedSearch.remove(req.params.username, id);
+      return res.json({ deleted: id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/following  =>  { following: [ company, ... ] }
+ *
+ * company is { handle, name, followedAt }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get(
+  "/:username/following",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const following = await CompanyFollow.findAll(req.params.username);
+      return res.json({ following });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/following/[handle]  =>  { followed }
+ *
+ * Follows a company, to be notified when it posts a job.
+ *
+ * Returns { followed: { companyHandle, followedAt } }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.post(
+  "/:username/following/:handle",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const followed = await CompanyFollow.follow(
+        req.params.username,
+        req.params.handle
+      );
+      return res.json({ followed });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/following/[handle]  =>  { unfollowed: handle }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete(
+  "/:username/following/:handle",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      await CompanyFollow.unfollow(req.params.username, req.params.handle);
+      return res.json({ unfollowed: req.params.handle });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/notifications  =>
+ *   { notifications: { entries, total, unread, page, limit } }
+ *
+ * The user's notifications, newest first; entries is
+ *   [{ id, type, message, data, readAt, createdAt }, ...]
+ * where type is "applicationState", "newJob" or "interview" and data links
+ * it to what it's about (like { jobId }). total is how many match, on all
+ * pages, and unread is how many of the user's notifications are unread.
+ *
+ * Can provide in query:
+ * - unread (true for only unread notifications)
+ * - page (from 1), limit (1-100, default 20)
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get(
+  "/:username/notifications",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(
+        req.query,
+        notificationFilterSchema
+      );
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const notifications = await Notification.findAll(
+        req.params.username,
+        req.query
+      );
+      return res.json({ notifications });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/notifications/read-all  =>  { marked }
+ *
+ * Marks all of the user's notifications read; marked is how many weren't
+ * already.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.post(
+  "/:username/notifications/read-all",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const marked = await Notification.markAllRead(req.params.username);
+      return res.json({ marked });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/notifications/[id]/read  =>  { notification }
+ *
+ * Returns { notification }, as for GET /[username]/notifications
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.post(
+  "/:username/notifications/:id/read",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const notification = await Notification.markRead(
+        req.params.username,
+        +req.params.id
+      );
+      return res.json({ notification });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/notification-preferences  =>  { preferences }
+ *
+ * Which types of notification the user gets:
+ *   { applicationState, newJob, interview }, each true or false
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get(
+  "/:username/notification-preferences",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const preferences = await Notification.getPreferences(
+        req.params.username
+      );
+      return res.json({ preferences });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[username]/notification-preferences  { type: enabled, ... }  =>
+ *   { preferences }
+ *
+ * Turns types of notification on or off; types left out are unchanged.
+ *
+ * Returns { preferences }, as for GET /[username]/notification-preferences
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.patch(
+  "/:username/notification-preferences",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(
+        req.body,
+        notificationPreferencesSchema
+      );
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const preferences = await Notification.setPreferences(
+        req.params.username,
+        req.body
+      );
+      return res.json({ preferences });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/calendar-feed  =>  { url }
+ *
+ * Makes a new address for the user's interview calendar (an iCalendar feed
+ * of their accepted interviews, as candidate or interviewer) to subscribe to
+ * from a calendar app. Anyone with the address can see the calendar, so
+ * making a new one stops the old one working.
+ *
+ * Authorization required: same-user-as-:username (not admins, as for
+ * POST /[username]/api-keys)
+ **/
+
+router.post(
+  "/:username/calendar-feed",
+  ensureCorrectUser,
+  async function (req, res, next) {
+    try {
+      const token = await CalendarFeed.create(req.params.username);
+      const url = `${config.API_URL}/calendar/${token}.ics`;
+      return res.status(201).json({ url });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/saved  =>  { jobs: [ { id, title, salary, equity,
+ *                                          companyHandle, companyName,
+ *                                          savedAt }, ...] }
+ *
+ * Returns the jobs the user has saved to apply to later, most recent first.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get(
+  "/:username/saved",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const jobs = await User.getSavedJobs(req.params.username);
+      return res.json({ jobs });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/saved/[id]  { notes }  =>  { saved }
+ *
+ * Saves a job without applying to it. notes are optional: they're added as
+ * a private note on it (see GET /[username]/jobs/[id]/notes), as is any
+ * given when saving it again. Applying to a saved job
+ * (POST /[username]/jobs/[id]) keeps its notes with the application.
+ *
+ * Returns { saved: { jobId, savedAt, note } }
+ *   where note is as for POST /[username]/jobs/[id]/notes, or null
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.post(
+  "/:username/saved/:id",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const body = req.body || {};
+      const validator = jsonschema.validate(body, savedJobNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const saved = await User.saveJob(
+        req.params.username,
+        +req.params.id,
+        body
+      );
+      return res.json({ saved });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/saved/[id]  =>  { unsaved: jobId }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete(
+  "/:username/saved/:id",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const jobId = +req.params.id;
+      await User.unsaveJob(req.params.username, jobId);
+      return res.json({ unsaved: jobId });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/jobs/[id]  { coverLetter, resumeId, answers } =>
+ *   { applied: jobId }
+ *
+ * All of the body is optional, unless the job has required screening
+ * questions: answers is { questionId: answer, ... } (see GET /jobs/[id] for
+ * the questions), and resumeId is one of the user's resumes.
+ *
+ * If the user saved the job, it becomes an application, keeping their notes.
+ *
+ * Returns {"applied": jobId}
+ *
+ * Authorization required: admin or same-user-as-:username
+ * */
+
+router.post(
+  "/:username/jobs/:id",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const body = req.body || {};
+      const validator = jsonschema.validate(body, applicationNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const jobId = +req.params.id;
+      await User.applyToJob(req.params.username, jobId, body, {
+        actor: res.locals.user.username,
+      });
+      return res.json({ applied: jobId });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/jobs => { jobs: [ { id, title, salary, equity, companyHandle, companyName, state }, ...] }
+ *
+ * Returns list of all jobs a user has applied to (not those they've only
+ * saved). Each also has what they applied with: { coverLetter, resume,
+ * answers }, where resume is { id, title, url } or null.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get(
+  "/:username/jobs",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const jobs = await User.getAppliedJobs(req.params.username);
+      return res.json({ jobs });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[username]/jobs/[id]  { state, note } => { application }
+ *
+ * Moves the user's application to the job to a new state. The candidate can
+ * accept an offer or withdraw; recruiters for the job's company can move it
+ * on to interviewing or offered, or reject it. See
+ * helpers/applicationStates.js. An optional note is kept with the change in
+ * the application's history.
+ *
+ * Saved jobs aren't applications, so this is not found for them; apply with
+ * POST /[username]/jobs/[id].
+ *
+ * Returns { application: { username, jobId, state } }
+ *
+ * Authorization required: same-user-as-:username, recruiter for the job's
+ * company, or applications:write permission (which can make any change)
+ * */
+
+router.patch(
+  "/:username/jobs/:id",
+  requireApplicantOrRecruiter("applications:write", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const application = await User.updateAppStatus(
+        req.params.username,
+        +req.params.id,
+        req.body.state,
+        res.locals.applicationRole,
+        { actor: res.locals.user.username, note: req.body.note }
+      );
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/jobs/[id]/history => { history: [ event, ... ] }
+ *
+ * Returns the timeline of the user's application to the job, oldest first:
+ * event is { id, event, fromState, toState, actor, note, createdAt }
+ *   where event is "applied", "state_changed" or "unapplied".
+ *
+ * Authorization required: same-user-as-:username, recruiter for the job's
+ * company, or applications:read permission
+ * */
+
+router.get(
+  "/:username/jobs/:id/history",
+  requireApplicantOrRecruiter("applications:read", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const history = await ApplicationEvent.findAll(
+        req.params.username,
+        +req.params.id
+      );
+      return res.json({ history });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/jobs/[id]/interviews => { interviews: [ interview, ... ] }
+ *
+ * interview is { id, username, jobId, status, startsAt, endsAt, location,
+ *                meetingUrl, participants, proposedBy, cancelledBy,
+ *                createdAt, slots }
+ *   where status is "proposed", "accepted" or "cancelled", startsAt and
+ *   endsAt are set once accepted, and slots is [{ id, startsAt, endsAt }, ...]
+ *
+ * Authorization required: same-user-as-:username, recruiter for the job's
+ * company, or applications:read permission
+ * */
+
+router.get(
+  "/:username/jobs/:id/interviews",
+  requireApplicantOrRecruiter("applications:read", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const interviews = await Interview.findAll(
+        req.params.username,
+        +req.params.id
+      );
+      return res.json({ interviews });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/jobs/[id]/interviews
+ *   { slots, location, meetingUrl, participants } => { interview }
+ *
+ * Proposes an interview for the user's application to the job. slots are the
+ * times the candidate can choose from: [{ startsAt, endsAt }, ...], as
+ * timestamps like 2024-01-31T15:00:00Z. participants are the usernames of the
+ * interviewers. Slots can't clash with accepted interviews of the candidate
+ * or participants.
+ *
+ * Returns { interview } as for GET /[username]/jobs/[id]/interviews.
+ *
+ * Authorization required: recruiter for the job's company, or
+ * applications:write permission
+ * */
+
+router.post(
+  "/:username/jobs/:id/interviews",
+  requireApplicantOrRecruiter("applications:write", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, interviewNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const interview = await Interview.propose(
+        req.params.username,
+        +req.params.id,
+        req.body,
+        res.locals.applicationRole,
+        { actor: res.locals.user.username }
+      );
+      return res.status(201).json({ interview });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/jobs/[id]/interviews/[interviewId]/accept  { slotId }
+ *   => { interview }
+ *
+ * Accepts a proposed interview at one of its slots, if that doesn't clash
+ * with another accepted interview.
+ *
+ * Authorization required: same-user-as-:username, or applications:write
+ * permission
+ * */
+
+router.post(
+  "/:username/jobs/:id/interviews/:interviewId/accept",
+  requireApplicantOrRecruiter("applications:write", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, interviewAcceptSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const interview = await Interview.accept(
+        req.params.username,
+        +req.params.id,
+        +req.params.interviewId,
+        req.body.slotId,
+        res.locals.applicationRole
+      );
+      return res.json({ interview });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/jobs/[id]/interviews/[interviewId]/cancel
+ *   => { interview }
+ *
+ * Cancels a proposed or accepted interview.
+ *
+ * Authorization required: same-user-as-:username, recruiter for the job's
+ * company, or applications:write permission
+ * */
+
+router.post(
+  "/:username/jobs/:id/interviews/:interviewId/cancel",
+  requireApplicantOrRecruiter("applications:write", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const interview = await Interview.cancel(
+        req.params.username,
+        +req.params.id,
+        +req.params.interviewId,
+        { actor: res.locals.user.username }
+      );
+      return res.json({ interview });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/jobs/[id]/notes => { notes: [ note, ... ] }
+ *
+ * Returns the notes on the user's application to the job that they can see,
+ * oldest first: their own, and (for recruiters) those shared with the
+ * company team. note is
+ *   { id, jobId, username, author, visibility, body, createdAt, updatedAt }
+ *
+ * Authorization required: same-user-as-:username, recruiter for the job's
+ * company, or applications:read permission
+ * */
+
+router.get(
+  "/:username/jobs/:id/notes",
+  requireApplicantOrRecruiter("applications:read", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const notes = await Note.findAll(
+        { jobId: +req.params.id, username: req.params.username },
+        { viewer: res.locals.user.username, role: res.locals.applicationRole }
+      );
+      return res.json({ notes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/jobs/[id]/notes  { body, visibility } => { note }
+ *
+ * Adds a note (in Markdown; any HTML is removed) to the user's application
+ * to the job. visibility is "private" (the default; only the author sees it)
+ * or "team", to share it with the recruiters for the job's company; the
+ * candidate can't write team notes.
+ *
+ * Returns { note }, as for GET /[username]/jobs/[id]/notes
+ *
+ * Authorization required: same-user-as-:username, recruiter for the job's
+ * company, or applications:write permission
+ * */
+
+router.post(
+  "/:username/jobs/:id/notes",
+  requireApplicantOrRecruiter("applications:write", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, noteNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const note = await Note.create(
+        { jobId: +req.params.id, username: req.params.username },
+        req.body,
+        {
+          author: res.locals.user.username,
+          role: res.locals.applicationRole,
+        }
+      );
+      return res.status(201).json({ note });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[username]/jobs/[id]/notes/[noteId]  { body, visibility } =>
+ *   { note }
+ *
+ * Changes one of your notes on the user's application to the job.
+ *
+ * Authorization required: the note's author, who must still be
+ * same-user-as-:username, a recruiter for the job's company, or have
+ * applications:write permission
+ * */
+
+router.patch(
+  "/:username/jobs/:id/notes/:noteId",
+  requireApplicantOrRecruiter("applications:write", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, noteUpdateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const note = await Note.update(
+        { jobId: +req.params.id, username: req.params.username },
+        +req.params.noteId,
+        req.body,
+        {
+          author: res.locals.user.username,
+          role: res.locals.applicationRole,
+        }
+      );
+      return res.json({ note });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/jobs/[id]/notes/[noteId] => { deleted: noteId }
+ *
+ * Authorization required: as for PATCH /[username]/jobs/[id]/notes/[noteId]
+ * */
+
+router.delete(
+  "/:username/jobs/:id/notes/:noteId",
+  requireApplicantOrRecruiter("applications:write", (req) =>
+    Job.getCompanyHandle(req.params.id)
+  ),
+  async function (req, res, next) {
+    try {
+      const noteId = +req.params.noteId;
+      await Note.remove(
+        { jobId: +req.params.id, username: req.params.username },
+        noteId,
+        { author: res.locals.user.username }
+      );
+      return res.json({ deleted: noteId });
     } catch (err) {
       return next(err);
     }
@@ -180,7 +1312,9 @@ router.delete(
   async function (req, res, next) {
     try {
       const jobId = +req.params.id;
-      await User.unapplyFromJob(req.params.username, jobId);
+      await User.unapplyFromJob(req.params.username, jobId, {
+        actor: res.locals.user.username,
+      });
       return res.json({ deleted: jobId });
     } catch (err) {
       return next(err);
@@ -5,6 +5,11 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const Notification = require("../models/notification");
+const AuditLog = require("../models/auditLog");
+const config = require("../config");
+const totp = require("../helpers/totp");
+const { createToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll,
@@ -15,6 +20,7 @@ const {
   u1Token,
   u2Token,
   adminToken,
+  recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -32,7 +38,7 @@ describe("POST /users", function () {
         username: "u-new",
         firstName: "First-new",
         lastName: "Last-newL",
-        password: "password-new",
+        password: "secret-word",
         email: "new@email.com",
         isAdmin: false,
       })
@@ -57,7 +63,7 @@ describe("POST /users", function () {
         username: "u-new",
         firstName: "First-new",
         lastName: "Last-newL",
-        password: "password-new",
+        password: "secret-word",
         email: "new@email.com",
         isAdmin: true,
       })
@@ -82,7 +88,7 @@ describe("POST /users", function () {
         username: "u-new",
         firstName: "First-new",
         lastName: "Last-newL",
-        password: "password-new",
+        password: "secret-word",
         email: "new@email.com",
         isAdmin: true,
       })
@@ -95,7 +101,7 @@ describe("POST /users", function () {
       username: "u-new",
       firstName: "First-new",
       lastName: "Last-newL",
-      password: "password-new",
+      password: "secret-word",
       email: "new@email.com",
       isAdmin: true,
     });
@@ -119,13 +125,34 @@ describe("POST /users", function () {
         username: "u-new",
         firstName: "First-new",
         lastName: "Last-newL",
-        password: "password-new",
+        password: "secret-word",
         email: "not-an-email",
         isAdmin: true,
       })
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request if password breaks policy", async function () {
+    const resp = await request(app)
+      .post("/users")
+      .send({
+        username: "u-new",
+        firstName: "First-new",
+        lastName: "Last-newL",
+        password: "my-u-new",
+        email: "new@email.com",
+        isAdmin: false,
+      })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      {
+        rule: "personalInfo",
+        message: "Password must not contain your username or email address",
+      },
+    ]);
+  });
 });
 
 /************************************** GET /users */
@@ -162,6 +189,18 @@ describe("GET /users", function () {
     });
   });
 
+  test("works for moderators", async function () {
+    const token = createToken({
+      username: "u2",
+      isAdmin: false,
+      roles: ["moderator"],
+    });
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
   test("unauth for non-admin users", async function () {
     const resp = await request(app)
       .get("/users")
@@ -200,6 +239,8 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        emailVerified: false,
+        roles: [],
         applications: [testJobIds[0]],
       },
     });
@@ -216,6 +257,8 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        emailVerified: false,
+        roles: [],
         applications: [testJobIds[0]],
       },
     });
@@ -336,6 +379,17 @@ describe("PATCH /users/:username", () => {
     const isSuccessful = await User.authenticate("u1", "new-password");
     expect(isSuccessful).toBeTruthy();
   });
+
+  test("bad request if password breaks policy", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1`)
+      .send({
+        password: "password1",
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message.map((e) => e.rule)).toEqual(["history"]);
+  });
 });
 
 /************************************** DELETE /users/:username */
@@ -355,6 +409,16 @@ describe("DELETE /users/:username", function () {
     expect(resp.body).toEqual({ deleted: "u1" });
   });
 
+  test("deleted user's token stops working", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth if not same user", async function () {
     const resp = await request(app)
       .delete(`/users/u1`)
@@ -375,53 +439,1379 @@ describe("DELETE /users/:username", function () {
   });
 });
 
-/************************************** POST /users/:username/jobs/:id */
+/************************************** POST /users/:username/revoke-tokens */
 
-describe("POST /users/:username/jobs/:id", function () {
+describe("POST /users/:username/revoke-tokens", function () {
   test("works for admin", async function () {
     const resp = await request(app)
-      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .post(`/users/u1/revoke-tokens`)
       .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.body).toEqual({ applied: testJobIds[1] });
+    expect(resp.body).toEqual({ revoked: "u1" });
+
+    const after = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(after.statusCode).toEqual(401);
   });
 
-  test("works for same user", async function () {
+  test("unauth for same user", async function () {
     const resp = await request(app)
-      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .post(`/users/u1/revoke-tokens`)
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.body).toEqual({ applied: testJobIds[1] });
+    expect(resp.statusCode).toEqual(401);
   });
 
-  test("unauth for others", async function () {
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(`/users/u1/revoke-tokens`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  beforeEach(async function () {
+    await db.query(
+      `INSERT INTO login_failures (kind, value, failures, last_failed_at, locked_until)
+           VALUES ('username', 'u1', 10, NOW(), NOW() + INTERVAL '30 minutes')`
+    );
+  });
+
+  test("works for admin", async function () {
     const resp = await request(app)
-      .post(`/users/u1/jobs/${testJobIds[1]}`)
-      .set("authorization", `Bearer ${u2Token}`);
+      .post(`/users/u1/unlock`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const login = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("unauth for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/unlock`)
+      .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(401);
   });
 
   test("unauth for anon", async function () {
-    const resp = await request(app).post(`/users/u1/jobs/${testJobIds[1]}`);
+    const resp = await request(app).post(`/users/u1/unlock`);
     expect(resp.statusCode).toEqual(401);
   });
+});
 
-  test("not found for no such username", async function () {
+/************************************** /users/:username/roles/:role */
+
+describe("POST /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
     const resp = await request(app)
-      .post(`/users/nope/jobs/${testJobIds[1]}`)
+      .post(`/users/u1/roles/moderator`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ assigned: "moderator" });
+
+    // new tokens carry the role
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    const users = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${login.body.token}`);
+    expect(users.statusCode).toEqual(200);
+  });
+
+  test("unauth for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles/recruiter`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such role", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles/nope`)
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
+});
 
-  test("not found for no such job", async function () {
+describe("DELETE /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
+    await request(app)
+      .post(`/users/u1/roles/recruiter`)
+      .set("authorization", `Bearer ${adminToken}`);
     const resp = await request(app)
-      .post(`/users/u1/jobs/0`)
+      .delete(`/users/u1/roles/recruiter`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unassigned: "recruiter" });
+  });
+
+  test("not found if user doesn't have role", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/roles/recruiter`)
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 
-  test("bad request invalid job id", async function () {
+  test("unauth for non-admin", async function () {
     const resp = await request(app)
-      .post(`/users/u1/jobs/0`)
+      .delete(`/users/u1/roles/recruiter`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/mfa */
+
+describe("POST /users/:username/mfa", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      mfa: {
+        secret: expect.any(String),
+        otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\//),
+      },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .post(`/users/nope/mfa`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/mfa/activate */
+
+describe("POST /users/:username/mfa/activate", function () {
+  test("works for same user", async function () {
+    const enroll = await request(app)
+      .post(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .post(`/users/u1/mfa/activate`)
+      .send({ code: totp.generateCode(enroll.body.mfa.secret) })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ recoveryCodes: expect.any(Array) });
+    expect(resp.body.recoveryCodes.length).toEqual(10);
+  });
+
+  test("bad request with wrong code", async function () {
+    await request(app)
+      .post(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .post(`/users/u1/mfa/activate`)
+      .send({ code: "000000" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/mfa/activate`)
+      .send({ code: "abc" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/mfa/activate`)
+      .send({ code: "123456" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /users/:username/mfa */
+
+describe("DELETE /users/:username/mfa", function () {
+  /** Enroll and activate u1; returns their recovery codes. */
+
+  async function enableForU1() {
+    const enroll = await request(app)
+      .post(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const activate = await request(app)
+      .post(`/users/u1/mfa/activate`)
+      .send({ code: totp.generateCode(enroll.body.mfa.secret) })
+      .set("authorization", `Bearer ${u1Token}`);
+    return activate.body.recoveryCodes;
+  }
+
+  test("works for same user", async function () {
+    const recoveryCodes = await enableForU1();
+    const resp = await request(app)
+      .delete(`/users/u1/mfa`)
+      .send({ code: recoveryCodes[0] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+
+  test("works for admin, recorded in the audit log", async function () {
+    const recoveryCodes = await enableForU1();
+    const resp = await request(app)
+      .delete(`/users/u1/mfa`)
+      .send({ code: recoveryCodes[0] })
       .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+
+    const { entries } = await AuditLog.findAll({ action: "user.disableMfa" });
+    expect(entries).toEqual([
+      expect.objectContaining({ actor: "admin", targetId: "u1" }),
+    ]);
+  });
+
+  test("works: cancels enrollment without a code", async function () {
+    await request(app)
+      .post(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .delete(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+
+  test("unauth without a code once enabled", async function () {
+    await enableForU1();
+    const resp = await request(app)
+      .delete(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with wrong code", async function () {
+    await enableForU1();
+    const resp = await request(app)
+      .delete(`/users/u1/mfa`)
+      .send({ code: "000000" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/mfa`)
+      .send({ code: 123456 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if not enabled", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/mfa`)
+      .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** REQUIRE_ADMIN_MFA */
+
+describe("when admins must use two-factor authentication", function () {
+  beforeEach(function () {
+    config.REQUIRE_ADMIN_MFA = true;
+  });
+  afterEach(function () {
+    config.REQUIRE_ADMIN_MFA = false;
+  });
+
+  test("unauth for admin without two-factor login", async function () {
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works for admin with two-factor login", async function () {
+    const token = createToken(
+      { username: "admin", isAdmin: true },
+      { mfa: true }
+    );
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("admin can still enroll themselves", async function () {
+    await User.register({
+      username: "admin",
+      firstName: "A",
+      lastName: "Dmin",
+      email: "admin@user.com",
+      password: "password",
+      isAdmin: true,
+    });
+    const resp = await request(app)
+      .post("/users/admin/mfa")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+});
+
+/************************************** /users/:username/api-keys */
+
+describe("POST /users/:username/api-keys", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "ATS sync", scopes: ["read", "write"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "ATS sync",
+        scopes: ["read", "write"],
+        prefix: expect.any(String),
+        createdAt: expect.any(String),
+        lastUsedAt: null,
+        key: expect.any(String),
+      },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "ATS sync" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for admin", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "ATS sync" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown scope", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "ATS sync", scopes: ["everything"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("GET /users/:username/api-keys", function () {
+  test("works for same user", async function () {
+    await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "ATS sync" })
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .get(`/users/u1/api-keys`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.apiKeys.length).toEqual(1);
+    expect(resp.body.apiKeys[0].name).toEqual("ATS sync");
+    expect(resp.body.apiKeys[0].key).toBeUndefined();
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/users/u1/api-keys`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/api-keys/:id", function () {
+  test("works for same user", async function () {
+    const created = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "ATS sync" })
+      .set("authorization", `Bearer ${u1Token}`);
+    const { id, key } = created.body.apiKey;
+
+    const resp = await request(app)
+      .delete(`/users/u1/api-keys/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const after = await request(app).get("/users/u1").set("x-api-key", key);
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("works for admin, recorded in the audit log", async function () {
+    const created = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "ATS sync" })
+      .set("authorization", `Bearer ${u1Token}`);
+    const { id } = created.body.apiKey;
+
+    const resp = await request(app)
+      .delete(`/users/u1/api-keys/${id}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const { entries } = await AuditLog.findAll({ action: "user.revokeApiKey" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        targetId: "u1",
+        before: { apiKeyId: id },
+      }),
+    ]);
+  });
+
+  test("not found for no such key", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/api-keys/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("requests with X-Api-Key", function () {
+  async function createKey(scopes) {
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "ATS sync", scopes })
+      .set("authorization", `Bearer ${u1Token}`);
+    return resp.body.apiKey.key;
+  }
+
+  test("works", async function () {
+    const key = await createKey(["read"]);
+    const resp = await request(app).get("/users/u1").set("x-api-key", key);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user.username).toEqual("u1");
+  });
+
+  test("read-only keys can't make changes", async function () {
+    const key = await createKey(["read"]);
+    const resp = await request(app)
+      .patch("/users/u1")
+      .send({ firstName: "New" })
+      .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("write keys can make changes", async function () {
+    const key = await createKey(["write"]);
+    const resp = await request(app)
+      .patch("/users/u1")
+      .send({ firstName: "New" })
+      .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for other users", async function () {
+    const key = await createKey(["read"]);
+    const resp = await request(app).get("/users/u2").set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/resumes */
+
+describe("POST /users/:username/resumes", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/resumes`)
+      .send({ title: "CV", url: "http://cv.example.com/u1.pdf" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      resume: {
+        id: expect.any(Number),
+        title: "CV",
+        url: "http://cv.example.com/u1.pdf",
+        createdAt: expect.any(String),
+      },
+    });
+  });
+
+  test("bad request with invalid url", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/resumes`)
+      .send({ title: "CV", url: "not a url" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/resumes`)
+      .send({ title: "CV", url: "http://cv.example.com/u1.pdf" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /users/:username/resumes", function () {
+  test("works", async function () {
+    await request(app)
+      .post(`/users/u1/resumes`)
+      .send({ title: "CV", url: "http://cv.example.com/u1.pdf" })
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .get(`/users/u1/resumes`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.resumes.map((r) => r.title)).toEqual(["CV"]);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/resumes`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/resumes/:id", function () {
+  test("works", async function () {
+    const created = await request(app)
+      .post(`/users/u1/resumes`)
+      .send({ title: "CV", url: "http://cv.example.com/u1.pdf" })
+      .set("authorization", `Bearer ${u1Token}`);
+    const id = created.body.resume.id;
+
+    const resp = await request(app)
+      .delete(`/users/u1/resumes/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: id });
+  });
+
+  test("not found for no such resume", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/resumes/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/saved */
+
+describe("saved jobs", function () {
+  test("save, list, apply", async function () {
+    const saveResp = await request(app)
+      .post(`/users/u1/saved/${testJobIds[1]}`)
+      .send({ notes: "Call Al on Friday" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(saveResp.body).toEqual({
+      saved: {
+        jobId: testJobIds[1],
+        savedAt: expect.any(String),
+        note: expect.objectContaining({
+          author: "u1",
+          visibility: "private",
+          body: "Call Al on Friday",
+        }),
+      },
+    });
+
+    const listResp = await request(app)
+      .get(`/users/u1/saved`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(listResp.body).toEqual({
+      jobs: [
+        {
+          id: testJobIds[1],
+          title: "J2",
+          salary: 2,
+          equity: "0.2",
+          companyHandle: "c1",
+          companyName: "C1",
+          savedAt: expect.any(String),
+        },
+      ],
+    });
+
+    await request(app)
+      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const jobsResp = await request(app)
+      .get(`/users/u1/jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const job = jobsResp.body.jobs.find((j) => j.id === testJobIds[1]);
+    expect(job).toEqual(expect.objectContaining({ state: "applied" }));
+
+    const notesResp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[1]}/notes`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(notesResp.body.notes).toEqual([saveResp.body.saved.note]);
+  });
+
+  test("unsave", async function () {
+    await request(app)
+      .post(`/users/u1/saved/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .delete(`/users/u1/saved/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ unsaved: testJobIds[1] });
+  });
+
+  test("bad request if already applied", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid body", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved/${testJobIds[1]}`)
+      .send({ notes: 5 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found unsaving a job that isn't saved", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/saved/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/saved`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ applied: testJobIds[1] });
+  });
+
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ applied: testJobIds[1] });
+  });
+
+  test("works with cover letter, resume and answers", async function () {
+    await db.query(
+      `UPDATE jobs
+           SET screening_questions = '[{"id": "years", "prompt": "Years?",
+                                        "type": "choice", "required": true,
+                                        "choices": ["0-2", "3+"]}]'
+           WHERE id = $1`,
+      [testJobIds[1]]
+    );
+    const resumeResp = await request(app)
+      .post(`/users/u1/resumes`)
+      .send({ title: "CV", url: "http://cv.example.com/u1.pdf" })
+      .set("authorization", `Bearer ${u1Token}`);
+    const resume = resumeResp.body.resume;
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .send({
+        coverLetter: "Hello",
+        resumeId: resume.id,
+        answers: { years: "3+" },
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ applied: testJobIds[1] });
+
+    const jobsResp = await request(app)
+      .get(`/users/u1/jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const job = jobsResp.body.jobs.find((j) => j.id === testJobIds[1]);
+    expect(job).toEqual(
+      expect.objectContaining({
+        coverLetter: "Hello",
+        resume: { id: resume.id, title: "CV", url: resume.url },
+        answers: { years: "3+" },
+      })
+    );
+  });
+
+  test("bad request if required question unanswered", async function () {
+    await db.query(
+      `UPDATE jobs
+           SET screening_questions = '[{"id": "why", "prompt": "Why?",
+                                        "type": "text", "required": true}]'
+           WHERE id = $1`,
+      [testJobIds[1]]
+    );
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      'answers requires property "why"',
+    ]);
+  });
+
+  test("bad request with invalid body", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .send({ coverLetter: 5 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(`/users/u1/jobs/${testJobIds[1]}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such username", async function () {
+    const resp = await request(app)
+      .post(`/users/nope/jobs/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/0`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request invalid job id", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/0`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  function patchState(token, state, username = "u1", jobId = testJobIds[0]) {
+    const req = request(app)
+      .patch(`/users/${username}/jobs/${jobId}`)
+      .send({ state });
+    return token ? req.set("authorization", `Bearer ${token}`) : req;
+  }
+
+  test("works for recruiter: advance", async function () {
+    const resp = await patchState(recruiterToken, "interviewing");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobIds[0],
+        state: "interviewing",
+      },
+    });
+  });
+
+  test("works for same user: withdraw", async function () {
+    const resp = await patchState(u1Token, "withdrawn");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("works: offer, then accept", async function () {
+    await patchState(recruiterToken, "offered");
+    const resp = await patchState(u1Token, "accepted");
+    expect(resp.body.application.state).toEqual("accepted");
+  });
+
+  test("works for admin: any declared change", async function () {
+    const resp = await patchState(adminToken, "offered");
+    expect(resp.statusCode).toEqual(200);
+    const resp2 = await patchState(adminToken, "accepted");
+    expect(resp2.body.application.state).toEqual("accepted");
+  });
+
+  test("forbidden for candidate advancing own application", async function () {
+    const resp = await patchState(u1Token, "offered");
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error.message).toEqual(
+      "Only the recruiter can change application from applied to offered"
+    );
+  });
+
+  test("forbidden for recruiter withdrawing", async function () {
+    const resp = await patchState(recruiterToken, "withdrawn");
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request for undeclared change", async function () {
+    await patchState(recruiterToken, "rejected");
+    const resp = await patchState(adminToken, "accepted");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(
+      "Can't change application from rejected to accepted; rejected is final"
+    );
+  });
+
+  test("bad request for invalid state", async function () {
+    const resp = await patchState(u1Token, "hired");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await patchState(u2Token, "withdrawn");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    await db.query(`UPDATE jobs SET company_handle = 'c2' WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    const resp = await patchState(recruiterToken, "interviewing");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await patchState(null, "withdrawn");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such application", async function () {
+    const resp = await patchState(adminToken, "withdrawn", "u2");
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await patchState(adminToken, "withdrawn", "u1", 0);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for a saved job: apply to it instead", async function () {
+    await request(app)
+      .post(`/users/u1/saved/${testJobIds[1]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await patchState(u1Token, "applied", "u1", testJobIds[1]);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id/history */
+
+describe("GET /users/:username/jobs/:id/history", function () {
+  test("works for same user", async function () {
+    await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "interviewing", note: "Onsite next week" })
+      .set("authorization", `Bearer ${recruiterToken}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}/history`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      history: [
+        {
+          id: expect.any(Number),
+          event: "applied",
+          fromState: null,
+          toState: "applied",
+          actor: "u1",
+          note: null,
+          createdAt: expect.any(String),
+        },
+        {
+          id: expect.any(Number),
+          event: "state_changed",
+          fromState: "applied",
+          toState: "interviewing",
+          actor: "u3",
+          note: "Onsite next week",
+          createdAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("keeps unapplying", async function () {
+    await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}/history`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.history.map((e) => [e.event, e.actor])).toEqual([
+      ["applied", "u1"],
+      ["unapplied", "admin"],
+    ]);
+  });
+
+  test("works for recruiter and admin", async function () {
+    for (const token of [recruiterToken, adminToken]) {
+      const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}/history`)
+        .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(200);
+    }
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}/history`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if never applied", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/jobs/${testJobIds[0]}/history`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/jobs/:id/notes */
+
+describe("/users/:username/jobs/:id/notes", function () {
+  function addNote(token, body) {
+    return request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}/notes`)
+      .send(body)
+      .set("authorization", `Bearer ${token}`);
+  }
+
+  function listNotes(token) {
+    return request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}/notes`)
+      .set("authorization", `Bearer ${token}`);
+  }
+
+  test("candidates and recruiters see their own notes", async function () {
+    const mine = await addNote(u1Token, { body: "Call [Al](javascript:x)" });
+    expect(mine.statusCode).toEqual(201);
+    expect(mine.body.note).toEqual({
+      id: expect.any(Number),
+      jobId: testJobIds[0],
+      username: "u1",
+      author: "u1",
+      visibility: "private",
+      body: "Call [Al](#)",
+      createdAt: expect.any(String),
+      updatedAt: expect.any(String),
+    });
+    const team = await addNote(recruiterToken, {
+      body: "Strong",
+      visibility: "team",
+    });
+
+    const candidateResp = await listNotes(u1Token);
+    expect(candidateResp.body.notes).toEqual([mine.body.note]);
+    const adminResp = await listNotes(adminToken);
+    expect(adminResp.body.notes).toEqual([team.body.note]);
+  });
+
+  test("change and delete", async function () {
+    const { note } = (await addNote(u1Token, { body: "a" })).body;
+
+    const updateResp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}/notes/${note.id}`)
+      .send({ body: "b" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(updateResp.body.note.body).toEqual("b");
+
+    const deleteResp = await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}/notes/${note.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(deleteResp.body).toEqual({ deleted: note.id });
+  });
+
+  test("forbidden for candidate team notes", async function () {
+    const resp = await addNote(u1Token, { body: "a", visibility: "team" });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request if nothing is left of body", async function () {
+    const resp = await addNote(u1Token, { body: "<p></p>" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found changing someone else's note", async function () {
+    const { note } = (await addNote(recruiterToken, { body: "a" })).body;
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}/notes/${note.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await listNotes(u2Token);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/jobs/:id/interviews */
+
+describe("interviews", function () {
+  const slots = [
+    { startsAt: "2099-01-01T10:00:00Z", endsAt: "2099-01-01T11:00:00Z" },
+    { startsAt: "2099-01-02T10:00:00Z", endsAt: "2099-01-02T11:00:00Z" },
+  ];
+
+  function proposeInterview(token, body = { slots }) {
+    return request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}/interviews`)
+      .send(body)
+      .set("authorization", `Bearer ${token}`);
+  }
+
+  test("propose, list, accept and cancel", async function () {
+    const proposed = await proposeInterview(recruiterToken, {
+      slots,
+      meetingUrl: "https://meet.example.com/abc",
+      participants: ["u3"],
+    });
+    expect(proposed.statusCode).toEqual(201);
+    const { id, slots: proposedSlots } = proposed.body.interview;
+    expect(proposed.body.interview).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      jobId: testJobIds[0],
+      status: "proposed",
+      startsAt: null,
+      endsAt: null,
+      location: null,
+      meetingUrl: "https://meet.example.com/abc",
+      participants: ["u3"],
+      proposedBy: "u3",
+      cancelledBy: null,
+      createdAt: expect.any(String),
+      slots: [
+        {
+          id: expect.any(Number),
+          startsAt: "2099-01-01T10:00:00.000Z",
+          endsAt: "2099-01-01T11:00:00.000Z",
+        },
+        {
+          id: expect.any(Number),
+          startsAt: "2099-01-02T10:00:00.000Z",
+          endsAt: "2099-01-02T11:00:00.000Z",
+        },
+      ],
+    });
+
+    const listed = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}/interviews`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(listed.body.interviews.map((i) => i.id)).toEqual([id]);
+
+    const accepted = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}/interviews/${id}/accept`)
+      .send({ slotId: proposedSlots[1].id })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(accepted.body.interview).toEqual(
+      expect.objectContaining({
+        status: "accepted",
+        startsAt: "2099-01-02T10:00:00.000Z",
+        endsAt: "2099-01-02T11:00:00.000Z",
+      })
+    );
+
+    const cancelled = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}/interviews/${id}/cancel`)
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(cancelled.body.interview).toEqual(
+      expect.objectContaining({ status: "cancelled", cancelledBy: "u3" })
+    );
+  });
+
+  test("candidates can't propose", async function () {
+    const resp = await proposeInterview(u1Token);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("recruiters can't accept", async function () {
+    const proposed = await proposeInterview(recruiterToken);
+    const { id, slots: proposedSlots } = proposed.body.interview;
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}/interviews/${id}/accept`)
+      .send({ slotId: proposedSlots[0].id })
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request for clashing slot", async function () {
+    const proposed = await proposeInterview(recruiterToken);
+    const { id, slots: proposedSlots } = proposed.body.interview;
+    await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}/interviews/${id}/accept`)
+      .send({ slotId: proposedSlots[0].id })
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await proposeInterview(adminToken, { slots: [slots[0]] });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await proposeInterview(recruiterToken, {
+      slots: [{ startsAt: "tomorrow", endsAt: "later" }],
+    });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}/interviews`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/searches */
+
+describe("/users/:username/searches", function () {
+  test("save, list and delete", async function () {
+    const createResp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({
+        name: "Well paid",
+        filters: { minSalary: 100000, hasEquity: true },
+        frequency: "weekly",
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(createResp.statusCode).toEqual(201);
+    const search = createResp.body.search;
+    expect(search).toEqual({
+      id: expect.any(Number),
+      name: "Well paid",
+      filters: { minSalary: 100000, hasEquity: true },
+      frequency: "weekly",
+      lastSentAt: null,
+      createdAt: expect.any(String),
+    });
+
+    const listResp = await request(app)
+      .get(`/users/u1/searches`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(listResp.body).toEqual({ searches: [search] });
+
+    const deleteResp = await request(app)
+      .delete(`/users/u1/searches/${search.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(deleteResp.body).toEqual({ deleted: search.id });
+  });
+
+  test("bad request with invalid filters", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Bad", filters: { minSalary: "lots" } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found deleting someone else's search", async function () {
+    const createResp = await request(app)
+      .post(`/users/u2/searches`)
+      .send({ name: "All" })
+      .set("authorization", `Bearer ${u2Token}`);
+    const resp = await request(app)
+      .delete(`/users/u1/searches/${createResp.body.search.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/searches`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/following */
+
+describe("/users/:username/following", function () {
+  test("follow, list and unfollow", async function () {
+    const followResp = await request(app)
+      .post(`/users/u1/following/c1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(followResp.body).toEqual({
+      followed: { companyHandle: "c1", followedAt: expect.any(String) },
+    });
+
+    const listResp = await request(app)
+      .get(`/users/u1/following`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(listResp.body).toEqual({
+      following: [
+        {
+          handle: "c1",
+          name: "C1",
+          followedAt: followResp.body.followed.followedAt,
+        },
+      ],
+    });
+
+    const unfollowResp = await request(app)
+      .delete(`/users/u1/following/c1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(unfollowResp.body).toEqual({ unfollowed: "c1" });
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/following/nope`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/following/c1`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/notifications */
+
+describe("/users/:username/notifications", function () {
+  beforeEach(async function () {
+    await Notification.create(["u1"], "newJob", "one", { jobId: 1 });
+    await Notification.create(["u1"], "interview", "two");
+  });
+
+  test("list", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/notifications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      notifications: {
+        entries: [
+          {
+            id: expect.any(Number),
+            type: "interview",
+            message: "two",
+            data: {},
+            readAt: null,
+            createdAt: expect.any(String),
+          },
+          expect.objectContaining({ message: "one", data: { jobId: 1 } }),
+        ],
+        total: 2,
+        unread: 2,
+        page: 1,
+        limit: 20,
+      },
+    });
+  });
+
+  test("mark one read", async function () {
+    const { entries } = await Notification.findAll("u1");
+    const resp = await request(app)
+      .post(`/users/u1/notifications/${entries[0].id}/read`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.notification.readAt).toEqual(expect.any(String));
+
+    const unreadResp = await request(app)
+      .get(`/users/u1/notifications?unread=true`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const { entries: unread } = unreadResp.body.notifications;
+    expect(unread.map((n) => n.message)).toEqual(["one"]);
+  });
+
+  test("mark all read", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/notifications/read-all`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ marked: 2 });
+  });
+
+  test("not found marking someone else's notification", async function () {
+    const { entries } = await Notification.findAll("u1");
+    const resp = await request(app)
+      .post(`/users/u2/notifications/${entries[0].id}/read`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with invalid filters", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/notifications?limit=1000`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/notifications`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** notification preferences */
+
+describe("/users/:username/notification-preferences", function () {
+  test("get and change", async function () {
+    const getResp = await request(app)
+      .get(`/users/u1/notification-preferences`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(getResp.body).toEqual({
+      preferences: { applicationState: true, newJob: true, interview: true },
+    });
+
+    const patchResp = await request(app)
+      .patch(`/users/u1/notification-preferences`)
+      .send({ newJob: false })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(patchResp.body).toEqual({
+      preferences: { applicationState: true, newJob: false, interview: true },
+    });
+  });
+
+  test("bad request for unknown type", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1/notification-preferences`)
+      .send({ marketing: false })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /users/:username/calendar-feed */
+
+describe("POST /users/:username/calendar-feed", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/calendar-feed`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.url).toMatch(
+      new RegExp(`^${config.API_URL}/calendar/[\\w-]+\\.ics$`)
+    );
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/calendar-feed`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for admin", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/calendar-feed`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
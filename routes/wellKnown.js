@@ -0,0 +1,23 @@
+"use strict";
+
+/** Routes for /.well-known: public metadata for other services. */
+
+const express = require("express");
+const { getJwks } = require("../helpers/keyring");
+
+const router = new express.Router();
+
+/** GET /jwks.json  =>  { keys: [ { kid, alg, use, kty, ... }, ...] }
+ *
+ * The public keys j2f tokens are signed with (see helpers/keyring.js), so
+ * other services can verify them. Empty if tokens are signed with SECRET_KEY.
+ *
+ * Authorization required: none
+ */
+
+router.get("/jwks.json", function (req, res, next) {
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json(getJwks());
+});
+
+module.exports = router;
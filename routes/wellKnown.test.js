@@ -0,0 +1,92 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+
+const app = require("../app");
+const config = require("../config");
+const { createToken } = require("../helpers/tokens");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /.well-known/jwks.json */
+
+describe("GET /.well-known/jwks.json", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "j2f-keys-"));
+    const { privateKey } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "P-256",
+    });
+    fs.writeFileSync(
+      path.join(dir, "2024-01.pem"),
+      privateKey.export({ type: "pkcs8", format: "pem" })
+    );
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+    config.JWT_KEYS_DIR = "";
+  });
+
+  test("works", async function () {
+    config.JWT_KEYS_DIR = dir;
+    const resp = await request(app).get("/.well-known/jwks.json");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["cache-control"]).toEqual("public, max-age=300");
+    expect(resp.body).toEqual({
+      keys: [
+        {
+          kid: "2024-01",
+          alg: "ES256",
+          use: "sig",
+          kty: "EC",
+          crv: "P-256",
+          x: expect.any(String),
+          y: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("published keys verify tokens", async function () {
+    config.JWT_KEYS_DIR = dir;
+    const token = createToken({ username: "u1", isAdmin: false });
+    const resp = await request(app).get("/.well-known/jwks.json");
+
+    const { kid } = jwt.decode(token, { complete: true }).header;
+    const jwk = resp.body.keys.find((k) => k.kid === kid);
+    const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" });
+    const payload = jwt.verify(
+      token,
+      publicKey.export({ type: "spki", format: "pem" }),
+      { algorithms: [jwk.alg] }
+    );
+    expect(payload.username).toEqual("u1");
+
+    const userResp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  test("empty with SECRET_KEY", async function () {
+    const resp = await request(app).get("/.well-known/jwks.json");
+    expect(resp.body).toEqual({ keys: [] });
+  });
+});
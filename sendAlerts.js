@@ -0,0 +1,38 @@
+"use strict";
+
+/** Send saved-search alert digests:
+ *
+ *   node sendAlerts.js daily
+ *   node sendAlerts.js weekly
+ *   node sendAlerts.js instant
+ *
+ * Run daily and weekly once a day from a scheduler (like cron); weekly
+ * digests are only sent when a week has passed. Instant alerts are sent as
+ * jobs are posted; running instant now and then sends any that failed then.
+ * See SavedSearch.sendDigests.
+ */
+
+const db = require("./db");
+const SavedSearch = require("./models/savedSearch");
+
+const FREQUENCIES = ["instant", "daily", "weekly"];
+
+async function main(frequency) {
+  try {
+    if (!FREQUENCIES.includes(frequency)) {
+      console.error(`Usage: node sendAlerts.js ${FREQUENCIES.join("|")}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const sent = await SavedSearch.sendDigests(frequency);
+    console.log(`Sent ${sent} ${frequency} digest(s)`);
+  } catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+main(process.argv[2]);